@@ -16,6 +16,7 @@ import Payment from './components/Payment';
 import TierNotification from './components/TierNotification';
 import { Route, Routes, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { ServerEventsProvider } from './contexts/ServerEventsContext';
 import RoleBasedNavbar from './components/RoleBasedNavbar';
 
 // Protected Route component
@@ -146,7 +147,9 @@ const PaymentWrapper = () => {
 function App() {
   return (
     <AuthProvider>
-      <AppContent />
+      <ServerEventsProvider>
+        <AppContent />
+      </ServerEventsProvider>
     </AuthProvider>
   );
 }
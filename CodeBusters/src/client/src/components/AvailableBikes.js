@@ -1,8 +1,28 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useServerEvents, SERVER_EVENTS } from '../contexts/ServerEventsContext';
 import API_URL from '../config';
+import DamageReportForm from './DamageReportForm';
 import './style/AvailableBikes.css';
 
+// Rental summary line for the payment taken at return from the hold placed at rental start
+const paymentSummary = (data) => {
+    if (!data.payment) {
+        return 'Final cost will be calculated based on your rental duration.';
+    }
+    const cap = data.billing && data.billing.fareCapped ? ' (daily fare cap reached)' : '';
+    if (data.payment.status === 'failed') {
+        return `Cost: $${Number(data.payment.totalCost).toFixed(2)}${cap}\nPayment failed: ${data.payment.failureMessage} Please pay from the Payment page.`;
+    }
+    const card = data.payment.amountDue > 0 && data.payment.cardLast4 ? ` (card ••${data.payment.cardLast4})` : '';
+    const taxes = data.payment.taxes && data.payment.taxes.total > 0
+        ? `\n${data.payment.taxes.lines.map(line => `${line.name}: $${Number(line.amount).toFixed(2)}`).join(', ')}`
+        : '';
+    return `Charged: $${Number(data.payment.totalCost).toFixed(2)}${cap}${card}${taxes}`;
+};
+
 const AvailableBikes = () => {
+    const { authFetch } = useAuth();
     const [stations, setStations] = useState([]);
     const [searchQuery, setSearchQuery] = useState('');
     const [searchResults, setSearchResults] = useState([]);
@@ -15,6 +35,9 @@ const AvailableBikes = () => {
     const [currentTime, setCurrentTime] = useState(new Date());
     const [hasActiveReservation, setHasActiveReservation] = useState(false);
     const [activeRentalLocal, setActiveRentalLocal] = useState(null);
+    // Docked bike the rider is reporting an issue on: { bikeId, stationName }
+    const [issueBike, setIssueBike] = useState(null);
+    const [submittingIssue, setSubmittingIssue] = useState(false);
 
     // Load all stations on component mount
     useEffect(() => {
@@ -50,50 +73,61 @@ const AvailableBikes = () => {
         return () => clearInterval(timer);
     }, []);
 
+    // Re-fetch stations (and the active search) when the server pushes a change
+    const refreshStations = async () => {
+        try {
+            if (searchQuery.trim()) {
+                await handleSearch(searchQuery);
+            }
+            const response = await fetch(`${API_URL}/api/stations/map`);
+            const data = await response.json();
+            if (data.success) {
+                setStations(data.stations);
+            }
+        } catch (err) {
+            console.error('Error refreshing stations:', err);
+        }
+    };
+
+    useServerEvents(
+        [SERVER_EVENTS.STATION_OCCUPANCY, SERVER_EVENTS.BIKE_STATUS, SERVER_EVENTS.RESERVATION_EXPIRED],
+        () => refreshStations()
+    );
+
     // Check for active reservations
     useEffect(() => {
-        const checkActiveReservations = async () => {
+        const checkActiveReservations = () => {
             try {
                 const user = JSON.parse(localStorage.getItem('user'));
                 if (!user) return;
 
-                const response = await fetch(`${API_URL}/api/stations/map`);
-                const data = await response.json();
+                let hasActive = false;
+                const currentUserId = user.id;
                 
-                if (data.success) {
-                    let hasActive = false;
-                    const currentUserId = user.id;
-                    
-                    data.stations.forEach(station => {
-                        if (station.bikes) {
-                            station.bikes.forEach(bike => {
-                                if (bike.status === 'reserved' && bike.reservedBy === currentUserId) {
-                                    // Check if reservation is still valid
-                                    const expiryTime = new Date(bike.reservationExpiry);
-                                    const now = new Date();
-                                    
-                                    if (expiryTime > now) {
-                                        hasActive = true;
-                                    }
+                stations.forEach(station => {
+                    if (station.bikes) {
+                        station.bikes.forEach(bike => {
+                            if (bike.status === 'reserved' && bike.reservedBy === currentUserId) {
+                                // Check if reservation is still valid
+                                const expiryTime = new Date(bike.reservationExpiry);
+                                const now = new Date();
+                                
+                                if (expiryTime > now) {
+                                    hasActive = true;
                                 }
-                            });
-                        }
-                    });
-                    
-                    setHasActiveReservation(hasActive);
-                }
+                            }
+                        });
+                    }
+                });
+                
+                setHasActiveReservation(hasActive);
             } catch (err) {
                 console.error('Error checking active reservations:', err);
             }
         };
 
         checkActiveReservations();
-        
-        // Check every 30 seconds for updates
-        const interval = setInterval(checkActiveReservations, 30000);
-        
-        return () => clearInterval(interval);
-    }, [stations]); // Re-check when stations data changes
+    }, [stations]); // Re-check when stations data changes (pushed by server events)
 
     // Load active rental from localStorage (so we can disable Rent buttons when user already rents a bike)
     useEffect(() => {
@@ -181,13 +215,10 @@ const AvailableBikes = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/reserve`, {
+            const response = await authFetch(`${API_URL}/api/reserve`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ stationId, bikeId })
             });
@@ -198,20 +229,9 @@ const AvailableBikes = () => {
                 // Add to local reservations for tracking
                 setReservations(prev => [...prev, data.reservation]);
                 
-                // Update active reservation status
+                // Update active reservation status (station data refreshes from the bike_status event)
                 setHasActiveReservation(true);
                 
-                // Refresh station data
-                if (searchQuery.trim()) {
-                    handleSearch(searchQuery);
-                } else {
-                    const stationsResponse = await fetch(`${API_URL}/api/stations/map`);
-                    const stationsData = await stationsResponse.json();
-                    if (stationsData.success) {
-                        setStations(stationsData.stations);
-                    }
-                }
-                
                 // Dispatch event to notify activity history to refresh
                 window.dispatchEvent(new CustomEvent('reservationMade', {
                     detail: { bikeId, stationId, stationName }
@@ -235,6 +255,33 @@ const AvailableBikes = () => {
         }
     };
 
+    // Report an issue on a docked bike; report: { category, severity, description, photos } from DamageReportForm
+    const reportIssue = async (report) => {
+        setSubmittingIssue(true);
+        try {
+            const response = await authFetch(`${API_URL}/api/bikes/${issueBike.bikeId}/report-issue`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(report)
+            });
+
+            const data = await response.json();
+            if (data.success) {
+                setIssueBike(null);
+                alert(data.message);
+            } else {
+                alert(`Failed to submit issue report:\n\n${data.message}`);
+            }
+        } catch (err) {
+            console.error('Error reporting bike issue:', err);
+            alert('Network error while submitting issue report');
+        } finally {
+            setSubmittingIssue(false);
+        }
+    };
+
     // Rent a bike (undock) - uses /api/rent
     const rentBike = async (stationId, bikeId, stationName) => {
         setRentingBike(bikeId);
@@ -339,13 +386,10 @@ const AvailableBikes = () => {
             setSearchResults(prev => markBikeOnTrip(prev));
 
             // Now perform the actual rent call
-            const response = await fetch(`${API_URL}/api/rent`, {
+            const response = await authFetch(`${API_URL}/api/rent`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ stationId, bikeId, userId: String(user.id) })
             });
@@ -360,24 +404,11 @@ const AvailableBikes = () => {
                 };
                 localStorage.setItem('activeRental', JSON.stringify(activeRental));
 
-                alert(`Bike ${bikeId} rented from ${stationName}. Have a great ride!`);
-
-                // Refresh authoritative station data in background
-                (async () => {
-                    try {
-                        if (searchQuery.trim()) {
-                            await handleSearch(searchQuery);
-                        } else {
-                            const stationsResponse = await fetch(`${API_URL}/api/stations/map`);
-                            const stationsData = await stationsResponse.json();
-                            if (stationsData.success) {
-                                setStations(stationsData.stations);
-                            }
-                        }
-                    } catch (e) {
-                        console.error('Background refresh error:', e);
-                    }
-                })();
+                // Authoritative station data arrives through the bike_status/station_occupancy events
+                alert(
+                    `Bike ${bikeId} rented from ${stationName}. Have a great ride!` +
+                    (data.hold ? `\n\nA $${data.hold.amount.toFixed(2)} hold was placed on your card ••${data.hold.cardLast4}; the final cost is charged when you return the bike.` : '')
+                );
             } else {
                 // Server rejected the rent: rollback optimistic state
                 try {
@@ -415,13 +446,10 @@ const AvailableBikes = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/return`, {
+            const response = await authFetch(`${API_URL}/api/return`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ 
                     stationId: stationId, 
@@ -444,27 +472,16 @@ const AvailableBikes = () => {
                     `Rental Summary:\n` +
                     `Duration: ${hours}h ${minutes}m\n` +
                     `Returned to: ${stationName}\n` +
-                    `Final cost will be calculated based on your rental duration.`
+                    paymentSummary(data)
                 );
                 
                 // Clear local active rental
                 localStorage.removeItem('activeRental');
                 setActiveRentalLocal(null); // Hide return dock buttons
                 
-                // Notify other components
+                // Notify other components (station data refreshes from server events)
                 window.dispatchEvent(new Event('activeRentalChanged'));
                 window.dispatchEvent(new StorageEvent('storage', { key: 'activeRental', newValue: null }));
-                
-                // Refresh stations data
-                if (searchQuery.trim()) {
-                    handleSearch(searchQuery);
-                } else {
-                    const stationsResponse = await fetch(`${API_URL}/api/stations/map`);
-                    const stationsData = await stationsResponse.json();
-                    if (stationsData.success) {
-                        setStations(stationsData.stations);
-                    }
-                }
             } else {
                 alert(`Failed to return bike: ${data.message}`);
             }
@@ -484,13 +501,10 @@ const AvailableBikes = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/reserve/cancel`, {
+            const response = await authFetch(`${API_URL}/api/reserve/cancel`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ stationId, bikeId })
             });
@@ -501,20 +515,9 @@ const AvailableBikes = () => {
                 // Remove from local reservations
                 setReservations(prev => prev.filter(r => r.bikeId !== bikeId));
                 
-                // Update active reservation status
+                // Update active reservation status (station data refreshes from the bike_status event)
                 setHasActiveReservation(false);
                 
-                // Refresh station data
-                if (searchQuery.trim()) {
-                    handleSearch(searchQuery);
-                } else {
-                    const stationsResponse = await fetch(`${API_URL}/api/stations/map`);
-                    const stationsData = await stationsResponse.json();
-                    if (stationsData.success) {
-                        setStations(stationsData.stations);
-                    }
-                }
-                
                 // Dispatch event to notify activity history to refresh
                 window.dispatchEvent(new CustomEvent('reservationCancelled', {
                     detail: { bikeId }
@@ -623,6 +626,16 @@ const AvailableBikes = () => {
                                     </div>
                                 )
                             )}
+
+                            {(bike.status === 'available' || bike.status === 'reserved') && (
+                                <button
+                                    className="report-issue-button"
+                                    onClick={() => setIssueBike({ bikeId: bike.id, stationName: station.name })}
+                                    title="Report damage on this docked bike"
+                                >
+                                    Report Issue
+                                </button>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -725,6 +738,17 @@ const AvailableBikes = () => {
 
     return (
         <div className="available-bikes-container">
+            {issueBike && (
+                <DamageReportForm
+                    bikeId={issueBike.bikeId}
+                    stationName={issueBike.stationName}
+                    submitting={submittingIssue}
+                    onSubmit={reportIssue}
+                    onCancel={() => setIssueBike(null)}
+                    note="Operators will inspect the bike. It is taken out of service once several riders report it."
+                />
+            )}
+
             <div className="header">
                 <h1>Available Bikes</h1>
                 <p>Find and rent bikes from stations across Montreal</p>
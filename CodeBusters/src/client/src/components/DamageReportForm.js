@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import './style/DamageReportForm.css';
+
+export const DAMAGE_CATEGORIES = {
+    brakes: 'Brakes',
+    tire: 'Tire',
+    chain: 'Chain',
+    battery: 'Battery',
+    other: 'Other'
+};
+
+export const DAMAGE_SEVERITIES = {
+    low: 'Low - still rideable',
+    medium: 'Medium - uncomfortable to ride',
+    high: 'High - unsafe to ride',
+    critical: 'Critical - cannot be ridden'
+};
+
+// Same limits as the server (DAMAGE_CONFIG)
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Rider's damage report: category, severity, description and up to three photos.
+// Used for the active rental (My Rentals) and for docked bikes (Available Bikes), which differ in `note`.
+const DamageReportForm = ({
+    bikeId,
+    stationName,
+    submitting,
+    onSubmit,
+    onCancel,
+    note = 'Your rental will be ended immediately and operators will be notified.'
+}) => {
+    const [category, setCategory] = useState('other');
+    const [severity, setSeverity] = useState('medium');
+    const [description, setDescription] = useState('');
+    const [photos, setPhotos] = useState([]);
+    const [error, setError] = useState('');
+
+    const addPhotos = async (event) => {
+        const files = Array.from(event.target.files || []);
+        event.target.value = '';
+        if (photos.length + files.length > MAX_PHOTOS) {
+            setError(`You can attach up to ${MAX_PHOTOS} photos`);
+            return;
+        }
+        const rejected = files.find(file => !PHOTO_TYPES.includes(file.type) || file.size > MAX_PHOTO_BYTES);
+        if (rejected) {
+            setError(`${rejected.name} must be a JPEG, PNG or WebP image of at most 2 MB`);
+            return;
+        }
+        try {
+            const added = await Promise.all(files.map(async file => ({ name: file.name, dataUrl: await readAsDataUrl(file) })));
+            setPhotos(prev => [...prev, ...added]);
+            setError('');
+        } catch (readError) {
+            console.error('Error reading photo:', readError);
+            setError('Could not read the selected photo');
+        }
+    };
+
+    const removePhoto = (index) => {
+        setPhotos(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const submit = (event) => {
+        event.preventDefault();
+        if (!description.trim()) {
+            setError('Please describe the damage');
+            return;
+        }
+        onSubmit({
+            category,
+            severity,
+            description: description.trim(),
+            photos: photos.map(photo => photo.dataUrl)
+        });
+    };
+
+    return (
+        <div className="damage-form-overlay" onClick={submitting ? undefined : onCancel}>
+            <form className="damage-form" onClick={(e) => e.stopPropagation()} onSubmit={submit}>
+                <h2>Report Damage: {bikeId}</h2>
+                <p className="damage-form-note">
+                    Station: {stationName}. {note}
+                </p>
+
+                <label>
+                    What is damaged?
+                    <select value={category} onChange={(e) => setCategory(e.target.value)}>
+                        {Object.entries(DAMAGE_CATEGORIES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label>
+                    How bad is it?
+                    <select value={severity} onChange={(e) => setSeverity(e.target.value)}>
+                        {Object.entries(DAMAGE_SEVERITIES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label>
+                    Description
+                    <textarea
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        maxLength={1000}
+                        rows={4}
+                        placeholder="Describe the damage"
+                    />
+                </label>
+
+                <label>
+                    Photos (optional, up to {MAX_PHOTOS})
+                    <input
+                        type="file"
+                        accept={PHOTO_TYPES.join(',')}
+                        multiple
+                        onChange={addPhotos}
+                        disabled={photos.length >= MAX_PHOTOS}
+                    />
+                </label>
+                {photos.length > 0 && (
+                    <div className="damage-form-photos">
+                        {photos.map((photo, index) => (
+                            <div key={index} className="damage-form-photo">
+                                <img src={photo.dataUrl} alt={photo.name} />
+                                <button type="button" onClick={() => removePhoto(index)} title="Remove photo">✕</button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {error && <p className="damage-form-error">{error}</p>}
+
+                <div className="damage-form-actions">
+                    <button type="button" className="damage-form-cancel" onClick={onCancel} disabled={submitting}>
+                        Cancel
+                    </button>
+                    <button type="submit" className="damage-form-submit" disabled={submitting}>
+                        {submitting ? 'Submitting...' : 'Submit Report'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default DamageReportForm;
@@ -1,12 +1,77 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
 import API_URL from '../config';
+import { useServerEvents, SERVER_EVENTS } from '../contexts/ServerEventsContext';
+import { DAMAGE_CATEGORIES } from './DamageReportForm';
 import './style/DamageReportNotifications.css';
 
+const STATUS_LABELS = {
+    pending: 'Pending',
+    triaged: 'Triaged',
+    in_repair: 'In Repair',
+    resolved: 'Resolved',
+    wont_fix: "Won't Fix"
+};
+
+// Next statuses offered for each open status (same as the server's transitions)
+const NEXT_STATUSES = {
+    pending: ['triaged', 'resolved', 'wont_fix'],
+    triaged: ['in_repair', 'resolved', 'wont_fix'],
+    in_repair: ['resolved', 'wont_fix']
+};
+
+const ACTION_LABELS = {
+    triaged: 'Triage',
+    in_repair: 'Start Repair',
+    resolved: 'Resolve',
+    wont_fix: "Close as Won't Fix"
+};
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Photos are behind authentication, so they are fetched and shown from object URLs
+const ReportPhoto = ({ photo }) => {
+    const { authFetch } = useAuth();
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+        authFetch(`${API_URL}${photo.url}`)
+            .then(response => response.ok ? response.blob() : null)
+            .then(blob => {
+                if (blob && !cancelled) {
+                    objectUrl = URL.createObjectURL(blob);
+                    setSrc(objectUrl);
+                }
+            })
+            .catch(error => console.error('Error loading damage photo:', error));
+        return () => {
+            cancelled = true;
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        };
+    }, [authFetch, photo.url]);
+
+    if (!src) {
+        return <div className="report-photo loading">Loading...</div>;
+    }
+    return (
+        <a href={src} target="_blank" rel="noopener noreferrer">
+            <img className="report-photo" src={src} alt={`Damage photo ${photo.id}`} />
+        </a>
+    );
+};
+
 const DamageReportNotifications = ({ user }) => {
+    const { authFetch } = useAuth();
     const [notifications, setNotifications] = useState([]);
     const [damageReports, setDamageReports] = useState([]);
     const [showModal, setShowModal] = useState(false);
     const [loading, setLoading] = useState(false);
+    // Per-report form values: { technician, category, severity, note, returnToService, logType, logDescription, quantity, unitCost, minutes }
+    const [edits, setEdits] = useState({});
 
     // Fetch notifications on component mount
     useEffect(() => {
@@ -16,15 +81,17 @@ const DamageReportNotifications = ({ user }) => {
         }
     }, [user]);
 
+    // Show new damage reports as soon as riders submit them
+    useServerEvents([SERVER_EVENTS.DAMAGE_REPORTED], () => {
+        if (user && (user.role === 'operator' || user.role === 'dual')) {
+            fetchNotifications();
+            fetchDamageReports();
+        }
+    });
+
     const fetchNotifications = async () => {
         try {
-            const response = await fetch(`${API_URL}/api/operator/notifications?unread=true`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'x-user-id': String(user.id),
-                    'x-user-role': user.role
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/operator/notifications?unread=true`);
 
             const data = await response.json();
             if (data.success) {
@@ -37,13 +104,7 @@ const DamageReportNotifications = ({ user }) => {
 
     const fetchDamageReports = async () => {
         try {
-            const response = await fetch(`${API_URL}/api/operator/damage-reports?status=pending`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'x-user-id': String(user.id),
-                    'x-user-role': user.role
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/operator/damage-reports?status=open`);
 
             const data = await response.json();
             if (data.success) {
@@ -56,13 +117,8 @@ const DamageReportNotifications = ({ user }) => {
 
     const markAsRead = async (notificationId) => {
         try {
-            await fetch(`${API_URL}/api/operator/notifications/${notificationId}/read`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'x-user-id': String(user.id),
-                    'x-user-role': user.role
-                }
+            await authFetch(`${API_URL}/api/operator/notifications/${notificationId}/read`, {
+                method: 'PUT'
             });
             fetchNotifications();
         } catch (error) {
@@ -70,31 +126,91 @@ const DamageReportNotifications = ({ user }) => {
         }
     };
 
-    const resolveReport = async (reportId) => {
+    const editFor = (report) => ({
+        technician: report.technician || '',
+        category: report.category,
+        severity: report.severity,
+        note: '',
+        returnToService: true,
+        logType: 'part',
+        logDescription: '',
+        quantity: '1',
+        unitCost: '',
+        minutes: '',
+        ...edits[report.id]
+    });
+
+    const setEdit = (reportId, field, value) => {
+        setEdits(prev => ({ ...prev, [reportId]: { ...prev[reportId], [field]: value } }));
+    };
+
+    const clearEdit = (reportId, fields) => {
+        setEdits(prev => {
+            const next = { ...prev[reportId] };
+            fields.forEach(field => delete next[field]);
+            return { ...prev, [reportId]: next };
+        });
+    };
+
+    // Sends an operator action for one report, then reloads the open reports
+    const updateReport = async (reportId, path, method, body, clearFields) => {
         try {
             setLoading(true);
-            await fetch(`${API_URL}/api/operator/damage-reports/${reportId}/resolve`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'x-user-id': String(user.id),
-                    'x-user-role': user.role
-                }
+            const response = await authFetch(`${API_URL}/api/operator/damage-reports/${reportId}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
             });
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.message || 'Failed to update damage report');
+                return;
+            }
+            clearEdit(reportId, clearFields);
             fetchDamageReports();
-            setLoading(false);
-            alert('Damage report marked as resolved');
+            if (data.bikeReturned) {
+                alert(`Bike ${data.report.bikeId} is available again`);
+            }
         } catch (error) {
-            console.error('Error resolving report:', error);
+            console.error('Error updating damage report:', error);
+            alert('Error updating damage report');
+        } finally {
             setLoading(false);
-            alert('Error resolving report');
         }
     };
 
+    const saveDetails = (report) => {
+        const edit = editFor(report);
+        updateReport(report.id, '', 'PATCH', {
+            technician: edit.technician,
+            category: edit.category,
+            severity: edit.severity
+        }, ['technician', 'category', 'severity']);
+    };
+
+    const changeStatus = (report, status) => {
+        const edit = editFor(report);
+        const closing = status === 'resolved' || status === 'wont_fix';
+        updateReport(report.id, '/status', 'POST', {
+            status,
+            note: edit.note,
+            returnToService: closing && edit.returnToService
+        }, ['note', 'returnToService']);
+    };
+
+    const logRepair = (report) => {
+        const edit = editFor(report);
+        const entry = edit.logType === 'part'
+            ? { type: 'part', description: edit.logDescription, quantity: Number(edit.quantity), unitCost: Number(edit.unitCost || 0) }
+            : { type: 'labour', description: edit.logDescription, minutes: Number(edit.minutes) };
+        updateReport(report.id, '/repair-log', 'POST', entry, ['logDescription', 'quantity', 'unitCost', 'minutes']);
+    };
+
     const unreadCount = notifications.filter(n => n.read === 0).length;
-    const pendingReportsCount = damageReports.length;
+    const openReportsCount = damageReports.length;
+    const pendingReportsCount = damageReports.filter(report => report.status === 'pending').length;
 
-    if (unreadCount === 0 && pendingReportsCount === 0) {
+    if (unreadCount === 0 && openReportsCount === 0) {
         return null; // Don't show anything if no notifications
     }
 
@@ -104,7 +220,8 @@ const DamageReportNotifications = ({ user }) => {
                 <div className="notification-content">
                     <span className="notification-icon">⚠️</span>
                     <div className="notification-text">
-                        <strong>Operator Alert:</strong> {pendingReportsCount} damaged bike{pendingReportsCount !== 1 ? 's' : ''} reported
+                        <strong>Operator Alert:</strong> {openReportsCount} open damage report{openReportsCount !== 1 ? 's' : ''}
+                        {pendingReportsCount > 0 && ` (${pendingReportsCount} awaiting triage)`}
                         {unreadCount > 0 && ` • ${unreadCount} unread notification${unreadCount !== 1 ? 's' : ''}`}
                     </div>
                     <button 
@@ -132,33 +249,190 @@ const DamageReportNotifications = ({ user }) => {
                         <div className="modal-body">
                             {/* Damage Reports Section */}
                             <div className="reports-section">
-                                <h3>Pending Damage Reports ({pendingReportsCount})</h3>
+                                <h3>Open Damage Reports ({openReportsCount})</h3>
                                 {damageReports.length === 0 ? (
-                                    <p className="no-reports">No pending damage reports</p>
+                                    <p className="no-reports">No open damage reports</p>
                                 ) : (
                                     <div className="reports-list">
-                                        {damageReports.map(report => (
-                                            <div key={report.id} className="report-card">
-                                                <div className="report-header">
-                                                    <span className="report-id">Report #{report.id}</span>
-                                                    <span className="report-status">{report.status}</span>
-                                                </div>
-                                                <div className="report-details">
-                                                    <p><strong>Bike:</strong> {report.bike_id}</p>
-                                                    <p><strong>Location:</strong> {report.station_name || report.station_id}</p>
-                                                    <p><strong>Reported by:</strong> {report.username} (User #{report.user_id})</p>
-                                                    <p><strong>Time:</strong> {new Date(report.reported_at).toLocaleString()}</p>
-                                                    <p><strong>Description:</strong> {report.description}</p>
+                                        {damageReports.map(report => {
+                                            const edit = editFor(report);
+                                            const canLog = report.status === 'triaged' || report.status === 'in_repair';
+                                            return (
+                                                <div key={report.id} className={`report-card severity-${report.severity}`}>
+                                                    <div className="report-header">
+                                                        <span className="report-id">Report #{report.id}</span>
+                                                        <div className="report-badges">
+                                                            <span className="report-badge category">{DAMAGE_CATEGORIES[report.category] || report.category}</span>
+                                                            <span className={`report-badge severity ${report.severity}`}>{report.severity}</span>
+                                                            <span className={`report-status ${report.status}`}>{STATUS_LABELS[report.status] || report.status}</span>
+                                                        </div>
+                                                    </div>
+                                                    <div className="report-details">
+                                                        <p><strong>Bike:</strong> {report.bikeId}</p>
+                                                        <p><strong>Location:</strong> {report.stationName}</p>
+                                                        <p>
+                                                            <strong>Reported by:</strong> {report.username} (User #{report.userId})
+                                                            {report.source === 'issue' ? ' on a docked bike' : ' during their rental'}
+                                                        </p>
+                                                        {report.reporterCount > 1 && (
+                                                            <div className="report-reporters">
+                                                                <strong>Reported by {report.reporterCount} riders:</strong>
+                                                                <ul>
+                                                                    {report.reporters.map(reporter => (
+                                                                        <li key={reporter.userId}>
+                                                                            {reporter.username}: {reporter.description || 'No details'}
+                                                                            {' '}({new Date(reporter.createdAt).toLocaleString()})
+                                                                        </li>
+                                                                    ))}
+                                                                </ul>
+                                                            </div>
+                                                        )}
+                                                        <p><strong>Time:</strong> {new Date(report.reportedAt).toLocaleString()}</p>
+                                                        <p><strong>Description:</strong> {report.description}</p>
+                                                        <p><strong>Technician:</strong> {report.technician || 'Unassigned'}</p>
+                                                    </div>
+
+                                                    {report.photos.length > 0 && (
+                                                        <div className="report-photos">
+                                                            {report.photos.map(photo => <ReportPhoto key={photo.id} photo={photo} />)}
+                                                        </div>
+                                                    )}
+
+                                                    <div className="report-form-row">
+                                                        <select value={edit.category} onChange={(e) => setEdit(report.id, 'category', e.target.value)}>
+                                                            {Object.entries(DAMAGE_CATEGORIES).map(([value, label]) => (
+                                                                <option key={value} value={value}>{label}</option>
+                                                            ))}
+                                                        </select>
+                                                        <select value={edit.severity} onChange={(e) => setEdit(report.id, 'severity', e.target.value)}>
+                                                            {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                                                        </select>
+                                                        <input
+                                                            type="text"
+                                                            placeholder="Technician"
+                                                            value={edit.technician}
+                                                            maxLength={100}
+                                                            onChange={(e) => setEdit(report.id, 'technician', e.target.value)}
+                                                        />
+                                                        <button className="report-secondary-btn" onClick={() => saveDetails(report)} disabled={loading}>
+                                                            Save
+                                                        </button>
+                                                    </div>
+
+                                                    <div className="report-timeline">
+                                                        <h4>History</h4>
+                                                        <ul>
+                                                            {report.events.map((event, index) => (
+                                                                <li key={index}>
+                                                                    <span className="event-time">{new Date(event.createdAt).toLocaleString()}</span>
+                                                                    {event.fromStatus && event.fromStatus !== event.toStatus
+                                                                        ? ` ${STATUS_LABELS[event.fromStatus]} → ${STATUS_LABELS[event.toStatus]}`
+                                                                        : ''}
+                                                                    {event.note && ` - ${event.note}`}
+                                                                    {event.operator && ` (${event.operator})`}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    </div>
+
+                                                    <div className="report-repair-log">
+                                                        <h4>
+                                                            Repair Log
+                                                            {' '}(parts ${report.repairTotals.partsCost.toFixed(2)}, labour {report.repairTotals.labourMinutes} min)
+                                                        </h4>
+                                                        {report.repairLog.length > 0 && (
+                                                            <ul>
+                                                                {report.repairLog.map(entry => (
+                                                                    <li key={entry.id}>
+                                                                        {entry.type === 'part'
+                                                                            ? `Part: ${entry.description} × ${entry.quantity} @ $${Number(entry.unitCost).toFixed(2)}`
+                                                                            : `Labour: ${entry.description}, ${entry.minutes} min`}
+                                                                        {entry.loggedBy && ` (${entry.loggedBy})`}
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                        )}
+                                                        {canLog ? (
+                                                            <div className="report-form-row">
+                                                                <select value={edit.logType} onChange={(e) => setEdit(report.id, 'logType', e.target.value)}>
+                                                                    <option value="part">Part</option>
+                                                                    <option value="labour">Labour</option>
+                                                                </select>
+                                                                <input
+                                                                    type="text"
+                                                                    placeholder={edit.logType === 'part' ? 'Part' : 'Work done'}
+                                                                    value={edit.logDescription}
+                                                                    onChange={(e) => setEdit(report.id, 'logDescription', e.target.value)}
+                                                                />
+                                                                {edit.logType === 'part' ? (
+                                                                    <>
+                                                                        <input
+                                                                            type="number"
+                                                                            min="1"
+                                                                            step="1"
+                                                                            placeholder="Qty"
+                                                                            value={edit.quantity}
+                                                                            onChange={(e) => setEdit(report.id, 'quantity', e.target.value)}
+                                                                        />
+                                                                        <input
+                                                                            type="number"
+                                                                            min="0"
+                                                                            step="0.01"
+                                                                            placeholder="Unit cost $"
+                                                                            value={edit.unitCost}
+                                                                            onChange={(e) => setEdit(report.id, 'unitCost', e.target.value)}
+                                                                        />
+                                                                    </>
+                                                                ) : (
+                                                                    <input
+                                                                        type="number"
+                                                                        min="1"
+                                                                        step="1"
+                                                                        placeholder="Minutes"
+                                                                        value={edit.minutes}
+                                                                        onChange={(e) => setEdit(report.id, 'minutes', e.target.value)}
+                                                                    />
+                                                                )}
+                                                                <button className="report-secondary-btn" onClick={() => logRepair(report)} disabled={loading}>
+                                                                    Log
+                                                                </button>
+                                                            </div>
+                                                        ) : (
+                                                            <p className="report-hint">Triage the report to log parts and labour.</p>
+                                                        )}
+                                                    </div>
+
+                                                    <div className="report-actions">
+                                                        <input
+                                                            type="text"
+                                                            placeholder="Note (optional)"
+                                                            value={edit.note}
+                                                            onChange={(e) => setEdit(report.id, 'note', e.target.value)}
+                                                        />
+                                                        <label className="return-to-service">
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={edit.returnToService}
+                                                                onChange={(e) => setEdit(report.id, 'returnToService', e.target.checked)}
+                                                            />
+                                                            Return bike to service when closing
+                                                        </label>
+                                                        <div className="report-action-buttons">
+                                                            {(NEXT_STATUSES[report.status] || []).map(status => (
+                                                                <button
+                                                                    key={status}
+                                                                    className={status === 'resolved' ? 'resolve-btn' : `status-btn ${status}`}
+                                                                    onClick={() => changeStatus(report, status)}
+                                                                    disabled={loading}
+                                                                >
+                                                                    {ACTION_LABELS[status]}
+                                                                </button>
+                                                            ))}
+                                                        </div>
+                                                    </div>
                                                 </div>
-                                                <button 
-                                                    className="resolve-btn"
-                                                    onClick={() => resolveReport(report.id)}
-                                                    disabled={loading}
-                                                >
-                                                    Mark as Resolved
-                                                </button>
-                                            </div>
-                                        ))}
+                                            );
+                                        })}
                                     </div>
                                 )}
                             </div>
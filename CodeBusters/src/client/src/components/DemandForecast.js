@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import API_URL from '../config';
+import './style/DemandForecast.css';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 15, right: 20, bottom: 30, left: 40 };
+
+const formatHour = (isoTime) => new Date(isoTime).toLocaleTimeString('en-US', { hour: 'numeric' });
+
+// Line chart of projected bikes available with the station's capacity as the top line
+const ForecastChart = ({ forecast }) => {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const points = [{ time: forecast.generatedAt, projectedBikes: forecast.bikesAvailable }, ...forecast.points];
+    const x = (index) => CHART_PADDING.left + (index / (points.length - 1)) * plotWidth;
+    const y = (bikes) => CHART_PADDING.top + plotHeight - (bikes / Math.max(forecast.capacity, 1)) * plotHeight;
+
+    return (
+        <svg className="forecast-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img"
+            aria-label={`Projected bikes available at ${forecast.stationName}`}>
+            <line className="forecast-capacity" x1={x(0)} x2={x(points.length - 1)} y1={y(forecast.capacity)} y2={y(forecast.capacity)} />
+            <line className="forecast-axis" x1={x(0)} x2={x(points.length - 1)} y1={y(0)} y2={y(0)} />
+            <text className="forecast-label" x={CHART_PADDING.left - 8} y={y(forecast.capacity) + 4} textAnchor="end">{forecast.capacity}</text>
+            <text className="forecast-label" x={CHART_PADDING.left - 8} y={y(0) + 4} textAnchor="end">0</text>
+            <polyline
+                className="forecast-line"
+                points={points.map((point, index) => `${x(index)},${y(point.projectedBikes)}`).join(' ')}
+            />
+            {points.map((point, index) => (
+                <g key={point.time}>
+                    <circle className="forecast-point" cx={x(index)} cy={y(point.projectedBikes)} r="4">
+                        <title>{`${index === 0 ? 'Now' : formatHour(point.time)}: ${point.projectedBikes} bikes`}</title>
+                    </circle>
+                    <text className="forecast-label" x={x(index)} y={CHART_HEIGHT - 8} textAnchor="middle">
+                        {index === 0 ? 'Now' : formatHour(point.time)}
+                    </text>
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+// Station demand forecast: flags stations likely to run empty or full and charts one station's projection
+const DemandForecast = () => {
+    const { authFetch } = useAuth();
+    const [hours, setHours] = useState(6);
+    const [summaries, setSummaries] = useState([]);
+    const [selectedStationId, setSelectedStationId] = useState('');
+    const [forecast, setForecast] = useState(null);
+    const [error, setError] = useState('');
+
+    const fetchSummaries = useCallback(async () => {
+        try {
+            setError('');
+            const response = await authFetch(`${API_URL}/api/operator/station-forecasts?hours=${hours}`);
+            const data = await response.json();
+            if (data.success) {
+                setSummaries(data.forecasts);
+                setSelectedStationId(current => current || (data.forecasts[0] && data.forecasts[0].stationId) || '');
+            } else {
+                setError(data.message || 'Failed to load forecasts');
+            }
+        } catch (err) {
+            console.error('Error fetching station forecasts:', err);
+            setError('Network error loading forecasts');
+        }
+    }, [authFetch, hours]);
+
+    useEffect(() => {
+        fetchSummaries();
+    }, [fetchSummaries]);
+
+    useEffect(() => {
+        if (!selectedStationId) return;
+        const fetchForecast = async () => {
+            try {
+                const response = await fetch(`${API_URL}/api/stations/${selectedStationId}/forecast?hours=${hours}`);
+                const data = await response.json();
+                setForecast(data.success ? data.forecast : null);
+            } catch (err) {
+                console.error('Error fetching station forecast:', err);
+                setForecast(null);
+            }
+        };
+        fetchForecast();
+    }, [selectedStationId, hours]);
+
+    const atRisk = summaries.filter(s => s.likelyEmpty || s.likelyFull);
+
+    return (
+        <div className="forecast-section">
+            <div className="forecast-header">
+                <h2>Demand Forecast</h2>
+                <div className="filters">
+                    <select value={hours} onChange={(e) => setHours(parseInt(e.target.value, 10))} className="filter-select">
+                        {[3, 6, 12, 24].map(h => <option key={h} value={h}>Next {h} hours</option>)}
+                    </select>
+                    <button onClick={fetchSummaries} className="refresh-btn">Refresh</button>
+                </div>
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            {atRisk.length === 0 ? (
+                <p className="forecast-ok">No station is expected to run empty or full in the next {hours} hours.</p>
+            ) : (
+                <div className="forecast-alerts">
+                    {atRisk.map(s => (
+                        <button
+                            key={s.stationId}
+                            className={`forecast-alert ${s.likelyEmpty ? 'empty' : 'full'} ${s.stationId === selectedStationId ? 'selected' : ''}`}
+                            onClick={() => setSelectedStationId(s.stationId)}
+                        >
+                            <strong>{s.stationName}</strong>
+                            {s.likelyEmpty && <span>Likely empty by {formatHour(s.likelyEmptyAt)}</span>}
+                            {s.likelyFull && <span>Likely full by {formatHour(s.likelyFullAt)}</span>}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="forecast-chart-container">
+                <select
+                    value={selectedStationId}
+                    onChange={(e) => setSelectedStationId(e.target.value)}
+                    className="filter-select"
+                >
+                    {summaries.map(s => (
+                        <option key={s.stationId} value={s.stationId}>{s.stationName}</option>
+                    ))}
+                </select>
+                {forecast && (
+                    <>
+                        <p className="forecast-caption">
+                            {forecast.bikesAvailable} bikes available now, {forecast.freeDocks} free docks
+                            · based on the last {forecast.historyDays} days of rentals
+                        </p>
+                        <ForecastChart forecast={forecast} />
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DemandForecast;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import API_URL from '../config';
+import './style/DisputeQueue.css';
+
+const REASON_LABELS = {
+    damaged_bike: 'Trip ended by a damaged bike',
+    overcharged: 'Charged too much',
+    trip_not_taken: 'Trip not taken',
+    other: 'Other'
+};
+
+// Riders' billing disputes; operators approve them with a refund (card or flex dollars) or reject them
+const DisputeQueue = ({ showMessage }) => {
+    const { authFetch } = useAuth();
+    const [disputes, setDisputes] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [loading, setLoading] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    // Per-dispute form values: { refundMethod, amount, note }
+    const [edits, setEdits] = useState({});
+
+    const fetchDisputes = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await authFetch(`${API_URL}/api/operator/disputes?status=${statusFilter}`);
+            const data = await response.json();
+            if (data.success) {
+                setDisputes(data.disputes);
+            } else {
+                showMessage(data.message || 'Failed to load disputes', 'error');
+            }
+        } catch (error) {
+            console.error('Error fetching disputes:', error);
+            showMessage('Error loading disputes', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [authFetch, showMessage, statusFilter]);
+
+    useEffect(() => {
+        fetchDisputes();
+    }, [fetchDisputes]);
+
+    const editFor = (dispute) => ({
+        refundMethod: dispute.refundable.card > 0 ? 'card' : 'flex_dollars',
+        amount: '',
+        note: '',
+        ...edits[dispute.id]
+    });
+
+    const setEdit = (disputeId, field, value) => {
+        setEdits(prev => ({ ...prev, [disputeId]: { ...prev[disputeId], [field]: value } }));
+    };
+
+    const resolve = async (dispute, action) => {
+        const edit = editFor(dispute);
+        const body = action === 'approve'
+            ? { refundMethod: edit.refundMethod, amount: edit.amount === '' ? null : Number(edit.amount), note: edit.note }
+            : { note: edit.note };
+
+        try {
+            setBusyId(dispute.id);
+            const response = await authFetch(`${API_URL}/api/operator/disputes/${dispute.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            showMessage(data.message || `Failed to ${action} dispute`, data.success ? 'success' : 'error');
+            if (data.success) {
+                setEdits(prev => {
+                    const next = { ...prev };
+                    delete next[dispute.id];
+                    return next;
+                });
+                fetchDisputes();
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} dispute:`, error);
+            showMessage(`Error trying to ${action} dispute`, 'error');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="dispute-queue">
+            <div className="section-header">
+                <h2>Billing Disputes</h2>
+                <p>{loading ? 'Loading...' : `${disputes.length} ${statusFilter === 'all' ? '' : statusFilter} dispute(s)`}</p>
+            </div>
+
+            <div className="dispute-filters">
+                {['open', 'approved', 'rejected', 'all'].map(status => (
+                    <button
+                        key={status}
+                        className={`tab-button ${statusFilter === status ? 'active' : ''}`}
+                        onClick={() => setStatusFilter(status)}
+                    >
+                        {status.charAt(0).toUpperCase() + status.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            {disputes.length === 0 && !loading && (
+                <div className="dispute-empty">No disputes to show.</div>
+            )}
+
+            {disputes.map(dispute => {
+                const edit = editFor(dispute);
+                const limit = edit.refundMethod === 'card' ? dispute.refundable.card : dispute.refundable.total;
+                return (
+                    <div key={dispute.id} className={`dispute-card dispute-${dispute.status}`}>
+                        <div className="dispute-summary">
+                            <div>
+                                <strong>#{dispute.id} · {dispute.username}</strong> · Rental #{dispute.rentalId} ({dispute.bikeId})
+                                <div className="dispute-reason">
+                                    {REASON_LABELS[dispute.reason] || dispute.reason}
+                                    {dispute.damageReportId && <span className="dispute-damage-badge">Damage report #{dispute.damageReportId}</span>}
+                                </div>
+                                {dispute.description && <div className="dispute-description">“{dispute.description}”</div>}
+                            </div>
+                            <div className="dispute-amounts">
+                                <div>${(Number(dispute.payment.flexDollarsApplied) + Number(dispute.payment.cardAmount)).toFixed(2)} charged</div>
+                                <div className="dispute-split">
+                                    ${Number(dispute.payment.flexDollarsApplied).toFixed(2)} flex · ${Number(dispute.payment.cardAmount).toFixed(2)} card
+                                    {dispute.payment.cardLast4 && ` ••${dispute.payment.cardLast4}`}
+                                </div>
+                                <div className="dispute-date">{new Date(dispute.createdAt).toLocaleString()}</div>
+                            </div>
+                        </div>
+
+                        {dispute.status === 'open' ? (
+                            <div className="dispute-actions">
+                                <select
+                                    className="form-input"
+                                    value={edit.refundMethod}
+                                    onChange={(e) => setEdit(dispute.id, 'refundMethod', e.target.value)}
+                                >
+                                    <option value="card" disabled={dispute.refundable.card <= 0}>Refund to card</option>
+                                    <option value="flex_dollars">Refund as flex dollars</option>
+                                </select>
+                                <input
+                                    type="number"
+                                    min="0.01"
+                                    step="0.01"
+                                    max={limit}
+                                    className="form-input dispute-amount-input"
+                                    placeholder={`${limit.toFixed(2)} (full)`}
+                                    value={edit.amount}
+                                    onChange={(e) => setEdit(dispute.id, 'amount', e.target.value)}
+                                />
+                                <input
+                                    type="text"
+                                    className="form-input dispute-note-input"
+                                    placeholder="Note to the rider (required to reject)"
+                                    value={edit.note}
+                                    onChange={(e) => setEdit(dispute.id, 'note', e.target.value)}
+                                />
+                                <button
+                                    className="bike-action-btn activate"
+                                    disabled={busyId === dispute.id || limit <= 0}
+                                    onClick={() => resolve(dispute, 'approve')}
+                                >
+                                    Approve
+                                </button>
+                                <button
+                                    className="bike-action-btn deactivate"
+                                    disabled={busyId === dispute.id || !edit.note.trim()}
+                                    onClick={() => resolve(dispute, 'reject')}
+                                >
+                                    Reject
+                                </button>
+                            </div>
+                        ) : (
+                            <div className="dispute-resolution">
+                                {dispute.status === 'approved'
+                                    ? `Approved: $${Number(dispute.refundAmount).toFixed(2)} refunded to ${dispute.refundMethod === 'card' ? 'card' : 'flex dollars'}`
+                                    : 'Rejected'}
+                                {dispute.resolutionNote && ` · ${dispute.resolutionNote}`}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default DisputeQueue;
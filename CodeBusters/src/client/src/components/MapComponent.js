@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
 import L from 'leaflet';
 import API_URL from '../config';
+import { useServerEvents, SERVER_EVENTS } from '../contexts/ServerEventsContext';
 import 'leaflet/dist/leaflet.css';
 import './style/MapComponent.css';
 
@@ -193,9 +194,15 @@ const MapComponent = () => {
         fetchMapData();
     }, []);
 
-    const fetchMapData = async () => {
+    // Keep markers current without re-showing the loading screen
+    useServerEvents(
+        [SERVER_EVENTS.STATION_OCCUPANCY, SERVER_EVENTS.BIKE_STATUS, SERVER_EVENTS.RESERVATION_EXPIRED],
+        () => fetchMapData(false)
+    );
+
+    const fetchMapData = async (showLoading = true) => {
         try {
-            setLoading(true);
+            if (showLoading) setLoading(true);
             
             // Fetch stations
             const stationsResponse = await fetch(`${API_URL}/api/stations/map`);
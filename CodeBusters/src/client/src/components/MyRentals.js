@@ -1,9 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { useServerEvents, SERVER_EVENTS } from '../contexts/ServerEventsContext';
 import API_URL from '../config';
 import TierNotification from './TierNotification';
+import DamageReportForm from './DamageReportForm';
 import './style/MyRentals.css';
 
+// How often buffered GPS points are sent during an active rental
+const TRACK_UPLOAD_INTERVAL_MS = 30000;
+
+// Rental summary line for the payment taken at return from the hold placed at rental start
+const paymentSummary = (data) => {
+    if (!data.payment) {
+        return 'Final cost will be calculated based on your rental duration.';
+    }
+    const cap = data.billing && data.billing.fareCapped ? ' (daily fare cap reached)' : '';
+    if (data.payment.status === 'failed') {
+        return `Cost: $${Number(data.payment.totalCost).toFixed(2)}${cap}\nPayment failed: ${data.payment.failureMessage} Please pay from the Payment page.`;
+    }
+    const card = data.payment.amountDue > 0 && data.payment.cardLast4 ? ` (card ••${data.payment.cardLast4})` : '';
+    const taxes = data.payment.taxes && data.payment.taxes.total > 0
+        ? `\n${data.payment.taxes.lines.map(line => `${line.name}: $${Number(line.amount).toFixed(2)}`).join(', ')}`
+        : '';
+    return `Charged: $${Number(data.payment.totalCost).toFixed(2)}${cap}${card}${taxes}`;
+};
+
 const MyRentals = () => {
     // Small component to show elapsed time since startTime
     const ElapsedTimer = ({ startTime }) => {
@@ -31,7 +52,7 @@ const MyRentals = () => {
     };
 
     // Cost estimation component
-    const CostEstimator = ({ startTime, bikeType }) => {
+    const CostEstimator = ({ startTime, bikeType, plan }) => {
         const [now, setNow] = useState(new Date());
 
         useEffect(() => {
@@ -43,16 +64,20 @@ const MyRentals = () => {
         const diff = Math.max(0, now.getTime() - start);
         const durationMinutes = Math.ceil(diff / (1000 * 60)); // Round up to next minute
         
-        // Determine bike type and rate
+        // Same formula as the server pricing service, using the rider's plan
         const isEbike = bikeType === 'e-bike';
-        const ratePerMinute = isEbike ? 0.25 : 0.10;
-        const estimatedCost = durationMinutes * ratePerMinute;
+        if (!plan) {
+            return null;
+        }
+        const ratePerMinute = plan.ratePerMinute + (isEbike ? plan.eBikeSurchargePerMinute : 0);
+        const billableMinutes = Math.max(0, durationMinutes - plan.includedMinutes);
+        const estimatedCost = plan.baseFee + billableMinutes * ratePerMinute;
 
         return (
             <div className="cost-estimator">
                 Estimated Cost: <span className="cost-estimator-value">${estimatedCost.toFixed(2)}</span>
                 <div className="cost-estimator-details">
-                    {durationMinutes} min × ${ratePerMinute}/min ({isEbike ? 'E-Bike' : 'Standard'})
+                    {billableMinutes} min × ${ratePerMinute.toFixed(2)}/min ({isEbike ? 'E-Bike' : 'Standard'}, {plan.name})
                 </div>
             </div>
         );
@@ -66,7 +91,27 @@ const MyRentals = () => {
     const [showReturnStations, setShowReturnStations] = useState(false);
     const [returnStations, setReturnStations] = useState([]);
     const [tierNotification, setTierNotification] = useState(null);
-    const { updateUserLoyaltyTier } = useAuth();
+    const [pricingPlan, setPricingPlan] = useState(null);
+    const [showDamageForm, setShowDamageForm] = useState(false);
+    const [submittingDamage, setSubmittingDamage] = useState(false);
+    const { updateUserLoyaltyTier, authFetch } = useAuth();
+
+    // Rider's pricing plan for the cost estimate
+    useEffect(() => {
+        const fetchPricingPlan = async () => {
+            try {
+                const response = await authFetch(`${API_URL}/api/subscriptions/current`);
+                const data = await response.json();
+                if (data.success) {
+                    setPricingPlan(data.plan);
+                }
+            } catch (err) {
+                console.error('Error fetching pricing plan:', err);
+            }
+        };
+
+        fetchPricingPlan();
+    }, []);
 
     // Timer for countdown updates
     useEffect(() => {
@@ -77,19 +122,68 @@ const MyRentals = () => {
         return () => clearInterval(timer);
     }, []);
 
+    // Trip route: buffer GPS positions during an active rental and upload them in batches
+    const trackBuffer = useRef([]);
+    const activeRentalId = activeRental && activeRental.rentalId;
+
+    const flushTrackPoints = async (rentalId) => {
+        if (!rentalId || trackBuffer.current.length === 0) return;
+        const points = trackBuffer.current;
+        trackBuffer.current = [];
+        try {
+            const response = await authFetch(`${API_URL}/api/rentals/${rentalId}/track`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ points })
+            });
+            // Keep the points for the next upload on transient failures (not once the rental has ended)
+            if (!response.ok && response.status >= 500) {
+                trackBuffer.current = points.concat(trackBuffer.current);
+            }
+        } catch (err) {
+            console.error('Error uploading trip route points:', err);
+            trackBuffer.current = points.concat(trackBuffer.current);
+        }
+    };
+
+    useEffect(() => {
+        if (!activeRentalId || !navigator.geolocation) return;
+
+        const watchId = navigator.geolocation.watchPosition(
+            (position) => {
+                trackBuffer.current.push({
+                    lat: position.coords.latitude,
+                    lng: position.coords.longitude,
+                    timestamp: new Date(position.timestamp).toISOString()
+                });
+            },
+            (geoError) => console.warn('Trip route tracking unavailable:', geoError.message),
+            { enableHighAccuracy: true, maximumAge: 5000 }
+        );
+        const uploadTimer = setInterval(() => flushTrackPoints(activeRentalId), TRACK_UPLOAD_INTERVAL_MS);
+
+        return () => {
+            navigator.geolocation.clearWatch(watchId);
+            clearInterval(uploadTimer);
+        };
+    }, [activeRentalId]);
+
     // Function to fetch active rental from server and validate against local data
     const fetchServerActiveRental = async () => {
         try {
             const user = JSON.parse(localStorage.getItem('user'));
             if (!user) return;
 
-            const response = await fetch(`${API_URL}/api/users/${user.id}/rental`);
+            const response = await authFetch(`${API_URL}/api/users/${user.id}/rental`);
             const json = await response.json();
             
             if (json && json.success && json.hasActiveRental && json.rental) {
                 // Map server rental to client activeRental shape
                 const srv = json.rental;
                 const mapped = {
+                    rentalId: srv.id,
                     userId: String(srv.userId || user.id),
                     username: srv.username || user.username,
                     bikeId: srv.bikeId,
@@ -125,19 +219,17 @@ const MyRentals = () => {
         }
     };
 
-    // Auto-refresh active rental every 3 seconds, prioritizing server validation
-    useEffect(() => {
-        const refreshActiveRental = () => {
-            // Always fetch from server first to validate/sync data
+    // Re-validate the active rental and reservations when the server reports a bike change
+    // (e.g. a rental ended from another device or a reservation expired)
+    useServerEvents(
+        [SERVER_EVENTS.BIKE_STATUS, SERVER_EVENTS.RESERVATION_EXPIRED],
+        (events) => {
             fetchServerActiveRental();
-        };
-
-        // Refresh immediately and then every 3 seconds
-        refreshActiveRental();
-        const interval = setInterval(refreshActiveRental, 3000);
-
-        return () => clearInterval(interval);
-    }, []);
+            if (events.some(event => event.type !== SERVER_EVENTS.BIKE_STATUS)) {
+                loadReservations();
+            }
+        }
+    );
 
     // Function to load user's reservations
     const loadReservations = async () => {
@@ -230,13 +322,10 @@ const MyRentals = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/reserve/cancel`, {
+            const response = await authFetch(`${API_URL}/api/reserve/cancel`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ stationId, bikeId })
             });
@@ -265,13 +354,10 @@ const MyRentals = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/rent`, {
+            const response = await authFetch(`${API_URL}/api/rent`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ stationId, bikeId, userId: String(user.id) })
             });
@@ -281,6 +367,7 @@ const MyRentals = () => {
             if (data.success) {
                 // Create active rental object
                 const newActiveRental = {
+                    rentalId: data.rental && data.rental.rentalId,
                     userId: String(user.id),
                     username: user.username,
                     bikeId: bikeId,
@@ -365,13 +452,13 @@ const MyRentals = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/return`, {
+            // Upload the last GPS points so the route is complete before the rental ends
+            await flushTrackPoints(activeRental.rentalId);
+
+            const response = await authFetch(`${API_URL}/api/return`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id,
-                    'x-user-role': user.role,
-                    'x-username': user.username
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ 
                     stationId: stationId, 
@@ -414,7 +501,8 @@ const MyRentals = () => {
                         `Rental Summary:\n` +
                         `Duration: ${hours}h ${minutes}m\n` +
                         `Returned to: ${stationName} (Dock ${dockId})\n` +
-                        `Final cost will be calculated based on your rental duration.`
+                        (data.route ? `Distance: ${data.route.distanceKm.toFixed(2)} km\n` : '') +
+                        paymentSummary(data)
                     );
                 }, 100);
                 
@@ -457,24 +545,17 @@ const MyRentals = () => {
     };
 
     // Report bike damage
-    const reportDamage = async () => {
+    const reportDamage = () => {
         if (!activeRental) {
             alert('No active rental to report damage for');
             return;
         }
+        setShowDamageForm(true);
+    };
 
-        const description = prompt(
-            'Please describe the damage to the bike:\n\n' +
-            `Bike: ${activeRental.bikeId}\n` +
-            `Station: ${activeRental.stationName || activeRental.stationId}\n\n` +
-            'Note: Your rental will be ended immediately upon reporting damage.\n' +
-            'Your report will be sent to operators immediately.'
-        );
-
-        if (!description || description.trim() === '') {
-            return; // User cancelled or entered nothing
-        }
-
+    // report: { category, severity, description, photos } from DamageReportForm
+    const submitDamageReport = async (report) => {
+        setSubmittingDamage(true);
         try {
             const user = JSON.parse(localStorage.getItem('user'));
             if (!user) {
@@ -482,23 +563,19 @@ const MyRentals = () => {
                 return;
             }
 
-            const response = await fetch(`${API_URL}/api/bikes/${activeRental.bikeId}/report-damage`, {
+            const response = await authFetch(`${API_URL}/api/bikes/${activeRental.bikeId}/report-damage`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${localStorage.getItem('token')}`,
-                    'x-user-id': String(user.id),
-                    'x-username': user.username,
-                    'x-user-role': user.role || 'rider'
+                    'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({
-                    description: description.trim()
-                })
+                body: JSON.stringify(report)
             });
 
             const data = await response.json();
 
             if (data.success) {
+                setShowDamageForm(false);
+
                 // Clear active rental from localStorage
                 localStorage.removeItem('activeRental');
                 
@@ -517,6 +594,8 @@ const MyRentals = () => {
                     `✓ Damage Report Submitted Successfully\n\n` +
                     `Report ID: #${data.reportId}\n` +
                     `Bike: ${data.bikeId}\n` +
+                    `Damage: ${data.category} (${data.severity} severity)` +
+                    `${data.photoCount > 0 ? `, ${data.photoCount} photo(s)` : ''}\n` +
                     `Location: ${data.stationName}\n` +
                     `Status: NOT AVAILABLE (Maintenance Required)\n\n` +
                     `RENTAL ENDED\n` +
@@ -542,6 +621,8 @@ const MyRentals = () => {
         } catch (err) {
             console.error('Error reporting damage:', err);
             alert('Network error while submitting damage report.\nPlease try again or contact support.');
+        } finally {
+            setSubmittingDamage(false);
         }
     };
 
@@ -551,6 +632,16 @@ const MyRentals = () => {
                 notification={tierNotification}
                 onClose={() => setTierNotification(null)}
             />
+
+            {showDamageForm && activeRental && (
+                <DamageReportForm
+                    bikeId={activeRental.bikeId}
+                    stationName={activeRental.stationName || activeRental.stationId}
+                    submitting={submittingDamage}
+                    onSubmit={submitDamageReport}
+                    onCancel={() => setShowDamageForm(false)}
+                />
+            )}
             
             <div className="header">
                 <h1>My Rentals & Reservations</h1>
@@ -582,6 +673,7 @@ const MyRentals = () => {
                                     <CostEstimator 
                                         startTime={activeRental.startTime} 
                                         bikeType={activeRental.bikeType || 'standard'} 
+                                        plan={pricingPlan}
                                     />
                                     <div className="return-button-container">
                                         <button 
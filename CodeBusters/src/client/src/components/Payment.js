@@ -1,10 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import API_URL from '../config';
 import './style/Payment.css';
 
 const Payment = ({ selectedPlan, onBack }) => {
     const navigate = useNavigate();
+    const { authFetch } = useAuth();
     const [formData, setFormData] = useState({
         cardNumber: '',
         expiryDate: '',
@@ -15,6 +17,10 @@ const Payment = ({ selectedPlan, onBack }) => {
     const [message, setMessage] = useState('');
     const [savedCard, setSavedCard] = useState(null);
     const [useNewCard, setUseNewCard] = useState(false);
+    // One Idempotency-Key per rental until the server answers, so a double submit or retry can't charge twice
+    const chargeKeysRef = useRef({});
+    // Rentals whose card payment failed (declined, insufficient funds, timeout), with the reason
+    const [failedCharges, setFailedCharges] = useState([]);
     
     useEffect(() => {
         // Fetch saved payment method when component mounts
@@ -31,11 +37,7 @@ const Payment = ({ selectedPlan, onBack }) => {
                 const url = `${API_URL}/api/payment-methods/${user.id}`;
                 console.log('Fetching payment method from:', url);
                 
-                const response = await fetch(url, {
-                    headers: {
-                        'Authorization': `Bearer ${localStorage.getItem('token')}`
-                    }
-                });
+                const response = await authFetch(url);
                 
                 console.log('Response status:', response.status);
                 
@@ -127,6 +129,53 @@ const Payment = ({ selectedPlan, onBack }) => {
         return null;
     };
 
+    const chargeRental = async (rentalId) => {
+        if (!chargeKeysRef.current[rentalId]) {
+            chargeKeysRef.current[rentalId] = window.crypto.randomUUID();
+        }
+        const response = await authFetch(`${API_URL}/api/payments/charge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': chargeKeysRef.current[rentalId]
+            },
+            body: JSON.stringify({
+                rentalId: rentalId,
+                method: 'card',
+                // A new card goes to the payment gateway; otherwise the saved card is charged
+                card: (!savedCard || useNewCard) ? {
+                    number: formData.cardNumber.replace(/\s/g, ''),
+                    expiryDate: formData.expiryDate,
+                    holderName: formData.cardHolderName
+                } : null
+            })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            // The declined attempt is stored under its key; trying again is a new attempt
+            delete chargeKeysRef.current[rentalId];
+        }
+        return data;
+    };
+
+    // Charge each rental in turn; returns the ones that failed
+    const payRentals = async (rentalIds) => {
+        const failures = [];
+        for (const rentalId of rentalIds) {
+            try {
+                const data = await chargeRental(rentalId);
+                if (!data.success) {
+                    failures.push({ rentalId, message: data.message || 'Payment failed' });
+                }
+            } catch (error) {
+                console.error(`Error paying rental ${rentalId}:`, error);
+                failures.push({ rentalId, message: 'Could not reach the server' });
+            }
+        }
+        setFailedCharges(failures);
+        return failures;
+    };
+
     const handleSubmit = async (e) => {
         if (e) e.preventDefault();
         setMessage('');
@@ -146,86 +195,62 @@ const Payment = ({ selectedPlan, onBack }) => {
             const user = JSON.parse(localStorage.getItem('user'));
             
             // If this is a batch payment (multiple rentals), pay them all
+            // After a failure only the rentals that failed are charged again
             if (selectedPlan?.isBatchPayment && selectedPlan?.rentalIds?.length > 0) {
-                const rentalIds = selectedPlan.rentalIds;
-                let successCount = 0;
-                let failCount = 0;
-                
-                for (const rentalId of rentalIds) {
-                    try {
-                        const response = await fetch(`${API_URL}/api/payments/charge`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'x-user-id': String(user.id),
-                                'x-user-role': String(user.role || 'rider'),
-                                'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                            },
-                            body: JSON.stringify({
-                                rentalId: rentalId,
-                                method: 'card'
-                            })
-                        });
-
-                        const data = await response.json();
-                        if (data.success) {
-                            successCount++;
-                        } else {
-                            failCount++;
-                        }
-                    } catch (error) {
-                        console.error(`Error paying rental ${rentalId}:`, error);
-                        failCount++;
-                    }
-                }
+                const rentalIds = failedCharges.length > 0 ? failedCharges.map(f => f.rentalId) : selectedPlan.rentalIds;
+                const failures = await payRentals(rentalIds);
+                const successCount = rentalIds.length - failures.length;
                 
-                if (successCount > 0 && failCount === 0) {
+                if (failures.length === 0) {
                     setMessage(`Payment successful! All ${successCount} rental(s) paid.`);
-                } else if (successCount > 0) {
-                    setMessage(`Partially successful: ${successCount} paid, ${failCount} failed.`);
+                    setTimeout(() => {
+                        navigate('/profile');
+                    }, 2000);
                 } else {
-                    setMessage('Payment failed. Please try again.');
+                    setMessage(successCount > 0
+                        ? `Partially successful: ${successCount} paid, ${failures.length} failed.`
+                        : 'Payment failed. Please try again.');
+                    setIsLoading(false);
                 }
-                
-                setTimeout(() => {
-                    navigate('/profile');
-                }, 2000);
             }
             // If this is a single rental payment (has rentalId), call the payment API
             else if (selectedPlan?.rentalId) {
-                const response = await fetch(`${API_URL}/api/payments/charge`, {
+                const data = await chargeRental(selectedPlan.rentalId);
+
+                if (data.success) {
+                    setFailedCharges([]);
+                    setMessage(data.message || 'Payment successful!');
+                    setTimeout(() => {
+                        navigate('/profile');
+                    }, 2000);
+                } else {
+                    setFailedCharges([{ rentalId: selectedPlan.rentalId, message: data.message || 'Payment failed' }]);
+                    setMessage('Payment failed. Please try again.');
+                    setIsLoading(false);
+                }
+            } else if (selectedPlan?.planId) {
+                // For subscription/plan payments (not rental-specific)
+                const response = await authFetch(`${API_URL}/api/subscriptions`, {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json',
-                        'x-user-id': String(user.id),
-                        'x-user-role': String(user.role || 'rider'),
-                        'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
-                        rentalId: selectedPlan.rentalId,
-                        method: 'card'
+                        planId: selectedPlan.planId
                     })
                 });
 
                 const data = await response.json();
 
                 if (data.success) {
-                    setMessage(data.message || 'Payment successful!');
+                    setMessage(`Payment successful! ${data.message}.`);
                     setTimeout(() => {
-                        navigate('/profile');
+                        navigate('/rider/dashboard');
                     }, 2000);
                 } else {
-                    setMessage(data.message || 'Payment failed. Please try again.');
+                    setMessage(data.message || 'Subscription failed. Please try again.');
                     setIsLoading(false);
                 }
-            } else {
-                // For subscription/plan payments (not rental-specific)
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                setMessage('Payment successful! Your subscription has been activated.');
-                
-                setTimeout(() => {
-                    navigate('/rider/dashboard');
-                }, 2000);
             }
             
         } catch (error) {
@@ -257,6 +282,28 @@ const Payment = ({ selectedPlan, onBack }) => {
                     </div>
                 )}
 
+                {failedCharges.length > 0 && !isLoading && (
+                    <div className="payment-failures">
+                        <ul>
+                            {failedCharges.map(failure => (
+                                <li key={failure.rentalId}>
+                                    Rental #{failure.rentalId}: {failure.message}
+                                </li>
+                            ))}
+                        </ul>
+                        <div className="payment-failures-hint">
+                            Try again, or use a different card.
+                        </div>
+                        <button
+                            type="button"
+                            onClick={handleSubmit}
+                            className="payment-button payment-button-primary"
+                        >
+                            Retry Payment
+                        </button>
+                    </div>
+                )}
+
                 {/* Show saved card or new card form */}
                 {savedCard && !useNewCard ? (
                     <div className="saved-card-section">
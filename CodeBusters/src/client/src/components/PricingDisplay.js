@@ -1,7 +1,29 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import API_URL from '../config';
 import './style/PricingDisplay.css';
 
+const formatCents = (amount) => `${Math.round(amount * 100)}¢`;
+
 const PricingDisplay = () => {
+  const [defaultPlan, setDefaultPlan] = useState(null);
+
+  useEffect(() => {
+    // Pay-as-you-go rates come from the default pricing plan
+    const fetchPricing = async () => {
+      try {
+        const response = await fetch(`${API_URL}/api/pricing`);
+        const data = await response.json();
+        if (data.success) {
+          setDefaultPlan(data.plans.find(plan => plan.isDefault) || null);
+        }
+      } catch (error) {
+        console.error('Error fetching pricing:', error);
+      }
+    };
+
+    fetchPricing();
+  }, []);
+
   return (
     <div className="pricing-container">
       <h2 className="pricing-title">Bike Rental Pricing</h2>
@@ -10,7 +32,7 @@ const PricingDisplay = () => {
           <div className="bike-icon">🚲</div>
           <h3 className="bike-type">Standard Bike</h3>
           <div className="price">
-            <span className="price-amount">10¢</span>
+            <span className="price-amount">{defaultPlan ? formatCents(defaultPlan.ratePerMinute) : '–'}</span>
             <span className="price-unit">per minute</span>
           </div>
           <div className="features">
@@ -26,7 +48,7 @@ const PricingDisplay = () => {
         <div className="pricing-card ebike">
           <h3 className="bike-type">E-Bike</h3>
           <div className="price">
-            <span className="price-amount">25¢</span>
+            <span className="price-amount">{defaultPlan ? formatCents(defaultPlan.ratePerMinute + defaultPlan.eBikeSurchargePerMinute) : '–'}</span>
             <span className="price-unit">per minute</span>
           </div>
           <div className="features">
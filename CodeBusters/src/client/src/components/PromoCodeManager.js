@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import API_URL from '../config';
+import './style/PromoCodeManager.css';
+
+const EMPTY_FORM = {
+    code: '',
+    description: '',
+    discountType: 'amount',
+    value: '',
+    maxDiscount: '',
+    expiresAt: '',
+    maxRedemptions: '',
+    maxRedemptionsPerUser: '1',
+    planIds: []
+};
+
+// Promo codes for operators: create codes worth flex dollars or a share of the next trip, and switch them off
+const PromoCodeManager = ({ showMessage }) => {
+    const { authFetch } = useAuth();
+    const [promoCodes, setPromoCodes] = useState([]);
+    const [plans, setPlans] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const fetchPromoCodes = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await authFetch(`${API_URL}/api/operator/promo-codes`);
+            const data = await response.json();
+            if (data.success) {
+                setPromoCodes(data.promoCodes);
+            } else {
+                showMessage(data.message || 'Failed to load promo codes', 'error');
+            }
+        } catch (error) {
+            console.error('Error fetching promo codes:', error);
+            showMessage('Error loading promo codes', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [authFetch, showMessage]);
+
+    useEffect(() => {
+        fetchPromoCodes();
+        fetch(`${API_URL}/api/pricing`)
+            .then(response => response.json())
+            .then(data => { if (data.success) setPlans(data.plans); })
+            .catch(error => console.error('Error fetching pricing plans:', error));
+    }, [fetchPromoCodes]);
+
+    const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const togglePlan = (planId) => setForm(prev => ({
+        ...prev,
+        planIds: prev.planIds.includes(planId) ? prev.planIds.filter(id => id !== planId) : [...prev.planIds, planId]
+    }));
+
+    const createPromoCode = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const response = await authFetch(`${API_URL}/api/operator/promo-codes`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...form,
+                    value: Number(form.value),
+                    maxDiscount: form.discountType === 'percent' && form.maxDiscount !== '' ? Number(form.maxDiscount) : null,
+                    expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null,
+                    maxRedemptions: form.maxRedemptions === '' ? null : Number(form.maxRedemptions),
+                    maxRedemptionsPerUser: Number(form.maxRedemptionsPerUser) || 1
+                })
+            });
+            const data = await response.json();
+            showMessage(data.message || 'Failed to create promo code', data.success ? 'success' : 'error');
+            if (data.success) {
+                setForm(EMPTY_FORM);
+                fetchPromoCodes();
+            }
+        } catch (error) {
+            console.error('Error creating promo code:', error);
+            showMessage('Error creating promo code', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const setActive = async (promoCode, active) => {
+        try {
+            const response = await authFetch(`${API_URL}/api/operator/promo-codes/${promoCode.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ active })
+            });
+            const data = await response.json();
+            showMessage(data.message || 'Failed to update promo code', data.success ? 'success' : 'error');
+            if (data.success) fetchPromoCodes();
+        } catch (error) {
+            console.error('Error updating promo code:', error);
+            showMessage('Error updating promo code', 'error');
+        }
+    };
+
+    const describe = (promoCode) => {
+        const worth = promoCode.discountType === 'percent'
+            ? `${promoCode.value}% off next trip${promoCode.maxDiscount ? ` (max $${Number(promoCode.maxDiscount).toFixed(2)})` : ''}`
+            : `$${Number(promoCode.value).toFixed(2)} flex dollars`;
+        const limit = promoCode.maxRedemptions ? `${promoCode.redemptions}/${promoCode.maxRedemptions} used` : `${promoCode.redemptions} used`;
+        return `${worth} · ${limit}`;
+    };
+
+    return (
+        <div className="promo-code-manager">
+            <div className="section-header">
+                <h2>Promo Codes</h2>
+                <p>{loading ? 'Loading...' : `${promoCodes.length} code(s)`}</p>
+            </div>
+
+            <form className="promo-form" onSubmit={createPromoCode}>
+                <input className="form-input" placeholder="CODE" value={form.code} maxLength={32}
+                    onChange={(e) => setField('code', e.target.value.toUpperCase())} required />
+                <select className="form-input" value={form.discountType} onChange={(e) => setField('discountType', e.target.value)}>
+                    <option value="amount">Flex dollars ($)</option>
+                    <option value="percent">Next trip (%)</option>
+                </select>
+                <input className="form-input promo-number" type="number" min="0.01" step="0.01" max={form.discountType === 'percent' ? 100 : undefined}
+                    placeholder={form.discountType === 'percent' ? '% off' : '$ amount'} value={form.value}
+                    onChange={(e) => setField('value', e.target.value)} required />
+                {form.discountType === 'percent' && (
+                    <input className="form-input promo-number" type="number" min="0.01" step="0.01" placeholder="Max $"
+                        value={form.maxDiscount} onChange={(e) => setField('maxDiscount', e.target.value)} />
+                )}
+                <label className="promo-label">
+                    Expires
+                    <input className="form-input" type="datetime-local" value={form.expiresAt} onChange={(e) => setField('expiresAt', e.target.value)} />
+                </label>
+                <input className="form-input promo-number" type="number" min="1" step="1" placeholder="Total uses"
+                    value={form.maxRedemptions} onChange={(e) => setField('maxRedemptions', e.target.value)} />
+                <input className="form-input promo-number" type="number" min="1" step="1" title="Uses per rider"
+                    value={form.maxRedemptionsPerUser} onChange={(e) => setField('maxRedemptionsPerUser', e.target.value)} />
+                <input className="form-input promo-description" placeholder="Description (optional)" value={form.description}
+                    onChange={(e) => setField('description', e.target.value)} />
+                {plans.length > 0 && (
+                    <div className="promo-plans">
+                        Plans:
+                        {plans.map(plan => (
+                            <label key={plan.id}>
+                                <input type="checkbox" checked={form.planIds.includes(plan.id)} onChange={() => togglePlan(plan.id)} /> {plan.name}
+                            </label>
+                        ))}
+                        <span className="promo-hint">{form.planIds.length === 0 ? '(all plans)' : ''}</span>
+                    </div>
+                )}
+                <button type="submit" className="bike-action-btn activate" disabled={saving}>
+                    {saving ? 'Creating...' : 'Create Code'}
+                </button>
+            </form>
+
+            {promoCodes.length === 0 && !loading && (
+                <div className="promo-empty">No promo codes yet.</div>
+            )}
+
+            {promoCodes.map(promoCode => {
+                const expired = promoCode.expiresAt && new Date(promoCode.expiresAt) <= new Date();
+                return (
+                    <div key={promoCode.id} className={`promo-card ${promoCode.active && !expired ? '' : 'promo-inactive'}`}>
+                        <div>
+                            <strong>{promoCode.code}</strong> · {describe(promoCode)}
+                            <div className="promo-details">
+                                {promoCode.description && `${promoCode.description} · `}
+                                {promoCode.expiresAt ? `${expired ? 'Expired' : 'Expires'} ${new Date(promoCode.expiresAt).toLocaleString()}` : 'No expiry'}
+                                {` · ${promoCode.maxRedemptionsPerUser} per rider`}
+                                {promoCode.planIds && ` · ${promoCode.planIds.join(', ')} only`}
+                            </div>
+                        </div>
+                        <button
+                            className={`bike-action-btn ${promoCode.active ? 'deactivate' : 'activate'}`}
+                            onClick={() => setActive(promoCode, !promoCode.active)}
+                        >
+                            {promoCode.active ? 'Deactivate' : 'Activate'}
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PromoCodeManager;
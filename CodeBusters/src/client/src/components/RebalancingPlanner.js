@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import API_URL from '../config';
+import './style/RebalancingPlanner.css';
+
+// Suggested bike moves between stations; operators can tune targets and run the plan as a batch
+const RebalancingPlanner = ({ showMessage, onExecuted }) => {
+    const { authFetch } = useAuth();
+    const [plan, setPlan] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [executing, setExecuting] = useState(false);
+    const [targetEdits, setTargetEdits] = useState({});
+    const [lastResult, setLastResult] = useState(null);
+
+    const fetchPlan = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await authFetch(`${API_URL}/api/operator/rebalancing-plan`);
+            const data = await response.json();
+            if (data.success) {
+                setPlan(data.plan);
+            } else {
+                showMessage(data.message || 'Failed to build rebalancing plan', 'error');
+            }
+        } catch (error) {
+            console.error('Error fetching rebalancing plan:', error);
+            showMessage('Error building rebalancing plan', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [authFetch, showMessage]);
+
+    useEffect(() => {
+        fetchPlan();
+    }, [fetchPlan]);
+
+    const saveTarget = async (stationId, value) => {
+        const targetBikes = value === '' ? null : parseInt(value, 10);
+        try {
+            const response = await authFetch(`${API_URL}/api/operator/stations/${stationId}/target`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targetBikes })
+            });
+            const data = await response.json();
+            if (data.success) {
+                showMessage(`Target for ${stationId} set to ${data.target.targetBikes} bikes`, 'success');
+                setTargetEdits(prev => {
+                    const next = { ...prev };
+                    delete next[stationId];
+                    return next;
+                });
+                fetchPlan();
+            } else {
+                showMessage(data.message || 'Failed to update target', 'error');
+            }
+        } catch (error) {
+            console.error('Error updating station target:', error);
+            showMessage('Error updating station target', 'error');
+        }
+    };
+
+    const acceptPlan = async () => {
+        if (!plan || plan.moves.length === 0) return;
+        if (!window.confirm(`Move ${plan.totalBikes} bike(s) in ${plan.moves.length} move(s)?`)) return;
+
+        try {
+            setExecuting(true);
+            const response = await authFetch(`${API_URL}/api/operator/rebalancing-plan/execute`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ moves: plan.moves })
+            });
+            const data = await response.json();
+            setLastResult(data.moves ? data : null);
+            showMessage(data.message || 'Failed to run rebalancing plan', data.success ? 'success' : 'error');
+            if (onExecuted) onExecuted();
+            fetchPlan();
+        } catch (error) {
+            console.error('Error running rebalancing plan:', error);
+            showMessage('Error running rebalancing plan', 'error');
+        } finally {
+            setExecuting(false);
+        }
+    };
+
+    if (loading && !plan) {
+        return <div className="manage-loading">Building plan...</div>;
+    }
+
+    if (!plan) {
+        return null;
+    }
+
+    return (
+        <div className="rebalancing-planner">
+            <div className="section-header">
+                <h2>Rebalancing Plan</h2>
+                <p>
+                    {plan.moves.length === 0
+                        ? 'All stations are within their targets.'
+                        : `${plan.totalBikes} bike(s) in ${plan.moves.length} move(s), ${plan.totalDistanceKm} km van route`}
+                    {' '}· Flows from the last {plan.flowWindowHours}h · Generated {new Date(plan.generatedAt).toLocaleTimeString()}
+                </p>
+            </div>
+
+            <div className="rebalancing-actions">
+                <button className="form-submit-btn" onClick={fetchPlan} disabled={loading || executing}>
+                    {loading ? 'Refreshing...' : 'Refresh Plan'}
+                </button>
+                <button className="form-submit-btn" onClick={acceptPlan} disabled={executing || plan.moves.length === 0}>
+                    {executing ? 'Moving bikes...' : 'Accept & Run Plan'}
+                </button>
+            </div>
+
+            {plan.route.length > 0 && (
+                <div className="form-section">
+                    <h3>Van Route</h3>
+                    <ol className="rebalancing-route">
+                        {plan.route.map(stop => (
+                            <li key={stop.stationId}>
+                                <strong>{stop.stationName}</strong>
+                                {stop.pickUp > 0 && <span className="route-pickup">pick up {stop.pickUp}</span>}
+                                {stop.dropOff > 0 && <span className="route-dropoff">drop off {stop.dropOff}</span>}
+                                {stop.legKm > 0 && <span className="route-leg">{stop.legKm} km</span>}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+
+            {plan.moves.length > 0 && (
+                <div className="bikes-table-container">
+                    <table className="bikes-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>From</th>
+                                <th>To</th>
+                                <th>Bikes</th>
+                                <th>Distance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {plan.moves.map(move => (
+                                <tr key={`${move.fromStationId}-${move.toStationId}`}>
+                                    <td>{move.order}</td>
+                                    <td>{move.fromStationName}</td>
+                                    <td>{move.toStationName}</td>
+                                    <td>{move.bikeCount} ({move.bikeIds.join(', ')})</td>
+                                    <td>{move.distanceKm} km</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {lastResult && lastResult.failedCount > 0 && (
+                <div className="form-section rebalancing-failures">
+                    <h3>Skipped Bikes</h3>
+                    <ul>
+                        {lastResult.moves.flatMap(move => move.failed).map(failure => (
+                            <li key={failure.bikeId}>{failure.message}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div className="form-section">
+                <h3>Station Targets</h3>
+                <div className="bikes-table-container">
+                    <table className="bikes-table">
+                        <thead>
+                            <tr>
+                                <th>Station</th>
+                                <th>Docked</th>
+                                <th>Departures / Arrivals</th>
+                                <th>Target</th>
+                                <th>Planned Level</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {plan.stations.map(station => (
+                                <tr key={station.stationId}>
+                                    <td>{station.stationName}</td>
+                                    <td>{station.bikesDocked} / {station.capacity}</td>
+                                    <td>{station.departures} / {station.arrivals}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={station.capacity}
+                                            className="form-input rebalancing-target-input"
+                                            value={targetEdits[station.stationId] ?? station.targetBikes}
+                                            onChange={(e) => setTargetEdits(prev => ({ ...prev, [station.stationId]: e.target.value }))}
+                                        />
+                                        {targetEdits[station.stationId] !== undefined && (
+                                            <button
+                                                className="bike-action-btn activate"
+                                                onClick={() => saveTarget(station.stationId, targetEdits[station.stationId])}
+                                            >
+                                                Save
+                                            </button>
+                                        )}
+                                    </td>
+                                    <td>{station.desiredBikes}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RebalancingPlanner;
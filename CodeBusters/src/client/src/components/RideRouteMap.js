@@ -0,0 +1,50 @@
+import React from 'react';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import './style/RideRouteMap.css';
+
+/**
+ * Draws a trip route from GET /api/rentals/:id/route
+ * @param {Object} route - GeoJSON Feature with a LineString geometry ([lng, lat] coordinates)
+ */
+function RideRouteMap({ route }) {
+    const coordinates = (route && route.geometry && route.geometry.coordinates) || [];
+    // GeoJSON is [lng, lat]; Leaflet expects [lat, lng]
+    const positions = coordinates.map(([lng, lat]) => [lat, lng]);
+
+    if (positions.length === 0) {
+        return <p className="ride-route-empty">No GPS track was recorded for this ride.</p>;
+    }
+
+    const start = positions[0];
+    const end = positions[positions.length - 1];
+
+    return (
+        <div className="ride-route-map">
+            <MapContainer
+                bounds={positions.length > 1 ? positions : undefined}
+                center={positions.length === 1 ? start : undefined}
+                zoom={positions.length === 1 ? 16 : undefined}
+                boundsOptions={{ padding: [20, 20] }}
+                scrollWheelZoom={false}
+                style={{ height: '100%', width: '100%' }}
+            >
+                <TileLayer
+                    attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                <Polyline positions={positions} pathOptions={{ color: '#2563eb', weight: 4 }} />
+                <CircleMarker center={start} radius={7} pathOptions={{ color: '#16a34a', fillOpacity: 1 }}>
+                    <Tooltip>Start</Tooltip>
+                </CircleMarker>
+                {positions.length > 1 && (
+                    <CircleMarker center={end} radius={7} pathOptions={{ color: '#dc2626', fillOpacity: 1 }}>
+                        <Tooltip>End</Tooltip>
+                    </CircleMarker>
+                )}
+            </MapContainer>
+        </div>
+    );
+}
+
+export default RideRouteMap;
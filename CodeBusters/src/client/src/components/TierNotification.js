@@ -23,12 +23,29 @@ const TierNotification = ({ notification, onClose, autoClose = true }) => {
 
     const newColor = tierColors[notification.newTier] || '#999';
     const isPromotion = notification.type === 'promotion';
+    const tierName = (tier) => tier.charAt(0).toUpperCase() + tier.slice(1);
+
+    // Demotion warnings: the rider keeps their tier until the grace period ends
+    if (notification.type === 'warning') {
+        return (
+            <div className="tier-notification warning visible">
+                <div className="notification-content">
+                    <p className="notification-message">
+                        Keep riding to stay <strong style={{ color: newColor }}>{tierName(notification.newTier)}</strong>
+                    </p>
+                    <p className="notification-detail">
+                        You'll move to {tierName(notification.demotionTo)} on {new Date(notification.demotionDueAt).toLocaleDateString()}
+                    </p>
+                </div>
+            </div>
+        );
+    }
 
     return (
         <div className={`tier-notification ${notification.type} visible`}>
             <div className="notification-content">
                 <p className="notification-message" style={{ color: newColor }}>
-                    You're {isPromotion ? 'upgraded' : 'downgraded'} to <strong>{notification.newTier.charAt(0).toUpperCase() + notification.newTier.slice(1)}</strong>
+                    You're {isPromotion ? 'upgraded' : 'downgraded'} to <strong>{tierName(notification.newTier)}</strong>
                 </p>
             </div>
         </div>
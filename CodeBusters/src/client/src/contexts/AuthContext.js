@@ -1,4 +1,5 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import API_URL from '../config';
 
 const AuthContext = createContext();
 
@@ -10,28 +11,51 @@ export const useAuth = () => {
     return context;
 };
 
+const readStoredTokens = () => {
+    try {
+        return JSON.parse(localStorage.getItem('authTokens'));
+    } catch (error) {
+        return null;
+    }
+};
+
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [tierNotification, setTierNotification] = useState(null);
+    // Shared in-flight refresh so parallel 401s only trigger one refresh call
+    const refreshPromiseRef = useRef(null);
 
     // Check for stored user data on app load
     useEffect(() => {
         const storedUser = localStorage.getItem('user');
-        if (storedUser) {
+        if (storedUser && readStoredTokens()) {
             try {
                 setUser(JSON.parse(storedUser));
             } catch (error) {
                 console.error('Error parsing stored user data:', error);
                 localStorage.removeItem('user');
             }
+        } else {
+            // A user without tokens (e.g. from before token auth) must log in again
+            localStorage.removeItem('user');
         }
         setIsLoading(false);
     }, []);
 
-    const login = (userData) => {
+    const storeTokens = (tokens) => {
+        localStorage.setItem('authTokens', JSON.stringify({
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken
+        }));
+    };
+
+    const login = (userData, tokens) => {
         setUser(userData);
         localStorage.setItem('user', JSON.stringify(userData));
+        if (tokens) {
+            storeTokens(tokens);
+        }
     };
 
     const setLoginTierNotification = (notification) => {
@@ -42,11 +66,77 @@ export const AuthProvider = ({ children }) => {
         setTierNotification(null);
     };
 
-    const logout = () => {
+    const clearSession = useCallback(() => {
         setUser(null);
         localStorage.removeItem('user');
+        localStorage.removeItem('authTokens');
+    }, []);
+
+    const logout = () => {
+        const tokens = readStoredTokens();
+        if (tokens && tokens.refreshToken) {
+            // Revoke the refresh token server-side; local logout does not wait for it
+            fetch(`${API_URL}/api/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: tokens.refreshToken })
+            }).catch(error => console.error('Error revoking refresh token:', error));
+        }
+        clearSession();
     };
 
+    // Exchange the stored refresh token for a new token pair
+    const refreshTokens = useCallback(async () => {
+        if (!refreshPromiseRef.current) {
+            refreshPromiseRef.current = (async () => {
+                const tokens = readStoredTokens();
+                if (!tokens || !tokens.refreshToken) {
+                    return null;
+                }
+
+                const response = await fetch(`${API_URL}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: tokens.refreshToken })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    return null;
+                }
+
+                storeTokens(data.tokens);
+                return data.tokens.accessToken;
+            })().finally(() => {
+                refreshPromiseRef.current = null;
+            });
+        }
+        return refreshPromiseRef.current;
+    }, []);
+
+    // fetch() wrapper that sends the access token and refreshes it once if it has expired
+    const authFetch = useCallback(async (url, options = {}) => {
+        const withToken = (accessToken) => ({
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+            }
+        });
+
+        const tokens = readStoredTokens();
+        const response = await fetch(url, withToken(tokens && tokens.accessToken));
+        if (response.status !== 401) {
+            return response;
+        }
+
+        const newAccessToken = await refreshTokens().catch(() => null);
+        if (!newAccessToken) {
+            clearSession();
+            return response;
+        }
+        return fetch(url, withToken(newAccessToken));
+    }, [refreshTokens, clearSession]);
+
     const updateUserLoyaltyTier = (loyaltyTier) => {
         if (user) {
             const updatedUser = {
@@ -62,6 +152,7 @@ export const AuthProvider = ({ children }) => {
         user,
         login,
         logout,
+        authFetch,
         isLoading,
         updateUserLoyaltyTier,
         tierNotification,
@@ -76,4 +167,4 @@ export const AuthProvider = ({ children }) => {
     );
 };
 
-export default AuthContext;
\ No newline at end of file
+export default AuthContext;
@@ -0,0 +1,154 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import API_URL from '../config';
+import { useAuth } from './AuthContext';
+
+// Event types pushed by GET /api/events (see BMS_EVENTS on the server)
+export const SERVER_EVENTS = {
+    STATION_OCCUPANCY: 'station_occupancy',
+    BIKE_STATUS: 'bike_status',
+    RESERVATION_EXPIRED: 'reservation_expired',
+    DAMAGE_REPORTED: 'damage_reported',
+    // Sent locally after the stream reconnects, since events may have been missed meanwhile
+    RESYNC: 'resync'
+};
+
+// Wait before asking for a new ticket after the stream or the ticket request fails
+const STREAM_RETRY_MS = 5000;
+
+const ServerEventsContext = createContext();
+
+export const ServerEventsProvider = ({ children }) => {
+    const { user, authFetch } = useAuth();
+    const listenersRef = useRef(new Set());
+
+    const notify = useCallback((type, data) => {
+        listenersRef.current.forEach(listener => {
+            if (type === SERVER_EVENTS.RESYNC || listener.types.includes(type)) {
+                listener.handler({ type, data });
+            }
+        });
+    }, []);
+
+    // One shared stream per logged-in session. EventSource reconnects on its own while its ticket is
+    // still valid; once it gives up (e.g. the ticket expired), fetch a new ticket and open a new stream.
+    useEffect(() => {
+        if (!user || typeof EventSource === 'undefined') {
+            return undefined;
+        }
+
+        let source = null;
+        let retryTimer = null;
+        let stopped = false;
+        let disconnected = false;
+
+        const retry = () => {
+            if (!stopped) {
+                retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+            }
+        };
+
+        async function connect() {
+            let ticket;
+            try {
+                const response = await authFetch(`${API_URL}/api/events/ticket`, { method: 'POST' });
+                if (!response.ok) {
+                    throw new Error(`Ticket request failed with status ${response.status}`);
+                }
+                ({ ticket } = await response.json());
+            } catch (error) {
+                console.error('Error fetching event stream ticket:', error);
+                disconnected = true;
+                retry();
+                return;
+            }
+            if (stopped) {
+                return;
+            }
+
+            source = new EventSource(`${API_URL}/api/events?ticket=${encodeURIComponent(ticket)}`);
+
+            Object.values(SERVER_EVENTS)
+                .filter(type => type !== SERVER_EVENTS.RESYNC)
+                .forEach(type => {
+                    source.addEventListener(type, (event) => {
+                        try {
+                            notify(type, JSON.parse(event.data));
+                        } catch (error) {
+                            console.error('Error parsing server event:', error);
+                        }
+                    });
+                });
+
+            source.onerror = () => {
+                disconnected = true;
+                if (source.readyState === EventSource.CLOSED) {
+                    source.close();
+                    retry();
+                }
+            };
+            source.onopen = () => {
+                if (disconnected) {
+                    disconnected = false;
+                    notify(SERVER_EVENTS.RESYNC, null);
+                }
+            };
+        }
+
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (source) {
+                source.close();
+            }
+        };
+    }, [user, authFetch, notify]);
+
+    const subscribe = useCallback((types, handler) => {
+        const listener = { types, handler };
+        listenersRef.current.add(listener);
+        return () => listenersRef.current.delete(listener);
+    }, []);
+
+    return (
+        <ServerEventsContext.Provider value={{ subscribe }}>
+            {children}
+        </ServerEventsContext.Provider>
+    );
+};
+
+/**
+ * Call handler when any of the given server events (or a resync) arrives.
+ * Bursts are debounced so one action that emits several events triggers a single refresh.
+ */
+export const useServerEvents = (types, handler, { debounceMs = 250 } = {}) => {
+    const context = useContext(ServerEventsContext);
+    if (!context) {
+        throw new Error('useServerEvents must be used within a ServerEventsProvider');
+    }
+    const { subscribe } = context;
+    const handlerRef = useRef(handler);
+    handlerRef.current = handler;
+    const typesKey = types.join(',');
+
+    useEffect(() => {
+        let timer = null;
+        let pending = [];
+        const unsubscribe = subscribe(typesKey.split(','), (event) => {
+            pending.push(event);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const events = pending;
+                pending = [];
+                handlerRef.current(events);
+            }, debounceMs);
+        });
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [subscribe, typesKey, debounceMs]);
+};
+
+export default ServerEventsContext;
@@ -3,10 +3,11 @@ import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import API_URL from '../config';
 import DamageReportNotifications from '../components/DamageReportNotifications';
+import DemandForecast from '../components/DemandForecast';
 import './style/Analytics.css';
 
 const Analytics = () => {
-    const { user } = useAuth();
+    const { user, authFetch } = useAuth();
     const navigate = useNavigate();
 
     // State management
@@ -32,13 +33,7 @@ const Analytics = () => {
             setLoading(true);
             setError('');
             
-            const response = await fetch(`${API_URL}/api/rentals/all`, {
-                headers: {
-                    'x-user-id': user.id.toString(),
-                    'x-user-role': user.role,
-                    'x-username': user.username || user.email || `user_${user.id}`
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/rentals/all`);
 
             const data = await response.json();
 
@@ -58,7 +53,7 @@ const Analytics = () => {
         } finally {
             setLoading(false);
         }
-    }, [user, showOwn]);
+    }, [user, showOwn, authFetch]);
 
     // Load rides on mount (allow 'dual' to fetch operator rides too)
     useEffect(() => {
@@ -191,6 +186,9 @@ const Analytics = () => {
                 </div>
             </div>
 
+            {/* Station demand forecast */}
+            {user && (user.role === 'operator' || user.role === 'dual') && <DemandForecast />}
+
             {/* Filters and Search */}
             <div className="controls-section">
                 <div className="search-box">
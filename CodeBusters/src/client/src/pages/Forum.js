@@ -4,7 +4,7 @@ import API_URL from '../config';
 import './style/Forum.css';
 
 const Forum = () => {
-    const { user } = useAuth();
+    const { authFetch } = useAuth();
     const [posts, setPosts] = useState([]);
     const [newPostContent, setNewPostContent] = useState('');
     const [loading, setLoading] = useState(true);
@@ -57,14 +57,10 @@ const Forum = () => {
         setSuccess('');
 
         try {
-            const response = await fetch(`${API_URL}/api/forum/posts`, {
+            const response = await authFetch(`${API_URL}/api/forum/posts`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': String(user.id),
-                    'x-user-role': String(user.role || 'rider'),
-                    'x-username': String(user.username),
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     content: newPostContent.trim()
@@ -45,7 +45,7 @@ const Login = () => {
 
             if (data.success) {
                 // Use the login function from AuthContext
-                login(data.user);
+                login(data.user, data.tokens);
                 
                 // Show tier notification if user's tier changed
                 // Store it in context so it can be displayed on the dashboard
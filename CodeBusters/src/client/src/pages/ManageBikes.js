@@ -2,15 +2,19 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import API_URL from '../config';
+import { useServerEvents, SERVER_EVENTS } from '../contexts/ServerEventsContext';
 import DamageReportNotifications from '../components/DamageReportNotifications';
+import RebalancingPlanner from '../components/RebalancingPlanner';
+import DisputeQueue from '../components/DisputeQueue';
+import PromoCodeManager from '../components/PromoCodeManager';
 import './style/ManageBikes.css';
 
 const ManageBikes = () => {
-    const { user } = useAuth();
+    const { user, authFetch } = useAuth();
     const navigate = useNavigate();
 
     // State management
-    const [activeTab, setActiveTab] = useState('stations'); // 'stations' | 'bikes'
+    const [activeTab, setActiveTab] = useState('stations'); // 'stations' | 'bikes' | 'rebalancing'
     const [stations, setStations] = useState([]);
     const [bikes, setBikes] = useState([]);
     const [loading, setLoading] = useState(false);
@@ -47,9 +51,9 @@ const ManageBikes = () => {
         }, 5000);
     }, []);
 
-    const fetchStations = useCallback(async () => {
+    const fetchStations = useCallback(async ({ showLoading = true } = {}) => {
         try {
-            setLoading(true);
+            if (showLoading) setLoading(true);
             const response = await fetch(`${API_URL}/api/stations/map`);
             const data = await response.json();
             
@@ -96,6 +100,15 @@ const ManageBikes = () => {
         fetchBikes();
     }, [fetchStations, fetchBikes]);
 
+    // Refresh when riders or other operators change bikes and stations
+    useServerEvents(
+        [SERVER_EVENTS.STATION_OCCUPANCY, SERVER_EVENTS.BIKE_STATUS, SERVER_EVENTS.RESERVATION_EXPIRED],
+        () => {
+            fetchStations({ showLoading: false });
+            fetchBikes();
+        }
+    );
+
     // Toggle station maintenance status
     const toggleStationStatus = async (stationId, currentStatus) => {
         try {
@@ -103,13 +116,10 @@ const ManageBikes = () => {
             
             console.log('Toggling station status:', { stationId, currentStatus, action });
             
-            const response = await fetch(`${API_URL}/api/stations/${stationId}/maintenance`, {
+            const response = await authFetch(`${API_URL}/api/stations/${stationId}/maintenance`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id.toString(),
-                    'x-user-role': user.role,
-                    'x-username': user.username || user.email || `user_${user.id}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ action })
             });
@@ -136,13 +146,10 @@ const ManageBikes = () => {
             // Use database to update bike status
             const newStatus = currentStatus === 'maintenance' ? 'available' : 'maintenance';
             
-            const response = await fetch(`${API_URL}/api/bikes/${bikeId}/status`, {
+            const response = await authFetch(`${API_URL}/api/bikes/${bikeId}/status`, {
                 method: 'PUT',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id.toString(),
-                    'x-user-role': user.role,
-                    'x-username': user.username || user.email || `user_${user.id}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ 
                     status: newStatus,
@@ -180,13 +187,10 @@ const ManageBikes = () => {
         }
 
         try {
-            const response = await fetch(`${API_URL}/api/manual-move`, {
+            const response = await authFetch(`${API_URL}/api/manual-move`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id.toString(),
-                    'x-user-role': user.role,
-                    'x-username': user.username || user.email || `user_${user.id}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     bikeId: moveBike.bikeId,
@@ -222,13 +226,10 @@ const ManageBikes = () => {
         }
 
         try {
-            const response = await fetch(`${API_URL}/api/bikes`, {
+            const response = await authFetch(`${API_URL}/api/bikes`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'x-user-id': user.id.toString(),
-                    'x-user-role': user.role,
-                    'x-username': user.username || user.email || `user_${user.id}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     bike_id: newBike.bikeId,
@@ -283,6 +284,24 @@ const ManageBikes = () => {
                 >
                     Bikes
                 </button>
+                <button 
+                    className={`tab-button ${activeTab === 'rebalancing' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('rebalancing')}
+                >
+                    Rebalancing
+                </button>
+                <button 
+                    className={`tab-button ${activeTab === 'disputes' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('disputes')}
+                >
+                    Disputes
+                </button>
+                <button 
+                    className={`tab-button ${activeTab === 'promo-codes' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('promo-codes')}
+                >
+                    Promo Codes
+                </button>
             </div>
 
             {loading ? (
@@ -467,6 +486,30 @@ const ManageBikes = () => {
                             </div>
                         </div>
                     )}
+
+                    {activeTab === 'rebalancing' && (
+                        <div className="tab-content">
+                            <RebalancingPlanner
+                                showMessage={showMessage}
+                                onExecuted={() => {
+                                    fetchStations({ showLoading: false });
+                                    fetchBikes();
+                                }}
+                            />
+                        </div>
+                    )}
+
+                    {activeTab === 'disputes' && (
+                        <div className="tab-content">
+                            <DisputeQueue showMessage={showMessage} />
+                        </div>
+                    )}
+
+                    {activeTab === 'promo-codes' && (
+                        <div className="tab-content">
+                            <PromoCodeManager showMessage={showMessage} />
+                        </div>
+                    )}
                 </>
             )}
         </div>
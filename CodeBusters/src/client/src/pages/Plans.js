@@ -1,11 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import Payment from '../components/Payment';
+import API_URL from '../config';
 import './style/Plans.css';
 
 // Plan Card Component with hover effects (similar to Home page FeatureCard)
-const PlanCard = ({ title, price, duration, description, features, colorClass, isPopular = false, onChoosePlan }) => {
+const PlanCard = ({ planId, title, price, duration, description, features, colorClass, isPopular = false, isCurrent = false, onChoosePlan }) => {
     return (
         <div 
             className={`plan-card ${colorClass} ${isPopular ? 'popular' : ''}`}
@@ -38,22 +39,82 @@ const PlanCard = ({ title, price, duration, description, features, colorClass, i
             </div>
             
             <button 
-                onClick={() => onChoosePlan(title)}
-                className={`plan-card-button ${colorClass}`}
+                onClick={() => onChoosePlan(planId)}
+                disabled={isCurrent}
+                className={`plan-card-button ${colorClass} ${isCurrent ? 'current' : ''}`}
             >
-                Choose Plan
+                {isCurrent ? 'Current Plan' : 'Choose Plan'}
             </button>
         </div>
     );
 };
 
+// Card colours cycle through the plan-card themes in Plans.css
+const PLAN_COLORS = ['blue', 'orange', 'red'];
+
+const formatCents = (amount) => `${Math.round(amount * 100)}¢`;
+
+// Map a pricing plan from /api/pricing to the card layout
+const toPlanCard = (plan, index, paidPlans) => ({
+    planId: plan.id,
+    title: plan.name,
+    price: `$${plan.monthlyFee.toFixed(2)}`,
+    duration: "per month",
+    description: plan.description,
+    features: plan.features,
+    colorClass: PLAN_COLORS[index % PLAN_COLORS.length],
+    // Highlight the middle tier
+    isPopular: paidPlans.length > 2 && index === Math.floor(paidPlans.length / 2)
+});
+
 const Plans = () => {
     const navigate = useNavigate();
-    const { user } = useAuth();
+    const { user, authFetch } = useAuth();
     const [selectedPlan, setSelectedPlan] = useState(null);
     const [showPayment, setShowPayment] = useState(false);
+    const [pricingPlans, setPricingPlans] = useState([]);
+    const [currentSubscription, setCurrentSubscription] = useState(null);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        const fetchPlans = async () => {
+            try {
+                const response = await fetch(`${API_URL}/api/pricing`);
+                const data = await response.json();
+                if (data.success) {
+                    setPricingPlans(data.plans);
+                }
+            } catch (error) {
+                console.error('Error fetching pricing plans:', error);
+            }
+        };
+
+        fetchPlans();
+    }, []);
+
+    const fetchSubscription = async () => {
+        try {
+            const response = await authFetch(`${API_URL}/api/subscriptions/current`);
+            const data = await response.json();
+            if (data.success) {
+                setCurrentSubscription(data.subscription);
+            }
+        } catch (error) {
+            console.error('Error fetching subscription:', error);
+        }
+    };
+
+    useEffect(() => {
+        if (user && user.role !== 'operator') {
+            fetchSubscription();
+        }
+    }, [user]);
+
+    const paidPlans = pricingPlans.filter(plan => plan.monthlyFee > 0);
+    const plans = paidPlans.map((plan, index) => toPlanCard(plan, index, paidPlans));
+    const defaultPlan = pricingPlans.find(plan => plan.isDefault);
     
-    const handleChoosePlan = (planTitle) => {
+    const handleChoosePlan = (planId) => {
         // Check if user is logged in
         if (!user) {
             navigate('/login');
@@ -61,7 +122,7 @@ const Plans = () => {
         }
         
         // Find the selected plan
-        const plan = plans.find(p => p.title === planTitle);
+        const plan = plans.find(p => p.planId === planId);
         setSelectedPlan(plan);
         setShowPayment(true);
     };
@@ -70,57 +131,24 @@ const Plans = () => {
         setShowPayment(false);
         setSelectedPlan(null);
     };
-    
-    const plans = [
-        {
-            title: "Basic Rider",
-            price: "$9.99",
-            duration: "per month",
-            description: "Perfect for occasional rides around the city. Great for students and casual cyclists.",
-            features: [
-                "30 minutes free per ride",
-                "Additional $0.15 per minute",
-                "Access to standard bikes",
-                "Mobile app access",
-                "24/7 customer support"
-            ],
-            colorClass: "blue"
-        },
-        {
-            title: "Pro Rider",
-            price: "$19.99",
-            duration: "per month",
-            description: "Ideal for daily commuters who need reliable transportation throughout the city.",
-            features: [
-                "60 minutes free per ride",
-                "Additional $0.10 per minute", 
-                "Access to standard & e-bikes",
-                "Priority bike availability",
-                "Mobile app access",
-                "24/7 customer support",
-                "Monthly usage analytics"
-            ],
-            colorClass: "orange",
-            isPopular: true
-        },
-        {
-            title: "Premium Rider",
-            price: "$34.99",
-            duration: "per month",
-            description: "Ultimate freedom for bike enthusiasts who want unlimited access and premium features.",
-            features: [
-                "Unlimited free rides (up to 2hrs)",
-                "Additional $0.05 per minute",
-                "Access to all bike types",
-                "Priority customer support",
-                "Premium mobile features",
-                "Bike reservation (up to 30min)",
-                "Monthly analytics & insights",
-                "Carbon footprint tracking"
-            ],
-            colorClass: "red"
+
+    const handleCancelSubscription = async () => {
+        if (!window.confirm('Cancel your plan? Rides will be charged at pay-as-you-go rates.')) {
+            return;
+        }
+
+        try {
+            const response = await authFetch(`${API_URL}/api/subscriptions/cancel`, { method: 'POST' });
+            const data = await response.json();
+            setMessage(data.message);
+            if (data.success) {
+                setCurrentSubscription(null);
+            }
+        } catch (error) {
+            console.error('Error cancelling subscription:', error);
+            setMessage('Failed to cancel subscription. Please try again.');
         }
-    ];
+    };
 
     // Show payment form if a plan is selected
     if (showPayment && selectedPlan) {
@@ -146,22 +174,39 @@ const Plans = () => {
                     <div className="plans-pricing-cards">
                         <div className="plans-pricing-card">
                             <div className="plans-pricing-icon">Standard</div>
-                            <div className="plans-pricing-rate standard">10¢ <span className="plans-pricing-rate-unit">/ min</span></div>
+                            <div className="plans-pricing-rate standard">{defaultPlan ? formatCents(defaultPlan.ratePerMinute) : '–'} <span className="plans-pricing-rate-unit">/ min</span></div>
                             <p className="plans-pricing-description">Reliable manual bike for short city trips — most affordable option.</p>
                         </div>
 
                         <div className="plans-pricing-card">
                             <div className="plans-pricing-icon">E-Bike</div>
-                            <div className="plans-pricing-rate ebike">25¢ <span className="plans-pricing-rate-unit">/ min</span></div>
+                            <div className="plans-pricing-rate ebike">{defaultPlan ? formatCents(defaultPlan.ratePerMinute + defaultPlan.eBikeSurchargePerMinute) : '–'} <span className="plans-pricing-rate-unit">/ min</span></div>
                             <p className="plans-pricing-description">Electric assist for easier commutes and hills. Premium ride experience.</p>
                         </div>
                     </div>
                 </div>
 
+                {currentSubscription && currentSubscription.plan && (
+                    <div className="plans-current-subscription">
+                        <span>
+                            Your current plan: <strong>{currentSubscription.plan.name}</strong>
+                            {' '}(since {new Date(currentSubscription.startedAt).toLocaleDateString()})
+                        </span>
+                        <button onClick={handleCancelSubscription} className="plans-cancel-button">
+                            Cancel Plan
+                        </button>
+                    </div>
+                )}
+
+                {message && (
+                    <div className="plans-message">{message}</div>
+                )}
+
                 <div className="plans-grid">
-                    {plans.map((plan, index) => (
+                    {plans.map((plan) => (
                         <PlanCard
-                            key={index}
+                            key={plan.planId}
+                            planId={plan.planId}
                             title={plan.title}
                             price={plan.price}
                             duration={plan.duration}
@@ -169,6 +214,7 @@ const Plans = () => {
                             features={plan.features}
                             colorClass={plan.colorClass}
                             isPopular={plan.isPopular}
+                            isCurrent={currentSubscription?.planId === plan.planId}
                             onChoosePlan={handleChoosePlan}
                         />
                     ))}
@@ -394,39 +394,35 @@ const formatNotificationTime = (timestamp) => {
 };
 
 const Billing = ({ userId }) => {
-    const { user } = useAuth();
+    const { user, authFetch } = useAuth();
     const navigate = useNavigate();
     const [billing, setBilling] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [localFlexBalance, setLocalFlexBalance] = useState(null);
     const [paymentMethod, setPaymentMethod] = useState(null);
+    // Dispute form for one charge at a time
+    const [disputeForm, setDisputeForm] = useState(null);
+    const [disputeSubmitting, setDisputeSubmitting] = useState(false);
+    // Month (YYYY-MM) of the statement to download
+    const [statementMonth, setStatementMonth] = useState(() => new Date().toISOString().slice(0, 7));
+    const [downloading, setDownloading] = useState('');
 
     const fetchLocalFlexBalance = useCallback(async () => {
         if (!user?.id) return;
         try {
-            const resp = await fetch(`${API_URL}/api/flex-dollars/balance`, {
-                headers: {
-                    'x-user-id': String(user.id),
-                    'x-user-role': String(user?.role || localStorage.getItem('userRole') || 'rider'),
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                }
-            });
+            const resp = await authFetch(`${API_URL}/api/flex-dollars/balance`);
             const data = await resp.json();
             if (data && data.success) setLocalFlexBalance(data.balance || 0);
         } catch (e) {
             console.warn('Billing.fetchLocalFlexBalance error:', e);
         }
-    }, [user?.id, user?.role]);
+    }, [user?.id, user?.role, authFetch]);
 
     const fetchPaymentMethod = useCallback(async () => {
         if (!userId) return;
         try {
-            const resp = await fetch(`${API_URL}/api/payment-methods/${userId}`, {
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                }
-            });
+            const resp = await authFetch(`${API_URL}/api/payment-methods/${userId}`);
             const data = await resp.json();
             if (data.success && data.paymentMethod) {
                 setPaymentMethod(data.paymentMethod);
@@ -434,20 +430,14 @@ const Billing = ({ userId }) => {
         } catch (err) {
             console.error('Error fetching payment method:', err);
         }
-    }, [userId]);
+    }, [userId, authFetch]);
 
     const fetchBilling = useCallback(async () => {
         if (!userId) return;
         setLoading(true);
         setError('');
         try {
-            const resp = await fetch(`${API_URL}/api/users/${userId}/billing?limit=50`, {
-                headers: {
-                    'x-user-id': String(user?.id || ''),
-                    'x-user-role': String(user?.role || ''),
-                    'x-username': user?.username || ''
-                }
-            });
+            const resp = await authFetch(`${API_URL}/api/users/${userId}/billing?limit=50`);
             const data = await resp.json();
             if (data.success) {
                 setBilling(data.billing || []);
@@ -462,12 +452,77 @@ const Billing = ({ userId }) => {
         } finally {
             setLoading(false);
         }
-    }, [userId, user, fetchLocalFlexBalance]);
+    }, [userId, user, fetchLocalFlexBalance, authFetch]);
 
     useEffect(() => { 
         fetchBilling();
         fetchPaymentMethod();
     }, [fetchBilling, fetchPaymentMethod]);
+
+    const submitDispute = async () => {
+        if (!disputeForm) return;
+        setDisputeSubmitting(true);
+        try {
+            const resp = await authFetch(`${API_URL}/api/payments/${disputeForm.paymentId}/dispute`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason: disputeForm.reason, description: disputeForm.description })
+            });
+            const data = await resp.json();
+            if (data.success) {
+                setDisputeForm(null);
+                fetchBilling();
+            } else {
+                setDisputeForm(prev => ({ ...prev, error: data.message || 'Failed to submit dispute' }));
+            }
+        } catch (err) {
+            console.error('Error submitting dispute:', err);
+            setDisputeForm(prev => ({ ...prev, error: 'Error submitting dispute' }));
+        } finally {
+            setDisputeSubmitting(false);
+        }
+    };
+
+    // Fetch a receipt or statement with the rider's token and save it through a temporary link
+    const downloadDocument = async (path, filename) => {
+        setDownloading(filename);
+        setError('');
+        try {
+            const resp = await authFetch(`${API_URL}${path}`);
+            if (!resp.ok) {
+                const data = await resp.json().catch(() => ({}));
+                setError(data.message || 'Failed to download document');
+                return;
+            }
+            const url = URL.createObjectURL(await resp.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error downloading document:', err);
+            setError('Error downloading document');
+        } finally {
+            setDownloading('');
+        }
+    };
+
+    const downloadStatement = (format) => downloadDocument(
+        `/api/users/${userId}/statements/${statementMonth}?format=${format}`,
+        `statement-${statementMonth}.${format}`
+    );
+
+    const disputeStatusText = (dispute) => {
+        if (dispute.status === 'open') return 'Dispute under review';
+        if (dispute.status === 'approved') {
+            const destination = dispute.refundMethod === 'card' ? 'your card' : 'flex dollars';
+            return `Dispute approved: $${Number(dispute.refundAmount).toFixed(2)} refunded to ${destination}`;
+        }
+        return 'Dispute rejected';
+    };
     
     // Compute totals - only include unpaid rentals
     const totalCost = billing.reduce((sum, it) => {
@@ -510,7 +565,24 @@ const Billing = ({ userId }) => {
     
     return (
         <div>
-            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 12 }}>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <label style={{ fontSize: '0.9rem', color: '#6c757d' }} htmlFor="statement-month">Monthly statement</label>
+                    <input
+                        id="statement-month"
+                        type="month"
+                        value={statementMonth}
+                        max={new Date().toISOString().slice(0, 7)}
+                        onChange={(e) => setStatementMonth(e.target.value)}
+                        style={{ padding: 6, borderRadius: 6, border: '1px solid #ced4da' }}
+                    />
+                    <button onClick={() => downloadStatement('pdf')} disabled={!statementMonth || !!downloading} style={{ padding: '8px 12px', borderRadius: 8, backgroundColor: '#6f42c1', color: 'white', border: 'none' }}>
+                        PDF
+                    </button>
+                    <button onClick={() => downloadStatement('csv')} disabled={!statementMonth || !!downloading} style={{ padding: '8px 12px', borderRadius: 8, backgroundColor: '#6f42c1', color: 'white', border: 'none' }}>
+                        CSV
+                    </button>
+                </div>
                 <div>
                     <button onClick={fetchBilling} disabled={loading} style={{ padding: '8px 12px', borderRadius: 8, backgroundColor: '#007bff', color: 'white', border: 'none' }}>
                         {loading ? 'Refreshing...' : 'Refresh'}
@@ -598,15 +670,60 @@ const Billing = ({ userId }) => {
                                 <div style={{ marginTop: 6, fontSize: '0.9rem' }}><strong>From:</strong> {item.originStation?.name || item.originStation?.id || 'Unknown'} <span style={{ marginLeft: 12 }}><strong>To:</strong> {item.arrivalStation?.name || item.arrivalStation?.id || 'Unknown'}</span></div>
                                 
                                 {/* (Flex Dollars Applied display removed per request) */}
+
+                                {item.dispute && (
+                                    <div style={{ marginTop: 8, fontSize: '0.9rem', color: item.dispute.status === 'approved' ? '#198754' : item.dispute.status === 'rejected' ? '#dc3545' : '#856404' }}>
+                                        <strong>{disputeStatusText(item.dispute)}</strong>
+                                        {item.dispute.resolutionNote && <div style={{ color: '#6c757d' }}>{item.dispute.resolutionNote}</div>}
+                                    </div>
+                                )}
+
+                                {disputeForm && disputeForm.rentalId === item.rentalId && (
+                                    <div style={{ marginTop: 10, display: 'flex', flexDirection: 'column', gap: 8, maxWidth: 420 }}>
+                                        <select
+                                            value={disputeForm.reason}
+                                            onChange={(e) => setDisputeForm(prev => ({ ...prev, reason: e.target.value }))}
+                                            style={{ padding: 6, borderRadius: 6, border: '1px solid #ced4da' }}
+                                        >
+                                            <option value="damaged_bike">Trip ended by a damaged bike</option>
+                                            <option value="overcharged">I was charged too much</option>
+                                            <option value="trip_not_taken">I didn't take this trip</option>
+                                            <option value="other">Other</option>
+                                        </select>
+                                        <textarea
+                                            value={disputeForm.description}
+                                            onChange={(e) => setDisputeForm(prev => ({ ...prev, description: e.target.value }))}
+                                            placeholder="What happened?"
+                                            maxLength={1000}
+                                            rows={3}
+                                            style={{ padding: 6, borderRadius: 6, border: '1px solid #ced4da' }}
+                                        />
+                                        {disputeForm.error && <div style={{ color: '#dc3545', fontSize: '0.85rem' }}>{disputeForm.error}</div>}
+                                        <div style={{ display: 'flex', gap: 8 }}>
+                                            <button onClick={submitDispute} disabled={disputeSubmitting} style={{ padding: '6px 12px', borderRadius: 6, backgroundColor: '#dc3545', color: 'white', border: 'none' }}>
+                                                {disputeSubmitting ? 'Submitting...' : 'Submit Dispute'}
+                                            </button>
+                                            <button onClick={() => setDisputeForm(null)} disabled={disputeSubmitting} style={{ padding: '6px 12px', borderRadius: 6, backgroundColor: '#6c757d', color: 'white', border: 'none' }}>
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
                             </div>
                             <div style={{ textAlign: 'right', marginLeft: 12 }}>
                                 <div style={{ fontSize: '1.1rem', fontWeight: '800' }}>${item.totalCost != null ? Number(item.totalCost).toFixed(2) : '—'}</div>
                                 {/* per-item saved display removed */}
+                                {item.taxes && item.taxes.lines.map(line => (
+                                    <div key={line.code} style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                                        + {line.name} ${Number(line.amount).toFixed(2)}{item.taxes.estimated ? ' (est.)' : ''}
+                                    </div>
+                                ))}
                                 <div style={{ marginTop: 8 }}>
                                     {(() => {
-                                        // If payment exists (amountDueAfterFlex is not null), use it; otherwise calculate
+                                        // If payment exists (amountDueAfterFlex is not null), use it; otherwise calculate, with the estimated taxes
                                         const isPaid = item.amountDueAfterFlex !== null && item.amountDueAfterFlex !== undefined;
-                                        const amountDue = isPaid ? Number(item.amountDueAfterFlex) : Math.max(0, Number(item.totalCost || 0) - (Number(item.flexDollarsApplied) || 0));
+                                        const estimatedTax = item.taxes ? Number(item.taxes.total) : 0;
+                                        const amountDue = isPaid ? Number(item.amountDueAfterFlex) : Math.max(0, Number(item.totalCost || 0) - (Number(item.flexDollarsApplied) || 0)) + estimatedTax;
                                         
                                         return (
                                             <button 
@@ -636,6 +753,29 @@ const Billing = ({ userId }) => {
                                         );
                                     })()}
                                 </div>
+                                {item.paymentId && (
+                                    <div style={{ marginTop: 6, fontSize: '0.85rem' }}>
+                                        Receipt:{' '}
+                                        {['pdf', 'csv'].map(format => (
+                                            <button
+                                                key={format}
+                                                onClick={() => downloadDocument(`/api/payments/${item.paymentId}/receipt?format=${format}`, `receipt-${item.paymentId}.${format}`)}
+                                                disabled={!!downloading}
+                                                style={{ padding: 0, marginLeft: 6, background: 'none', border: 'none', color: '#6f42c1', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.85rem' }}
+                                            >
+                                                {format.toUpperCase()}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                                {item.paymentId && item.dispute?.status !== 'open' && !(disputeForm && disputeForm.rentalId === item.rentalId) && (
+                                    <button
+                                        onClick={() => setDisputeForm({ rentalId: item.rentalId, paymentId: item.paymentId, reason: 'damaged_bike', description: '', error: '' })}
+                                        style={{ marginTop: 6, padding: 0, background: 'none', border: 'none', color: '#dc3545', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.85rem' }}
+                                    >
+                                        Dispute charge
+                                    </button>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -646,16 +786,139 @@ const Billing = ({ userId }) => {
 };
 
 // Account Information Component
-const AccountInformation = ({ userId, userRole, loyaltyTier, flexDollarsBalance, selectedRole, onRoleChange, onViewChange }) => {
+// Promo code redemption and the rider's referral code, shown with the flex dollars balance
+const PromoCodes = ({ onRedeemed }) => {
+    const { authFetch } = useAuth();
+    const [code, setCode] = useState('');
+    const [redeeming, setRedeeming] = useState(false);
+    const [result, setResult] = useState(null);
+    const [referral, setReferral] = useState(null);
+
+    const fetchReferral = useCallback(async () => {
+        try {
+            const response = await authFetch(`${API_URL}/api/promo/referral`);
+            const data = await response.json();
+            if (data.success) setReferral(data.referral);
+        } catch (err) {
+            console.error('Error fetching referral code:', err);
+        }
+    }, [authFetch]);
+
+    useEffect(() => {
+        fetchReferral();
+    }, [fetchReferral]);
+
+    const redeem = async (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+        setRedeeming(true);
+        setResult(null);
+        try {
+            const response = await authFetch(`${API_URL}/api/promo/redeem`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code: code.trim() })
+            });
+            const data = await response.json();
+            setResult({ ok: !!data.success, message: data.message });
+            if (data.success) {
+                setCode('');
+                if (typeof onRedeemed === 'function') onRedeemed();
+                fetchReferral();
+            }
+        } catch (err) {
+            console.error('Error redeeming code:', err);
+            setResult({ ok: false, message: 'Could not redeem the code. Please try again.' });
+        } finally {
+            setRedeeming(false);
+        }
+    };
+
+    return (
+        <div style={{ marginTop: '16px', borderTop: '1px solid #bee5eb', paddingTop: '12px' }}>
+            <form onSubmit={redeem} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                <input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.toUpperCase())}
+                    placeholder="Promo or referral code"
+                    maxLength={32}
+                    style={{ padding: '8px', borderRadius: '4px', border: '1px solid #ced4da', flex: 1, minWidth: '160px' }}
+                />
+                <button type="submit" disabled={redeeming || !code.trim()} style={{ padding: '8px 16px', backgroundColor: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+                    {redeeming ? 'Redeeming...' : 'Redeem'}
+                </button>
+            </form>
+            {result && (
+                <div style={{ marginTop: '8px', fontSize: '14px', color: result.ok ? '#155724' : '#dc3545' }}>{result.message}</div>
+            )}
+            {referral && (
+                <div style={{ marginTop: '12px', fontSize: '14px', color: '#0c5460' }}>
+                    Your referral code: <strong style={{ letterSpacing: '1px' }}>{referral.code}</strong>
+                    <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                        You and each friend who uses it get ${Number(referral.creditAmount).toFixed(2)} in flex dollars after their first trip.
+                        {referral.referrals.length > 0 && ` ${referral.referrals.filter(r => r.status === 'credited').length} of ${referral.referrals.length} referral(s) credited.`}
+                    </div>
+                    {referral.referredBy && referral.referredBy.status === 'pending' && (
+                        <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                            Referred by {referral.referredBy.username}: your bonus arrives after your first trip.
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Perks text for a tier's benefits, e.g. "10% discount on trips + 2-minute reservation hold"
+const describePerks = ({ discountPercentage, reservationExtensionMinutes }) => {
+    const perks = [];
+    if (discountPercentage > 0) perks.push(`${discountPercentage}% discount on trips`);
+    if (reservationExtensionMinutes > 0) perks.push(`${reservationExtensionMinutes}-minute reservation hold`);
+    return perks.length > 0 ? perks.join(' + ') : 'No perks';
+};
+
+// Progress towards the next loyalty tier, one bar per rule
+const LoyaltyProgress = ({ progress }) => {
+    if (!progress || progress.criteria.length === 0) return null;
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            <div style={{ fontWeight: 'bold', color: '#0c5460', marginBottom: '10px' }}>
+                {progress.nextTier
+                    ? `Progress to ${progress.nextTier.name} (${describePerks(progress.nextTier)})`
+                    : 'You are at the top tier. Keep meeting these to stay there:'}
+            </div>
+            {progress.criteria.map((criterion, idx) => (
+                <div key={idx} style={{ marginBottom: '10px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', color: '#0c5460', marginBottom: '4px' }}>
+                        <span>{criterion.label}</span>
+                        <span style={{ color: criterion.passed ? '#28a745' : '#6c757d' }}>{criterion.passed ? '✓' : `${criterion.percent}%`}</span>
+                    </div>
+                    <div style={{ height: '8px', backgroundColor: '#d1ecf1', borderRadius: '4px', overflow: 'hidden' }}>
+                        <div style={{
+                            width: `${criterion.percent}%`,
+                            height: '100%',
+                            backgroundColor: criterion.passed ? '#28a745' : '#17a2b8',
+                            transition: 'width 0.3s ease'
+                        }} />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const AccountInformation = ({ userId, userRole, loyaltyTier, loyaltyInfo, flexDollarsBalance, selectedRole, onRoleChange, onViewChange, onFlexDollarsChanged }) => {
     // Loyalty tier info
     const loyaltyTiers = {
-        'Entry': { icon: '', color: '#6c757d', perks: 'No perks' },
-        'Bronze': { icon: '', color: '#CD7F32', perks: '5% discount on trips' },
-        'Silver': { icon: '', color: '#C0C0C0', perks: '10% discount on trips + 2-minute reservation hold' },
-        'Gold': { icon: '', color: '#FFD700', perks: '15% discount on trips + 5-minute reservation hold' }
+        'Entry': { icon: '', color: '#6c757d' },
+        'Bronze': { icon: '', color: '#CD7F32' },
+        'Silver': { icon: '', color: '#C0C0C0' },
+        'Gold': { icon: '', color: '#FFD700' }
     };
 
     const currentTier = loyaltyTiers[loyaltyTier] || loyaltyTiers['Entry'];
+    const demotionWarning = loyaltyInfo?.demotionWarning;
     const isDualRole = userRole === 'operator' || userRole === 'dual';
 
     const badgeColor = currentTier.color;
@@ -703,8 +966,15 @@ const AccountInformation = ({ userId, userRole, loyaltyTier, flexDollarsBalance,
                     {currentTier.icon} {loyaltyTier}
                 </div>
                 <div style={valueStyle}>
-                    <strong>Perks:</strong> {currentTier.perks}
+                    <strong>Perks:</strong> {loyaltyInfo ? describePerks(loyaltyInfo.benefits) : 'No perks'}
                 </div>
+                {demotionWarning && (
+                    <div style={{ color: '#856404', backgroundColor: '#fff3cd', padding: '8px 12px', borderRadius: '4px', marginBottom: '10px' }}>
+                        You no longer meet every requirement for {loyaltyTier}. Keep riding to stay there, or you'll move
+                        to {demotionWarning.demotionTo.charAt(0).toUpperCase() + demotionWarning.demotionTo.slice(1)} on {new Date(demotionWarning.demotionDueAt).toLocaleDateString()}.
+                    </div>
+                )}
+                <LoyaltyProgress progress={loyaltyInfo?.progress} />
                 <div style={{ fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
                     Complete more rides to unlock higher tiers and earn exclusive benefits!
                 </div>
@@ -723,7 +993,7 @@ const AccountInformation = ({ userId, userRole, loyaltyTier, flexDollarsBalance,
                 </div>
                 <div style={valueStyle}>
                     Earn flex dollars by returning bikes to stations below 25% capacity. 
-                    They're automatically applied to your trips and never expire!
+                    They're automatically applied to your trips, oldest credits first. Earned credits expire after a while; see the history for dates.
                 </div>
                 <div style={{ marginTop: '12px' }}>
                     <button
@@ -741,6 +1011,7 @@ const AccountInformation = ({ userId, userRole, loyaltyTier, flexDollarsBalance,
                         View History
                     </button>
                 </div>
+                {(userRole === 'rider' || userRole === 'dual') && <PromoCodes onRedeemed={onFlexDollarsChanged} />}
             </div>
 
 
@@ -790,7 +1061,9 @@ const AccountInformation = ({ userId, userRole, loyaltyTier, flexDollarsBalance,
 
 // Flex Dollars History Component (DM-03, DM-04)
 const FlexDollarsHistory = ({ userId, userRole }) => {
+    const { authFetch } = useAuth();
     const [transactions, setTransactions] = useState([]);
+    const [expiring, setExpiring] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -801,17 +1074,12 @@ const FlexDollarsHistory = ({ userId, userRole }) => {
             setLoading(true);
             setError('');
 
-            const response = await fetch(`${API_URL}/api/flex-dollars/history?limit=50&offset=0`, {
-                headers: {
-                    'x-user-id': String(userId),
-                    'x-user-role': String(userRole || localStorage.getItem('userRole') || 'rider'),
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/flex-dollars/history?limit=50&offset=0`);
             const data = await response.json();
 
             if (data.success) {
                 setTransactions(data.transactions || []);
+                setExpiring(data.expiring || null);
             } else {
                 setError('Failed to load flex dollars history');
             }
@@ -821,7 +1089,7 @@ const FlexDollarsHistory = ({ userId, userRole }) => {
         } finally {
             setLoading(false);
         }
-    }, [userId]);
+    }, [userId, authFetch]);
 
     useEffect(() => {
         fetchTransactionHistory();
@@ -833,6 +1101,39 @@ const FlexDollarsHistory = ({ userId, userRole }) => {
         <div style={{ marginTop: '20px' }}>
             {error && <div style={{ color: '#dc3545', marginBottom: '10px' }}>{error}</div>}
 
+            {expiring && expiring.balance > 0 && (
+                <div style={{ marginBottom: '20px', padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '8px', border: '1px solid #dee2e6' }}>
+                    <h4 style={{ marginTop: 0, marginBottom: '10px' }}>Expiring Balances</h4>
+                    {expiring.expiringSoon > 0 && (
+                        <div style={{ color: '#856404', backgroundColor: '#fff3cd', padding: '8px 12px', borderRadius: '4px', marginBottom: '10px' }}>
+                            ${expiring.expiringSoon.toFixed(2)} expires in the next 30 days. Use it on your next trips!
+                        </div>
+                    )}
+                    {expiring.expiring.length > 0 ? (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '10px' }}>
+                            <tbody>
+                                {expiring.expiring.map((credit, idx) => (
+                                    <tr key={idx} style={{ borderBottom: '1px solid #dee2e6', color: credit.soon ? '#856404' : 'inherit' }}>
+                                        <td style={{ padding: '8px' }}>${credit.amount.toFixed(2)}</td>
+                                        <td style={{ padding: '8px', textTransform: 'capitalize' }}>{credit.source}</td>
+                                        <td style={{ padding: '8px', textAlign: 'right' }}>
+                                            Expires {new Date(credit.expiresAt).toLocaleDateString()}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <div style={{ color: '#6c757d', marginBottom: '10px' }}>None of your balance is set to expire.</div>
+                    )}
+                    <div style={{ fontSize: '13px', color: '#6c757d' }}>
+                        {expiring.neverExpires > 0 && `$${expiring.neverExpires.toFixed(2)} never expires (refunds and adjustments). `}
+                        {expiring.expiryDays && `Earned credits expire ${expiring.expiryDays} days after they are awarded, oldest used first. `}
+                        {expiring.balanceCap && `Earned credits stop once your balance reaches $${expiring.balanceCap.toFixed(2)}.`}
+                    </div>
+                </div>
+            )}
+
             {transactions.length === 0 ? (
                 <div style={{ color: '#6c757d', fontStyle: 'italic', textAlign: 'center', padding: '20px' }}>
                     No flex dollars transactions yet. Start earning by returning bikes to understocked stations!
@@ -860,16 +1161,28 @@ const FlexDollarsHistory = ({ userId, userRole }) => {
                                         borderRadius: '4px',
                                         fontSize: '12px',
                                         fontWeight: 'bold',
-                                        backgroundColor: transaction.type === 'award' ? '#d4edda' : 
-                                                       transaction.type === 'deduct' ? '#f8d7da' : '#e2e3e5',
-                                        color: transaction.type === 'award' ? '#155724' : 
-                                               transaction.type === 'deduct' ? '#721c24' : '#383d41'
+                                        backgroundColor: ['award', 'promo', 'referral'].includes(transaction.type) ? '#d4edda' : 
+                                                       ['deduct', 'expire'].includes(transaction.type) ? '#f8d7da' : '#e2e3e5',
+                                        color: ['award', 'promo', 'referral'].includes(transaction.type) ? '#155724' : 
+                                               ['deduct', 'expire'].includes(transaction.type) ? '#721c24' : '#383d41'
                                     }}>
                                         {transaction.type === 'award' ? '✓ Award' :
-                                         transaction.type === 'deduct' ? '✗ Used' : 'Refund'}
+                                         transaction.type === 'promo' ? '✓ Promo' :
+                                         transaction.type === 'referral' ? '✓ Referral' :
+                                         transaction.type === 'deduct' ? '✗ Used' :
+                                         transaction.type === 'expire' ? '✗ Expired' :
+                                         transaction.type === 'adjust' ? 'Adjustment' : 'Refund'}
                                     </span>
                                 </td>
-                                <td style={{ padding: '12px' }}>{transaction.description}</td>
+                                <td style={{ padding: '12px' }}>
+                                    {transaction.description}
+                                    {transaction.performedBy && (
+                                        <div style={{ fontSize: '12px', color: '#6c757d' }}>By {transaction.performedBy.username}</div>
+                                    )}
+                                    {transaction.expiresAt && (
+                                        <div style={{ fontSize: '12px', color: '#6c757d' }}>Expires {new Date(transaction.expiresAt).toLocaleDateString()}</div>
+                                    )}
+                                </td>
                                 <td style={{ 
                                     padding: '12px', 
                                     textAlign: 'right', 
@@ -903,13 +1216,7 @@ const Profile = () => {
     // Fetch flex dollars balance
     const fetchFlexDollarsBalance = async (userId) => {
         try {
-            const response = await fetch(`${API_URL}/api/flex-dollars/balance`, {
-                headers: {
-                    'x-user-id': String(userId),
-                    'x-user-role': String(user?.role || localStorage.getItem('userRole') || 'rider'),
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/flex-dollars/balance`);
             const data = await response.json();
             if (data.success) {
                 setFlexDollarsBalance(data.balance);
@@ -939,13 +1246,14 @@ const Profile = () => {
     };
 
 
-    const { user, login } = useAuth();
+    const { user, login, authFetch } = useAuth();
 
     // Check if this is an existing user without profile information
     const hasIncompleteProfile = !user?.firstName || !user?.lastName || !user?.email;
 
     // Loyalty Tier state
     const [loyaltyTier, setLoyaltyTier] = useState('Entry');
+    const [loyaltyInfo, setLoyaltyInfo] = useState(null);
     
     // Initialize selectedRole from localStorage for dual users
     const [selectedRole, setSelectedRole] = useState(() => {
@@ -1008,6 +1316,14 @@ const Profile = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [message, setMessage] = useState('');
     const [messageType, setMessageType] = useState('');
+    const [passwordData, setPasswordData] = useState({
+        currentPassword: '',
+        newPassword: '',
+        confirmPassword: ''
+    });
+    const [isChangingPassword, setIsChangingPassword] = useState(false);
+    const [passwordMessage, setPasswordMessage] = useState('');
+    const [passwordMessageType, setPasswordMessageType] = useState('');
 
     // Fetch notifications when notifications view is opened
     useEffect(() => {
@@ -1036,13 +1352,7 @@ const Profile = () => {
         if (!user?.id) return;
         
         try {
-            const response = await fetch(`${API_URL}/api/users/${user.id}/loyalty`, {
-                headers: {
-                    'x-user-id': String(user.id),
-                    'x-user-role': String(user?.role || localStorage.getItem('userRole') || 'rider'),
-                    'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-                }
-            });
+            const response = await authFetch(`${API_URL}/api/users/${user.id}/loyalty`);
             const data = await response.json();
             
             if (data.success && data.loyalty && data.loyalty.currentTier) {
@@ -1051,11 +1361,12 @@ const Profile = () => {
                     ? 'Entry' 
                     : data.loyalty.currentTier.charAt(0).toUpperCase() + data.loyalty.currentTier.slice(1).toLowerCase();
                 setLoyaltyTier(tierName);
+                setLoyaltyInfo(data.loyalty);
             }
         } catch (error) {
             console.error('Error fetching loyalty tier:', error);
         }
-    }, [user?.id, user?.role]);
+    }, [user?.id, user?.role, authFetch]);
 
     // Initialize loyalty tier from user context or fetch from server
     useEffect(() => {
@@ -1065,9 +1376,9 @@ const Profile = () => {
                 ? 'Entry' 
                 : user.loyaltyTier.charAt(0).toUpperCase() + user.loyaltyTier.slice(1).toLowerCase();
             setLoyaltyTier(tierName);
-        } else {
-            fetchLoyaltyTier();
         }
+        // Benefits, progress and any pending demotion come from the server
+        fetchLoyaltyTier();
     }, [user?.id, user?.loyaltyTier, fetchLoyaltyTier]);
 
     // Listen for loyalty tier updates from other components (after return bike, etc)
@@ -1111,7 +1422,7 @@ const Profile = () => {
         }
 
         try {
-            const response = await fetch(`${API_URL}/api/profile/update`, {
+            const response = await authFetch(`${API_URL}/api/profile/update`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1147,6 +1458,61 @@ const Profile = () => {
         }
     };
 
+    const handlePasswordChange = (e) => {
+        setPasswordData({
+            ...passwordData,
+            [e.target.name]: e.target.value
+        });
+    };
+
+    const handleChangePassword = async () => {
+        setPasswordMessage('');
+        setPasswordMessageType('');
+
+        if (!passwordData.currentPassword || !passwordData.newPassword) {
+            setPasswordMessage('Current and new password are required');
+            return;
+        }
+
+        if (passwordData.newPassword !== passwordData.confirmPassword) {
+            setPasswordMessage('New passwords do not match');
+            return;
+        }
+
+        setIsChangingPassword(true);
+        try {
+            const response = await authFetch(`${API_URL}/api/profile/password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    currentPassword: passwordData.currentPassword,
+                    newPassword: passwordData.newPassword
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                // Other sessions were signed out; keep this one with the new token pair
+                if (data.tokens) {
+                    login(user, data.tokens);
+                }
+                setPasswordMessage('Password changed successfully! Your other sessions have been signed out.');
+                setPasswordMessageType('success');
+                setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+            } else {
+                setPasswordMessage(data.message || 'Error changing password');
+            }
+        } catch (error) {
+            setPasswordMessage('Error connecting to server');
+            console.error('Error:', error);
+        } finally {
+            setIsChangingPassword(false);
+        }
+    };
+
     // Styles
     const containerStyle = {
         minHeight: '100vh',
@@ -1271,6 +1637,23 @@ const Profile = () => {
         border: `1px solid ${messageType === 'success' ? '#c3e6cb' : '#f5c6cb'}`
     };
 
+    const passwordMessageStyle = {
+        ...messageStyle,
+        backgroundColor: passwordMessageType === 'success' ? '#d4edda' : '#f8d7da',
+        color: passwordMessageType === 'success' ? '#155724' : '#721c24',
+        border: `1px solid ${passwordMessageType === 'success' ? '#c3e6cb' : '#f5c6cb'}`
+    };
+
+    const sectionHeadingStyle = {
+        marginTop: '40px',
+        marginBottom: '20px',
+        paddingTop: '30px',
+        borderTop: '1px solid #e0e0e0',
+        color: '#333',
+        fontSize: '1.4rem',
+        fontWeight: '600'
+    };
+
     const sidebarTitleStyle = {
         color: 'white',
         fontSize: '1.8rem',
@@ -1516,10 +1899,12 @@ const Profile = () => {
                                 userId={user?.id} 
                                 userRole={user?.role}
                                 loyaltyTier={loyaltyTier}
+                                loyaltyInfo={loyaltyInfo}
                                 flexDollarsBalance={flexDollarsBalance}
                                 selectedRole={selectedRole}
                                 onRoleChange={handleRoleChange}
                                 onViewChange={setCurrentView}
+                                onFlexDollarsChanged={() => fetchFlexDollarsBalance(user?.id)}
                             />
                         </>
                     )}
@@ -1605,6 +1990,63 @@ const Profile = () => {
                                     </button>
                                 )}
                             </div>
+
+                            <h3 style={sectionHeadingStyle}>Change Password</h3>
+
+                            {passwordMessage && (
+                                <div style={passwordMessageStyle}>
+                                    {passwordMessage}
+                                </div>
+                            )}
+
+                            <div style={fieldGroupStyle}>
+                                <label style={labelStyle}>Current Password</label>
+                                <input
+                                    type="password"
+                                    name="currentPassword"
+                                    value={passwordData.currentPassword}
+                                    onChange={handlePasswordChange}
+                                    style={inputStyle}
+                                    placeholder="Enter your current password"
+                                    autoComplete="current-password"
+                                />
+                            </div>
+
+                            <div style={fieldGroupStyle}>
+                                <label style={labelStyle}>New Password</label>
+                                <input
+                                    type="password"
+                                    name="newPassword"
+                                    value={passwordData.newPassword}
+                                    onChange={handlePasswordChange}
+                                    style={inputStyle}
+                                    placeholder="Enter a new password"
+                                    autoComplete="new-password"
+                                />
+                            </div>
+
+                            <div style={fieldGroupStyle}>
+                                <label style={labelStyle}>Confirm New Password</label>
+                                <input
+                                    type="password"
+                                    name="confirmPassword"
+                                    value={passwordData.confirmPassword}
+                                    onChange={handlePasswordChange}
+                                    style={inputStyle}
+                                    placeholder="Re-enter the new password"
+                                    autoComplete="new-password"
+                                />
+                            </div>
+
+                            <div style={buttonGroupStyle}>
+                                <button
+                                    onClick={handleChangePassword}
+                                    disabled={isChangingPassword}
+                                    style={primaryButtonStyle}
+                                >
+                                    {isChangingPassword ? 'Changing...' : 'Change Password'}
+                                </button>
+                            </div>
                         </>
                     )}
 
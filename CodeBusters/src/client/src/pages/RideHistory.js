@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import API_URL from '../config';
-import './RideHistory.css';
+import { useAuth } from '../contexts/AuthContext';
+import RideRouteMap from '../components/RideRouteMap';
+import './style/RideHistory.css';
 
 /**
  * R-RH-01 to R-RH-09: Complete Ride History Module
@@ -14,6 +16,7 @@ import './RideHistory.css';
  * - R-RH-07: Display cost breakdown
  * - R-RH-08: Real-time updates
  * - R-RH-09: Input validation
+ * - Trip route map, distance and average speed in the ride details
  */
 function RideHistory() {
     const navigate = useNavigate();
@@ -22,6 +25,9 @@ function RideHistory() {
     const [error, setError] = useState(null);
     const [selectedRide, setSelectedRide] = useState(null);
     const [showDetailsModal, setShowDetailsModal] = useState(false);
+    const [selectedRoute, setSelectedRoute] = useState(null);
+    const [routeLoading, setRouteLoading] = useState(false);
+    const { authFetch } = useAuth();
     
     // R-RH-01, R-RH-03: Search and filter states
     const [searchTripId, setSearchTripId] = useState('');
@@ -142,28 +148,36 @@ function RideHistory() {
     const handleViewDetails = (ride) => {
         setSelectedRide(ride);
         setShowDetailsModal(true);
+        fetchRoute(ride.id);
     };
 
     const closeDetailsModal = () => {
         setShowDetailsModal(false);
         setSelectedRide(null);
+        setSelectedRoute(null);
     };
 
-    // R-RH-07: Calculate cost breakdown
-    const calculateCostBreakdown = (ride) => {
-        const baseCost = 2.00; // Base fee
-        const durationMinutes = ride.durationMinutes || 0;
-        
-        // Calculate per-minute cost based on bike type
-        let perMinuteCost = 0;
-        if (ride.bikeType === 'electric') {
-            perMinuteCost = 0.15;
-        } else if (ride.bikeType === 'cargo') {
-            perMinuteCost = 0.20;
-        } else {
-            perMinuteCost = 0.10;
+    // Trip route recorded from the rider's GPS during the rental
+    const fetchRoute = async (rentalId) => {
+        setSelectedRoute(null);
+        setRouteLoading(true);
+        try {
+            const response = await authFetch(`${API_URL}/api/rentals/${rentalId}/route`);
+            if (response.ok) {
+                setSelectedRoute(await response.json());
+            }
+        } catch (err) {
+            console.error('Error fetching ride route:', err);
+        } finally {
+            setRouteLoading(false);
         }
+    };
 
+    // R-RH-07: Cost breakdown from the pricing stored on the rental when it was returned
+    const calculateCostBreakdown = (ride) => {
+        const baseCost = ride.baseFee || 0;
+        const perMinuteCost = ride.ratePerMinute || 0;
+        const durationMinutes = ride.billableMinutes != null ? ride.billableMinutes : (ride.durationMinutes || 0);
         const timeCharge = durationMinutes * perMinuteCost;
         const total = baseCost + timeCharge;
 
@@ -416,6 +430,31 @@ function RideHistory() {
                                 </div>
                             </div>
 
+                            <div className="detail-section">
+                                <h3>Route</h3>
+                                {selectedRide.distanceKm != null && (
+                                    <div className="detail-grid route-stats">
+                                        <div className="detail-item">
+                                            <label>Distance:</label>
+                                            <span>{selectedRide.distanceKm.toFixed(2)} km</span>
+                                        </div>
+                                        <div className="detail-item">
+                                            <label>Average Speed:</label>
+                                            <span>
+                                                {selectedRide.averageSpeedKmh != null
+                                                    ? `${selectedRide.averageSpeedKmh.toFixed(1)} km/h`
+                                                    : 'N/A'}
+                                            </span>
+                                        </div>
+                                    </div>
+                                )}
+                                {routeLoading ? (
+                                    <p className="ride-route-empty">Loading route...</p>
+                                ) : (
+                                    <RideRouteMap route={selectedRoute} />
+                                )}
+                            </div>
+
                             {/* R-RH-07: Cost Breakdown */}
                             <div className="detail-section cost-breakdown-section">
                                 <h3>Cost Breakdown</h3>
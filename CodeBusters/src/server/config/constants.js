@@ -3,6 +3,8 @@
  * Learning: Keep all constants in one place for maintainability
  */
 
+const path = require('path');
+
 const BMS_STATES = {
     BIKE: {
         AVAILABLE: 'available',
@@ -47,8 +49,19 @@ const FLEX_DOLLARS_CONFIG = {
     TRANSACTION_TYPE: {
         AWARD: 'award',
         DEDUCT: 'deduct',
-        REFUND: 'refund'
-    }
+        REFUND: 'refund',
+        PROMO: 'promo',         // Promo code redemptions
+        REFERRAL: 'referral',   // Referral credits, to the referrer and the new rider
+        EXPIRE: 'expire',       // Earned credits that reached their expiry date
+        ADJUST: 'adjust'        // Operator corrections, with the reason as description
+    },
+    // Earned credits (awards, promo codes, referrals) expire this many days after they are credited; 0 = never
+    EXPIRY_DAYS: process.env.FLEX_DOLLARS_EXPIRY_DAYS === undefined ? 180 : (parseInt(process.env.FLEX_DOLLARS_EXPIRY_DAYS) || 0),
+    // Earned credits stop once a rider's balance reaches this amount; 0 = no cap
+    BALANCE_CAP: process.env.FLEX_DOLLARS_BALANCE_CAP === undefined ? 100.00 : (parseFloat(process.env.FLEX_DOLLARS_BALANCE_CAP) || 0),
+    EXPIRY_CHECK_INTERVAL_MS: 60 * 60 * 1000,
+    EXPIRING_SOON_DAYS: 30,
+    MAX_ADJUSTMENT_REASON_LENGTH: 500
 };
 
 // Business Rules for Occupancy Accounting
@@ -92,6 +105,190 @@ const BMS_OPERATIONS = {
     RESERVATION_USED: 'reservation_used'
 };
 
+// Authentication tokens (access tokens are short-lived, refresh tokens rotate on use)
+const AUTH_CONFIG = {
+    ACCESS_TOKEN_TTL_SECONDS: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60, // 15 minutes
+    REFRESH_TOKEN_TTL_SECONDS: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60, // 7 days
+    STREAM_TICKET_TTL_SECONDS: 60 // GET /api/events?ticket=...; only needs to outlive opening the stream
+};
+
+// Password hashing (scrypt). Changing the cost parameters rehashes passwords on each user's next login
+const PASSWORD_HASH_CONFIG = {
+    ALGORITHM: 'scrypt',
+    COST: 16384,           // N - CPU/memory cost
+    BLOCK_SIZE: 8,         // r
+    PARALLELIZATION: 1,    // p
+    KEY_LENGTH: 64,
+    SALT_BYTES: 16
+};
+
+// Real-time events published by BMSManager and streamed to clients over SSE (GET /api/events)
+const BMS_EVENTS = {
+    STATION_OCCUPANCY: 'station_occupancy',
+    BIKE_STATUS: 'bike_status',
+    RESERVATION_EXPIRED: 'reservation_expired',
+    DAMAGE_REPORTED: 'damage_reported'
+};
+
+// Trip GPS tracking (points are sent in batches by the rider's device during a rental)
+const ROUTE_TRACKING_CONFIG = {
+    MAX_POINTS_PER_BATCH: 500,
+    SIMPLIFY_TOLERANCE_METERS: 10,   // Douglas-Peucker tolerance for the stored polyline
+    MAX_SPEED_KMH: 60                // Segments faster than this are treated as GPS jumps and ignored
+};
+
+// Operator rebalancing planner (see services/rebalancingService.js)
+const REBALANCING_CONFIG = {
+    DEFAULT_TARGET_RATIO: 0.5,   // Target bikes = capacity × ratio unless a station has its own target
+    FLOW_WINDOW_HOURS: 3,        // Rentals started/ended in this window count as recent flows
+    LOOKAHEAD_HOURS: 1,          // Targets are shifted by the net flow expected over this period
+    TOLERANCE_BIKES: 1           // Stations within this many bikes of their target are left alone
+};
+
+// Station demand forecasts (see services/forecastService.js)
+const FORECAST_CONFIG = {
+    HISTORY_DAYS: 56,            // Rentals from the last 8 weeks feed the hourly rates
+    DEFAULT_HORIZON_HOURS: 6,
+    MAX_HORIZON_HOURS: 24,
+    EMPTY_BELOW_BIKES: 1,        // Flag a station as likely empty when fewer bikes are projected
+    FULL_BELOW_FREE_DOCKS: 1     // Flag a station as likely full when fewer free docks are projected
+};
+
+// Idempotency-Key support on charge, rent, return and reserve (see services/idempotencyService.js)
+const IDEMPOTENCY_CONFIG = {
+    KEY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24, // Stored responses are replayed for this long
+    MAX_KEY_LENGTH: 255,
+    PURGE_INTERVAL_MS: 60 * 60 * 1000
+};
+
+// Card payments through a pluggable gateway (see services/paymentGateway.js and services/paymentService.js)
+const PAYMENT_GATEWAY_CONFIG = {
+    PROVIDER: process.env.PAYMENT_GATEWAY_PROVIDER || 'mock',
+    CURRENCY: 'CAD',
+    TIMEOUT_MS: parseInt(process.env.PAYMENT_GATEWAY_TIMEOUT_MS) || 10 * 1000, // Gateway calls slower than this fail as timeouts
+    STATUS: {
+        PENDING: 'pending',
+        AUTHORIZED: 'authorized',
+        CAPTURED: 'captured',
+        FAILED: 'failed',
+        REFUNDED: 'refunded',
+        VOIDED: 'voided'         // Authorized, then released without being captured
+    }
+};
+
+// Holds placed when a rental starts, and the limits on long trips (see PaymentService.placeRentalHold)
+const RENTAL_PAYMENT_CONFIG = {
+    HOLD_AMOUNT: parseFloat(process.env.RENTAL_HOLD_AMOUNT) || 20.00,        // Authorized on the default card before the bike unlocks
+    DAILY_FARE_CAP: parseFloat(process.env.DAILY_FARE_CAP) || 20.00,         // A trip never costs more than this per 24 hours
+    LONG_TRIP_MINUTES: parseInt(process.env.LONG_TRIP_MINUTES) || 3 * 60,    // Operators are notified of trips running longer
+    LONG_TRIP_CHECK_INTERVAL_MS: 60 * 1000
+};
+
+// Sales tax on rentals (see services/taxService.js); rates are rows in tax_rates
+const TAX_CONFIG = {
+    JURISDICTION: process.env.TAX_JURISDICTION || 'QC'   // Montreal: GST + QST
+};
+
+// Rider disputes of captured payments, resolved by operators (see services/disputeService.js)
+const DISPUTE_CONFIG = {
+    REASONS: ['damaged_bike', 'overcharged', 'trip_not_taken', 'other'],
+    MAX_DESCRIPTION_LENGTH: 1000,
+    STATUS: {
+        OPEN: 'open',
+        APPROVED: 'approved',
+        REJECTED: 'rejected'
+    },
+    REFUND_METHODS: {
+        CARD: 'card',
+        FLEX_DOLLARS: 'flex_dollars'
+    }
+};
+
+// Promo codes created by operators and rider referral codes; both credit flex dollars
+const PROMO_CONFIG = {
+    DISCOUNT_TYPES: {
+        AMOUNT: 'amount',   // Fixed flex dollars credit when redeemed
+        PERCENT: 'percent'  // Percentage of the rider's next trip, credited when it is returned
+    },
+    REDEMPTION_STATUS: {
+        PENDING: 'pending',
+        CREDITED: 'credited'
+    },
+    REFERRAL_STATUS: {
+        PENDING: 'pending',
+        CREDITED: 'credited'
+    },
+    CODE_PATTERN: /^[A-Z0-9_-]{3,32}$/,
+    // Flex dollars credited to each of the referrer and the new rider after the new rider's first trip
+    REFERRAL_CREDIT: parseFloat(process.env.REFERRAL_CREDIT) || 5.00
+};
+
+// Hour of the day (0-23) from the environment; unset, blank, non-numeric or out-of-range values give the fallback
+function hourFromEnv(value, fallback) {
+    const hour = value === undefined || value.trim() === '' ? NaN : Number(value);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : fallback;
+}
+
+// Loyalty tiers and the rules riders must meet; tiers are rows in loyalty_tiers (see services/loyaltyService.js)
+const LOYALTY_CONFIG = {
+    ENTRY_TIER: 'entry',
+    RULE_TYPES: {
+        TRIPS: 'trips',                             // Trips in the window, or at least `min` in each of the last `periods` months/weeks
+        MISSED_RESERVATIONS: 'missed_reservations', // At most `max` reservations expired unclaimed in the window
+        CLAIMS: 'claims',                           // At least `min` successful bike claims in the window
+        SPEND: 'spend'                              // At least `min` dollars spent on completed trips in the window
+    },
+    TRIP_PERIODS: ['month', 'week'],
+    // Riders who stop meeting their tier keep it this many days after a warning (0 demotes at once)
+    DEMOTION_GRACE_DAYS: process.env.LOYALTY_DEMOTION_GRACE_DAYS === undefined ? 14 : (parseInt(process.env.LOYALTY_DEMOTION_GRACE_DAYS) || 0),
+    NIGHTLY_CHECK_HOUR: hourFromEnv(process.env.LOYALTY_CHECK_HOUR, 3),   // Local hour of the nightly tier check
+    HISTORY_EVENTS: {
+        PROMOTION: 'promotion',
+        DEMOTION: 'demotion',
+        DEMOTION_WARNING: 'demotion_warning',
+        DEMOTION_CANCELLED: 'demotion_cancelled'
+    },
+    CHECK_SOURCES: {
+        LOGIN: 'login',
+        RETURN: 'return',
+        NIGHTLY: 'nightly',
+        OPERATOR: 'operator'
+    },
+    MAX_WINDOW_MONTHS: 24,
+    MAX_RESERVATION_EXTENSION_MINUTES: 30,
+    MAX_TIER_NAME_LENGTH: 50
+};
+
+// Damage reports from riders and their repair by operators (see services/damageReportService.js)
+const DAMAGE_CONFIG = {
+    CATEGORIES: ['brakes', 'tire', 'chain', 'battery', 'other'],
+    SEVERITIES: ['low', 'medium', 'high', 'critical'],
+    STATUS: {
+        PENDING: 'pending',      // Reported by a rider, not yet looked at
+        TRIAGED: 'triaged',
+        IN_REPAIR: 'in_repair',
+        RESOLVED: 'resolved',
+        WONT_FIX: 'wont_fix'
+    },
+    REPAIR_LOG_TYPES: ['part', 'labour'],
+    MAX_DESCRIPTION_LENGTH: 1000,
+    MAX_TECHNICIAN_LENGTH: 100,
+    // Photos arrive as base64 data URLs and are written to PHOTO_DIR
+    PHOTO_DIR: process.env.DAMAGE_PHOTO_DIR || path.join(__dirname, '..', 'uploads', 'damage-reports'),
+    PHOTO_TYPES: {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp'
+    },
+    MAX_PHOTOS: 3,
+    MAX_PHOTO_BYTES: 2 * 1024 * 1024,
+    MAX_REQUEST_SIZE: '10mb',    // JSON body limit of the report routes, room for MAX_PHOTOS photos
+    // Different riders who must report a docked bike before it is moved to maintenance
+    ISSUE_REPORT_THRESHOLD: Math.max(1, parseInt(process.env.DAMAGE_ISSUE_REPORT_THRESHOLD) || 2),
+    // Bike statuses a rider can report an issue on; the bike must also be at a station
+    ISSUE_REPORTABLE_STATUSES: ['available', 'reserved', 'maintenance', 'out_of_service']
+};
+
 const HTTP_STATUS = {
     OK: 200,
     BAD_REQUEST: 400,
@@ -107,6 +304,20 @@ module.exports = {
     STATION_CONFIG,
     FLEX_DOLLARS_CONFIG,
     BMS_OPERATIONS,
+    BMS_EVENTS,
     OCCUPANCY_RULES,
+    AUTH_CONFIG,
+    PASSWORD_HASH_CONFIG,
+    ROUTE_TRACKING_CONFIG,
+    REBALANCING_CONFIG,
+    FORECAST_CONFIG,
+    IDEMPOTENCY_CONFIG,
+    PAYMENT_GATEWAY_CONFIG,
+    RENTAL_PAYMENT_CONFIG,
+    TAX_CONFIG,
+    DISPUTE_CONFIG,
+    PROMO_CONFIG,
+    LOYALTY_CONFIG,
+    DAMAGE_CONFIG,
     HTTP_STATUS
 };
\ No newline at end of file
@@ -37,9 +37,10 @@ db.all("SELECT id, username, first_name, last_name FROM users WHERE role IN ('ri
                 const cardHolderName = `${rider.first_name || 'User'} ${rider.last_name || rider.username}`;
                 const expiryDate = '12/29'; // Default expiry
                 
+                // Approved card token from the local mock payment gateway
                 db.run(
-                    'INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default) VALUES (?, ?, ?, ?, 1)',
-                    [rider.id, last4, cardHolderName, expiryDate],
+                    'INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default, gateway, gateway_token) VALUES (?, ?, ?, ?, 1, ?, ?)',
+                    [rider.id, last4, cardHolderName, expiryDate, 'mock', `mock_approve_${last4}`],
                     function(insertErr) {
                         if (insertErr) {
                             console.error(`${rider.username} - Error adding payment method:`, insertErr.message);
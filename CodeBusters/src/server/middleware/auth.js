@@ -3,29 +3,118 @@
  * Provides role-based access control for BMS API endpoints
  */
 
+// Token service used to verify access tokens (set during server initialization)
+let tokenService = null;
+
+/**
+ * Set the TokenService used by authenticateUser
+ * Called during server initialization once the database is connected
+ */
+const setTokenService = (service) => {
+    tokenService = service;
+};
+
 /**
- * Middleware to authenticate user and extract user info from request
- * This is a simplified version - in production you'd use JWT tokens or sessions
+ * Middleware to authenticate user from a signed access token
+ * Expects "Authorization: Bearer <accessToken>"; the role is loaded from the users table
  */
-const authenticateUser = (req, res, next) => {
-    // For demo purposes, we'll expect user info in headers
-    // In production, this would validate JWT tokens or session cookies
-    const userId = req.headers['x-user-id'];
-    const userRole = req.headers['x-user-role'];
-    const username = req.headers['x-username'];
-
-    if (!userId || !userRole) {
+const authenticateUser = async (req, res, next) => {
+    const authHeader = req.headers['authorization'] || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
         return res.status(401).json({
             success: false,
-            message: 'Authentication required. Please provide user credentials.',
+            message: 'Authentication required. Please log in.',
             error: 'AUTHENTICATION_REQUIRED'
         });
     }
 
+    if (!tokenService) {
+        return res.status(503).json({
+            success: false,
+            message: 'Authentication service not initialized',
+            error: 'AUTH_SERVICE_UNAVAILABLE'
+        });
+    }
+
+    let claims;
+    try {
+        claims = tokenService.verifyAccessToken(token);
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.message,
+            error: error.code || 'INVALID_TOKEN'
+        });
+    }
+
+    return attachUser(req, res, next, claims);
+};
+
+/**
+ * Middleware to authenticate the event stream from a short-lived ticket
+ * Expects "?ticket=<ticket>" from POST /api/events/ticket, since EventSource cannot send headers
+ */
+const authenticateStreamTicket = async (req, res, next) => {
+    const ticket = req.query.ticket;
+    if (!ticket) {
+        return res.status(401).json({
+            success: false,
+            message: 'A stream ticket is required. Request one from POST /api/events/ticket.',
+            error: 'AUTHENTICATION_REQUIRED'
+        });
+    }
+
+    if (!tokenService) {
+        return res.status(503).json({
+            success: false,
+            message: 'Authentication service not initialized',
+            error: 'AUTH_SERVICE_UNAVAILABLE'
+        });
+    }
+
+    let claims;
+    try {
+        claims = tokenService.verifyStreamTicket(String(ticket));
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            message: error.message,
+            error: error.code || 'INVALID_TOKEN'
+        });
+    }
+
+    return attachUser(req, res, next, claims);
+};
+
+/**
+ * Load the user a verified token or ticket was issued to and attach it as req.user
+ */
+const attachUser = async (req, res, next, claims) => {
+    let user;
+    try {
+        user = await tokenService.getUserById(claims.sub);
+    } catch (error) {
+        console.error('Error loading authenticated user:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            message: 'User account no longer exists',
+            error: 'INVALID_TOKEN'
+        });
+    }
+
     // Validate role is one of the allowed values
     // 'dual' users act as both rider and operator
     const allowedRoles = ['rider', 'operator', 'admin', 'dual'];
-    if (!allowedRoles.includes(userRole)) {
+    if (!allowedRoles.includes(user.role)) {
         return res.status(403).json({
             success: false,
             message: 'Invalid user role',
@@ -33,11 +122,11 @@ const authenticateUser = (req, res, next) => {
         });
     }
 
-    // Attach user info to request object
+    // Attach user info to request object (role always comes from the database, never the token)
     req.user = {
-        id: userId,
-        role: userRole,
-        username: username || `user_${userId}`
+        id: String(user.id),
+        role: user.role,
+        username: user.username
     };
 
     next();
@@ -115,12 +204,45 @@ const requireOwnershipOrOperator = (req, res, next) => {
     });
 };
 
+/**
+ * Middleware to validate the request is for the caller's own account, unless they are an operator.
+ * Unlike requireOwnershipOrOperator, dual users count as riders here: their personal data (profile,
+ * payment method, rental) is theirs alone.
+ */
+const requireOwnAccountOrOperator = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required',
+            error: 'NOT_AUTHENTICATED'
+        });
+    }
+
+    if (req.user.role === 'operator' || req.user.role === 'admin') {
+        return next();
+    }
+
+    const resourceUserId = req.params.userId || (req.body && req.body.userId);
+    if (resourceUserId !== undefined && resourceUserId !== null && req.user.id === String(resourceUserId)) {
+        return next();
+    }
+
+    return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own account.',
+        error: 'INSUFFICIENT_PERMISSIONS'
+    });
+};
+
 module.exports = {
+    setTokenService,
     authenticateUser,
+    authenticateStreamTicket,
     requireRole,
     requireRider,
     requireOperator,
     requireRiderOrOperator,
     requireAdmin,
-    requireOwnershipOrOperator
+    requireOwnershipOrOperator,
+    requireOwnAccountOrOperator
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Idempotency-Key Middleware
+ * Replays the stored response when a client retries a request with the same Idempotency-Key
+ */
+
+const IdempotencyService = require('../services/idempotencyService');
+const { IDEMPOTENCY_CONFIG } = require('../config/constants');
+
+// Idempotency service used to claim and store keys (set during server initialization)
+let idempotencyService = null;
+
+/**
+ * Set the IdempotencyService used by idempotent
+ * Called during server initialization once the database is connected
+ */
+const setIdempotencyService = (service) => {
+    idempotencyService = service;
+};
+
+/**
+ * Middleware making a mutating route safe to retry
+ * Must run after authenticateUser (keys are scoped to req.user). Requests without the header are
+ * handled as usual. Responses below 500 are stored and replayed with "Idempotent-Replayed: true";
+ * server errors release the key so the retry runs again.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1 to ${IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} characters`,
+            error: 'INVALID_IDEMPOTENCY_KEY'
+        });
+    }
+
+    if (!idempotencyService) {
+        return res.status(503).json({
+            success: false,
+            message: 'Idempotency service not initialized',
+            error: 'IDEMPOTENCY_SERVICE_UNAVAILABLE'
+        });
+    }
+
+    const userId = req.user.id;
+    const endpoint = `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+    let stored;
+    try {
+        stored = await idempotencyService.begin(userId, key, endpoint, IdempotencyService.hashRequest(endpoint, req.body));
+    } catch (error) {
+        if (error instanceof IdempotencyService.IdempotencyError) {
+            const status = error.code === 'IDEMPOTENCY_KEY_REUSED' ? 422 : 409;
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error('Error checking Idempotency-Key:', error);
+        return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+
+    if (stored) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.status).json(stored.body);
+    }
+
+    // Store the response before it is sent, so a retry arriving right after sees it
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        const status = res.statusCode;
+        const save = status < 500
+            ? idempotencyService.complete(userId, key, status, body)
+            : idempotencyService.release(userId, key);
+        save
+            .catch(error => console.error('Error storing idempotent response:', error))
+            .then(() => sendJson(body));
+        return res;
+    };
+
+    // Handlers that end without a JSON response leave nothing to replay
+    res.on('close', () => {
+        if (!settled) {
+            idempotencyService.release(userId, key).catch(error => {
+                console.error('Error releasing Idempotency-Key:', error);
+            });
+        }
+    });
+
+    next();
+};
+
+module.exports = {
+    setIdempotencyService,
+    idempotent
+};
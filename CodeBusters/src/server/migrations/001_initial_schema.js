@@ -0,0 +1,178 @@
+/**
+ * Migration 001 - Initial schema
+ *
+ * Core tables that used to be created by Database.initializeTables, plus the user
+ * profile/loyalty columns previously added by ad-hoc ALTER TABLE statements.
+ * Uses IF NOT EXISTS / addColumnIfMissing so databases created before versioned
+ * migrations are adopted without changes.
+ */
+
+const TABLES = [
+    // Users table
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT DEFAULT 'rider',
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT,
+        address TEXT,
+        flex_dollars DECIMAL(10,2) DEFAULT 0.00,
+        loyalty_tier TEXT DEFAULT 'entry',
+        last_tier_check DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Bikes table
+    `CREATE TABLE IF NOT EXISTS bikes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bike_id TEXT UNIQUE NOT NULL,
+        model TEXT NOT NULL,
+        status TEXT DEFAULT 'available',
+        location TEXT,
+        battery_level INTEGER DEFAULT 100,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Rentals table
+    `CREATE TABLE IF NOT EXISTS rentals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        bike_id INTEGER,
+        start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+        end_time DATETIME,
+        total_cost DECIMAL(10,2),
+        status TEXT DEFAULT 'active',
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (bike_id) REFERENCES bikes (id)
+    )`,
+
+    // Reservations table
+    `CREATE TABLE IF NOT EXISTS reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        bike_id INTEGER NOT NULL,
+        dock_id TEXT,
+        reserved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        status TEXT DEFAULT 'active',
+        expires_after_minutes INTEGER DEFAULT 15,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (bike_id) REFERENCES bikes (id)
+    )`,
+
+    // State transitions table
+    `CREATE TABLE IF NOT EXISTS state_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        bike_id INTEGER,
+        dock_id TEXT,
+        user_id INTEGER,
+        from_state TEXT,
+        to_state TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        metadata TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (bike_id) REFERENCES bikes (id)
+    )`,
+
+    // Docks table
+    `CREATE TABLE IF NOT EXISTS docks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dock_id TEXT UNIQUE NOT NULL,
+        location TEXT NOT NULL,
+        status TEXT DEFAULT 'in_service',
+        capacity INTEGER DEFAULT 1,
+        current_bike_id INTEGER,
+        last_maintenance DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (current_bike_id) REFERENCES bikes (id)
+    )`,
+
+    // Flex Dollars transactions table
+    `CREATE TABLE IF NOT EXISTS flex_dollars_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        transaction_type TEXT NOT NULL,
+        description TEXT,
+        related_rental_id INTEGER,
+        related_station_id TEXT,
+        balance_after DECIMAL(10,2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (related_rental_id) REFERENCES rentals (id)
+    )`,
+
+    // Payment methods table
+    `CREATE TABLE IF NOT EXISTS payment_methods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        card_number_last4 TEXT NOT NULL,
+        card_holder_name TEXT NOT NULL,
+        expiry_date TEXT NOT NULL,
+        is_default INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+
+    // Forum posts table
+    `CREATE TABLE IF NOT EXISTS forum_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+
+    // Loyalty tier change history
+    `CREATE TABLE IF NOT EXISTS loyalty_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        old_tier TEXT,
+        new_tier TEXT,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`
+];
+
+async function up(schema) {
+    for (const sql of TABLES) {
+        await schema.run(sql);
+    }
+
+    // Columns added to users after the table was first created
+    await schema.addColumnIfMissing('users', 'first_name', 'TEXT');
+    await schema.addColumnIfMissing('users', 'last_name', 'TEXT');
+    await schema.addColumnIfMissing('users', 'email', 'TEXT');
+    await schema.addColumnIfMissing('users', 'address', 'TEXT');
+    await schema.addColumnIfMissing('users', 'flex_dollars', 'DECIMAL(10,2) DEFAULT 0.00');
+    await schema.addColumnIfMissing('users', 'loyalty_tier', "TEXT DEFAULT 'entry'");
+    await schema.addColumnIfMissing('users', 'last_tier_check', 'DATETIME');
+}
+
+async function down(schema) {
+    const tables = [
+        'loyalty_history',
+        'forum_posts',
+        'payment_methods',
+        'flex_dollars_transactions',
+        'docks',
+        'state_transitions',
+        'reservations',
+        'rentals',
+        'bikes',
+        'users'
+    ];
+    for (const table of tables) {
+        await schema.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
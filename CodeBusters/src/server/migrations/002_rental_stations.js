@@ -0,0 +1,18 @@
+/**
+ * Migration 002 - Rental start/end stations
+ *
+ * Rentals record the station the bike was taken from and returned to (used by billing
+ * and ride history). Previously added by ALTER TABLE calls in server.js.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('rentals', 'station_id', 'TEXT');
+    await schema.addColumnIfMissing('rentals', 'end_station_id', 'TEXT');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE rentals DROP COLUMN end_station_id');
+    await schema.run('ALTER TABLE rentals DROP COLUMN station_id');
+}
+
+module.exports = { up, down };
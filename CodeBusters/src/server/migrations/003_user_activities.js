@@ -0,0 +1,25 @@
+/**
+ * Migration 003 - User activity log
+ *
+ * Written by logUserActivity for reserve/rent/return events. Previously created lazily
+ * on every activity insert.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS user_activities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        activity_type TEXT NOT NULL,
+        bike_id TEXT,
+        station_id TEXT,
+        timestamp TEXT NOT NULL,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS user_activities');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * Migration 004 - Payments
+ *
+ * One row per rental charge, including flex dollars applied. Previously created lazily
+ * inside the billing and payment route handlers.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER,
+        user_id INTEGER,
+        amount REAL,
+        flex_dollars_applied REAL DEFAULT 0,
+        amount_due_after_flex REAL,
+        discount_amount REAL DEFAULT 0,
+        discount_percentage INTEGER DEFAULT 0,
+        method TEXT,
+        status TEXT,
+        created_at TEXT
+    )`);
+
+    // Discount columns were only declared by the payment route's lazy CREATE TABLE
+    await schema.addColumnIfMissing('payments', 'discount_amount', 'REAL DEFAULT 0');
+    await schema.addColumnIfMissing('payments', 'discount_percentage', 'INTEGER DEFAULT 0');
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS payments');
+}
+
+module.exports = { up, down };
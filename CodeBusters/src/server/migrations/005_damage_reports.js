@@ -0,0 +1,39 @@
+/**
+ * Migration 005 - Damage reports and operator notifications
+ *
+ * Created by the report-damage route until now; operators read both tables from
+ * the notifications panel.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS damage_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bike_id TEXT NOT NULL,
+        station_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        username TEXT,
+        description TEXT,
+        status TEXT DEFAULT 'pending',
+        reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME
+    )`);
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS operator_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        bike_id TEXT,
+        station_id TEXT,
+        user_id INTEGER,
+        username TEXT,
+        message TEXT NOT NULL,
+        read INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS operator_notifications');
+    await schema.run('DROP TABLE IF EXISTS damage_reports');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * Migration 006 - Refresh tokens
+ *
+ * Only SHA-256 hashes of refresh tokens are stored; see services/tokenService.js.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS refresh_tokens');
+}
+
+module.exports = { up, down };
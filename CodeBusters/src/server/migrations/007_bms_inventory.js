@@ -0,0 +1,47 @@
+/**
+ * Migration 007 - R-BMS-01 stations and bikes
+ *
+ * Station and bike inventory used to be recreated (and r_bms_bikes dropped) by
+ * ConfigDatabaseService on every boot. The tables are now persistent; stations-config.json
+ * only seeds an empty database, and config reloads retire removed stations/bikes by
+ * setting retired_at instead of deleting them.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS stations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL,
+        latitude REAL,
+        longitude REAL,
+        address TEXT,
+        capacity INTEGER NOT NULL,
+        reservation_hold_time_minutes INTEGER DEFAULT 15,
+        retired_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS r_bms_bikes (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        station_id TEXT,
+        reservation_expiry DATETIME,
+        reserved_by_user_id INTEGER,
+        retired_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (station_id) REFERENCES stations (id)
+    )`);
+
+    await schema.addColumnIfMissing('stations', 'retired_at', 'DATETIME');
+    await schema.addColumnIfMissing('r_bms_bikes', 'retired_at', 'DATETIME');
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS r_bms_bikes');
+    await schema.run('DROP TABLE IF EXISTS stations');
+}
+
+module.exports = { up, down };
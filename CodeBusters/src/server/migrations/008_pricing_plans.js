@@ -0,0 +1,114 @@
+/**
+ * Migration 008 - Pricing plans and rider subscriptions
+ *
+ * Rental pricing used to be hardcoded in server.js. Plans now live in pricing_plans and
+ * riders pick one through user_subscriptions; see services/pricingService.js.
+ * Riders without an active subscription are priced with the default plan.
+ */
+
+const SEED_PLANS = [
+    {
+        id: 'payg',
+        name: 'Pay-as-you-go',
+        description: 'No monthly fee. Pay only for the minutes you ride.',
+        monthlyFee: 0,
+        baseFee: 0,
+        ratePerMinute: 0.10,
+        eBikeSurchargePerMinute: 0.15,
+        includedMinutes: 0,
+        features: ['No commitment', 'Standard bikes $0.10/min', 'E-bikes $0.25/min'],
+        isDefault: 1,
+        sortOrder: 0
+    },
+    {
+        id: 'basic_rider',
+        name: 'Basic Rider',
+        description: 'Perfect for occasional rides around the city. Great for students and casual cyclists.',
+        monthlyFee: 9.99,
+        baseFee: 0,
+        ratePerMinute: 0.15,
+        eBikeSurchargePerMinute: 0.15,
+        includedMinutes: 30,
+        features: ['30 minutes free per ride', 'Additional $0.15 per minute', 'E-bike surcharge $0.15 per minute', 'Mobile app access', '24/7 customer support'],
+        isDefault: 0,
+        sortOrder: 1
+    },
+    {
+        id: 'pro_rider',
+        name: 'Pro Rider',
+        description: 'Ideal for daily commuters who need reliable transportation throughout the city.',
+        monthlyFee: 19.99,
+        baseFee: 0,
+        ratePerMinute: 0.10,
+        eBikeSurchargePerMinute: 0.10,
+        includedMinutes: 60,
+        features: ['60 minutes free per ride', 'Additional $0.10 per minute', 'E-bike surcharge $0.10 per minute', 'Priority bike availability', 'Monthly usage analytics'],
+        isDefault: 0,
+        sortOrder: 2
+    },
+    {
+        id: 'premium_rider',
+        name: 'Premium Rider',
+        description: 'Ultimate freedom for bike enthusiasts who want unlimited access and premium features.',
+        monthlyFee: 34.99,
+        baseFee: 0,
+        ratePerMinute: 0.05,
+        eBikeSurchargePerMinute: 0.05,
+        includedMinutes: 120,
+        features: ['Free rides up to 2 hours', 'Additional $0.05 per minute', 'E-bike surcharge $0.05 per minute', 'Priority customer support', 'Carbon footprint tracking'],
+        isDefault: 0,
+        sortOrder: 3
+    }
+];
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS pricing_plans (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        monthly_fee REAL NOT NULL DEFAULT 0,
+        base_fee REAL NOT NULL DEFAULT 0,
+        rate_per_minute REAL NOT NULL,
+        ebike_surcharge_per_minute REAL NOT NULL DEFAULT 0,
+        included_minutes INTEGER NOT NULL DEFAULT 0,
+        features TEXT,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS user_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        plan_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active',
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cancelled_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (plan_id) REFERENCES pricing_plans (id)
+    )`);
+
+    await schema.run(`CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user_status
+        ON user_subscriptions (user_id, status)`);
+
+    for (const plan of SEED_PLANS) {
+        await schema.run(
+            `INSERT OR IGNORE INTO pricing_plans
+                (id, name, description, monthly_fee, base_fee, rate_per_minute, ebike_surcharge_per_minute,
+                 included_minutes, features, is_default, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [plan.id, plan.name, plan.description, plan.monthlyFee, plan.baseFee, plan.ratePerMinute,
+                plan.eBikeSurchargePerMinute, plan.includedMinutes, JSON.stringify(plan.features),
+                plan.isDefault, plan.sortOrder]
+        );
+    }
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS user_subscriptions');
+    await schema.run('DROP TABLE IF EXISTS pricing_plans');
+}
+
+module.exports = { up, down };
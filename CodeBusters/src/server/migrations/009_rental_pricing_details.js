@@ -0,0 +1,25 @@
+/**
+ * Migration 009 - Rental bike type and applied pricing
+ *
+ * Rentals record the bike type (copied from r_bms_bikes.type at checkout) and the pricing
+ * applied at return, so billing and ride history no longer infer e-bikes from the bike ID.
+ * Historical rows are filled in by tools/backfill_rentals.js.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('rentals', 'bike_type', 'TEXT');
+    await schema.addColumnIfMissing('rentals', 'pricing_plan_id', 'TEXT');
+    await schema.addColumnIfMissing('rentals', 'base_fee', 'REAL');
+    await schema.addColumnIfMissing('rentals', 'rate_per_minute', 'REAL');
+    await schema.addColumnIfMissing('rentals', 'billable_minutes', 'INTEGER');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE rentals DROP COLUMN billable_minutes');
+    await schema.run('ALTER TABLE rentals DROP COLUMN rate_per_minute');
+    await schema.run('ALTER TABLE rentals DROP COLUMN base_fee');
+    await schema.run('ALTER TABLE rentals DROP COLUMN pricing_plan_id');
+    await schema.run('ALTER TABLE rentals DROP COLUMN bike_type');
+}
+
+module.exports = { up, down };
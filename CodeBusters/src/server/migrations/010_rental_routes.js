@@ -0,0 +1,35 @@
+/**
+ * Migration 010 - Trip routes and distance
+ *
+ * GPS points sent by the rider's device during a rental are stored in rental_track_points.
+ * When the rental ends the route is summarised onto the rental (distance, average speed and a
+ * simplified polyline); see services/routeService.js.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS rental_track_points (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        recorded_at TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (rental_id) REFERENCES rentals (id)
+    )`);
+
+    await schema.run(`CREATE INDEX IF NOT EXISTS idx_rental_track_points_rental
+        ON rental_track_points (rental_id, recorded_at)`);
+
+    await schema.addColumnIfMissing('rentals', 'distance_km', 'REAL');
+    await schema.addColumnIfMissing('rentals', 'average_speed_kmh', 'REAL');
+    await schema.addColumnIfMissing('rentals', 'route_polyline', 'TEXT');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE rentals DROP COLUMN route_polyline');
+    await schema.run('ALTER TABLE rentals DROP COLUMN average_speed_kmh');
+    await schema.run('ALTER TABLE rentals DROP COLUMN distance_km');
+    await schema.run('DROP TABLE IF EXISTS rental_track_points');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+/**
+ * Migration 011 - Per-station rebalancing targets
+ *
+ * Operators can set how many bikes a station should hold. Stations without a row use
+ * REBALANCING_CONFIG.DEFAULT_TARGET_RATIO of their capacity; see services/rebalancingService.js.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS station_rebalancing_targets (
+        station_id TEXT PRIMARY KEY,
+        target_bikes INTEGER NOT NULL,
+        updated_by INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (station_id) REFERENCES stations (id)
+    )`);
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS station_rebalancing_targets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Migration 012 - Idempotency keys
+ *
+ * Stores the first response sent for each (user, Idempotency-Key) so retried charge, rent, return
+ * and reserve requests are replayed instead of run twice; see services/idempotencyService.js.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id INTEGER NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'in_progress',
+        response_status INTEGER,
+        response_body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        PRIMARY KEY (user_id, idempotency_key),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys (expires_at)');
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS idempotency_keys');
+}
+
+module.exports = { up, down };
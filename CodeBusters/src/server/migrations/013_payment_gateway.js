@@ -0,0 +1,49 @@
+/**
+ * Migration 013 - Payment gateway
+ *
+ * Payments record the gateway that handled the card portion, its authorization reference and
+ * why an attempt failed; 'paid' becomes 'captured' in the pending → authorized →
+ * captured/failed/refunded lifecycle. Saved cards keep a gateway token next to their last 4 digits.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('payments', 'gateway', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'gateway_reference', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'card_last4', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'failure_code', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'failure_message', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'refunded_amount', 'REAL DEFAULT 0');
+    await schema.addColumnIfMissing('payments', 'authorized_at', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'captured_at', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'refunded_at', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'updated_at', 'TEXT');
+    await schema.run(`UPDATE payments SET status = 'captured', captured_at = created_at WHERE status = 'paid'`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_payments_rental_status ON payments (rental_id, status)');
+
+    await schema.addColumnIfMissing('payment_methods', 'gateway', 'TEXT');
+    await schema.addColumnIfMissing('payment_methods', 'gateway_token', 'TEXT');
+    // Cards saved before the gateway existed were only ever charged by the simulated gateway,
+    // so they get a token from the local mock provider
+    await schema.run(`UPDATE payment_methods
+        SET gateway = 'mock', gateway_token = 'mock_approve_' || card_number_last4
+        WHERE gateway_token IS NULL AND card_number_last4 IS NOT NULL`);
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE payment_methods DROP COLUMN gateway_token');
+    await schema.run('ALTER TABLE payment_methods DROP COLUMN gateway');
+    await schema.run('DROP INDEX IF EXISTS idx_payments_rental_status');
+    await schema.run(`UPDATE payments SET status = 'paid' WHERE status = 'captured'`);
+    await schema.run('ALTER TABLE payments DROP COLUMN updated_at');
+    await schema.run('ALTER TABLE payments DROP COLUMN refunded_at');
+    await schema.run('ALTER TABLE payments DROP COLUMN captured_at');
+    await schema.run('ALTER TABLE payments DROP COLUMN authorized_at');
+    await schema.run('ALTER TABLE payments DROP COLUMN refunded_amount');
+    await schema.run('ALTER TABLE payments DROP COLUMN failure_message');
+    await schema.run('ALTER TABLE payments DROP COLUMN failure_code');
+    await schema.run('ALTER TABLE payments DROP COLUMN card_last4');
+    await schema.run('ALTER TABLE payments DROP COLUMN gateway_reference');
+    await schema.run('ALTER TABLE payments DROP COLUMN gateway');
+}
+
+module.exports = { up, down };
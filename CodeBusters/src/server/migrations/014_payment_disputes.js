@@ -0,0 +1,40 @@
+/**
+ * Migration 014 - Payment disputes
+ *
+ * Riders dispute a captured payment; operators approve (refunding to the card or to flex dollars)
+ * or reject it. Damage reports now record the rental they ended, so the dispute queue can show
+ * which charges came from a trip cut short by a damaged bike.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS payment_disputes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payment_id INTEGER NOT NULL,
+        rental_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        refund_amount REAL,
+        refund_method TEXT,
+        resolution_note TEXT,
+        resolved_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        FOREIGN KEY (payment_id) REFERENCES payments (id),
+        FOREIGN KEY (rental_id) REFERENCES rentals (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (resolved_by) REFERENCES users (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_payment_disputes_payment ON payment_disputes (payment_id)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_payment_disputes_status ON payment_disputes (status)');
+
+    await schema.addColumnIfMissing('damage_reports', 'rental_id', 'INTEGER');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN rental_id');
+    await schema.run('DROP TABLE IF EXISTS payment_disputes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * Migration 015 - Rental holds
+ *
+ * A rental now starts with an authorization hold on the rider's default card, recorded as an
+ * authorized payments row that is captured for the final cost at return. Payments keep the amount
+ * that was authorized, and rentals remember when operators were told the trip ran long so the
+ * notification is only raised once.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('payments', 'authorized_amount', 'REAL');
+    await schema.run(`UPDATE payments SET authorized_amount = amount_due_after_flex
+        WHERE authorized_amount IS NULL AND authorized_at IS NOT NULL`);
+
+    await schema.addColumnIfMissing('rentals', 'long_trip_notified_at', 'TEXT');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE rentals DROP COLUMN long_trip_notified_at');
+    await schema.run('ALTER TABLE payments DROP COLUMN authorized_amount');
+}
+
+module.exports = { up, down };
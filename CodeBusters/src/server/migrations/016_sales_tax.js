@@ -0,0 +1,50 @@
+/**
+ * Migration 016 - Sales tax
+ *
+ * Tax rates live in tax_rates, grouped by jurisdiction; TAX_JURISDICTION picks the one rentals are
+ * taxed in (see services/taxService.js). Quebec charges GST and QST, each on the pre-tax amount.
+ * Payments store the jurisdiction, the total tax and each tax line as it was when they were charged.
+ * A rate's registration_number, when set, is printed on receipts.
+ */
+
+const SEED_RATES = [
+    { jurisdiction: 'QC', code: 'GST', name: 'GST', rate: 0.05, sortOrder: 0 },
+    { jurisdiction: 'QC', code: 'QST', name: 'QST', rate: 0.09975, sortOrder: 1 },
+    { jurisdiction: 'ON', code: 'HST', name: 'HST', rate: 0.13, sortOrder: 0 }
+];
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS tax_rates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jurisdiction TEXT NOT NULL,
+        code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        rate REAL NOT NULL,
+        registration_number TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (jurisdiction, code)
+    )`);
+
+    for (const rate of SEED_RATES) {
+        await schema.run(
+            `INSERT OR IGNORE INTO tax_rates (jurisdiction, code, name, rate, sort_order) VALUES (?, ?, ?, ?, ?)`,
+            [rate.jurisdiction, rate.code, rate.name, rate.rate, rate.sortOrder]
+        );
+    }
+
+    await schema.addColumnIfMissing('payments', 'tax_jurisdiction', 'TEXT');
+    await schema.addColumnIfMissing('payments', 'tax_amount', 'REAL DEFAULT 0');
+    await schema.addColumnIfMissing('payments', 'tax_lines', 'TEXT');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE payments DROP COLUMN tax_lines');
+    await schema.run('ALTER TABLE payments DROP COLUMN tax_amount');
+    await schema.run('ALTER TABLE payments DROP COLUMN tax_jurisdiction');
+    await schema.run('DROP TABLE IF EXISTS tax_rates');
+}
+
+module.exports = { up, down };
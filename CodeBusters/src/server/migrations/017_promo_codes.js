@@ -0,0 +1,75 @@
+/**
+ * Migration 017 - Promo codes and referrals
+ *
+ * Operators create promo codes worth a fixed amount or a percentage of the next trip, with an
+ * optional expiry, usage limits and the pricing plans they are valid for (plan_ids, a JSON array;
+ * NULL means every plan). Each redemption is a row in promo_redemptions; percentage codes stay
+ * pending until the rider's next trip is returned.
+ *
+ * Riders get a referral code (users.referral_code, created on first use). A referral links the
+ * new rider to the referrer and is credited to both after the new rider's first completed trip.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS promo_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE,
+        description TEXT,
+        discount_type TEXT NOT NULL,
+        value REAL NOT NULL,
+        max_discount REAL,
+        expires_at DATETIME,
+        max_redemptions INTEGER,
+        max_redemptions_per_user INTEGER NOT NULL DEFAULT 1,
+        plan_ids TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+    )`);
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promo_code_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        amount REAL,
+        rental_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        credited_at DATETIME,
+        FOREIGN KEY (promo_code_id) REFERENCES promo_codes (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (rental_id) REFERENCES rentals (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions (promo_code_id)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_promo_redemptions_user ON promo_redemptions (user_id, status)');
+
+    await schema.addColumnIfMissing('users', 'referral_code', 'TEXT');
+    await schema.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users (referral_code)');
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS referrals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referrer_id INTEGER NOT NULL,
+        referred_id INTEGER NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending',
+        credit_amount REAL,
+        rental_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        credited_at DATETIME,
+        FOREIGN KEY (referrer_id) REFERENCES users (id),
+        FOREIGN KEY (referred_id) REFERENCES users (id),
+        FOREIGN KEY (rental_id) REFERENCES rentals (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals (referrer_id)');
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS referrals');
+    await schema.run('DROP INDEX IF EXISTS idx_users_referral_code');
+    await schema.run('ALTER TABLE users DROP COLUMN referral_code');
+    await schema.run('DROP TABLE IF EXISTS promo_redemptions');
+    await schema.run('DROP TABLE IF EXISTS promo_codes');
+}
+
+module.exports = { up, down };
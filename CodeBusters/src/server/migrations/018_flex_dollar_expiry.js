@@ -0,0 +1,47 @@
+/**
+ * Migration 018 - Flex dollars expiry and operator adjustments
+ *
+ * Every credit now also creates a bucket in flex_dollars_buckets holding what is left of it and
+ * when it expires. Spending uses the buckets that expire first (FIFO); a background job expires
+ * what is left of the rest. Earned credits expire after FLEX_DOLLARS_EXPIRY_DAYS, while refunds
+ * and operator adjustments do not. Balances from before this migration become one bucket per
+ * rider that does not expire.
+ *
+ * flex_dollars_transactions records the operator behind an adjustment (performed_by) and the
+ * expiry of each credit.
+ */
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS flex_dollars_buckets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        transaction_id INTEGER,
+        source TEXT NOT NULL,
+        amount REAL NOT NULL,
+        remaining REAL NOT NULL,
+        expires_at DATETIME,
+        expired_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (transaction_id) REFERENCES flex_dollars_transactions (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_flex_dollars_buckets_user ON flex_dollars_buckets (user_id, remaining)');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_flex_dollars_buckets_expiry ON flex_dollars_buckets (expires_at)');
+
+    await schema.addColumnIfMissing('flex_dollars_transactions', 'performed_by', 'INTEGER');
+    await schema.addColumnIfMissing('flex_dollars_transactions', 'expires_at', 'DATETIME');
+
+    await schema.run(
+        `INSERT INTO flex_dollars_buckets (user_id, source, amount, remaining)
+         SELECT id, 'opening_balance', flex_dollars, flex_dollars FROM users
+         WHERE flex_dollars > 0 AND id NOT IN (SELECT user_id FROM flex_dollars_buckets)`
+    );
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE flex_dollars_transactions DROP COLUMN expires_at');
+    await schema.run('ALTER TABLE flex_dollars_transactions DROP COLUMN performed_by');
+    await schema.run('DROP TABLE IF EXISTS flex_dollars_buckets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+/**
+ * Migration 019 - Loyalty tiers as data
+ *
+ * Each loyalty_tiers row is a tier riders can hold (users.loyalty_tier stores its id), with its
+ * benefits and the rules a rider must meet, as JSON (see services/loyaltyService.js). A rider holds
+ * the highest tier whose rules they meet along with the rules of every lower tier. The seed rows
+ * reproduce the Bronze/Silver/Gold requirements that used to be hardcoded.
+ */
+
+const SEED_TIERS = [
+    { id: 'entry', name: 'Entry', rank: 0, discount: 0, extension: 0, criteria: [] },
+    {
+        id: 'bronze', name: 'Bronze', rank: 1, discount: 5, extension: 0,
+        criteria: [
+            { type: 'missed_reservations', max: 0, months: 12 },
+            { type: 'trips', min: 10, months: 12 }
+        ]
+    },
+    {
+        id: 'silver', name: 'Silver', rank: 2, discount: 10, extension: 2,
+        criteria: [
+            { type: 'claims', min: 5, months: 12 },
+            { type: 'trips', per: 'month', min: 5, months: 3, periods: 3 }
+        ]
+    },
+    {
+        id: 'gold', name: 'Gold', rank: 3, discount: 15, extension: 5,
+        criteria: [
+            { type: 'trips', per: 'week', min: 5, months: 3, periods: 12 }
+        ]
+    }
+];
+
+async function up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS loyalty_tiers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        rank INTEGER NOT NULL UNIQUE,
+        discount_percentage REAL NOT NULL DEFAULT 0,
+        reservation_extension_minutes INTEGER NOT NULL DEFAULT 0,
+        criteria TEXT NOT NULL DEFAULT '[]',
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users (id)
+    )`);
+
+    for (const tier of SEED_TIERS) {
+        await schema.run(
+            `INSERT OR IGNORE INTO loyalty_tiers (id, name, rank, discount_percentage, reservation_extension_minutes, criteria)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [tier.id, tier.name, tier.rank, tier.discount, tier.extension, JSON.stringify(tier.criteria)]
+        );
+    }
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS loyalty_tiers');
+}
+
+module.exports = { up, down };
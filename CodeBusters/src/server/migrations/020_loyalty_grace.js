@@ -0,0 +1,27 @@
+/**
+ * Migration 020 - Loyalty demotion grace periods
+ *
+ * A rider who no longer meets their tier is warned and keeps it until tier_demotion_due_at
+ * (LOYALTY_DEMOTION_GRACE_DAYS later); tier_demotion_to is the tier they would drop to. Meeting the
+ * tier again before then cancels the demotion. loyalty_history rows record what happened (event),
+ * what ran the check (source) and the rule result that decided it, as JSON (rule).
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('users', 'tier_demotion_due_at', 'DATETIME');
+    await schema.addColumnIfMissing('users', 'tier_demotion_to', 'TEXT');
+
+    await schema.addColumnIfMissing('loyalty_history', 'event', 'TEXT');
+    await schema.addColumnIfMissing('loyalty_history', 'source', 'TEXT');
+    await schema.addColumnIfMissing('loyalty_history', 'rule', 'TEXT');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE loyalty_history DROP COLUMN rule');
+    await schema.run('ALTER TABLE loyalty_history DROP COLUMN source');
+    await schema.run('ALTER TABLE loyalty_history DROP COLUMN event');
+    await schema.run('ALTER TABLE users DROP COLUMN tier_demotion_to');
+    await schema.run('ALTER TABLE users DROP COLUMN tier_demotion_due_at');
+}
+
+module.exports = { up, down };
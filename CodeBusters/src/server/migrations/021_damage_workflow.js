@@ -0,0 +1,69 @@
+/**
+ * Migration 021 - Damage report workflow
+ *
+ * Reports gain a category, a severity and the technician they are assigned to, and move through
+ * pending → triaged → in_repair → resolved / wont_fix (see services/damageReportService.js).
+ * Every status change is a damage_report_events row, parts and labour are damage_repair_log rows,
+ * and damage_report_photos points at the photo files on disk (DAMAGE_PHOTO_DIR).
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('damage_reports', 'category', "TEXT DEFAULT 'other'");
+    await schema.addColumnIfMissing('damage_reports', 'severity', "TEXT DEFAULT 'medium'");
+    await schema.addColumnIfMissing('damage_reports', 'technician', 'TEXT');
+    await schema.addColumnIfMissing('damage_reports', 'updated_at', 'DATETIME');
+    await schema.addColumnIfMissing('damage_reports', 'resolution_note', 'TEXT');
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS damage_report_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        operator_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (report_id) REFERENCES damage_reports (id),
+        FOREIGN KEY (operator_id) REFERENCES users (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_damage_report_events_report ON damage_report_events (report_id)');
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS damage_repair_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        entry_type TEXT NOT NULL,
+        description TEXT NOT NULL,
+        quantity INTEGER,
+        unit_cost DECIMAL(10,2),
+        minutes INTEGER,
+        logged_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (report_id) REFERENCES damage_reports (id),
+        FOREIGN KEY (logged_by) REFERENCES users (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_damage_repair_log_report ON damage_repair_log (report_id)');
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS damage_report_photos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (report_id) REFERENCES damage_reports (id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_damage_report_photos_report ON damage_report_photos (report_id)');
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS damage_report_photos');
+    await schema.run('DROP TABLE IF EXISTS damage_repair_log');
+    await schema.run('DROP TABLE IF EXISTS damage_report_events');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN resolution_note');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN updated_at');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN technician');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN severity');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN category');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * Migration 022 - Issue reports on docked bikes
+ *
+ * Riders can report a docked bike they are not renting (source 'issue'; reports that end a rental are
+ * 'rental'). A rider reporting a bike that already has an open report is added to that report's
+ * damage_report_reporters instead of opening another one; the bike goes to maintenance once
+ * DAMAGE_ISSUE_REPORT_THRESHOLD different riders have reported it. Existing reports get their
+ * original reporter as the first row.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('damage_reports', 'source', "TEXT DEFAULT 'rental'");
+
+    await schema.run(`CREATE TABLE IF NOT EXISTS damage_report_reporters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        report_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        username TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (report_id, user_id),
+        FOREIGN KEY (report_id) REFERENCES damage_reports (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`);
+
+    await schema.run(`INSERT OR IGNORE INTO damage_report_reporters (report_id, user_id, username, description, created_at)
+                      SELECT id, user_id, username, description, reported_at FROM damage_reports`);
+}
+
+async function down(schema) {
+    await schema.run('DROP TABLE IF EXISTS damage_report_reporters');
+    await schema.run('ALTER TABLE damage_reports DROP COLUMN source');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+/**
+ * Migration 023 - Where stations and bikes came from
+ *
+ * origin is 'config' for rows seeded or reloaded from stations-config.json and 'operator' for rows
+ * created through the API (POST /api/stations, POST /api/bikes). Config reloads only retire
+ * 'config' rows, so operator-created inventory survives a reload.
+ *
+ * Stations were only ever written from the config file, so existing ones are 'config'. Existing
+ * bikes cannot be told apart and start as 'operator'; the next reload claims the ones the file
+ * still lists.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('stations', 'origin', "TEXT DEFAULT 'operator'");
+    await schema.addColumnIfMissing('r_bms_bikes', 'origin', "TEXT DEFAULT 'operator'");
+
+    await schema.run("UPDATE stations SET origin = 'config'");
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE r_bms_bikes DROP COLUMN origin');
+    await schema.run('ALTER TABLE stations DROP COLUMN origin');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+/**
+ * Migration 024 - Maintenance owed by a held bike
+ *
+ * When enough riders report a bike that is reserved, it cannot be taken out of service without
+ * breaking the reservation. r_bms_bikes.maintenance_due_at records that it is owed; the bike goes
+ * to maintenance instead of back to available when the hold ends (cancelled, expired or released,
+ * or the holder's rental ends), see services/bikeStateService.js.
+ */
+
+async function up(schema) {
+    await schema.addColumnIfMissing('r_bms_bikes', 'maintenance_due_at', 'DATETIME');
+}
+
+async function down(schema) {
+    await schema.run('ALTER TABLE r_bms_bikes DROP COLUMN maintenance_due_at');
+}
+
+module.exports = { up, down };
@@ -10,16 +10,32 @@
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 require('dotenv').config();
 
 // Import our organized modules
 const Database = require('./config/database');
 const BMSService = require('./services/bmsService');
 const ReservationService = require('./services/reservationService');
+const BikeStateService = require('./services/bikeStateService');
+const IdempotencyService = require('./services/idempotencyService');
 const FlexDollarsService = require('./src/services/flexDollarsService');
 const LoyaltyService = require('./services/loyaltyService');
+const TokenService = require('./services/tokenService');
+const PricingService = require('./services/pricingService');
+const RouteService = require('./services/routeService');
+const EventStreamService = require('./services/eventStreamService');
+const RebalancingService = require('./services/rebalancingService');
+const ForecastService = require('./services/forecastService');
+const PaymentService = require('./services/paymentService');
+const DisputeService = require('./services/disputeService');
+const StatementService = require('./services/statementService');
+const TaxService = require('./services/taxService');
+const PromoService = require('./services/promoService');
+const DamageReportService = require('./services/damageReportService');
+const PaymentGateway = require('./services/paymentGateway');
 const createReservationRoutes = require('./routes/reservations');
+const { hashPassword, verifyPassword, needsRehash } = require('./utils/password');
+const { IDEMPOTENCY_CONFIG, PAYMENT_GATEWAY_CONFIG, RENTAL_PAYMENT_CONFIG, FLEX_DOLLARS_CONFIG, LOYALTY_CONFIG, DAMAGE_CONFIG } = require('./config/constants');
 
 // Import BMS components for R-BMS-02 implementation
 const BMSManager = require('./src/bms/BMSManager');
@@ -27,73 +43,30 @@ const ConfigDatabaseService = require('./src/services/configDatabaseService');
 
 // Import authentication middleware
 const { 
+    setTokenService,
     authenticateUser, 
+    authenticateStreamTicket,
     requireRole, 
     requireRider, 
     requireOperator, 
     requireRiderOrOperator,
-    requireOwnershipOrOperator 
+    requireOwnershipOrOperator,
+    requireOwnAccountOrOperator
 } = require('./middleware/auth');
+const { setIdempotencyService, idempotent } = require('./middleware/idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
+// Damage reports carry base64 photos, so they get a larger body limit than the rest of the API
+app.use(['/api/bikes/:id/report-damage', '/api/bikes/:id/report-issue'], express.json({ limit: DAMAGE_CONFIG.MAX_REQUEST_SIZE }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Global variables for services
-let db, bmsService, reservationService, bmsManager, configDatabaseService, flexDollarsService,loyaltyService;
-
-// Billing calculation function
-function calculateRentalCost(startTime, endTime, bikeType) {
-    const startDateTime = new Date(startTime);
-    const endDateTime = new Date(endTime);
-    
-    // Calculate duration in minutes
-    const durationMs = endDateTime - startDateTime;
-    const durationMinutes = Math.ceil(durationMs / (1000 * 60)); // Round up to next minute
-    
-    // Pricing: standard bikes = $0.10/min, e-bikes = $0.25/min
-    const ratePerMinute = bikeType === 'e-bike' ? 0.25 : 0.10;
-    
-    const totalCost = durationMinutes * ratePerMinute;
-    
-    return {
-        durationMinutes,
-        ratePerMinute,
-        totalCost: Math.round(totalCost * 100) / 100 // Round to 2 decimal places
-    };
-}
-
-// Pricing plans (publicly visible) - R-PRC-01
-const PRICING_PLANS = [
-    {
-        id: 'payg_standard',
-        name: 'Pay-as-you-go (Standard)',
-        description: 'No monthly fee. Base fee + per-minute rate for standard bikes.',
-        baseFee: 0.0,
-        ratePerMinute: 0.10,
-        eBikeSurchargePerMinute: 0.15 // applied in addition to standard rate for e-bikes
-    },
-    {
-        id: 'payg_ebike',
-        name: 'Pay-as-you-go (E-Bike)',
-        description: 'No monthly fee. Base fee + per-minute rate for e-bikes.',
-        baseFee: 0.0,
-        ratePerMinute: 0.25,
-        eBikeSurchargePerMinute: 0.0
-    },
-    {
-        id: 'monthly_basic',
-        name: 'Monthly Basic',
-        description: 'Low monthly fee + discounted per-minute rate. Good for frequent riders.',
-        baseFee: 9.99,
-        ratePerMinute: 0.06,
-        eBikeSurchargePerMinute: 0.10
-    }
-];
+let db, bmsService, reservationService, bmsManager, configDatabaseService, flexDollarsService,loyaltyService, tokenService, pricingService, routeService, eventStreamService, rebalancingService, forecastService, bikeStateService, idempotencyService, paymentService, disputeService, statementService, taxService, promoService, damageReportService;
 
 // Business Rule: Check if user has active rental
 function checkUserActiveRental(userId) {
@@ -114,21 +87,7 @@ function checkUserActiveRental(userId) {
 
 // Business Rule: Check if user has active reservation
 function checkUserActiveReservation(userId) {
-    return new Promise((resolve, reject) => {
-        db.get(
-            `SELECT * FROM r_bms_bikes 
-             WHERE reserved_by_user_id = ? AND status = 'reserved' 
-             AND (reservation_expiry IS NULL OR reservation_expiry > datetime('now'))`,
-            [userId],
-            (err, reservation) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(reservation);
-                }
-            }
-        );
-    });
+    return bikeStateService.getActiveReservation(userId);
 }
 
 // Business Rule: Validate user can rent (no active rental, no active reservation OR reservation is for the same bike)
@@ -211,20 +170,6 @@ async function initializeApp() {
         // Initialize database
         const database = new Database();
         db = await database.connect();
-        // Ensure rentals table has end_station_id column for billing (safe to run even if column exists)
-        try {
-            db.run('ALTER TABLE rentals ADD COLUMN end_station_id TEXT', [], (colErr) => {
-                if (colErr) {
-                    // Most likely the column already exists; ignore
-                    // Log at debug level
-                    console.debug('Rental end_station_id column add skipped or failed (likely exists):', colErr.message);
-                } else {
-                    console.log('Added end_station_id column to rentals table');
-                }
-            });
-        } catch (err) {
-            console.debug('Ignore error adding end_station_id column:', err && err.message ? err.message : err);
-        }
         
         // Helper function to log user activities (global scope for access across all functions)
         logUserActivity = (userId, type, bikeId, stationId = null, details = {}) => {
@@ -237,47 +182,78 @@ async function initializeApp() {
                 details: JSON.stringify(details)
             };
 
-            // Insert into user_activities table (create table if it doesn't exist)
-            db.run(`CREATE TABLE IF NOT EXISTS user_activities (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                activity_type TEXT NOT NULL,
-                bike_id TEXT,
-                station_id TEXT,
-                timestamp TEXT NOT NULL,
-                details TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`, (createErr) => {
-                if (!createErr) {
-                    db.run(`INSERT INTO user_activities (user_id, activity_type, bike_id, station_id, timestamp, details)
-                            VALUES (?, ?, ?, ?, ?, ?)`,
-                        [activity.user_id, activity.activity_type, activity.bike_id, activity.station_id, activity.timestamp, activity.details],
-                        (insertErr) => {
-                            if (insertErr) {
-                                console.error('Error logging user activity:', insertErr);
-                            } else {
-                                console.log(`Activity logged: ${type} for user ${userId}, bike ${bikeId}`);
-                            }
-                        }
-                    );
+            db.run(`INSERT INTO user_activities (user_id, activity_type, bike_id, station_id, timestamp, details)
+                    VALUES (?, ?, ?, ?, ?, ?)`,
+                [activity.user_id, activity.activity_type, activity.bike_id, activity.station_id, activity.timestamp, activity.details],
+                (insertErr) => {
+                    if (insertErr) {
+                        console.error('Error logging user activity:', insertErr);
+                    } else {
+                        console.log(`Activity logged: ${type} for user ${userId}, bike ${bikeId}`);
+                    }
                 }
-            });
+            );
         };
         
         // Initialize services
         bmsService = new BMSService(db);
         reservationService = new ReservationService(db, bmsService);
+        
+        // Reservations, rentals and docking: the single transactional store for bike runtime state
+        bikeStateService = new BikeStateService(db);
         loyaltyService = new LoyaltyService(db);
+        await loyaltyService.loadTiers();
+        
+        // R-PRC-01: Rental pricing from persisted plans and rider subscriptions
+        pricingService = new PricingService(db);
+        
+        // Trip GPS tracks and route summaries
+        routeService = new RouteService(db);
+        
+        // Station demand forecasts from rental history
+        forecastService = new ForecastService(db);
+        
+        // Initialize token service and hand it to the auth middleware
+        tokenService = new TokenService(db);
+        setTokenService(tokenService);
+        
+        // Stored responses for retried charge/rent/return/reserve requests (Idempotency-Key)
+        idempotencyService = new IdempotencyService(db);
+        setIdempotencyService(idempotencyService);
         
         // Initialize Flex Dollars Service (DM-03, DM-04)
         flexDollarsService = new FlexDollarsService(db);
         
+        // Sales tax in the configured jurisdiction (TAX_JURISDICTION)
+        taxService = new TaxService(db);
+        
+        // Rental charges: flex dollars first, then taxes, then the card through the configured gateway
+        paymentService = new PaymentService(db, PaymentGateway.createPaymentGateway(PAYMENT_GATEWAY_CONFIG.PROVIDER), flexDollarsService, { taxService });
+        
+        // Rider disputes of paid charges, refunded to the card or to flex dollars by operators
+        disputeService = new DisputeService(db, paymentService, flexDollarsService);
+        statementService = new StatementService(db, pricingService);
+        
+        // Operator promo codes and rider referral codes, credited as flex dollars
+        promoService = new PromoService(db, flexDollarsService, pricingService);
+
+        // Damage reports with photos on disk, triaged and repaired by operators
+        damageReportService = new DamageReportService(db);
+        
         // Initialize BMS Manager for R-BMS-02 compliance
         bmsManager = new BMSManager();
         
         // Connect FlexDollarsService to BMSManager for flex dollars rewards
         bmsManager.setFlexDollarsService(flexDollarsService);
         
+        // Stream BMS events (occupancy, bike status, reservation expiry, damage reports) over SSE
+        eventStreamService = new EventStreamService();
+        eventStreamService.attachToBMSManager(bmsManager);
+        eventStreamService.startHeartbeat();
+        
+        // Operator rebalancing plans from live occupancy and recent rental flows
+        rebalancingService = new RebalancingService(db, bmsManager);
+        
         // R-BMS-01: Initialize Configuration Database Service
         configDatabaseService = new ConfigDatabaseService(db);
         
@@ -285,19 +261,7 @@ async function initializeApp() {
         const configSummary = await initializeFromConfig();
 
         // Always populate bmsManager with all stations and bikes from config
-        if (configDatabaseService && configDatabaseService.stations && configDatabaseService.bikes) {
-            bmsManager.stations.clear();
-            bmsManager.bikes.clear();
-            for (const [stationId, station] of configDatabaseService.stations) {
-                bmsManager.stations.set(stationId, station);
-            }
-            for (const [bikeId, bike] of configDatabaseService.bikes) {
-                bmsManager.bikes.set(bikeId, bike);
-            }
-            console.log('✅ bmsManager populated with all stations and bikes from config');
-        } else {
-            console.error('❌ Could not load stations/bikes from config. No stations will be available.');
-        }
+        populateBMSManagerFromConfig();
         
         // Setup routes
         setupRoutes();
@@ -331,6 +295,23 @@ async function initializeFromConfig() {
     }
 }
 
+// R-BMS-01: Mirror the ConfigDatabaseService inventory into bmsManager
+function populateBMSManagerFromConfig() {
+    if (configDatabaseService && configDatabaseService.stations && configDatabaseService.bikes) {
+        bmsManager.stations.clear();
+        bmsManager.bikes.clear();
+        for (const [stationId, station] of configDatabaseService.stations) {
+            bmsManager.stations.set(stationId, station);
+        }
+        for (const [bikeId, bike] of configDatabaseService.bikes) {
+            bmsManager.bikes.set(bikeId, bike);
+        }
+        console.log('✅ bmsManager populated with all stations and bikes from config');
+    } else {
+        console.error('❌ Could not load stations/bikes from config. No stations will be available.');
+    }
+}
+
 // Initialize BMS demo data for R-BMS-02 testing
 function initializeBMSDemo() {
     console.log('Initializing BMS demo data for R-BMS-02...');
@@ -430,32 +411,10 @@ async function addSampleRentalHistory() {
     }
 }
 
-function setupRoutes() {
-    // Basic info endpoint
-    app.get('/', (req, res) => {
-        res.json({ 
-            message: 'CodeBusters BMS API Server with R-BMS-02 Implementation', 
-            version: '2.0.0',
-            endpoints: [
-                'POST /api/bikes/:id/reserve - Reserve a bike',
-                'POST /api/bikes/:id/return - Return a bike',
-                'GET /api/users/:id/reservation - Check reservation status',
-                'GET /api/transitions - View state transition history',
-                'GET /api/bikes - Get all bikes',
-                'GET /api/users - Get all users',
-                'GET /api/stations - Get all stations (R-BMS-02)',
-                'GET /api/stations/:id - Get station details (R-BMS-02)',
-                'POST /api/stations - Add new station (R-BMS-02)',
-                'POST /api/rent - Checkout bike (Business Rule: → on_trip; decrement count)',
-                'POST /api/return - Return bike (Business Rule: → available; increment count)',
-                'POST /api/manual-move - Manual move bike A→B (Business Rule: atomic decrement/increment)',
-                'GET /api/bms/overview - System overview with occupancy accounting'
-            ]
-        });
-    });
-
-    // Helper function to update station status based on bike count
-    function updateStationStatus(stationId) {
+// Helper function to update station status based on bike count and publish the station's occupancy.
+// Resolves once the status is written, so callers can respond after it; errors are logged, not thrown.
+function updateStationStatus(stationId) {
+    return new Promise((resolve) => {
         // Get bike count for this station
         db.all(
             'SELECT status FROM r_bms_bikes WHERE station_id = ?',
@@ -463,9 +422,9 @@ function setupRoutes() {
             (err, bikes) => {
                 if (err) {
                     console.error('Error getting bike count for station:', err);
-                    return;
+                    return resolve();
                 }
-                
+            
                 // Get station capacity
                 db.get(
                     'SELECT capacity, status FROM stations WHERE id = ?',
@@ -473,19 +432,26 @@ function setupRoutes() {
                     (err, station) => {
                         if (err || !station) {
                             console.error('Error getting station info:', err);
-                            return;
+                            return resolve();
                         }
-                        
-                        // Don't change status if station is out of service
-                        if (station.status === 'out_of_service') {
-                            return;
-                        }
-                        
+                    
                         // Count only available and reserved bikes as "docked"
                         const dockedCount = bikes.filter(b => 
                             b.status === 'available' || b.status === 'reserved'
                         ).length;
-                        
+                        const occupancy = {
+                            capacity: station.capacity,
+                            bikesDocked: dockedCount,
+                            bikesAvailable: bikes.filter(b => b.status === 'available').length,
+                            freeDocks: Math.max(0, station.capacity - dockedCount)
+                        };
+                    
+                        // Don't change status if station is out of service
+                        if (station.status === 'out_of_service') {
+                            bmsManager.publishStationOccupancy(stationId, { ...occupancy, status: station.status });
+                            return resolve();
+                        }
+                    
                         // Determine new status
                         let newStatus;
                         if (dockedCount === 0) {
@@ -495,7 +461,7 @@ function setupRoutes() {
                         } else {
                             newStatus = 'occupied';
                         }
-                        
+                    
                         // Update station status if it changed
                         if (newStatus !== station.status) {
                             db.run(
@@ -506,21 +472,64 @@ function setupRoutes() {
                                         console.error('Error updating station status:', err);
                                     } else {
                                         console.log(`✅ Station ${stationId} status auto-updated: ${station.status} → ${newStatus}`);
-                                        
+                                    
                                         // Update BMSManager in-memory state
                                         const stationObj = bmsManager.stations.get(stationId);
                                         if (stationObj) {
                                             stationObj.status = newStatus;
                                         }
                                     }
+                                    bmsManager.publishStationOccupancy(stationId, { ...occupancy, status: newStatus });
+                                    resolve();
                                 }
                             );
+                        } else {
+                            bmsManager.publishStationOccupancy(stationId, { ...occupancy, status: newStatus });
+                            resolve();
                         }
                     }
                 );
             }
         );
-    }
+    });
+}
+
+function setupRoutes() {
+    // Basic info endpoint
+    app.get('/', (req, res) => {
+        res.json({ 
+            message: 'CodeBusters BMS API Server with R-BMS-02 Implementation', 
+            version: '2.0.0',
+            endpoints: [
+                'POST /api/bikes/:id/reserve - Reserve a bike',
+                'POST /api/bikes/:id/return - Return a bike',
+                'GET /api/users/:id/reservation - Check reservation status',
+                'GET /api/transitions - View state transition history',
+                'GET /api/bikes - Get all bikes',
+                'GET /api/users - Get all users',
+                'GET /api/stations - Get all stations (R-BMS-02)',
+                'GET /api/stations/:id - Get station details (R-BMS-02)',
+                'POST /api/stations - Add new station (R-BMS-02)',
+                'POST /api/rent - Checkout bike (Business Rule: → on_trip; decrement count)',
+                'POST /api/return - Return bike (Business Rule: → available; increment count)',
+                'POST /api/manual-move - Manual move bike A→B (Business Rule: atomic decrement/increment)',
+                'GET /api/operator/rebalancing-plan - Suggested bike moves and van route (operator)',
+                'POST /api/operator/rebalancing-plan/execute - Run accepted moves as a batch (operator)',
+                'GET /api/bms/overview - System overview with occupancy accounting'
+            ]
+        });
+    });
+
+    // Short-lived ticket for opening the event stream (EventSource cannot send the Authorization header)
+    app.post('/api/events/ticket', authenticateUser, (req, res) => {
+        res.json({ success: true, ...tokenService.issueStreamTicket(req.user) });
+    });
+
+    // Real-time BMS events over Server-Sent Events (?ticket=..., optional &types=station_occupancy,bike_status)
+    app.get('/api/events', authenticateStreamTicket, (req, res) => {
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+        eventStreamService.addClient(req, res, req.user, types);
+    });
 
     // BMS Routes
     app.use('/api', createReservationRoutes(reservationService, bmsService));
@@ -563,7 +572,7 @@ function setupRoutes() {
 
     // Get all rentals for operators (Analytics/ManageRides)
     app.get('/api/rentals/all', authenticateUser, requireOperator, (req, res) => {
-        console.log('Fetching all rentals for operator:', req.headers['x-username']);
+        console.log('Fetching all rentals for operator:', req.user.username);
         db.all(`
             SELECT 
                 r.id as rental_id,
@@ -592,13 +601,14 @@ function setupRoutes() {
     });
 
     // Public pricing endpoint - R-PRC-01
-    app.get('/api/pricing', (req, res) => {
+    app.get('/api/pricing', async (req, res) => {
         try {
             // Expose pricing plans without requiring authentication
+            const plans = await pricingService.listPlans();
             res.json({
                 success: true,
                 message: 'Available pricing plans',
-                plans: PRICING_PLANS
+                plans: plans
             });
         } catch (error) {
             console.error('Error retrieving pricing plans:', error);
@@ -606,6 +616,123 @@ function setupRoutes() {
         }
     });
 
+    // Public sales tax rates, by jurisdiction; `current` marks the one charges are taxed in
+    app.get('/api/taxes', async (req, res) => {
+        try {
+            const jurisdictions = await taxService.listJurisdictions();
+            res.json({ success: true, jurisdiction: taxService.jurisdiction, jurisdictions });
+        } catch (error) {
+            console.error('Error retrieving tax rates:', error);
+            res.status(500).json({ success: false, message: 'Error retrieving tax rates' });
+        }
+    });
+
+    // Current rider's plan subscription - R-PRC-01
+    app.get('/api/subscriptions/current', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const subscription = await pricingService.getActiveSubscription(req.user.id);
+            const plan = subscription ? subscription.plan : await pricingService.getDefaultPlan();
+            res.json({
+                success: true,
+                subscription: subscription,
+                plan: plan
+            });
+        } catch (error) {
+            console.error('Error retrieving subscription:', error);
+            res.status(500).json({ success: false, message: 'Error retrieving subscription' });
+        }
+    });
+
+    // Subscribe to a pricing plan (replaces any active subscription) - R-PRC-01
+    app.post('/api/subscriptions', authenticateUser, requireRider, async (req, res) => {
+        const { planId } = req.body;
+
+        if (!planId) {
+            return res.status(400).json({ success: false, message: 'planId is required', error: 'MISSING_FIELDS' });
+        }
+
+        try {
+            const subscription = await pricingService.subscribe(req.user.id, planId);
+            console.log(`User ${req.user.id} subscribed to plan ${planId}`);
+            res.status(201).json({
+                success: true,
+                message: `Subscribed to ${subscription.plan.name}`,
+                subscription: subscription
+            });
+        } catch (error) {
+            if (error instanceof PricingService.PricingError) {
+                const status = error.code === 'PLAN_NOT_FOUND' ? 404 : 409;
+                return res.status(status).json({ success: false, message: error.message, error: error.code });
+            }
+            console.error('Error creating subscription:', error);
+            res.status(500).json({ success: false, message: 'Error creating subscription' });
+        }
+    });
+
+    // Cancel the current subscription; rentals fall back to the default plan - R-PRC-01
+    app.post('/api/subscriptions/cancel', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const subscription = await pricingService.cancelSubscription(req.user.id);
+            console.log(`User ${req.user.id} cancelled plan ${subscription.planId}`);
+            res.json({
+                success: true,
+                message: `Subscription to ${subscription.plan ? subscription.plan.name : subscription.planId} cancelled`,
+                subscription: subscription
+            });
+        } catch (error) {
+            if (error instanceof PricingService.PricingError) {
+                return res.status(404).json({ success: false, message: error.message, error: error.code });
+            }
+            console.error('Error cancelling subscription:', error);
+            res.status(500).json({ success: false, message: 'Error cancelling subscription' });
+        }
+    });
+
+    // Record a batch of GPS points for the rider's active rental
+    app.post('/api/rentals/:id/track', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const result = await routeService.addTrackPoints(req.params.id, req.user.id, req.body.points);
+            res.status(201).json({
+                success: true,
+                message: `Recorded ${result.accepted} points`,
+                ...result
+            });
+        } catch (error) {
+            if (error instanceof RouteService.RouteError) {
+                const status = {
+                    RENTAL_NOT_FOUND: 404,
+                    NOT_RENTAL_OWNER: 403,
+                    RENTAL_NOT_ACTIVE: 409
+                }[error.code] || 400;
+                return res.status(status).json({ success: false, message: error.message, error: error.code });
+            }
+            console.error('Error recording track points:', error);
+            res.status(500).json({ success: false, message: 'Error recording track points' });
+        }
+    });
+
+    // Route of a rental as a GeoJSON Feature (the rider who took it, or an operator)
+    app.get('/api/rentals/:id/route', authenticateUser, async (req, res) => {
+        try {
+            const route = await routeService.getRouteGeoJSON(req.params.id);
+            const isOperator = ['operator', 'dual', 'admin'].includes(req.user.role);
+            if (!isOperator && String(route.properties.userId) !== String(req.user.id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only view routes of your own rentals',
+                    error: 'INSUFFICIENT_PERMISSIONS'
+                });
+            }
+            res.type('application/geo+json').json(route);
+        } catch (error) {
+            if (error instanceof RouteService.RouteError) {
+                return res.status(404).json({ success: false, message: error.message, error: error.code });
+            }
+            console.error('Error retrieving rental route:', error);
+            res.status(500).json({ success: false, message: 'Error retrieving rental route' });
+        }
+    });
+
     // Billing history for a user (riders only) - R-PRC-04 / R-PRC-05
     // DM-03, DM-04: Include flex dollars applied information
     app.get('/api/users/:userId/billing', authenticateUser, requireRider, (req, res) => {
@@ -620,66 +747,64 @@ function setupRoutes() {
         const limit = req.query.limit ? parseInt(req.query.limit) : 50;
         const offset = req.query.offset ? parseInt(req.query.offset) : 0;
 
-        // Ensure payments table exists for flex dollars tracking
-        db.run(`CREATE TABLE IF NOT EXISTS payments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            rental_id INTEGER,
-            user_id INTEGER,
-            amount REAL,
-            flex_dollars_applied REAL DEFAULT 0,
-            amount_due_after_flex REAL,
-            method TEXT,
-            status TEXT,
-            created_at TEXT
-        )`, (createErr) => {
-            if (createErr) {
-                console.error('Error creating payments table:', createErr);
-                // Continue anyway, table might already exist
+        // Query completed rentals for user and include start/end station names and flex dollars applied
+        // Bike type and the pricing applied are stored on the rental
+        db.all(`
+            SELECT 
+                r.id,
+                r.bike_id,
+                r.bike_type,
+                r.pricing_plan_id,
+                r.base_fee,
+                r.rate_per_minute,
+                r.billable_minutes,
+                r.start_time,
+                r.end_time,
+                r.total_cost,
+                r.station_id AS start_station_id,
+                s1.name AS start_station_name,
+                r.end_station_id AS end_station_id,
+                s2.name AS end_station_name,
+                COALESCE(p.flex_dollars_applied, 0) as flex_dollars_applied,
+                p.amount_due_after_flex,
+                p.tax_jurisdiction,
+                p.tax_amount,
+                p.tax_lines,
+                p.id as payment_id,
+                p.status as payment_status
+            FROM rentals r
+            LEFT JOIN stations s1 ON r.station_id = s1.id
+            LEFT JOIN stations s2 ON r.end_station_id = s2.id
+            LEFT JOIN payments p ON r.id = p.rental_id AND p.status IN ('captured', 'refunded')
+            WHERE r.user_id = ? AND r.status = 'completed'
+            ORDER BY r.start_time DESC
+            LIMIT ? OFFSET ?
+        `, [userId, limit, offset], async (err, rows) => {
+            if (err) {
+                console.error('Error fetching billing history:', err);
+                return res.status(500).json({ success: false, message: 'Database error fetching billing history', error: err.message });
             }
 
-            // Query completed rentals for user and include start/end station names and flex dollars applied
-            // Note: We don't JOIN to r_bms_bikes as it may not have all bike types
-            db.all(`
-                SELECT 
-                    r.id,
-                    r.bike_id,
-                    r.start_time,
-                    r.end_time,
-                    r.total_cost,
-                    r.station_id AS start_station_id,
-                    s1.name AS start_station_name,
-                    r.end_station_id AS end_station_id,
-                    s2.name AS end_station_name,
-                    COALESCE(p.flex_dollars_applied, 0) as flex_dollars_applied,
-                    p.amount_due_after_flex,
-                    p.status as payment_status
-                FROM rentals r
-                LEFT JOIN stations s1 ON r.station_id = s1.id
-                LEFT JOIN stations s2 ON r.end_station_id = s2.id
-                LEFT JOIN payments p ON r.id = p.rental_id AND p.status = 'paid'
-                WHERE r.user_id = ? AND r.status = 'completed'
-                ORDER BY r.start_time DESC
-                LIMIT ? OFFSET ?
-            `, [userId, limit, offset], (err, rows) => {
-                if (err) {
-                    console.error('Error fetching billing history:', err);
-                    return res.status(500).json({ success: false, message: 'Database error fetching billing history', error: err.message });
-                }
+            let disputes;
+            try {
+                disputes = await disputeService.latestDisputes(rows.map(row => row.payment_id).filter(Boolean));
+            } catch (disputeErr) {
+                console.error('Error fetching billing disputes:', disputeErr);
+                return res.status(500).json({ success: false, message: 'Database error fetching billing history', error: disputeErr.message });
+            }
 
-                // For each rental attempt to compute deterministic breakdown using calculateRentalCost
-                const results = rows.map(row => {
-                    // Determine bike type from bike_id pattern
-                    const bikeIdStr = String(row.bike_id || '');
-                    const bikeIdNum = parseInt(bikeIdStr.replace('BIKE', ''));
-                    const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                    const bikeType = eBikeIds.includes(bikeIdNum) ? 'electric' : 'standard';
+            // Each breakdown comes from the pricing stored on the rental when it was returned
+            let results;
+            try {
+                results = await Promise.all(rows.map(async row => {
+                    const bikeType = PricingService.isEBike(row.bike_type) ? 'electric' : 'standard';
 
-                    const breakdown = row.end_time && row.start_time ? calculateRentalCost(row.start_time, row.end_time, bikeType) : null;
+                    const breakdown = pricingService.rentalBreakdown(row);
                     const flexDollarsApplied = Number(row.flex_dollars_applied) || 0;
-                    
-                    // If payment status is 'paid', amount due is 0, otherwise use stored value or calculate
+                
+                    // If the rental was paid (even if later refunded), amount due is 0, otherwise use stored value or calculate
                     let amountDueAfterFlex;
-                    if (row.payment_status === 'paid') {
+                    if (row.payment_status === 'captured' || row.payment_status === 'refunded') {
                         amountDueAfterFlex = 0;
                     } else if (row.amount_due_after_flex !== null && row.amount_due_after_flex !== undefined) {
                         amountDueAfterFlex = Number(row.amount_due_after_flex);
@@ -687,6 +812,15 @@ function setupRoutes() {
                         amountDueAfterFlex = null;
                     }
 
+                    const totalCost = row.total_cost != null ? Number(row.total_cost) : (breakdown ? breakdown.totalCost : null);
+                    // Paid charges show the taxes stored with them; unpaid ones an estimate at today's rates
+                    let taxes = null;
+                    if (row.payment_id) {
+                        taxes = TaxService.paymentTaxes(row);
+                    } else if (totalCost != null) {
+                        taxes = { ...await taxService.calculateTaxes(totalCost - flexDollarsApplied), estimated: true };
+                    }
+
                     return {
                         rentalId: row.id,
                         bikeId: row.bike_id,
@@ -698,197 +832,202 @@ function setupRoutes() {
                             name: row.start_station_name || null
                         },
                         arrivalStation: row.end_station_id ? { id: row.end_station_id, name: row.end_station_name || null } : null,
-                        totalCost: row.total_cost != null ? Number(row.total_cost) : (breakdown ? breakdown.totalCost : null),
+                        totalCost: totalCost,
                         breakdown: breakdown,
                         flexDollarsApplied: flexDollarsApplied,
                         amountDueAfterFlex: amountDueAfterFlex,
-                        paymentStatus: row.payment_status || null
+                        // Sales tax lines on what was left after flex dollars
+                        taxes: taxes,
+                        paymentId: row.payment_id || null,
+                        paymentStatus: row.payment_status || null,
+                        // Latest dispute of this charge, if any
+                        dispute: disputes.get(row.payment_id) || null
                     };
-                });
+                }));
+            } catch (taxErr) {
+                console.error('Error estimating billing taxes:', taxErr);
+                return res.status(500).json({ success: false, message: 'Database error fetching billing history', error: taxErr.message });
+            }
 
-                res.json({ success: true, total: results.length, billing: results });
-            });
+            res.json({ success: true, total: results.length, billing: results });
         });
     });
 
-            // Payment processing stub (riders only) - lightweight interface to external payment service
-            // DM-03, DM-04: Automatically applies flex dollars to rental charges
-            app.post('/api/payments/charge', authenticateUser, requireRider, async (req, res) => {
-                const { rentalId, method = 'card' } = req.body;
-                const headerUserId = req.user && req.user.id ? String(req.user.id) : null;
+    const sendPaymentError = (res, error, fallbackMessage) => {
+        if (error instanceof PaymentService.PaymentError) {
+            const statuses = { PAYMENT_NOT_FOUND: 404, PAYMENT_IN_PROGRESS: 409, INVALID_PAYMENT_STATE: 409 };
+            return res.status(statuses[error.code] || 400).json({
+                success: false,
+                message: error.message,
+                error: error.code
+            });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
 
-                if (!rentalId) {
-                    return res.status(400).json({ success: false, message: 'rentalId is required' });
-                }
+    // Charge a completed rental (riders only) through the payment gateway
+    // DM-03, DM-04: Automatically applies flex dollars to rental charges
+    // Body: { rentalId, method?, card? } - card ({ number, expiryDate, holderName }) instead of the saved card
+    app.post('/api/payments/charge', authenticateUser, requireRider, idempotent, async (req, res) => {
+        const { rentalId, method = 'card', card = null } = req.body;
 
-                // Ensure payments table exists
-                db.run(`CREATE TABLE IF NOT EXISTS payments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    rental_id INTEGER,
-                    user_id INTEGER,
-                    amount REAL,
-                    flex_dollars_applied REAL DEFAULT 0,
-                    amount_due_after_flex REAL,
-                    discount_amount REAL DEFAULT 0,
-                    discount_percentage INTEGER DEFAULT 0,
-                    method TEXT,
-                    status TEXT,
-                    created_at TEXT
-                )`);
-
-                // Lookup rental
-                db.get('SELECT * FROM rentals WHERE id = ?', [rentalId], async (err, rental) => {
-                    if (err) {
-                        console.error('Error looking up rental for payment:', err);
-                        return res.status(500).json({ success: false, message: 'Database error' });
-                    }
+        if (!rentalId) {
+            return res.status(400).json({ success: false, message: 'rentalId is required' });
+        }
 
-                    if (!rental) {
-                        return res.status(404).json({ success: false, message: 'Rental not found' });
-                    }
+        try {
+            const rental = await new Promise((resolve, reject) => {
+                db.get('SELECT * FROM rentals WHERE id = ?', [rentalId], (err, row) => err ? reject(err) : resolve(row));
+            });
 
-                    if (String(rental.user_id) !== headerUserId) {
-                        return res.status(403).json({ success: false, message: 'Riders can only pay for their own rentals' });
-                    }
+            if (!rental) {
+                return res.status(404).json({ success: false, message: 'Rental not found' });
+            }
 
-                    if (rental.status !== 'completed') {
-                        return res.status(400).json({ success: false, message: 'Only completed rentals can be charged' });
-                    }
+            if (String(rental.user_id) !== String(req.user.id)) {
+                return res.status(403).json({ success: false, message: 'Riders can only pay for their own rentals' });
+            }
 
-                    const totalCost = Number(rental.total_cost || 0);
-                    let amount = Number(rental.total_cost || 0);
-                    let discountAmount = 0;
-                    let discountPercentage = 0;
+            if (rental.status !== 'completed') {
+                return res.status(400).json({ success: false, message: 'Only completed rentals can be charged' });
+            }
 
-                    if (totalCost <= 0) {
-                        return res.status(400).json({ success: false, message: 'Nothing to charge for this rental' });
-                    }
+            if (Number(rental.total_cost || 0) <= 0) {
+                return res.status(400).json({ success: false, message: 'Nothing to charge for this rental' });
+            }
 
-                    // Check for existing paid payment
-                    db.get('SELECT * FROM payments WHERE rental_id = ? AND status = ?', [rentalId, 'paid'], async (pErr, existingPayment) => {
-                        if (pErr) {
-                            console.error('Error checking existing payments:', pErr);
-                            return res.status(500).json({ success: false, message: 'Database error' });
-                        }
+            const { payment, alreadyPaid } = await paymentService.chargeRental(rental, { card, method });
+            const formatted = PaymentService.formatPayment(payment);
 
-                        if (existingPayment) {
-                            return res.json({ 
-                                success: true, 
-                                message: 'Rental already paid', 
-                                payment: existingPayment,
-                                flexDollarsApplied: existingPayment.flex_dollars_applied || 0
-                            });
-                        }
+            if (alreadyPaid) {
+                return res.json({ success: true, message: 'Rental already paid', payment: formatted });
+            }
 
-                        // DM-03, DM-04: Apply flex dollars to this rental charge
-                        try {
-                            const flexResult = await flexDollarsService.deductFlexDollars(
-                                rental.user_id,
-                                totalCost,
-                                `Payment for rental #${rentalId}`,
-                                rentalId
-                            );
+            // Declines, insufficient funds and timeouts leave the rental unpaid; the rider can retry
+            if (payment.status === PAYMENT_GATEWAY_CONFIG.STATUS.FAILED) {
+                return res.status(402).json({
+                    success: false,
+                    message: payment.failure_message,
+                    error: payment.failure_code,
+                    payment: formatted
+                });
+            }
 
-                            const flexDollarsApplied = flexResult.amountDeducted;
-                            const amountDueAfterFlex = flexResult.remainingBalance;
-
-                            console.log(`[PaymentRoute] flexResult for rental=${rentalId}:`, flexResult);
-                            console.log(`[PaymentRoute] computed flexDollarsApplied=${Number(flexDollarsApplied).toFixed(2)} amountDueAfterFlex=${Number(amountDueAfterFlex).toFixed(2)} totalCost=${totalCost.toFixed(2)}`);
-
-                            // Simulate external payment gateway call for remaining balance only
-                            const payment = {
-                                rental_id: rentalId,
-                                user_id: rental.user_id,
-                                amount: totalCost,
-                                flex_dollars_applied: flexDollarsApplied,
-                                amount_due_after_flex: amountDueAfterFlex,
-                                method: amountDueAfterFlex > 0 ? method : 'flex_dollars', // Method is flex_dollars if fully paid by flex
-                                status: 'paid',
-                                created_at: new Date().toISOString()
-                            };
-
-                            console.log('[PaymentRoute] payment object before DB insert:', payment);
-
-                            db.run('INSERT INTO payments (rental_id, user_id, amount, flex_dollars_applied, amount_due_after_flex, method, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                                [payment.rental_id, payment.user_id, payment.amount, payment.flex_dollars_applied, payment.amount_due_after_flex, payment.method, payment.status, payment.created_at], 
-                                function(insertErr) {
-                                    if (insertErr) {
-                                        console.error('Error recording payment:', insertErr);
-                                        return res.status(500).json({ success: false, message: 'Failed to record payment' });
-                                    }
+            let message = 'Payment processed successfully';
+            if (formatted.flexDollarsApplied > 0) {
+                message += ` - Applied $${formatted.flexDollarsApplied.toFixed(2)} flex dollars`;
+                if (formatted.amountDue > 0) {
+                    message += ` - $${formatted.amountDue.toFixed(2)} charged to card ending ${formatted.cardLast4}`;
+                } else {
+                    message += ' - Fully paid with flex dollars!';
+                }
+            } else {
+                message += ` - $${formatted.amountDue.toFixed(2)} charged to card ending ${formatted.cardLast4}`;
+            }
 
-                                    payment.id = this.lastID;
-                                    
-                                    let message = 'Payment processed successfully';
-                                    if (flexDollarsApplied > 0) {
-                                        message += ` - Applied $${flexDollarsApplied.toFixed(2)} flex dollars`;
-                                        if (amountDueAfterFlex > 0) {
-                                            message += ` - $${amountDueAfterFlex.toFixed(2)} charged to ${method}`;
-                                        } else {
-                                            message += ` - Fully paid with flex dollars!`;
-                                        }
-                                    }
-                                    
-                                    return res.json({ 
-                                        success: true, 
-                                        message: message, 
-                                        payment: {
-                                            id: payment.id,
-                                            rentalId: payment.rental_id,
-                                            totalCost: payment.amount,
-                                            flexDollarsApplied: payment.flex_dollars_applied,
-                                            amountDue: payment.amount_due_after_flex,
-                                            method: payment.method,
-                                            status: payment.status
-                                        }
-                                    });
-                                }
-                            );
-                        } catch (flexError) {
-                            console.error('Error applying flex dollars:', flexError);
-                            // If flex dollars fails, fall back to regular payment
-                            const payment = {
-                                rental_id: rentalId,
-                                user_id: rental.user_id,
-                                amount: totalCost,
-                                flex_dollars_applied: 0,
-                                amount_due_after_flex: totalCost,
-                                method: method,
-                                status: 'paid',
-                                created_at: new Date().toISOString()
-                            };
-
-                            db.run('INSERT INTO payments (rental_id, user_id, amount, flex_dollars_applied, amount_due_after_flex, method, status, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                                [payment.rental_id, payment.user_id, payment.amount, payment.flex_dollars_applied, payment.amount_due_after_flex, payment.method, payment.status, payment.created_at], 
-                                function(insertErr) {
-                                    if (insertErr) {
-                                        console.error('Error recording payment:', insertErr);
-                                        return res.status(500).json({ success: false, message: 'Failed to record payment' });
-                                    }
+            res.json({ success: true, message, payment: formatted });
+        } catch (error) {
+            sendPaymentError(res, error, 'Failed to process payment');
+        }
+    });
 
-                                    payment.id = this.lastID;
-                                    return res.json({ 
-                                        success: true, 
-                                        message: `Payment processed (flex dollars unavailable) - $${totalCost.toFixed(2)} charged to ${method}`, 
-                                        payment: {
-                                            id: payment.id,
-                                            rentalId: payment.rental_id,
-                                            totalCost: payment.amount,
-                                            flexDollarsApplied: 0,
-                                            amountDue: totalCost,
-                                            method: payment.method,
-                                            status: payment.status
-                                        }
-                                    });
-                                }
-                            );
-                        }
-                    });
-                });
+    const sendDisputeError = (res, error, fallbackMessage) => {
+        if (error instanceof DisputeService.DisputeError || error instanceof PaymentService.PaymentError) {
+            const statuses = {
+                PAYMENT_NOT_FOUND: 404,
+                DISPUTE_NOT_FOUND: 404,
+                DISPUTE_ALREADY_OPEN: 409,
+                DISPUTE_ALREADY_RESOLVED: 409,
+                INVALID_PAYMENT_STATE: 409
+            };
+            return res.status(statuses[error.code] || 400).json({ success: false, message: error.message, error: error.code });
+        }
+        // The card refund was refused; the dispute stays open so it can be retried
+        if (error instanceof PaymentGateway.PaymentGatewayError) {
+            return res.status(502).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
+
+    // Dispute one of the rider's paid charges
+    // Body: { reason, description? } - reason is one of DISPUTE_CONFIG.REASONS
+    app.post('/api/payments/:id/dispute', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const dispute = await disputeService.openDispute({
+                paymentId: parseInt(req.params.id),
+                userId: req.user.id,
+                reason: req.body.reason,
+                description: req.body.description ? String(req.body.description).trim() : null
+            });
+            res.status(201).json({
+                success: true,
+                message: 'Dispute submitted. An operator will review it.',
+                dispute
+            });
+        } catch (error) {
+            sendDisputeError(res, error, 'Failed to submit dispute');
+        }
+    });
+
+    const sendStatementError = (res, error, fallbackMessage) => {
+        if (error instanceof StatementService.StatementError) {
+            const status = error.code === 'PAYMENT_NOT_FOUND' || error.code === 'USER_NOT_FOUND' ? 404
+                : (error.code === 'RECEIPT_NOT_AVAILABLE' ? 409 : 400);
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage });
+    };
+
+    // Send a receipt or statement as an attachment: ?format=pdf (default) or ?format=csv
+    const sendDocument = (req, res, document, filename, { pdf, csv }) => {
+        const format = req.query.format || 'pdf';
+        if (format === 'csv') {
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.type('text/csv').send(csv(document));
+        }
+        if (format !== 'pdf') {
+            return res.status(400).json({ success: false, message: 'Format must be pdf or csv', error: 'INVALID_FORMAT' });
+        }
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.type('application/pdf').send(pdf(document));
+    };
+
+    // Receipt for a paid rental: trip, fare breakdown, tier discount, flex dollars, tax and card charge
+    app.get('/api/payments/:id/receipt', authenticateUser, async (req, res) => {
+        try {
+            const receipt = await statementService.getReceipt(parseInt(req.params.id));
+            // Riders only see their own receipts; anyone else's look like they don't exist
+            const isOperator = ['operator', 'dual', 'admin'].includes(req.user.role);
+            if (!isOperator && String(receipt.userId) !== String(req.user.id)) {
+                return res.status(404).json({ success: false, message: `Payment ${req.params.id} not found`, error: 'PAYMENT_NOT_FOUND' });
+            }
+            sendDocument(req, res, receipt, `receipt-${receipt.paymentId}`, {
+                pdf: doc => statementService.receiptPdf(doc),
+                csv: doc => statementService.receiptCsv(doc)
             });
+        } catch (error) {
+            sendStatementError(res, error, 'Failed to build receipt');
+        }
+    });
+
+    // Monthly statement of a rider's payments (the rider themselves, or an operator)
+    app.get('/api/users/:userId/statements/:month', authenticateUser, requireOwnershipOrOperator, async (req, res) => {
+        try {
+            const statement = await statementService.getMonthlyStatement(req.params.userId, req.params.month);
+            sendDocument(req, res, statement, `statement-${statement.month}`, {
+                pdf: doc => statementService.statementPdf(doc),
+                csv: doc => statementService.statementCsv(doc)
+            });
+        } catch (error) {
+            sendStatementError(res, error, 'Failed to build statement');
+        }
+    });
 
     // Get a single user's active rental (if any)
-    app.get('/api/users/:userId/rental', (req, res) => {
+    app.get('/api/users/:userId/rental', authenticateUser, requireOwnAccountOrOperator, (req, res) => {
         const { userId } = req.params;
 
         // Get active rental for user with station and bike info (without depending on r_bms_bikes)
@@ -909,13 +1048,12 @@ function setupRoutes() {
                 return res.json({ success: true, hasActiveRental: false, rental: null });
             }
 
-            // Determine bike type from ID
-            const bikeIdNum = parseInt(row.bike_id.replace('BIKE', ''));
-            const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-            const bikeType = eBikeIds.includes(bikeIdNum) ? 'e-bike' : 'standard';
+            // Bike type recorded when the rental started
+            const bikeType = PricingService.isEBike(row.bike_type) ? 'e-bike' : 'standard';
 
             // Map DB row to normalized rental object
             const rental = {
+                id: row.id,
                 bikeId: row.bike_id,
                 stationId: row.station_id,
                 stationName: row.stationName || 'Unknown Station',
@@ -954,19 +1092,25 @@ function setupRoutes() {
         let completedQueries = 0;
         const totalQueries = 3; // rentals, reservations, rental_starts
 
-        // 1. Get completed rentals (without depending on r_bms_bikes which might be cleared)
+        // 1. Get completed rentals (bike type and stations are stored on the rental)
         db.all(`
             SELECT 
                 r.id,
                 r.bike_id,
+                r.bike_type,
+                r.base_fee,
+                r.rate_per_minute,
+                r.billable_minutes,
                 r.start_time,
                 r.end_time,
                 r.total_cost,
                 r.status,
                 r.station_id as start_station_id,
-                s1.name as start_station_name
+                s1.name as start_station_name,
+                s2.name as end_station_name
             FROM rentals r
             LEFT JOIN stations s1 ON r.station_id = s1.id
+            LEFT JOIN stations s2 ON r.end_station_id = s2.id
             WHERE r.user_id = ? AND r.status = 'completed'
             ORDER BY r.end_time DESC
         `, [userId], (err, rentalRows) => {
@@ -982,18 +1126,8 @@ function setupRoutes() {
                     const hours = Math.floor(durationMinutes / 60);
                     const minutes = durationMinutes % 60;
 
-                    // Determine bike type from bike_id pattern
-                    // E-bikes typically have certain ID patterns (e.g., BIKE002, BIKE005, BIKE007, etc.)
-                    const bikeIdNum = parseInt(row.bike_id.replace('BIKE', ''));
-                    let bikeType = 'standard';
-                    
-                    // Check if it's an e-bike based on common patterns
-                    // This is a heuristic - you may need to adjust based on your actual bike IDs
-                    const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                    if (eBikeIds.includes(bikeIdNum)) {
-                        bikeType = 'e-bike';
-                    }
-                    
+                    // Bike type recorded when the rental started
+                    const bikeType = PricingService.isEBike(row.bike_type) ? 'e-bike' : 'standard';
                     const bikeTypeLabel = bikeType === 'e-bike' ? '⚡ E-Bike' : '🚴 Standard';
                     const rentalEndTime = new Date(row.end_time);
                     const timeFormatted = rentalEndTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
@@ -1003,9 +1137,9 @@ function setupRoutes() {
                     let safeDurationMinutes = Math.max(1, durationMinutes);
                     let safeCost = row.total_cost;
                     if (typeof safeCost !== 'number' || isNaN(safeCost)) {
-                        // Calculate if missing
-                        const rate = (bikeType === 'e-bike' || bikeType === 'electric') ? 0.25 : 0.10;
-                        safeCost = safeDurationMinutes * rate;
+                        // Fall back to the pricing stored on the rental
+                        const breakdown = pricingService.rentalBreakdown(row);
+                        safeCost = breakdown ? breakdown.totalCost : 0;
                     }
                     activities.push({
                         id: `rental-${row.id}`,
@@ -1018,7 +1152,7 @@ function setupRoutes() {
                         bike_type_raw: bikeType,
                         bikeTypeLabel: bikeTypeLabel,
                         startStation: row.start_station_name,
-                        endStation: 'Station', // We can't get end station without r_bms_bikes tracking
+                        endStation: row.end_station_name || 'Unknown Station',
                         startTime: row.start_time,
                         endTime: row.end_time,
                         timeFormatted: timeFormatted,
@@ -1108,11 +1242,12 @@ function setupRoutes() {
             if (completedQueries === totalQueries) finalizeActivities();
         });
 
-        // 3. Get rental start activities (without depending on r_bms_bikes)
+        // 3. Get rental start activities
         db.all(`
             SELECT 
                 r.id,
                 r.bike_id,
+                r.bike_type,
                 r.start_time,
                 r.station_id,
                 s.name as station_name
@@ -1123,10 +1258,7 @@ function setupRoutes() {
         `, [userId], (err, rentalStartRows) => {
             if (!err) {
                 rentalStartRows.forEach(row => {
-                    // Determine bike type from ID
-                    const bikeIdNum = parseInt(row.bike_id.replace('BIKE', ''));
-                    const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                    const bikeType = eBikeIds.includes(bikeIdNum) ? 'e-bike' : 'standard';
+                    const bikeType = PricingService.isEBike(row.bike_type) ? 'e-bike' : 'standard';
                     const bikeTypeLabel = bikeType === 'e-bike' ? '⚡ E-Bike' : '🚴 Standard';
                     const startTime = new Date(row.start_time);
                     const timeFormatted = startTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
@@ -1195,12 +1327,17 @@ function setupRoutes() {
             conditions.push('r.end_time <= ?');
             params.push(new Date(endDate).toISOString());
         }
+
+        // R-RH-03: Filter by bike type stored on the rental
+        if (bikeType && bikeType !== 'all') {
+            conditions.push(PricingService.isEBike(bikeType) ? "r.bike_type = 'e-bike'" : "COALESCE(r.bike_type, 'standard') != 'e-bike'");
+        }
         
         params.push(limit, offset);
         
         const whereClause = conditions.join(' AND ');
 
-        // Get user's completed rentals (without depending on r_bms_bikes)
+        // Get user's completed rentals
         db.all(`
             SELECT 
                 r.id,
@@ -1209,12 +1346,20 @@ function setupRoutes() {
                 r.end_time,
                 r.total_cost,
                 r.status,
+                r.bike_type,
+                r.base_fee,
+                r.rate_per_minute,
+                r.billable_minutes,
+                r.distance_km,
+                r.average_speed_kmh,
                 r.station_id as start_station_id,
                 s1.name as start_station_name,
+                s2.name as end_station_name,
                 u.username
             FROM rentals r
             LEFT JOIN users u ON r.user_id = u.id
             LEFT JOIN stations s1 ON r.station_id = s1.id
+            LEFT JOIN stations s2 ON r.end_station_id = s2.id
             WHERE ${whereClause}
             ORDER BY r.end_time DESC
             LIMIT ? OFFSET ?
@@ -1225,17 +1370,16 @@ function setupRoutes() {
             }
 
             // R-RH-04: Format rides with required fields
-            let rides = rows.map(row => {
+            const rides = rows.map(row => {
                 const startTime = new Date(row.start_time);
                 const endTime = new Date(row.end_time);
                 const durationMs = endTime - startTime;
                 const durationMinutes = Math.max(1, Math.ceil(durationMs / (1000 * 60)));
                 
-                // Determine bike type from ID
-                const bikeIdNum = parseInt(String(row.bike_id).replace('BIKE', ''));
-                const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                const bikeType = eBikeIds.includes(bikeIdNum) ? 'electric' : 'standard';
+                // Bike type recorded when the rental started
+                const bikeType = PricingService.isEBike(row.bike_type) ? 'electric' : 'standard';
                 const cost = row.total_cost || 0;
+                const breakdown = pricingService.rentalBreakdown(row);
 
                 return {
                     id: row.id,
@@ -1247,7 +1391,7 @@ function setupRoutes() {
                     startTime: row.start_time,
                     endTime: row.end_time,
                     startStation: row.start_station_name || 'Unknown Station',
-                    endStation: 'Station', // Can't determine without r_bms_bikes
+                    endStation: row.end_station_name || 'Unknown Station',
                     durationMinutes: durationMinutes,
                     duration: {
                         minutes: durationMinutes,
@@ -1257,15 +1401,15 @@ function setupRoutes() {
                             : `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`
                     },
                     cost: Number(cost.toFixed(2)),
+                    baseFee: breakdown ? breakdown.baseFee : null,
+                    ratePerMinute: breakdown ? breakdown.ratePerMinute : null,
+                    billableMinutes: breakdown ? breakdown.billableMinutes : null,
+                    distanceKm: row.distance_km,
+                    averageSpeedKmh: row.average_speed_kmh,
                     status: row.status
                 };
             });
             
-            // R-RH-03: Filter by bike type (client-side since it's inferred from ID)
-            if (bikeType && bikeType !== 'all') {
-                rides = rides.filter(ride => ride.bikeType === bikeType);
-            }
-
             res.json({ 
                 success: true, 
                 rides,
@@ -1306,10 +1450,9 @@ function setupRoutes() {
             params.push(new Date(endDate).toISOString());
         }
 
-        // R-RH-03: Filter by bike type
+        // R-RH-03: Filter by bike type stored on the rental
         if (bikeType && bikeType !== 'all') {
-            conditions.push('b.type = ?');
-            params.push(bikeType);
+            conditions.push(PricingService.isEBike(bikeType) ? "r.bike_type = 'e-bike'" : "COALESCE(r.bike_type, 'standard') != 'e-bike'");
         }
 
         params.push(limit, offset);
@@ -1325,12 +1468,20 @@ function setupRoutes() {
                 r.end_time,
                 r.total_cost,
                 r.status,
+                r.bike_type,
+                r.base_fee,
+                r.rate_per_minute,
+                r.billable_minutes,
+                r.distance_km,
+                r.average_speed_kmh,
                 r.station_id as start_station_id,
                 s1.name as start_station_name,
+                s2.name as end_station_name,
                 u.username
             FROM rentals r
             LEFT JOIN users u ON r.user_id = u.id
             LEFT JOIN stations s1 ON r.station_id = s1.id
+            LEFT JOIN stations s2 ON r.end_station_id = s2.id
             ${whereClause}
             ORDER BY r.end_time DESC
             LIMIT ? OFFSET ?
@@ -1347,11 +1498,10 @@ function setupRoutes() {
                 const durationMs = endTime - startTime;
                 const durationMinutes = Math.max(1, Math.ceil(durationMs / (1000 * 60)));
                 
-                // Determine bike type from ID
-                const bikeIdNum = parseInt(row.bike_id.replace('BIKE', ''));
-                const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                const bikeType = eBikeIds.includes(bikeIdNum) ? 'electric' : 'standard';
+                // Bike type recorded when the rental started
+                const bikeType = PricingService.isEBike(row.bike_type) ? 'electric' : 'standard';
                 const cost = row.total_cost || 0;
+                const breakdown = pricingService.rentalBreakdown(row);
 
                 return {
                     id: row.id,
@@ -1363,7 +1513,7 @@ function setupRoutes() {
                     startTime: row.start_time,
                     endTime: row.end_time,
                     startStation: row.start_station_name || 'Unknown Station',
-                    endStation: 'Station', // Can't determine without r_bms_bikes
+                    endStation: row.end_station_name || 'Unknown Station',
                     durationMinutes: durationMinutes,
                     duration: {
                         minutes: durationMinutes,
@@ -1373,6 +1523,11 @@ function setupRoutes() {
                             : `${Math.floor(durationMinutes / 60)}h ${durationMinutes % 60}m`
                     },
                     cost: Number(cost.toFixed(2)),
+                    baseFee: breakdown ? breakdown.baseFee : null,
+                    ratePerMinute: breakdown ? breakdown.ratePerMinute : null,
+                    billableMinutes: breakdown ? breakdown.billableMinutes : null,
+                    distanceKm: row.distance_km,
+                    averageSpeedKmh: row.average_speed_kmh,
                     status: row.status
                 };
             });
@@ -1482,6 +1637,14 @@ function setupRoutes() {
             const currentTier = user.loyalty_tier || 'entry';
             const tierBenefits = loyaltyService.getTierBenefits(currentTier);
 
+            // Progress towards the next tier, rule by rule
+            let progress = null;
+            try {
+                progress = await loyaltyService.getTierProgress(userId);
+            } catch (progressError) {
+                console.error('Error computing loyalty progress:', progressError);
+            }
+
             // Get loyalty history - gracefully handle if no history exists
             let history = [];
             try {
@@ -1500,11 +1663,14 @@ function setupRoutes() {
                         discountPercentage: tierBenefits.discountPercentage,
                         reservationExtensionMinutes: tierBenefits.reservationExtensionMinutes
                     },
-                    tierDescriptions: {
-                        bronze: { discount: 5, extension: 0, name: 'Bronze' },
-                        silver: { discount: 10, extension: 2, name: 'Silver' },
-                        gold: { discount: 15, extension: 5, name: 'Gold' }
-                    }
+                    tierDescriptions: Object.fromEntries(loyaltyService.listTiers()
+                        .filter(tier => tier.rank > 0)
+                        .map(tier => [tier.id, { discount: tier.discountPercentage, extension: tier.reservationExtensionMinutes, name: tier.name }])),
+                    // Set while the rider is in the grace period before a demotion
+                    demotionWarning: user.tier_demotion_due_at
+                        ? { demotionTo: user.tier_demotion_to, demotionDueAt: user.tier_demotion_due_at }
+                        : null,
+                    progress
                 },
                 history
             });
@@ -1552,7 +1718,7 @@ function setupRoutes() {
         
         // First, add to database
         db.run(
-            'INSERT INTO r_bms_bikes (id, type, station_id, status, created_at, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)',
+            "INSERT INTO r_bms_bikes (id, type, station_id, status, origin, created_at, updated_at) VALUES (?, ?, ?, ?, 'operator', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)",
             [bike_id, model, location, 'available'],
             function(err) {
                 if (err) {
@@ -1572,6 +1738,7 @@ function setupRoutes() {
                         console.log(`Bike ${bike_id} added to BMS and docked at station ${location}`);
                         
                         // Update station status based on new bike count
+                        bmsManager.publishBikeStatus(bike_id, 'available', location, 'added');
                         updateStationStatus(location);
                     } else {
                         console.error(`Failed to add bike to BMS: ${bike.message}`);
@@ -1589,12 +1756,31 @@ function setupRoutes() {
         );
     });
 
+    const sendDamageReportError = (res, error, fallbackMessage) => {
+        if (error instanceof DamageReportService.DamageReportError) {
+            const status = error.code.endsWith('_NOT_FOUND') ? 404
+                : ['REPORT_CLOSED', 'REPORT_CHANGED', 'OPEN_REPORTS', 'ALREADY_REPORTED', 'BIKE_NOT_DOCKED'].includes(error.code) ? 409 : 400;
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
+
     // Report bike damage (riders can report, sets status to maintenance)
+    // Body: { description?, category?, severity?, photos?: [base64 data URL] }
     app.post('/api/bikes/:id/report-damage', authenticateUser, (req, res) => {
         const bikeId = req.params.id;
-        const { description } = req.body;
-        const userId = req.headers['x-user-id'];
-        const username = req.headers['x-username'];
+        const userId = req.user.id;
+        const username = req.user.username;
+
+        // Checked before the rental is ended so a bad photo doesn't leave a half-made report
+        let report;
+        try {
+            report = damageReportService.validateReport(req.body);
+        } catch (validationErr) {
+            return sendDamageReportError(res, validationErr, 'Failed to submit damage report');
+        }
+        const { description } = report;
         
         // First, check if user has an active rental with this bike
         db.get('SELECT * FROM rentals WHERE bike_id = ? AND user_id = ? AND status = ?', 
@@ -1617,159 +1803,136 @@ function setupRoutes() {
 
                 const rentalStationId = rental.station_id; // Station where bike was originally rented
 
-                // Create notifications table if it doesn't exist
-                db.run(`CREATE TABLE IF NOT EXISTS operator_notifications (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    type TEXT NOT NULL,
-                    bike_id TEXT,
-                    station_id TEXT,
-                    user_id INTEGER,
-                    username TEXT,
-                    message TEXT NOT NULL,
-                    read INTEGER DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`, (notifTableErr) => {
-                    if (notifTableErr) {
-                        console.error('Error creating notifications table:', notifTableErr.message);
-                    }
-                });
-
-                // Create damage_reports table if it doesn't exist
-                db.run(`CREATE TABLE IF NOT EXISTS damage_reports (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    bike_id TEXT NOT NULL,
-                    station_id TEXT NOT NULL,
-                    user_id INTEGER NOT NULL,
-                    username TEXT,
-                    description TEXT,
-                    status TEXT DEFAULT 'pending',
-                    reported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    resolved_at DATETIME
-                )`, (createErr) => {
-                    if (createErr) {
-                        console.error('Error creating damage_reports table:', createErr.message);
-                        return res.status(500).json({ 
-                            success: false, 
-                            message: 'Database error' 
-                        });
-                    }
-
-                    // Get station name for better reporting
-                    db.get('SELECT name FROM stations WHERE id = ?', [rentalStationId], (stationErr, station) => {
-                        const stationName = station ? station.name : rentalStationId;
+                // Get station name for better reporting
+                db.get('SELECT name FROM stations WHERE id = ?', [rentalStationId], (stationErr, station) => {
+                    const stationName = station ? station.name : rentalStationId;
+
+                    // Insert damage report with its photos
+                    damageReportService.createReport({
+                        ...report, bikeId, stationId: rentalStationId, userId, username, rentalId: rental.id
+                    }).then(async (reportId) => {
+                        // End the active rental immediately due to damage report
+                        const endTime = new Date().toISOString();
+                        const startTime = new Date(rental.start_time);
+                        const duration = Math.ceil((new Date(endTime) - startTime) / (1000 * 60)); // in minutes
+                        
+                        // Calculate cost - type recorded at checkout; older rentals fall back to the bike row
+                        let bikeType = rental.bike_type;
+                        if (!bikeType) {
+                            const bikeRow = await new Promise((resolve) => {
+                                db.get('SELECT type FROM r_bms_bikes WHERE id = ?', [bikeId], (bikeErr, row) => resolve(bikeErr ? null : row));
+                            });
+                            bikeType = bikeRow ? bikeRow.type : 'standard';
+                        }
+                        let billing = null;
+                        let totalCost = 0;
+                        try {
+                            billing = await pricingService.priceRental(userId, rental.start_time, endTime, bikeType);
+                            totalCost = billing.totalCost;
+                        } catch (pricingErr) {
+                            console.error('Error pricing rental ended by damage report:', pricingErr.message);
+                        }
 
-                        // Insert damage report
+                        // Update rental to completed; the bike stays at the pickup station for inspection
                         db.run(
-                            'INSERT INTO damage_reports (bike_id, station_id, user_id, username, description) VALUES (?, ?, ?, ?, ?)',
-                            [bikeId, rentalStationId, userId, username, description || 'Bike damage reported'],
-                            function(insertErr) {
-                                if (insertErr) {
-                                    console.error('Error inserting damage report:', insertErr.message);
-                                    return res.status(500).json({ 
-                                        success: false, 
-                                        message: 'Failed to submit damage report' 
+                            `UPDATE rentals SET status = ?, end_time = ?, total_cost = ?, end_station_id = ?, bike_type = ?,
+                             pricing_plan_id = ?, base_fee = ?, rate_per_minute = ?, billable_minutes = ? WHERE id = ?`,
+                            ['completed', endTime, totalCost, rentalStationId, bikeType,
+                                billing ? billing.planId : null, billing ? billing.baseFee : null,
+                                billing ? billing.ratePerMinute : null, billing ? billing.billableMinutes : null, rental.id],
+                            function(rentalUpdateErr) {
+                                if (rentalUpdateErr) {
+                                    console.error('Error ending rental:', rentalUpdateErr.message);
+                                    // Continue anyway - damage report is more important
+                                } else {
+                                    console.log(`✓ Rental #${rental.id} ended due to damage report. Duration: ${duration} min, Cost: $${totalCost.toFixed(2)}`);
+                                    routeService.summarizeRoute(rental.id).catch(routeErr => {
+                                        console.error('Error summarising rental route:', routeErr.message);
                                     });
                                 }
 
-                                const reportId = this.lastID;
-
-                                // End the active rental immediately due to damage report
-                                const endTime = new Date().toISOString();
-                                const startTime = new Date(rental.start_time);
-                                const duration = Math.ceil((new Date(endTime) - startTime) / (1000 * 60)); // in minutes
-                                
-                                // Calculate cost
-                                const bikeIdNum = parseInt(bikeId.replace('BIKE', ''));
-                                const eBikeIds = [2, 5, 7, 10, 12, 14, 17, 19, 21, 23, 24, 27, 29, 32, 34, 36, 37, 39, 42, 43, 45, 47, 49, 51, 53, 55, 57, 59, 61, 64, 66, 68, 70, 72, 74, 76];
-                                const bikeType = eBikeIds.includes(bikeIdNum) ? 'e-bike' : 'standard';
-                                const ratePerMinute = bikeType === 'e-bike' ? 0.25 : 0.10;
-                                const totalCost = Math.round(duration * ratePerMinute * 100) / 100;
-
-                                // Update rental to completed
+                                // Update bike status to maintenance
                                 db.run(
-                                    'UPDATE rentals SET status = ?, end_time = ?, total_cost = ? WHERE id = ?',
-                                    ['completed', endTime, totalCost, rental.id],
-                                    function(rentalUpdateErr) {
-                                        if (rentalUpdateErr) {
-                                            console.error('Error ending rental:', rentalUpdateErr.message);
-                                            // Continue anyway - damage report is more important
-                                        } else {
-                                            console.log(`✓ Rental #${rental.id} ended due to damage report. Duration: ${duration} min, Cost: $${totalCost.toFixed(2)}`);
+                                    'UPDATE r_bms_bikes SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                                    ['maintenance', bikeId],
+                                    function(updateErr) {
+                                        if (updateErr) {
+                                            console.error('Error updating bike status:', updateErr.message);
+                                            return res.status(500).json({ 
+                                                success: false, 
+                                                message: 'Damage report saved but failed to update bike status' 
+                                            });
                                         }
-
-                                        // Update bike status to maintenance
-                                        db.run(
-                                            'UPDATE r_bms_bikes SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                                            ['maintenance', bikeId],
-                                            function(updateErr) {
-                                                if (updateErr) {
-                                                    console.error('Error updating bike status:', updateErr.message);
-                                                    return res.status(500).json({ 
-                                                        success: false, 
-                                                        message: 'Damage report saved but failed to update bike status' 
-                                                    });
-                                                }
-                                                
-                                                // If bike wasn't in database (shouldn't happen but just in case), insert it
-                                                if (this.changes === 0) {
-                                                    db.run(
-                                                        'INSERT INTO r_bms_bikes (id, type, station_id, status, created_at, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)',
-                                                        [bikeId, bikeType, rentalStationId, 'maintenance'],
-                                                        function(insertBikeErr) {
-                                                            if (insertBikeErr) {
-                                                                console.error('Error inserting bike:', insertBikeErr.message);
-                                                            }
-                                                        }
-                                                    );
-                                                }
-                                                
-                                                // Update BMSManager in-memory state
-                                                try {
-                                                    const bike = bmsManager.bikes.get(bikeId);
-                                                    if (bike) {
-                                                        bike.status = 'maintenance';
-                                                        console.log(`BMS updated: Bike ${bikeId} marked for maintenance due to damage report`);
+                                        
+                                        // If bike wasn't in database (shouldn't happen but just in case), insert it
+                                        if (this.changes === 0) {
+                                            db.run(
+                                                'INSERT INTO r_bms_bikes (id, type, station_id, status, created_at, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)',
+                                                [bikeId, bikeType, rentalStationId, 'maintenance'],
+                                                function(insertBikeErr) {
+                                                    if (insertBikeErr) {
+                                                        console.error('Error inserting bike:', insertBikeErr.message);
                                                     }
-                                                } catch (bmsError) {
-                                                    console.error('Error updating bike in BMS:', bmsError.message);
+                                                }
+                                            );
+                                        }
+                                        
+                                        // Update BMSManager in-memory state
+                                        try {
+                                            const bike = bmsManager.bikes.get(bikeId);
+                                            if (bike) {
+                                                bike.status = 'maintenance';
+                                                console.log(`BMS updated: Bike ${bikeId} marked for maintenance due to damage report`);
+                                            }
+                                        } catch (bmsError) {
+                                            console.error('Error updating bike in BMS:', bmsError.message);
+                                        }
+                                        
+                                        // Update station status
+                                        bmsManager.publishBikeStatus(bikeId, 'maintenance', rentalStationId, 'damage_reported');
+                                        bmsManager.publishDamageReport({ reportId, bikeId, stationId: rentalStationId });
+                                        updateStationStatus(rentalStationId);
+                                        
+                                        // Create notification for operators
+                                        const notificationMessage = ` DAMAGE REPORT: Bike ${bikeId} at ${stationName}. Rental ended automatically. Reported by ${username}. Category: ${report.category}, severity: ${report.severity}. Description: ${description || 'No details provided'}. Cost: $${totalCost.toFixed(2)}`;
+                                        
+                                        db.run(
+                                            'INSERT INTO operator_notifications (type, bike_id, station_id, user_id, username, message) VALUES (?, ?, ?, ?, ?, ?)',
+                                            ['damage_report', bikeId, rentalStationId, userId, username, notificationMessage],
+                                            function(notifErr) {
+                                                if (notifErr) {
+                                                    console.error('Error creating operator notification:', notifErr.message);
                                                 }
                                                 
-                                                // Update station status
-                                                updateStationStatus(rentalStationId);
-                                                
-                                                // Create notification for operators
-                                                const notificationMessage = ` DAMAGE REPORT: Bike ${bikeId} at ${stationName}. Rental ended automatically. Reported by ${username}. Description: ${description || 'No details provided'}. Cost: $${totalCost.toFixed(2)}`;
+                                                console.log(`✓ Damage report #${reportId} created for bike ${bikeId} at ${rentalStationId} by user ${username}`);
                                                 
-                                                db.run(
-                                                    'INSERT INTO operator_notifications (type, bike_id, station_id, user_id, username, message) VALUES (?, ?, ?, ?, ?, ?)',
-                                                    ['damage_report', bikeId, rentalStationId, userId, username, notificationMessage],
-                                                    function(notifErr) {
-                                                        if (notifErr) {
-                                                            console.error('Error creating operator notification:', notifErr.message);
-                                                        }
-                                                        
-                                                        console.log(`✓ Damage report #${reportId} created for bike ${bikeId} at ${rentalStationId} by user ${username}`);
-                                                        
-                                                        res.json({
-                                                            success: true,
-                                                            message: `Damage report submitted successfully. Your rental has ended automatically. Bike ${bikeId} has been marked as NOT AVAILABLE and will remain at ${stationName} for inspection. Operators have been notified.`,
-                                                            reportId: reportId,
-                                                            bikeId: bikeId,
-                                                            stationId: rentalStationId,
-                                                            stationName: stationName,
-                                                            status: 'maintenance',
-                                                            rentalEnded: true,
-                                                            duration: duration,
-                                                            totalCost: totalCost
-                                                        });
-                                                    }
-                                                );
+                                                res.json({
+                                                    success: true,
+                                                    message: `Damage report submitted successfully. Your rental has ended automatically. Bike ${bikeId} has been marked as NOT AVAILABLE and will remain at ${stationName} for inspection. Operators have been notified.`,
+                                                    reportId: reportId,
+                                                    bikeId: bikeId,
+                                                    stationId: rentalStationId,
+                                                    stationName: stationName,
+                                                    status: 'maintenance',
+                                                    category: report.category,
+                                                    severity: report.severity,
+                                                    photoCount: report.photos.length,
+                                                    rentalEnded: true,
+                                                    duration: duration,
+                                                    totalCost: totalCost
+                                                });
                                             }
                                         );
                                     }
                                 );
                             }
                         );
+                    }, insertErr => {
+                        console.error('Error inserting damage report:', insertErr.message);
+                        res.status(500).json({ 
+                            success: false, 
+                            message: 'Failed to submit damage report' 
+                        });
                     });
                 });
             }
@@ -1827,6 +1990,7 @@ function setupRoutes() {
                 } catch (bmsError) {
                     console.error('Error updating bike in BMS:', bmsError.message);
                 }
+                bmsManager.publishBikeStatus(bikeId, status, stationId || null, 'operator_update');
                 
                 // Update station status if bike status affects docked count
                 // (available and reserved count as docked, maintenance and on_trip don't)
@@ -1895,70 +2059,316 @@ function setupRoutes() {
         );
     });
 
-    // Get all damage reports
-    app.get('/api/operator/damage-reports', authenticateUser, requireOperator, (req, res) => {
-        const status = req.query.status; // pending, resolved, or all
-        
-        let query = `
-            SELECT dr.*, s.name as station_name 
-            FROM damage_reports dr
-            LEFT JOIN stations s ON dr.station_id = s.id
-        `;
-        
-        if (status && status !== 'all') {
-            query += ' WHERE dr.status = ?';
-        }
-        
-        query += ' ORDER BY dr.reported_at DESC';
-        
-        const params = status && status !== 'all' ? [status] : [];
-        
-        db.all(query, params, (err, reports) => {
-            if (err) {
-                console.error('Error fetching damage reports:', err.message);
-                return res.status(500).json({ 
-                    success: false, 
-                    message: 'Database error' 
-                });
+    // Report an issue on a docked bike the rider is not renting (station from r_bms_bikes.station_id)
+    // Body: same as report-damage. Joins the bike's open report if there is one; the bike goes to
+    // maintenance once DAMAGE_CONFIG.ISSUE_REPORT_THRESHOLD different riders have reported it.
+    app.post('/api/bikes/:id/report-issue', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const userId = parseInt(req.user.id);
+            const username = req.user.username;
+            const issue = damageReportService.validateReport(req.body);
+            const result = await damageReportService.reportIssue({ ...issue, bikeId: req.params.id, userId, username });
+            const { id: reportId, bikeId, stationId, stationName } = result.report;
+
+            if (result.created) {
+                bmsManager.publishDamageReport({ reportId, bikeId, stationId });
+            }
+            if (result.movedToMaintenance) {
+                const bike = bmsManager.bikes.get(bikeId);
+                if (bike) {
+                    bike.status = 'maintenance';
+                }
+                bmsManager.publishBikeStatus(bikeId, 'maintenance', stationId, 'issue_reported');
+                updateStationStatus(stationId);
+            }
+            if (result.created || result.movedToMaintenance || result.maintenanceDue) {
+                let notificationMessage = ` DAMAGE REPORT: Bike ${bikeId} at ${stationName} moved to maintenance after ${result.reporterCount} rider reports (report #${reportId}).`;
+                if (result.maintenanceDue) {
+                    notificationMessage = ` DAMAGE REPORT: Bike ${bikeId} at ${stationName} has ${result.reporterCount} rider reports and moves to maintenance when its reservation ends (report #${reportId}).`;
+                } else if (!result.movedToMaintenance) {
+                    notificationMessage = ` DAMAGE REPORT: Bike ${bikeId} at ${stationName} reported by ${username} (not renting it). Category: ${issue.category}, severity: ${issue.severity}. Description: ${issue.description || 'No details provided'}.`;
+                }
+                db.run(
+                    'INSERT INTO operator_notifications (type, bike_id, station_id, user_id, username, message) VALUES (?, ?, ?, ?, ?, ?)',
+                    ['damage_report', bikeId, stationId, userId, username, notificationMessage],
+                    (notifErr) => {
+                        if (notifErr) {
+                            console.error('Error creating operator notification:', notifErr.message);
+                        }
+                    }
+                );
+            }
+            logUserActivity(userId, 'damage_issue_reported', bikeId, stationId, {
+                report_id: reportId,
+                merged: !result.created,
+                moved_to_maintenance: result.movedToMaintenance,
+                maintenance_due: result.maintenanceDue
+            });
+
+            let message = `Thank you. Your report on bike ${bikeId} has been sent to operators.`;
+            if (result.movedToMaintenance) {
+                message = `Thank you. Bike ${bikeId} has been taken out of service and operators have been notified.`;
+            } else if (result.maintenanceDue) {
+                message = `Thank you. Bike ${bikeId} will be taken out of service when its current reservation ends.`;
             }
-            
             res.json({
                 success: true,
-                reports: reports || [],
-                count: reports ? reports.length : 0
+                message,
+                reportId,
+                bikeId,
+                stationId,
+                stationName,
+                merged: !result.created,
+                reporterCount: result.reporterCount,
+                movedToMaintenance: result.movedToMaintenance,
+                maintenanceDue: result.maintenanceDue
             });
-        });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to submit issue report');
+        }
     });
 
-    // Resolve a damage report
-    app.put('/api/operator/damage-reports/:id/resolve', authenticateUser, requireOperator, (req, res) => {
-        const reportId = req.params.id;
-        
-        db.run(
-            'UPDATE damage_reports SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?',
-            ['resolved', reportId],
-            function(err) {
-                if (err) {
-                    console.error('Error resolving damage report:', err.message);
-                    return res.status(500).json({ 
-                        success: false, 
-                        message: 'Database error' 
-                    });
-                }
-                
-                if (this.changes === 0) {
-                    return res.status(404).json({
-                        success: false,
-                        message: 'Damage report not found'
-                    });
+    // Damage reports with their photos, status history and repair log (operators)
+    // ?status=open (pending, triaged, in_repair) | pending | triaged | in_repair | resolved | wont_fix | all
+    app.get('/api/operator/damage-reports', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const reports = await damageReportService.listReports({ status: req.query.status || 'all' });
+            res.json({ success: true, reports, count: reports.length });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to load damage reports');
+        }
+    });
+
+    // Set a report's category, severity or technician. Body: { category?, severity?, technician? }
+    app.patch('/api/operator/damage-reports/:id', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const { category, severity, technician } = req.body;
+            const report = await damageReportService.updateDetails(parseInt(req.params.id), { category, severity, technician }, parseInt(req.user.id));
+            res.json({ success: true, report });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to update damage report');
+        }
+    });
+
+    // Puts a bike returned to service by a closed report back into the BMS and the station counts
+    const returnBikeToService = (bikeId, stationId) => {
+        const bike = bmsManager.bikes.get(bikeId);
+        if (bike) {
+            bike.status = 'available';
+        }
+        bmsManager.publishBikeStatus(bikeId, 'available', stationId, 'repair_completed');
+        if (stationId) {
+            updateStationStatus(stationId);
+        }
+    };
+
+    // Move a report along pending → triaged → in_repair → resolved / wont_fix
+    // Body: { status, note?, returnToService? } - returnToService puts the bike back to available when closing
+    app.post('/api/operator/damage-reports/:id/status', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const { status, note, returnToService } = req.body;
+            const result = await damageReportService.setStatus(parseInt(req.params.id), { status, note, returnToService: returnToService === true }, parseInt(req.user.id));
+            if (result.bikeReturned) {
+                returnBikeToService(result.report.bikeId, result.stationId);
+            }
+            logUserActivity(parseInt(req.user.id), 'damage_report_status', result.report.bikeId, result.report.stationId, {
+                report_id: result.report.id,
+                status: result.report.status,
+                bike_returned: result.bikeReturned
+            });
+            res.json({ success: true, report: result.report, bikeReturned: result.bikeReturned });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to update damage report');
+        }
+    });
+
+    // Log a part or labour. Body: { type: 'part' | 'labour', description, quantity?, unitCost?, minutes? }
+    app.post('/api/operator/damage-reports/:id/repair-log', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const { type, description, quantity, unitCost, minutes } = req.body;
+            const report = await damageReportService.addRepairLog(parseInt(req.params.id), { type, description, quantity, unitCost, minutes }, parseInt(req.user.id));
+            res.json({ success: true, report });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to log repair');
+        }
+    });
+
+    // Resolve a damage report (kept for older clients; the bike stays in maintenance)
+    app.put('/api/operator/damage-reports/:id/resolve', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            await damageReportService.setStatus(parseInt(req.params.id), { status: 'resolved' }, parseInt(req.user.id));
+            res.json({ success: true, message: 'Damage report marked as resolved' });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to resolve damage report');
+        }
+    });
+
+    // A damage report photo, for operators and the rider who reported it
+    app.get('/api/damage-reports/:id/photos/:photoId', authenticateUser, async (req, res) => {
+        try {
+            const photo = await damageReportService.getPhoto(parseInt(req.params.id), parseInt(req.params.photoId));
+            const isOperator = ['operator', 'dual', 'admin'].includes(req.user.role);
+            if (!isOperator && String(photo.reporterId) !== String(req.user.id)) {
+                return res.status(403).json({ success: false, message: 'Access denied', error: 'INSUFFICIENT_PERMISSIONS' });
+            }
+            res.type(photo.contentType).sendFile(photo.filePath, (sendErr) => {
+                if (sendErr && !res.headersSent) {
+                    res.status(404).json({ success: false, message: 'Photo file is missing', error: 'PHOTO_NOT_FOUND' });
                 }
-                
-                res.json({
-                    success: true,
-                    message: 'Damage report marked as resolved'
-                });
+            });
+        } catch (error) {
+            sendDamageReportError(res, error, 'Failed to load photo');
+        }
+    });
+
+    // Billing dispute queue (operators). ?status=open|approved|rejected|all (default open)
+    app.get('/api/operator/disputes', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const disputes = await disputeService.listDisputes({ status: req.query.status || 'open' });
+            res.json({ success: true, disputes, count: disputes.length });
+        } catch (error) {
+            sendDisputeError(res, error, 'Failed to load disputes');
+        }
+    });
+
+    // Approve a dispute and refund the rider
+    // Body: { refundMethod: 'card' | 'flex_dollars', amount?, note? } - amount defaults to everything refundable
+    app.post('/api/operator/disputes/:id/approve', authenticateUser, requireOperator, async (req, res) => {
+        const { refundMethod, amount, note } = req.body;
+        try {
+            const dispute = await disputeService.approveDispute(parseInt(req.params.id), {
+                operatorId: req.user.id,
+                refundMethod,
+                amount: amount === undefined || amount === null || amount === '' ? null : Number(amount),
+                note: note ? String(note).trim() : null
+            });
+            res.json({
+                success: true,
+                message: `Refunded $${dispute.refundAmount.toFixed(2)} to ${dispute.refundMethod === 'card' ? 'the card' : 'flex dollars'}`,
+                dispute
+            });
+        } catch (error) {
+            sendDisputeError(res, error, 'Failed to approve dispute');
+        }
+    });
+
+    // Reject a dispute. Body: { note } - shown to the rider
+    app.post('/api/operator/disputes/:id/reject', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const dispute = await disputeService.rejectDispute(parseInt(req.params.id), {
+                operatorId: req.user.id,
+                note: req.body.note
+            });
+            res.json({ success: true, message: 'Dispute rejected', dispute });
+        } catch (error) {
+            sendDisputeError(res, error, 'Failed to reject dispute');
+        }
+    });
+
+    const sendPromoError = (res, error, fallbackMessage) => {
+        if (error instanceof PromoService.PromoError) {
+            const statuses = {
+                PROMO_NOT_FOUND: 404,
+                USER_NOT_FOUND: 404,
+                CODE_EXISTS: 409,
+                PROMO_ALREADY_REDEEMED: 409,
+                PROMO_PENDING: 409,
+                ALREADY_REFERRED: 409
+            };
+            return res.status(statuses[error.code] || 400).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
+
+    // Promo codes (operators), newest first with their redemption counts
+    app.get('/api/operator/promo-codes', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const promoCodes = await promoService.listPromoCodes();
+            res.json({ success: true, promoCodes, count: promoCodes.length });
+        } catch (error) {
+            sendPromoError(res, error, 'Failed to load promo codes');
+        }
+    });
+
+    // Create a promo code
+    // Body: { code, discountType: 'amount' | 'percent', value, description?, maxDiscount?, expiresAt?,
+    //         maxRedemptions?, maxRedemptionsPerUser? (default 1), planIds? }
+    app.post('/api/operator/promo-codes', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const promoCode = await promoService.createPromoCode(req.body || {}, req.user.id);
+            res.status(201).json({ success: true, message: `Promo code ${promoCode.code} created`, promoCode });
+        } catch (error) {
+            sendPromoError(res, error, 'Failed to create promo code');
+        }
+    });
+
+    // Switch a promo code on or off. Body: { active }
+    app.patch('/api/operator/promo-codes/:id', authenticateUser, requireOperator, async (req, res) => {
+        if (typeof req.body.active !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'active must be true or false' });
+        }
+        try {
+            const promoCode = await promoService.setPromoCodeActive(parseInt(req.params.id), req.body.active);
+            res.json({ success: true, message: `Promo code ${promoCode.code} ${promoCode.active ? 'activated' : 'deactivated'}`, promoCode });
+        } catch (error) {
+            sendPromoError(res, error, 'Failed to update promo code');
+        }
+    });
+
+    // Correct a rider's flex dollars balance (operators). Body: { amount, reason }
+    // amount is signed; the reason and the operator are kept on the transaction for audit
+    app.post('/api/operator/users/:id/flex-adjust', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const adjustment = await flexDollarsService.adjustFlexDollars(
+                parseInt(req.params.id), Number(req.body.amount), req.body.reason, parseInt(req.user.id)
+            );
+            logUserActivity(adjustment.userId, 'flex_dollars_adjusted', null, null, {
+                amount: adjustment.amount,
+                reason: adjustment.reason,
+                operator_id: adjustment.performedBy
+            });
+            res.json({
+                success: true,
+                message: `${adjustment.amount > 0 ? 'Added' : 'Removed'} $${Math.abs(adjustment.amount).toFixed(2)} flex dollars`,
+                adjustment
+            });
+        } catch (error) {
+            if (error instanceof FlexDollarsService.FlexDollarsError) {
+                const status = error.code === 'USER_NOT_FOUND' ? 404 : (error.code === 'INSUFFICIENT_BALANCE' ? 409 : 400);
+                return res.status(status).json({ success: false, message: error.message, error: error.code });
             }
-        );
+            console.error('Error adjusting flex dollars:', error);
+            res.status(500).json({ success: false, message: 'Failed to adjust flex dollars', error: error.message });
+        }
+    });
+
+    // Redeem a promo code or another rider's referral code (riders only). Body: { code }
+    app.post('/api/promo/redeem', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const redemption = await promoService.redeem(req.user.id, req.body.code);
+            let message;
+            if (redemption.type === 'referral') {
+                message = `Referral from ${redemption.referrer} applied: you both get $${redemption.amount.toFixed(2)} in flex dollars after your first trip`;
+            } else if (redemption.status === 'pending') {
+                message = `${redemption.code} applied: ${redemption.value}% off your next trip, credited as flex dollars when you return the bike`;
+            } else {
+                message = `${redemption.code} applied: $${redemption.amount.toFixed(2)} added to your flex dollars`;
+            }
+            res.json({ success: true, message, redemption });
+        } catch (error) {
+            sendPromoError(res, error, 'Failed to redeem code');
+        }
+    });
+
+    // The rider's referral code and the riders who used it (riders only)
+    app.get('/api/promo/referral', authenticateUser, requireRider, async (req, res) => {
+        try {
+            const referral = await promoService.getReferralSummary(req.user.id);
+            res.json({ success: true, referral });
+        } catch (error) {
+            sendPromoError(res, error, 'Failed to load referral code');
+        }
     });
 
     // Create a demo operator with hardcoded information
@@ -1973,80 +2383,65 @@ function setupRoutes() {
             role: 'operator'
         };
 
-        // Ensure users table exists (safe if already created)
-        db.run(`CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE,
-            password TEXT,
-            first_name TEXT,
-            last_name TEXT,
-            email TEXT,
-            address TEXT,
-            role TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (createErr) => {
-            if (createErr) {
-                console.error('Error ensuring users table:', createErr.message);
+        // Check if demo user already exists
+        db.get('SELECT id, username, first_name, last_name, email, address, role FROM users WHERE username = ?', [demoUser.username], (selectErr, row) => {
+            if (selectErr) {
+                console.error('Error checking demo user:', selectErr.message);
                 return res.status(500).json({ success: false, message: 'Database error' });
             }
 
-            // Check if demo user already exists
-            db.get('SELECT id, username, first_name, last_name, email, address, role FROM users WHERE username = ?', [demoUser.username], (selectErr, row) => {
-                if (selectErr) {
-                    console.error('Error checking demo user:', selectErr.message);
-                    return res.status(500).json({ success: false, message: 'Database error' });
-                }
+            if (row) {
+                return res.json({
+                    success: true,
+                    message: 'Demo rider already exists',
+                    user: {
+                        id: row.id,
+                        username: row.username,
+                        firstName: row.first_name,
+                        lastName: row.last_name,
+                        email: row.email,
+                        address: row.address,
+                        role: row.role
+                    }
+                });
+            }
 
-                if (row) {
-                    return res.json({
+            // Insert demo user
+            hashPassword(demoUser.password).then(passwordHash => db.run(
+                'INSERT INTO users (username, password, first_name, last_name, email, address, role, loyalty_tier) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [demoUser.username, passwordHash, demoUser.firstName, demoUser.lastName, demoUser.email, demoUser.address, demoUser.role, 'entry'],
+                function(insertErr) {
+                    if (insertErr) {
+                        console.error('Error creating demo user:', insertErr.message);
+                        if (insertErr.message.includes('UNIQUE')) {
+                            return res.status(409).json({ success: false, message: 'Demo username already taken' });
+                        }
+                        return res.status(500).json({ success: false, message: 'Failed to create demo user' });
+                    }
+
+                    return res.status(201).json({
                         success: true,
-                        message: 'Demo rider already exists',
+                        message: 'Demo rider created',
                         user: {
-                            id: row.id,
-                            username: row.username,
-                            firstName: row.first_name,
-                            lastName: row.last_name,
-                            email: row.email,
-                            address: row.address,
-                            role: row.role
+                            id: this.lastID,
+                            username: demoUser.username,
+                            firstName: demoUser.firstName,
+                            lastName: demoUser.lastName,
+                            email: demoUser.email,
+                            address: demoUser.address,
+                            role: demoUser.role
                         }
                     });
                 }
-
-                // Insert demo user
-                db.run(
-                    'INSERT INTO users (username, password, first_name, last_name, email, address, role, loyalty_tier) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                    [demoUser.username, demoUser.password, demoUser.firstName, demoUser.lastName, demoUser.email, demoUser.address, demoUser.role, 'entry'],
-                    function(insertErr) {
-                        if (insertErr) {
-                            console.error('Error creating demo user:', insertErr.message);
-                            if (insertErr.message.includes('UNIQUE')) {
-                                return res.status(409).json({ success: false, message: 'Demo username already taken' });
-                            }
-                            return res.status(500).json({ success: false, message: 'Failed to create demo user' });
-                        }
-
-                        return res.status(201).json({
-                            success: true,
-                            message: 'Demo rider created',
-                            user: {
-                                id: this.lastID,
-                                username: demoUser.username,
-                                firstName: demoUser.firstName,
-                                lastName: demoUser.lastName,
-                                email: demoUser.email,
-                                address: demoUser.address,
-                                role: demoUser.role
-                            }
-                        });
-                    }
-                );
-            });
-        });
-    });
+            )).catch(hashErr => {
+                console.error('Error hashing demo user password:', hashErr.message);
+                res.status(500).json({ success: false, message: 'Failed to create demo user' });
+            });
+        });
+    });
 
     // Authentication endpoints (keep existing)
-    app.post('/api/register', (req, res) => {
+    app.post('/api/register', async (req, res) => {
         const { username, password, firstName, lastName, email, address, role = 'rider', 
                 cardNumber, expiryDate, cvcCode, cardHolderName } = req.body;
         
@@ -2100,9 +2495,20 @@ function setupRoutes() {
             }
         }
         
+        let passwordHash;
+        try {
+            passwordHash = await hashPassword(password);
+        } catch (hashError) {
+            console.error('Error hashing password:', hashError.message);
+            return res.status(500).json({ 
+                success: false, 
+                message: 'Internal server error' 
+            });
+        }
+        
         db.run(
             'INSERT INTO users (username, password, first_name, last_name, email, address, role, loyalty_tier) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [username, password, firstName, lastName, email, address, role, 'entry'],
+            [username, passwordHash, firstName, lastName, email, address, role, 'entry'],
             function(err) {
                 if (err) {
                     if (err.message.includes('UNIQUE constraint failed')) {
@@ -2122,20 +2528,24 @@ function setupRoutes() {
                 
                 // If card information is provided, save it
                 if (cardNumber && expiryDate && cardHolderName) {
-                    // Store only last 4 digits of card number for security
-                    const last4Digits = cardNumber.slice(-4);
-                    
-                    db.run(
-                        'INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default) VALUES (?, ?, ?, ?, 1)',
-                        [userId, last4Digits, cardHolderName, expiryDate],
-                        function(cardErr) {
-                            if (cardErr) {
-                                console.error('Error saving card information:', cardErr.message);
-                                // Don't fail registration if card save fails
-                                // User can add card later
-                            }
-                        }
-                    );
+                    // Store only the gateway token and last 4 digits of the card number for security
+                    paymentService.resolveCard(userId, { number: cardNumber, expiryDate, holderName: cardHolderName })
+                        .then(({ token, last4 }) => {
+                            db.run(
+                                'INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default, gateway, gateway_token) VALUES (?, ?, ?, ?, 1, ?, ?)',
+                                [userId, last4, cardHolderName, expiryDate, paymentService.gateway.name, token],
+                                function(cardErr) {
+                                    if (cardErr) {
+                                        console.error('Error saving card information:', cardErr.message);
+                                    }
+                                }
+                            );
+                        })
+                        .catch(cardErr => {
+                            // Don't fail registration if card save fails
+                            // User can add card later
+                            console.error('Error saving card information:', cardErr.message);
+                        });
                 }
                 
                 res.json({
@@ -2156,7 +2566,7 @@ function setupRoutes() {
     });
 
     // Get payment method for a user
-    app.get('/api/payment-methods/:userId', (req, res) => {
+    app.get('/api/payment-methods/:userId', authenticateUser, requireOwnAccountOrOperator, (req, res) => {
         const { userId } = req.params;
         
         console.log(`[PaymentMethod] Fetching for userId: ${userId} (type: ${typeof userId})`);
@@ -2201,8 +2611,8 @@ function setupRoutes() {
         }
         
         db.get(
-            'SELECT id, username, role, first_name, last_name, email, address, loyalty_tier FROM users WHERE username = ? AND password = ?',
-            [username, password],
+            'SELECT id, username, password, role, first_name, last_name, email, address, loyalty_tier FROM users WHERE username = ?',
+            [username],
             async (err, row) => {
                 if (err) {
                     console.error('Database error:', err.message);
@@ -2212,7 +2622,30 @@ function setupRoutes() {
                     });
                 }
                 
+                let passwordValid = false;
                 if (row) {
+                    try {
+                        passwordValid = await verifyPassword(password, row.password);
+                    } catch (verifyError) {
+                        console.error('Error verifying password:', verifyError.message);
+                    }
+                }
+                
+                if (row && passwordValid) {
+                    // Upgrade legacy plaintext (or outdated) password hashes on successful login
+                    if (needsRehash(row.password)) {
+                        hashPassword(password)
+                            .then(passwordHash => db.run('UPDATE users SET password = ? WHERE id = ?', [passwordHash, row.id], (updateErr) => {
+                                if (updateErr) {
+                                    console.error('Error rehashing password:', updateErr.message);
+                                } else {
+                                    console.log(`[Login] Rehashed password for user ${row.id}`);
+                                }
+                            }))
+                            .catch(hashError => console.error('Error rehashing password:', hashError.message));
+                    }
+                    
+
                     // Clean up any orphaned reservations for this user
                     // (reservations that exist in stations config but not in active reservations)
                     cleanupOrphanedReservations(row.id, row.username).catch(error => {
@@ -2223,25 +2656,14 @@ function setupRoutes() {
                     let tierNotification = null;
                     if (row.role === 'rider' && loyaltyService) {
                         try {
-                            const currentTier = row.loyalty_tier || 'entry';
-                            const newTier = await loyaltyService.calculateUserTier(row.id);
-                            const tierUpdateResult = await loyaltyService.updateUserTier(row.id, newTier);
+                            const tierCheck = await loyaltyService.checkUserTier(row.id, { source: LOYALTY_CONFIG.CHECK_SOURCES.LOGIN });
+                            const newTier = tierCheck.newTier;
                             
-                            console.log(`[Login Tier Check] User ${row.id} - Current: ${currentTier}, New: ${newTier}, Changed: ${tierUpdateResult.tierChanged}`);
+                            console.log(`[Login Tier Check] User ${row.id} - Current: ${tierCheck.oldTier}, New: ${newTier}, Changed: ${tierCheck.tierChanged}`);
                             
-                            if (tierUpdateResult.tierChanged) {
-                                // Determine if it's a promotion or demotion
-                                const tierOrder = { 'entry': 0, 'bronze': 1, 'silver': 2, 'gold': 3 };
-                                const oldRank = tierOrder[tierUpdateResult.oldTier] || 0;
-                                const newRank = tierOrder[tierUpdateResult.newTier] || 0;
-                                const isPromotion = newRank > oldRank;
-                                
-                                tierNotification = {
-                                    type: isPromotion ? 'promotion' : 'demotion',
-                                    oldTier: tierUpdateResult.oldTier,
-                                    newTier: tierUpdateResult.newTier,
-                                    message: tierUpdateResult.reason
-                                };
+                            // Tier changes, and a reminder at every login while a demotion is pending
+                            tierNotification = tierNotificationFor(tierCheck);
+                            if (tierNotification) {
                                 console.log(`[Login Tier Check] Tier notification created:`, tierNotification);
                             }
                             
@@ -2252,9 +2674,22 @@ function setupRoutes() {
                         }
                     }
                     
+                    // Issue access + refresh tokens for subsequent authenticated requests
+                    let tokens;
+                    try {
+                        tokens = await tokenService.issueTokenPair(row);
+                    } catch (tokenError) {
+                        console.error('Error issuing tokens:', tokenError);
+                        return res.status(500).json({
+                            success: false,
+                            message: 'Internal server error'
+                        });
+                    }
+                    
                     res.json({
                         success: true,
                         message: 'Login successful',
+                        tokens,
                         user: { 
                             id: row.id, 
                             username: row.username, 
@@ -2281,8 +2716,129 @@ function setupRoutes() {
         );
     });
 
+    // Exchange a refresh token for a new access/refresh token pair
+    app.post('/api/auth/refresh', async (req, res) => {
+        const { refreshToken } = req.body;
+
+        try {
+            const { user, tokens } = await tokenService.rotateRefreshToken(refreshToken);
+            res.json({
+                success: true,
+                message: 'Token refreshed',
+                tokens,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            if (error instanceof TokenService.TokenError) {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message,
+                    error: error.code
+                });
+            }
+            console.error('Error refreshing token:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // Logout - revoke the refresh token so it can no longer be exchanged
+    app.post('/api/logout', async (req, res) => {
+        const { refreshToken } = req.body;
+
+        try {
+            await tokenService.revokeRefreshToken(refreshToken);
+            res.json({
+                success: true,
+                message: 'Logged out successfully'
+            });
+        } catch (error) {
+            console.error('Error revoking refresh token:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // Change password - requires the current password
+    app.post('/api/profile/password', authenticateUser, async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+        
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Current password and new password are required',
+                error: 'MISSING_FIELDS'
+            });
+        }
+        
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'New password must be different from the current password',
+                error: 'PASSWORD_UNCHANGED'
+            });
+        }
+        
+        try {
+            const row = await new Promise((resolve, reject) => {
+                db.get('SELECT id, username, role, password FROM users WHERE id = ?', [req.user.id], (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            });
+            
+            if (!row) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            
+            if (!(await verifyPassword(currentPassword, row.password))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Current password is incorrect',
+                    error: 'INVALID_CURRENT_PASSWORD'
+                });
+            }
+            
+            const passwordHash = await hashPassword(newPassword);
+            await new Promise((resolve, reject) => {
+                db.run('UPDATE users SET password = ? WHERE id = ?', [passwordHash, row.id], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+
+            // End every other session (a stolen refresh token must not outlive the old password);
+            // this session continues with a fresh token pair
+            await tokenService.revokeUserRefreshTokens(row.id);
+            const tokens = await tokenService.issueTokenPair({ id: row.id, username: row.username, role: row.role });
+            
+            res.json({
+                success: true,
+                message: 'Password changed successfully. You have been signed out of your other sessions.',
+                tokens
+            });
+        } catch (error) {
+            console.error('Error changing password:', error);
+            res.status(500).json({ 
+                success: false, 
+                message: 'Internal server error' 
+            });
+        }
+    });
+
     // Profile update endpoint
-    app.post('/api/profile/update', (req, res) => {
+    app.post('/api/profile/update', authenticateUser, requireOwnAccountOrOperator, (req, res) => {
         const { userId, firstName, lastName, email, address } = req.body;
         
         if (!userId) {
@@ -2386,7 +2942,7 @@ function setupRoutes() {
         try {
             // Load stations from database and get real-time bike data
             const stations = await new Promise((resolve, reject) => {
-                db.all('SELECT * FROM stations ORDER BY id', [], (err, stationRows) => {
+                db.all('SELECT * FROM stations WHERE retired_at IS NULL ORDER BY id', [], (err, stationRows) => {
                     if (err) {
                         reject(err);
                         return;
@@ -2538,8 +3094,9 @@ function setupRoutes() {
             const stations = await new Promise((resolve, reject) => {
                 db.all(
                     `SELECT * FROM stations 
-                     WHERE LOWER(name) LIKE LOWER(?) 
-                     OR LOWER(address) LIKE LOWER(?) 
+                     WHERE retired_at IS NULL
+                     AND (LOWER(name) LIKE LOWER(?) 
+                     OR LOWER(address) LIKE LOWER(?)) 
                      ORDER BY name`,
                     [`%${query}%`, `%${query}%`],
                     (err, rows) => {
@@ -2695,6 +3252,39 @@ function setupRoutes() {
         }
     });
 
+    const sendForecastError = (res, error) => {
+        if (error instanceof ForecastService.ForecastError) {
+            const status = error.code === 'STATION_NOT_FOUND' ? 404 : 400;
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error('Error building station forecast:', error);
+        res.status(500).json({ success: false, message: 'Error building station forecast' });
+    };
+
+    // Projected bikes available and free docks for the next hours (?hours=6)
+    app.get('/api/stations/:id/forecast', async (req, res) => {
+        try {
+            const forecast = await forecastService.forecastStation(req.params.id, { hours: req.query.hours });
+            res.json({ success: true, forecast });
+        } catch (error) {
+            sendForecastError(res, error);
+        }
+    });
+
+    // Forecast summary for every station, those likely to run empty or full first - operator only
+    app.get('/api/operator/station-forecasts', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const forecasts = await forecastService.forecastAll({ hours: req.query.hours });
+            res.json({
+                success: true,
+                forecasts: forecasts.map(({ points, ...summary }) => summary),
+                atRisk: forecasts.filter(forecast => forecast.likelyEmpty || forecast.likelyFull).length
+            });
+        } catch (error) {
+            sendForecastError(res, error);
+        }
+    });
+
     // R-BMS-02: Get specific station details
     app.get('/api/stations/:id', (req, res) => {
         try {
@@ -2723,7 +3313,7 @@ function setupRoutes() {
     });
 
     // R-BMS-02: Add new station (operator only)
-    app.post('/api/stations', authenticateUser, requireOperator, (req, res) => {
+    app.post('/api/stations', authenticateUser, requireOperator, async (req, res) => {
         try {
             const { stationId, capacity, location } = req.body;
             
@@ -2736,11 +3326,20 @@ function setupRoutes() {
             
             const result = bmsManager.addStation(stationId, capacity, location);
             
-            if (result.success) {
-                res.status(201).json(result);
-            } else {
-                res.status(400).json(result);
+            if (!result.success) {
+                return res.status(400).json(result);
+            }
+
+            // Persisted as operator-created so config reloads keep it
+            if (configDatabaseService) {
+                try {
+                    await configDatabaseService.saveStationToDb(bmsManager.stations.get(stationId), 'operator');
+                } catch (dbError) {
+                    bmsManager.stations.delete(stationId);
+                    throw dbError;
+                }
             }
+            res.status(201).json(result);
         } catch (error) {
             console.error('Error adding station:', error);
             res.status(500).json({
@@ -2751,8 +3350,23 @@ function setupRoutes() {
         }
     });
 
+    const sendBikeStateError = (res, error, fallbackMessage) => {
+        if (error instanceof BikeStateService.BikeStateError) {
+            const statuses = { NOT_RESERVED: 404, NOT_RESERVATION_OWNER: 403 };
+            const status = error.isConflict ? 409 : (statuses[error.code] || 400);
+            return res.status(status).json({
+                success: false,
+                message: error.message,
+                error: error.code,
+                ...error.details
+            });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
+
     // Reserve a bike - riders only
-    app.post('/api/reserve', authenticateUser, requireRider, async (req, res) => {
+    app.post('/api/reserve', authenticateUser, requireRider, idempotent, async (req, res) => {
         try {
             const { stationId, bikeId } = req.body;
             const userId = req.user.id;
@@ -2776,142 +3390,68 @@ function setupRoutes() {
                 });
             }
 
-            // Check if user already has an active reservation (one per user limit) - redundant check but keeping for safety
-            db.get(
-                `SELECT * FROM r_bms_bikes 
-                 WHERE reserved_by_user_id = ? AND status = 'reserved' 
-                 AND (reservation_expiry IS NULL OR reservation_expiry > datetime('now'))`,
-                [userId],
-                (err, existingReservation) => {
-                    if (err) {
-                        console.error('Database error checking existing reservations:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Database error checking reservations'
-                        });
-                    }
-
-                    if (existingReservation) {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'You already have an active reservation',
-                            existingReservation: {
-                                bikeId: existingReservation.id,
-                                stationId: existingReservation.station_id,
-                                expiresAt: existingReservation.reservation_expiry
-                            }
-                        });
-                    }
-
-                    // Check if the requested bike is available
-                    db.get(
-                        `SELECT * FROM r_bms_bikes 
-                         WHERE id = ? AND station_id = ? AND status = 'available'`,
-                        [bikeId, stationId],
-                        (bikeErr, bike) => {
-                            if (bikeErr) {
-                                console.error('Database error checking bike availability:', bikeErr);
-                                return res.status(500).json({
-                                    success: false,
-                                    message: 'Database error checking bike'
-                                });
-                            }
-
-                            if (!bike) {
-                                return res.status(400).json({
-                                    success: false,
-                                    message: 'Bike not available for reservation'
-                                });
-                            }
-
-                            // Calculate reservation expiry based on loyalty tier
-                            let reservationHoldMinutes = 15; // Default
-                            
-                            // Get user's loyalty tier for extension bonus
-                            db.get('SELECT loyalty_tier FROM users WHERE id = ?', [userId], (tierErr, tierUser) => {
-                                if (!tierErr && tierUser && loyaltyService) {
-                                    try {
-                                        const tierBenefits = loyaltyService.getTierBenefits(tierUser.loyalty_tier || 'entry');
-                                        reservationHoldMinutes += tierBenefits.reservationExtensionMinutes;
-                                    } catch (error) {
-                                        console.error('Error applying loyalty extension:', error);
-                                    }
-                                }
+            // Calculate reservation hold based on loyalty tier
+            let reservationHoldMinutes = 15; // Default
+            const tierUser = await new Promise((resolve) => {
+                db.get('SELECT loyalty_tier FROM users WHERE id = ?', [userId], (tierErr, row) => resolve(tierErr ? null : row));
+            });
+            if (tierUser && loyaltyService) {
+                try {
+                    const tierBenefits = loyaltyService.getTierBenefits(tierUser.loyalty_tier || 'entry');
+                    reservationHoldMinutes += tierBenefits.reservationExtensionMinutes;
+                } catch (error) {
+                    console.error('Error applying loyalty extension:', error);
+                }
+            }
 
-                                const expiryTime = new Date();
-                                expiryTime.setMinutes(expiryTime.getMinutes() + reservationHoldMinutes);
+            // The one-reservation-per-user rule is checked again inside the transaction
+            const reservedAt = new Date();
+            const { bike, expiresAt } = await bikeStateService.reserveBike({
+                userId, stationId, bikeId, holdMinutes: reservationHoldMinutes, now: reservedAt
+            });
 
-                                // Reserve the bike
-                                db.run(
-                                    `UPDATE r_bms_bikes 
-                                     SET status = 'reserved', 
-                                         reserved_by_user_id = ?, 
-                                         reservation_expiry = ?,
-                                         updated_at = CURRENT_TIMESTAMP
-                                     WHERE id = ? AND station_id = ?`,
-                                    [userId, expiryTime.toISOString(), bikeId, stationId],
-                                    function(updateErr) {
-                                        if (updateErr) {
-                                            console.error('Error reserving bike:', updateErr);
-                                            return res.status(500).json({
-                                                success: false,
-                                                message: 'Failed to reserve bike'
-                                            });
-                                        }
+            const station = await new Promise((resolve) => {
+                db.get('SELECT name FROM stations WHERE id = ?', [stationId], (stationErr, row) => resolve(stationErr ? null : row));
+            });
+            const stationName = station ? station.name : 'Unknown Station';
 
-                                        // Get station name for response
-                                        db.get(
-                                            'SELECT name FROM stations WHERE id = ?',
-                                            [stationId],
-                                            (stationErr, station) => {
-                                                const stationName = station ? station.name : 'Unknown Station';
-                                                
-                                                console.log(`Bike ${bikeId} reserved by user ${userId} at station ${stationId}`);
-                                                
-                                                // Log reservation activity
-                                                logUserActivity(userId, 'reservation', bikeId, stationId, {
-                                                    bike_type: bike.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard',
-                                                    station_name: stationName,
-                                                    expires_at: expiryTime.toISOString()
-                                                });
-                                                
-                                                res.json({
-                                                    success: true,
-                                                    message: 'Bike reserved successfully',
-                                                    reservation: {
-                                                        bikeId: bikeId,
-                                                        bikeType: bike.type,
-                                                        stationId: stationId,
-                                                        stationName: stationName,
-                                                        reservedAt: new Date().toISOString(),
-                                                        expiresAt: expiryTime.toISOString(),
-                                                        holdTimeMinutes: reservationHoldMinutes,
-                                                        userId: userId
-                                                    }
-                                                });
-                                            }
-                                        );
-                                    }
-                                );
-                            }
-                        );
-                    }
-                );
+            const bikeMem = bmsManager.bikes.get(bikeId);
+            if (bikeMem) {
+                bikeMem.status = 'reserved';
             }
-        );
-        } catch (error) {
-            console.error('Error reserving bike:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error processing bike reservation',
-                error: error.message
+            console.log(`Bike ${bikeId} reserved by user ${userId} at station ${stationId}`);
+            bmsManager.publishBikeStatus(bikeId, 'reserved', stationId, 'reserved');
+            await updateStationStatus(stationId);
+            
+            // Log reservation activity
+            logUserActivity(userId, 'reservation', bikeId, stationId, {
+                bike_type: bike.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard',
+                station_name: stationName,
+                expires_at: expiresAt
+            });
+            
+            res.json({
+                success: true,
+                message: 'Bike reserved successfully',
+                reservation: {
+                    bikeId: bikeId,
+                    bikeType: bike.type,
+                    stationId: stationId,
+                    stationName: stationName,
+                    reservedAt: reservedAt.toISOString(),
+                    expiresAt: expiresAt,
+                    holdTimeMinutes: reservationHoldMinutes,
+                    userId: userId
+                }
             });
+        } catch (error) {
+            sendBikeStateError(res, error, 'Error processing bike reservation');
         }
     });
 
 
     // Cancel bike reservation - riders only
-    app.post('/api/reserve/cancel', authenticateUser, requireRider, (req, res) => {
+    app.post('/api/reserve/cancel', authenticateUser, requireRider, async (req, res) => {
         try {
             const { stationId, bikeId } = req.body;
             const userId = req.user.id;
@@ -2923,93 +3463,33 @@ function setupRoutes() {
                 });
             }
 
-            // Check if bike exists and is reserved by this user
-            db.get(
-                `SELECT * FROM r_bms_bikes 
-                 WHERE id = ? AND station_id = ? AND status = 'reserved'`,
-                [bikeId, stationId],
-                (err, bike) => {
-                    if (err) {
-                        console.error('Database error:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Database error checking reservation'
-                        });
-                    }
+            const bike = await bikeStateService.cancelReservation({ userId, stationId, bikeId });
 
-                    if (!bike) {
-                        return res.status(404).json({
-                            success: false,
-                            message: 'Bike not found or not reserved'
-                        });
-                    }
-
-                    // Check if reservation is still valid and belongs to this user
-                    if (bike.reservation_expiry) {
-                        const expiryTime = new Date(bike.reservation_expiry);
-                        const now = new Date();
-                        
-                        if (expiryTime < now) {
-                            return res.status(400).json({
-                                success: false,
-                                message: 'Reservation has expired'
-                            });
-                        }
-                    }
-
-                    // Check if the reservation belongs to this user
-                    if (bike.reserved_by_user_id && bike.reserved_by_user_id != userId) {
-                        return res.status(403).json({
-                            success: false,
-                            message: 'This reservation does not belong to you'
-                        });
-                    }
-
-                    // Cancel the reservation - set status back to available and clear expiry
-                    db.run(
-                        `UPDATE r_bms_bikes 
-                         SET status = 'available', reservation_expiry = NULL, reserved_by_user_id = NULL, updated_at = CURRENT_TIMESTAMP
-                         WHERE id = ? AND station_id = ?`,
-                        [bikeId, stationId],
-                        function(updateErr) {
-                            if (updateErr) {
-                                console.error('Error updating bike status:', updateErr);
-                                return res.status(500).json({
-                                    success: false,
-                                    message: 'Failed to cancel reservation'
-                                });
-                            }
-
-                            console.log(`Reservation cancelled: Bike ${bikeId} at station ${stationId} by user ${userId}`);
-                            
-                            // Log cancellation activity
-                            logUserActivity(userId, 'reservation_cancelled', bikeId, stationId, {
-                                bike_type: bike.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard'
-                            });
-                            
-                            res.json({
-                                success: true,
-                                message: 'Bike reservation cancelled successfully',
-                                bikeId: bikeId,
-                                stationId: stationId
-                            });
-                        }
-                    );
-                }
-            );
+            const bikeMem = bmsManager.bikes.get(bikeId);
+            if (bikeMem) {
+                bikeMem.status = bike.releasedTo;
+            }
+            console.log(`Reservation cancelled: Bike ${bikeId} at station ${stationId} by user ${userId}`);
+            bmsManager.publishBikeStatus(bikeId, bike.releasedTo, stationId, 'reservation_cancelled');
+            await updateStationStatus(stationId);
             
-        } catch (error) {
-            console.error('Error cancelling reservation:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Error cancelling bike reservation',
-                error: error.message
+            // Log cancellation activity
+            logUserActivity(userId, 'reservation_cancelled', bikeId, stationId, {
+                bike_type: bike.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard'
+            });
+            
+            res.json({
+                success: true,
+                message: 'Bike reservation cancelled successfully',
+                bikeId: bikeId,
+                stationId: stationId
             });
+        } catch (error) {
+            sendBikeStateError(res, error, 'Error cancelling bike reservation');
         }
     });
-
     // R-BMS-02: Rent a bike (undocking with empty station protection) - riders only
-    app.post('/api/rent', authenticateUser, requireRider, async (req, res) => {
+    app.post('/api/rent', authenticateUser, requireRider, idempotent, async (req, res) => {
         try {
             let { stationId, bikeId, userId } = req.body;
 
@@ -3026,8 +3506,8 @@ function setupRoutes() {
             const normHeaderUserId = headerUserId !== undefined && headerUserId !== null ? String(headerUserId) : null;
             const normBodyUserId = userId !== undefined && userId !== null ? String(userId) : null;
 
-            // Validate ownership - riders can only rent for themselves (compare as strings)
-            if (req.user && req.user.role === 'rider' && normHeaderUserId !== normBodyUserId) {
+            // Validate ownership - riders (dual users included) can only rent for themselves (compare as strings)
+            if (normHeaderUserId !== normBodyUserId) {
                 return res.status(403).json({
                     success: false,
                     message: 'Riders can only rent bikes for themselves',
@@ -3073,14 +3553,15 @@ function setupRoutes() {
             // Ensure userId passed to rental system is normalized string
             const useUserId = normBodyUserId || normHeaderUserId;
 
-            // Use config system instead of BMS manager for all stations
-            const result = await rentBikeFromConfig(useUserId, stationId, bikeId);
+            const result = await rentBikeFromStation(useUserId, stationId, bikeId);
 
             if (result.success) {
                 res.json(result);
             } else {
-                // R-BMS-02: Return appropriate status codes for blocked operations
-                const statusCode = result.operation === 'undock_failed_station_empty' ? 422 : 400;
+                // R-BMS-02: Return appropriate status codes for blocked operations; 409 when another request won,
+                // 402 when the card hold was refused
+                const statusCode = result.operation === 'undock_failed_station_empty' ? 422
+                    : (result.conflict ? 409 : (result.paymentRequired ? 402 : 400));
                 res.status(statusCode).json(result);
             }
         } catch (error) {
@@ -3094,7 +3575,7 @@ function setupRoutes() {
     });
 
     // R-BMS-02: Return a bike (docking with full station protection) - riders only
-    app.post('/api/return', authenticateUser, requireRider, async (req, res) => {
+    app.post('/api/return', authenticateUser, requireRider, idempotent, async (req, res) => {
         try {
             let { stationId, bikeId, userId } = req.body;
 
@@ -3110,8 +3591,8 @@ function setupRoutes() {
             const normHeaderUserId = headerUserId !== undefined && headerUserId !== null ? String(headerUserId) : null;
             const normBodyUserId = userId !== undefined && userId !== null ? String(userId) : null;
 
-            // Validate ownership - riders can only return bikes they rented (compare as strings)
-            if (req.user && req.user.role === 'rider' && normHeaderUserId !== normBodyUserId) {
+            // Validate ownership - riders (dual users included) can only return bikes they rented (compare as strings)
+            if (normHeaderUserId !== normBodyUserId) {
                 return res.status(403).json({
                     success: false,
                     message: 'Riders can only return their own bikes',
@@ -3123,15 +3604,14 @@ function setupRoutes() {
             // Debug log
             console.log('DEBUG /api/return incoming:', { headerUserId: normHeaderUserId, bodyUserId: normBodyUserId, stationId, bikeId });
 
-            // Use config system for bike return
             const useUserId = normBodyUserId || normHeaderUserId;
-            const result = await returnBikeToConfig(useUserId, bikeId, stationId);
+            const result = await returnBikeToStation(useUserId, bikeId, stationId);
 
             if (result.success) {
                 res.json(result);
             } else {
-                // R-BMS-02: Return appropriate status codes for blocked operations
-                const statusCode = result.operation === 'dock_failed_station_full' ? 422 : 400;
+                // R-BMS-02: Return appropriate status codes for blocked operations; 409 when another request won
+                const statusCode = result.operation === 'dock_failed_station_full' ? 422 : (result.conflict ? 409 : 400);
                 res.status(statusCode).json(result);
             }
         } catch (error) {
@@ -3275,6 +3755,64 @@ function setupRoutes() {
         }
     });
 
+    const sendRebalancingError = (res, error, fallbackMessage) => {
+        if (error instanceof RebalancingService.RebalancingError) {
+            const status = error.code === 'STATION_NOT_FOUND' ? 404 : 400;
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage });
+    };
+
+    // Suggested bike moves between stations, with a van route - operator only
+    app.get('/api/operator/rebalancing-plan', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const plan = await rebalancingService.buildPlan();
+            res.json({ success: true, plan });
+        } catch (error) {
+            sendRebalancingError(res, error, 'Error building rebalancing plan');
+        }
+    });
+
+    // Run an accepted plan as a batch of manual moves - operator only
+    app.post('/api/operator/rebalancing-plan/execute', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const result = await rebalancingService.executePlan(req.body.moves, req.user.id);
+            result.stationIds.forEach(stationId => updateStationStatus(stationId));
+            res.json({
+                success: result.failedCount === 0,
+                message: `Moved ${result.movedCount} bike(s)` + (result.failedCount > 0 ? `, ${result.failedCount} could not be moved` : ''),
+                ...result
+            });
+        } catch (error) {
+            sendRebalancingError(res, error, 'Error running rebalancing plan');
+        }
+    });
+
+    // Per-station rebalancing targets - operator only
+    app.get('/api/operator/station-targets', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const targets = await rebalancingService.getTargets();
+            res.json({ success: true, targets });
+        } catch (error) {
+            sendRebalancingError(res, error, 'Error loading station targets');
+        }
+    });
+
+    // Set a station's target bike count ({ targetBikes: null } restores the default) - operator only
+    app.put('/api/operator/stations/:id/target', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const { targetBikes } = req.body;
+            if (targetBikes === undefined) {
+                return res.status(400).json({ success: false, message: 'targetBikes is required', error: 'INVALID_TARGET' });
+            }
+            const target = await rebalancingService.setTarget(req.params.id, targetBikes, req.user.id);
+            res.json({ success: true, target });
+        } catch (error) {
+            sendRebalancingError(res, error, 'Error updating station target');
+        }
+    });
+
     // ===== R-BMS-01 MAP ENDPOINTS MOVED ABOVE =====
 
     // R-BMS-01: Get bikes data for map display
@@ -3354,11 +3892,16 @@ function setupRoutes() {
                 });
             }
             
-            const summary = await configDatabaseService.initializeFromConfig();
+            // Apply only the differences; live bike state is preserved
+            const { diff, summary } = await configDatabaseService.reloadFromConfig();
+            populateBMSManagerFromConfig();
             
             res.json({
                 success: true,
-                message: 'R-BMS-01: Configuration reloaded successfully',
+                message: diff.hasChanges
+                    ? 'R-BMS-01: Configuration reloaded successfully'
+                    : 'R-BMS-01: Configuration reloaded - no changes detected',
+                diff: diff,
                 summary: summary
             });
         } catch (error) {
@@ -3408,7 +3951,7 @@ function setupRoutes() {
                 });
             }
 
-            const result = await loyaltyService.checkAllUsersTiers();
+            const result = await loyaltyService.checkAllUsersTiers({ source: LOYALTY_CONFIG.CHECK_SOURCES.OPERATOR });
             
             res.json({
                 success: true,
@@ -3424,469 +3967,438 @@ function setupRoutes() {
         }
     });
 
+    const sendLoyaltyError = (res, error, fallbackMessage) => {
+        if (error instanceof LoyaltyService.LoyaltyError) {
+            const status = error.code === 'TIER_NOT_FOUND' ? 404 : 400;
+            return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        console.error(`${fallbackMessage}:`, error);
+        res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+    };
+
+    // Loyalty tiers with their benefits and rules (operators), lowest rank first
+    app.get('/api/operator/loyalty/tiers', authenticateUser, requireOperator, (req, res) => {
+        res.json({ success: true, tiers: loyaltyService.listTiers() });
+    });
+
+    // Edit a tier. Body: { name?, discountPercentage?, reservationExtensionMinutes?, criteria? }
+    // Riders move to their new tier at the next tier check
+    app.put('/api/operator/loyalty/tiers/:id', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const tier = await loyaltyService.updateTier(req.params.id, req.body, parseInt(req.user.id));
+            res.json({ success: true, message: `Loyalty tier ${tier.name} updated`, tier });
+        } catch (error) {
+            sendLoyaltyError(res, error, 'Failed to update loyalty tier');
+        }
+    });
+
+    // How many riders an edit would promote or demote, without saving it. Same body as the PUT
+    app.post('/api/operator/loyalty/tiers/:id/preview', authenticateUser, requireOperator, async (req, res) => {
+        try {
+            const preview = await loyaltyService.previewTier(req.params.id, req.body);
+            res.json({ success: true, preview });
+        } catch (error) {
+            sendLoyaltyError(res, error, 'Failed to preview loyalty tier');
+        }
+    });
+
     app.get('/health', (req, res) => {
         res.json({ status: 'OK', timestamp: new Date().toISOString() });
     });
 }
 
 /**
- * Rent a bike using the config system (works with all 15 stations)
+ * Rent a bike from a station (works with all 15 stations)
  */
-async function rentBikeFromConfig(userId, stationId, bikeId) {
-    return new Promise((resolve) => {
+async function rentBikeFromStation(userId, stationId, bikeId) {
+    // Hold the expected fare on the rider's default card before the bike unlocks
+    let hold;
+    try {
+        hold = await paymentService.placeRentalHold(userId);
+    } catch (error) {
+        if (error instanceof PaymentGateway.PaymentGatewayError) {
+            return {
+                success: false,
+                message: `Could not place a $${RENTAL_PAYMENT_CONFIG.HOLD_AMOUNT.toFixed(2)} hold on your card: ${error.message}`,
+                error: error.code,
+                paymentRequired: true
+            };
+        }
+        console.error('Error placing rental hold:', error);
+        return { success: false, message: 'Internal error during rental' };
+    }
+
+    try {
+        let started;
         try {
-            // Check if bike exists and is available
-            db.get(
-                'SELECT * FROM r_bms_bikes WHERE id = ? AND station_id = ?',
-                [bikeId, stationId],
-                async (err, bike) => {
-                    if (err) {
-                        console.error('Database error during rent:', err);
-                        return resolve({
-                            success: false,
-                            message: 'Database error during rental'
-                        });
-                    }
+            started = await bikeStateService.startRental({ userId, stationId, bikeId });
+        } catch (error) {
+            await paymentService.releaseRentalHold(hold).catch(voidError => {
+                console.error(`Error releasing rental hold for user ${userId}:`, voidError);
+            });
+            throw error;
+        }
+        const { rentalId, bike, startTime, reservedByUser } = started;
+        // The bike is already out: if the hold can't be recorded, release it and leave the charge to the Payment page
+        await paymentService.attachRentalHold({ id: rentalId, user_id: userId }, hold).catch(attachError => {
+            console.error(`Error recording rental hold for rental ${rentalId}:`, attachError);
+            return paymentService.releaseRentalHold(hold).catch(() => {});
+        });
+        if (reservedByUser) {
+            console.log(`User ${userId} is renting their reserved bike ${bikeId}`);
+        }
 
-                    if (!bike) {
-                        return resolve({
-                            success: false,
-                            message: `Bike ${bikeId} not found at station ${stationId}`
-                        });
-                    }
+        console.log(`SUCCESS: Bike ${bikeId} rented from station ${stationId} by user ${userId}`);
+        bmsManager.publishBikeStatus(bikeId, 'on_trip', null, 'rented');
+        await updateStationStatus(stationId);
+
+        // --- Update in-memory bmsManager state ---
+        if (bmsManager && bmsManager.stations && bmsManager.bikes) {
+            const station = bmsManager.stations.get(stationId);
+            const bikeMem = bmsManager.bikes.get(bikeId);
+            if (station && bikeMem) {
+                station.dockedBikes.delete(bikeId);
+                // Optionally update bike status in memory
+                bikeMem.status = 'on_trip';
+            }
+        }
 
-                    // Check if bike is available or reserved by this user
-                    if (bike.status === 'available') {
-                        // Bike is available for anyone to rent
-                    } else if (bike.status === 'reserved' && bike.reserved_by_user_id === parseInt(userId)) {
-                        // Bike is reserved by this user, they can rent it
-                        console.log(`User ${userId} is renting their reserved bike ${bikeId}`);
-                    } else {
-                        return resolve({
-                            success: false,
-                            message: `Bike ${bikeId} is not available (status: ${bike.status})`
-                        });
-                    }
+        // Log rental start activity
+        logUserActivity(userId, 'rental_started', bikeId, stationId, {
+            bike_type: PricingService.isEBike(bike.type) ? '⚡ E-Bike' : '🚴 Standard',
+            pickup_station: stationId
+        });
 
-                    // Update bike status to on_trip and clear reservation
-                    db.run(
-                        'UPDATE r_bms_bikes SET status = ?, station_id = ?, reserved_by_user_id = ?, reservation_expiry = ? WHERE id = ?',
-                        ['on_trip', null, null, null, bikeId],
-                        function(updateErr) {
-                            if (updateErr) {
-                                console.error('Error updating bike status:', updateErr);
-                                return resolve({
-                                    success: false,
-                                    message: 'Failed to update bike status'
-                                });
-                            }
+        return {
+            success: true,
+            message: `Bike ${bikeId} successfully rented from station ${stationId}`,
+            rental: {
+                rentalId,
+                bikeId,
+                stationId,
+                userId,
+                startTime
+            },
+            hold: {
+                amount: hold.amount,
+                cardLast4: hold.last4
+            }
+        };
+    } catch (error) {
+        if (error instanceof BikeStateService.BikeStateError) {
+            return { success: false, message: error.message, error: error.code, conflict: error.isConflict };
+        }
+        console.error('Error in rentBikeFromStation:', error);
+        return {
+            success: false,
+            message: 'Internal error during rental'
+        };
+    }
+}
 
-                            // Create rental record with station info
-                            db.run(
-                                'INSERT INTO rentals (user_id, bike_id, start_time, status, station_id) VALUES (?, ?, ?, ?, ?)',
-                                [userId, bikeId, new Date().toISOString(), 'active', stationId],
-                                function(rentalErr) {
-                                    if (rentalErr) {
-                                        console.error('Error creating rental record:', rentalErr);
-                                        // Rollback bike status (restore to original state)
-                                        const rollbackStatus = bike.status; // Could be 'available' or 'reserved'
-                                        const rollbackReservedBy = bike.reserved_by_user_id;
-                                        const rollbackExpiry = bike.reservation_expiry;
-                                        db.run('UPDATE r_bms_bikes SET status = ?, station_id = ?, reserved_by_user_id = ?, reservation_expiry = ? WHERE id = ?', 
-                                               [rollbackStatus, stationId, rollbackReservedBy, rollbackExpiry, bikeId]);
-                                        return resolve({
-                                            success: false,
-                                            message: 'Failed to create rental record'
-                                        });
-                                    }
+/**
+ * Return a bike to a station (works with all 15 stations)
+ */
+async function returnBikeToStation(userId, bikeId, stationId) {
+    try {
+        // Block docking to out-of-service stations
+        if (bmsManager && bmsManager.stations) {
+            const station = bmsManager.stations.get(stationId);
+            if (station && station.isOutOfService && station.isOutOfService()) {
+                return {
+                    success: false,
+                    message: `Cannot return bike to station ${stationId} (${station.name}): station is out of service`,
+                    operation: 'return_failed_station_oos',
+                    stationInfo: station.getStationInfo()
+                };
+            }
+        }
 
-                                    console.log(`SUCCESS: Bike ${bikeId} rented from station ${stationId} by user ${userId}`);
+        // Verify user has an active rental for this bike
+        const rental = await bikeStateService.getActiveRental(userId, bikeId);
+        if (!rental) {
+            return {
+                success: false,
+                message: `No active rental found for bike ${bikeId}`
+            };
+        }
 
-                                    // --- Update in-memory bmsManager state ---
-                                    if (bmsManager && bmsManager.stations && bmsManager.bikes) {
-                                        const station = bmsManager.stations.get(stationId);
-                                        const bikeMem = bmsManager.bikes.get(bikeId);
-                                        if (station && bikeMem) {
-                                            station.dockedBikes.delete(bikeId);
-                                            // Optionally update bike status in memory
-                                            bikeMem.status = 'on_trip';
-                                        }
-                                    }
+        // Get bike type AND user tier for billing & discount calculation
+        const [bikeData, tierData] = await Promise.all([
+            new Promise((resolve) => {
+                db.get('SELECT type FROM r_bms_bikes WHERE id = ?', [bikeId], (bikeErr, row) => {
+                    if (bikeErr) {
+                        console.error('Error getting bike data:', bikeErr);
+                        // Continue without billing info
+                    }
+                    resolve(row);
+                });
+            }),
+            new Promise((resolve) => {
+                db.get('SELECT loyalty_tier FROM users WHERE id = ?', [userId], (tierErr, row) => resolve(row));
+            })
+        ]);
+
+        const endTime = new Date().toISOString();
+        let billingInfo = null;
+        let finalCost = 0;
+        // Type recorded at checkout; rentals started before it was stored fall back to the bike row
+        const bikeType = rental.bike_type || (bikeData && bikeData.type) || null;
+        // Calculate billing with the rider's plan if we have bike type
+        if (bikeType) {
+            try {
+                billingInfo = await pricingService.priceRental(userId, rental.start_time, endTime, bikeType);
+                finalCost = billingInfo.totalCost;
+            } catch (pricingErr) {
+                console.error('Error pricing rental:', pricingErr);
+            }
+        }
+        
+        if (billingInfo) {
+            
+            // Apply loyalty tier discount
+            if (loyaltyService && tierData) {
+                try {
+                    const userLoyaltyTier = tierData.loyalty_tier || 'entry';
+                    const tierBenefits = loyaltyService.getTierBenefits(userLoyaltyTier);
+                    const discountPercentage = tierBenefits.discountPercentage;
+                    if (discountPercentage > 0) {
+                        const discountAmount = Number((finalCost * (discountPercentage / 100)).toFixed(2));
+                        finalCost = Number((finalCost - discountAmount).toFixed(2));
+                        console.log(`Discount applied: ${userLoyaltyTier} tier - ${discountPercentage}% off. Original: $${billingInfo.totalCost}, Final: $${finalCost}`);
+                    }
+                } catch (error) {
+                    console.error('Error applying discount:', error);
+                }
+            }
+        }
 
-                                    // Log rental start activity
-                                    logUserActivity(userId, 'rental_started', bikeId, stationId, {
-                                        bike_type: bike.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard',
-                                        pickup_station: stationId
-                                    });
+        // Dock the bike and end the rental with billing information, the pricing applied and the end station
+        const { bikeStatus } = await bikeStateService.completeRental({
+            rentalId: rental.id,
+            bikeId,
+            stationId,
+            endTime,
+            billing: billingInfo ? {
+                totalCost: finalCost,
+                bikeType,
+                planId: billingInfo.planId,
+                baseFee: billingInfo.baseFee,
+                ratePerMinute: billingInfo.ratePerMinute,
+                billableMinutes: billingInfo.billableMinutes
+            } : null
+        });
 
-                                    resolve({
-                                        success: true,
-                                        message: `Bike ${bikeId} successfully rented from station ${stationId}`,
-                                        rental: {
-                                            bikeId,
-                                            stationId,
-                                            userId,
-                                            startTime: new Date().toISOString()
-                                        }
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
-            );
-        } catch (error) {
-            console.error('Error in rentBikeFromConfig:', error);
-            resolve({
-                success: false,
-                message: 'Internal error during rental'
+        // A pending percentage promo code is credited as flex dollars, so it pays for this trip
+        let promoCredit = null;
+        try {
+            promoCredit = await promoService.applyPendingPromo({
+                id: rental.id, user_id: rental.user_id, total_cost: finalCost, pricing_plan_id: billingInfo ? billingInfo.planId : null
             });
+        } catch (promoErr) {
+            console.error(`Error applying promo code to rental ${rental.id}:`, promoErr);
         }
-    });
-}
 
-/**
- * Return a bike using the config system (works with all 15 stations)
- */
-async function returnBikeToConfig(userId, bikeId, stationId) {
-    return new Promise((resolve) => {
+        // Capture the final cost from the hold placed when the rental started
+        let payment = null;
         try {
-            // First, verify user has an active rental for this bike
-            // Block docking to out-of-service stations
-            if (bmsManager && bmsManager.stations) {
-                const station = bmsManager.stations.get(stationId);
-                if (station && station.isOutOfService && station.isOutOfService()) {
-                    return resolve({
-                        success: false,
-                        message: `Cannot return bike to station ${stationId} (${station.name}): station is out of service`,
-                        operation: 'return_failed_station_oos',
-                        stationInfo: station.getStationInfo()
-                    });
-                }
-            }
-            db.get(
-                'SELECT * FROM rentals WHERE user_id = ? AND bike_id = ? AND status = ?',
-                [userId, bikeId, 'active'],
-                async (err, rental) => {
-                    if (err) {
-                        console.error('Database error during return:', err);
-                        return resolve({
-                            success: false,
-                            message: 'Database error during return'
-                        });
-                    }
-
-                    if (!rental) {
-                        return resolve({
-                            success: false,
-                            message: `No active rental found for bike ${bikeId}`
-                        });
-                    }
+            payment = await paymentService.captureRentalHold({ id: rental.id, user_id: rental.user_id, total_cost: finalCost });
+        } catch (paymentErr) {
+            console.error(`Error capturing payment for rental ${rental.id}:`, paymentErr);
+        }
 
-                    // Check if station exists and has space
-                    db.get(
-                        'SELECT id FROM stations WHERE id = ?',
-                        [stationId],
-                        (stationErr, station) => {
-                            if (stationErr) {
-                                console.error('Database error checking station:', stationErr);
-                                return resolve({
-                                    success: false,
-                                    message: 'Database error checking station'
-                                });
-                            }
+        // A referred rider's first trip credits them and their referrer
+        let referralCredit = null;
+        try {
+            referralCredit = await promoService.creditReferral(rental.user_id, rental.id);
+        } catch (referralErr) {
+            console.error(`Error crediting referral for rental ${rental.id}:`, referralErr);
+        }
 
-                            if (!station) {
-                                return resolve({
-                                    success: false,
-                                    message: `Station ${stationId} not found`
-                                });
+        // --- Update in-memory bmsManager state ---
+        // Also check for flex dollars eligibility (DM-03, DM-04)
+        let flexDollarsAwarded = null;
+        if (bmsManager && bmsManager.stations && bmsManager.bikes) {
+            const station = bmsManager.stations.get(stationId);
+            const bikeMem = bmsManager.bikes.get(bikeId);
+            if (station && bikeMem) {
+                station.dockedBikes.set(bikeId, bikeMem);
+                bikeMem.status = bikeStatus;
+                
+                // Check if station is below 25% occupancy after return
+                if (flexDollarsService) {
+                    const stationInfo = station.getStationInfo();
+                    const occupiedDocks = stationInfo.numberOfBikesDocked;
+                    const totalCapacity = stationInfo.capacity;
+                    
+                    if (flexDollarsService.isBelowMinimumOccupancy(occupiedDocks, totalCapacity)) {
+                        try {
+                            const rewardAmount = flexDollarsService.getRewardAmount();
+                            const awardResult = await flexDollarsService.awardFlexDollars(
+                                userId,
+                                rewardAmount,
+                                `Bike returned to ${station.name} (${occupiedDocks}/${totalCapacity} capacity)`,
+                                null,
+                                stationId
+                            );
+                            
+                            // Nothing is credited once the rider is at the balance cap
+                            if (awardResult.success && awardResult.amount > 0) {
+                                flexDollarsAwarded = {
+                                    amount: awardResult.amount,
+                                    reason: `Station below 25% capacity (${Math.round((occupiedDocks / totalCapacity) * 100)}% occupied)`,
+                                    newBalance: awardResult.newBalance,
+                                    expiresAt: awardResult.expiresAt
+                                };
+                                console.log(` Flex dollars awarded: $${awardResult.amount.toFixed(2)} to user ${userId}`);
                             }
+                        } catch (error) {
+                            console.error(`Error awarding flex dollars: ${error.message}`);
+                            // Don't fail the return due to flex dollars error
+                        }
+                    }
+                }
+            }
+        }
 
-                            // Update bike status back to available and assign to station
-                            db.run(
-                                'UPDATE r_bms_bikes SET status = ?, station_id = ? WHERE id = ?',
-                                ['available', stationId, bikeId],
-                                async function(updateErr) {
-                                    if (updateErr) {
-                                        console.error('Error updating bike status:', updateErr);
-                                        return resolve({
-                                            success: false,
-                                            message: 'Failed to update bike status'
-                                        });
-                                    }
-
-                                    // --- Update in-memory bmsManager state ---
-                                    // Also check for flex dollars eligibility (DM-03, DM-04)
-                                    let flexDollarsAwarded = null;
-                                    if (bmsManager && bmsManager.stations && bmsManager.bikes) {
-                                        const station = bmsManager.stations.get(stationId);
-                                        const bikeMem = bmsManager.bikes.get(bikeId);
-                                        if (station && bikeMem) {
-                                            station.dockedBikes.set(bikeId, bikeMem);
-                                            bikeMem.status = 'available';
-                                            
-                                            // Check if station is below 25% occupancy after return
-                                            if (flexDollarsService) {
-                                                const stationInfo = station.getStationInfo();
-                                                const occupiedDocks = stationInfo.numberOfBikesDocked;
-                                                const totalCapacity = stationInfo.capacity;
-                                                
-                                                if (flexDollarsService.isBelowMinimumOccupancy(occupiedDocks, totalCapacity)) {
-                                                    try {
-                                                        const rewardAmount = flexDollarsService.getRewardAmount();
-                                                        const awardResult = await flexDollarsService.awardFlexDollars(
-                                                            userId,
-                                                            rewardAmount,
-                                                            `Bike returned to ${station.name} (${occupiedDocks}/${totalCapacity} capacity)`,
-                                                            null,
-                                                            stationId
-                                                        );
-                                                        
-                                                        if (awardResult.success) {
-                                                            flexDollarsAwarded = {
-                                                                amount: rewardAmount,
-                                                                reason: `Station below 25% capacity (${Math.round((occupiedDocks / totalCapacity) * 100)}% occupied)`,
-                                                                newBalance: awardResult.newBalance
-                                                            };
-                                                            console.log(` Flex dollars awarded: $${rewardAmount.toFixed(2)} to user ${userId}`);
-                                                        }
-                                                    } catch (error) {
-                                                        console.error(`Error awarding flex dollars: ${error.message}`);
-                                                        // Don't fail the return due to flex dollars error
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    }
-                                    if (bmsManager && bmsManager.stations && bmsManager.bikes) {
-                                        const station = bmsManager.stations.get(stationId);
-                                        const bikeMem = bmsManager.bikes.get(bikeId);
-                                        if (station && bikeMem) {
-                                            station.dockedBikes.set(bikeId, bikeMem);
-                                            bikeMem.status = 'available';
-                                        }
-                                    }
+        // Summarise the GPS track sent during the ride (if any)
+        let routeSummary = null;
+        try {
+            routeSummary = await routeService.summarizeRoute(rental.id);
+        } catch (routeErr) {
+            console.error('Error summarising rental route:', routeErr);
+        }
 
-                                    // Get bike type AND user tier for billing & discount calculation
-                                    db.get(
-                                        'SELECT type FROM r_bms_bikes WHERE id = ?',
-                                        [bikeId],
-                                        (bikeErr, bikeData) => {
-                                            if (bikeErr) {
-                                                console.error('Error getting bike data:', bikeErr);
-                                                // Continue without billing info
-                                            }
+        const duration = Date.now() - new Date(rental.start_time).getTime();
+        console.log(`SUCCESS: Bike ${bikeId} returned to station ${stationId} by user ${userId}`);
+        bmsManager.publishBikeStatus(bikeId, bikeStatus, stationId, 'returned');
+        await updateStationStatus(stationId);
+        
+        // Log rental completion activity
+        const durationMinutes = Math.ceil(duration / (1000 * 60));
+        const durationHours = Math.floor(durationMinutes / 60);
+        const durationMins = durationMinutes % 60;
+        const durationText = durationHours > 0 ? `${durationHours}h ${durationMins}m` : `${durationMins}m`;
+        
+        logUserActivity(userId, 'rental_completed', bikeId, stationId, {
+            bike_type: PricingService.isEBike(bikeType) ? '⚡ E-Bike' : '🚴 Standard',
+            bike_type_raw: bikeType, // Add raw type for frontend logic
+            return_station_id: stationId,
+            pickup_station_id: rental.station_id,
+            duration: durationText,
+            duration_minutes: durationMinutes, // Add duration in minutes
+            cost: billingInfo ? billingInfo.totalCost : 0
+        });
+        
+        const response = {
+            success: true,
+            message: `Bike ${bikeId} successfully returned to station ${stationId}`,
+            return: {
+                bikeId,
+                stationId,
+                userId,
+                endTime,
+                duration
+            }
+        };
 
-                                            // Now get user tier for discount
-                                            db.get(
-                                                'SELECT loyalty_tier FROM users WHERE id = ?',
-                                                [userId],
-                                                (tierErr, tierData) => {
-                                                    const endTime = new Date().toISOString();
-                                                    let billingInfo = null;
-                                                    let finalCost = 0;
-                                                    
-                                                    // Calculate billing if we have bike type
-                                                    if (bikeData && bikeData.type) {
-                                                        billingInfo = calculateRentalCost(rental.start_time, endTime, bikeData.type);
-                                                        finalCost = billingInfo.totalCost;
-                                                        
-                                                        // Apply loyalty tier discount
-                                                        if (loyaltyService && tierData) {
-                                                            try {
-                                                                const userLoyaltyTier = tierData.loyalty_tier || 'entry';
-                                                                const tierBenefits = loyaltyService.getTierBenefits(userLoyaltyTier);
-                                                                const discountPercentage = tierBenefits.discountPercentage;
-                                                                if (discountPercentage > 0) {
-                                                                    const discountAmount = Number((finalCost * (discountPercentage / 100)).toFixed(2));
-                                                                    finalCost = Number((finalCost - discountAmount).toFixed(2));
-                                                                    console.log(`Discount applied: ${userLoyaltyTier} tier - ${discountPercentage}% off. Original: $${billingInfo.totalCost}, Final: $${finalCost}`);
-                                                                }
-                                                            } catch (error) {
-                                                                console.error('Error applying discount:', error);
-                                                            }
-                                                        }
-                                                    }
+        // Add billing info to response if available
+        if (billingInfo) {
+            response.billing = {
+                totalCost: finalCost,
+                originalCost: billingInfo.totalCost,
+                durationMinutes: billingInfo.durationMinutes,
+                billableMinutes: billingInfo.billableMinutes,
+                baseFee: billingInfo.baseFee,
+                ratePerMinute: billingInfo.ratePerMinute,
+                planId: billingInfo.planId,
+                planName: billingInfo.planName,
+                fareCap: billingInfo.fareCap,
+                fareCapped: billingInfo.fareCapped,
+                bikeType: bikeType
+            };
+            response.message += ` - Total charge: $${finalCost.toFixed(2)} for ${billingInfo.durationMinutes} minutes`;
+            if (billingInfo.fareCapped) {
+                response.message += ` (daily fare cap of $${billingInfo.fareCap.toFixed(2)} reached)`;
+            }
+        }
+        if (payment) {
+            response.payment = PaymentService.formatPayment(payment);
+            if (payment.status === PAYMENT_GATEWAY_CONFIG.STATUS.FAILED) {
+                response.message += ` - Payment failed: ${payment.failure_message} Please pay from the Payment page.`;
+            }
+        }
+        if (routeSummary) {
+            response.route = {
+                rentalId: rental.id,
+                distanceKm: routeSummary.distanceKm,
+                averageSpeedKmh: routeSummary.averageSpeedKmh,
+                pointCount: routeSummary.pointCount
+            };
+        }
+        // Add flex dollars info if awarded
+        if (flexDollarsAwarded) {
+            response.flexDollars = flexDollarsAwarded;
+            response.message += ` - Earned $${flexDollarsAwarded.amount.toFixed(2)} flex dollars for supporting our network!`;
+        }
+        if (promoCredit) {
+            response.promo = promoCredit;
+            response.message += ` - Promo code ${promoCredit.code}: $${promoCredit.amount.toFixed(2)} off`;
+        }
+        if (referralCredit) {
+            response.referral = referralCredit;
+            response.message += ` - Referral bonus: $${referralCredit.amount.toFixed(2)} flex dollars for your first trip`;
+        }
 
-                                                    // End the rental with billing information
-                                                    // Ensure rentals table has end_station_id column (SQLite: safe to attempt add)
-                                                    db.run('ALTER TABLE rentals ADD COLUMN end_station_id TEXT', [], (alterErr) => {
-                                                        // ignore alterErr (column may already exist)
-
-                                                        // End the rental with billing information and record end station
-                                                        const updateQuery = billingInfo ?
-                                                            'UPDATE rentals SET status = ?, end_time = ?, total_cost = ?, end_station_id = ? WHERE id = ?' :
-                                                            'UPDATE rentals SET status = ?, end_time = ?, end_station_id = ? WHERE id = ?';
-
-                                                        const updateParams = billingInfo ?
-                                                            ['completed', endTime, finalCost, stationId, rental.id] :
-                                                            ['completed', endTime, stationId, rental.id];
-
-                                                        db.run(updateQuery, updateParams, function(rentalErr) {
-                                                            if (rentalErr) {
-                                                                console.error('Error ending rental:', rentalErr);
-                                                                // Rollback bike status
-                                                                db.run('UPDATE r_bms_bikes SET status = ?, station_id = ? WHERE id = ?', 
-                                                                       ['on_trip', null, bikeId]);
-                                                                return resolve({
-                                                                    success: false,
-                                                                    message: 'Failed to end rental'
-                                                                });
-                                                            }
-
-                                                            const duration = Date.now() - new Date(rental.start_time).getTime();
-                                                            console.log(`SUCCESS: Bike ${bikeId} returned to station ${stationId} by user ${userId}`);
-                                                            
-                                                            // Log rental completion activity
-                                                            const durationMinutes = Math.ceil(duration / (1000 * 60));
-                                                            const durationHours = Math.floor(durationMinutes / 60);
-                                                            const durationMins = durationMinutes % 60;
-                                                            const durationText = durationHours > 0 ? `${durationHours}h ${durationMins}m` : `${durationMins}m`;
-                                                            
-                                                            logUserActivity(userId, 'rental_completed', bikeId, stationId, {
-                                                                bike_type: bikeData?.type === 'electric' ? '⚡ E-Bike' : '🚴 Standard',
-                                                                bike_type_raw: bikeData?.type, // Add raw type for frontend logic
-                                                                return_station_id: stationId,
-                                                                pickup_station_id: rental.station_id,
-                                                                duration: durationText,
-                                                                duration_minutes: durationMinutes, // Add duration in minutes
-                                                                cost: billingInfo ? billingInfo.totalCost : 0
-                                                            });
-                                                            
-                                                            const response = {
-                                                                success: true,
-                                                                message: `Bike ${bikeId} successfully returned to station ${stationId}`,
-                                                                return: {
-                                                                    bikeId,
-                                                                    stationId,
-                                                                    userId,
-                                                                    endTime,
-                                                                    duration
-                                                                }
-                                                            };
-
-                                                            // Add billing info to response if available
-                                                            if (billingInfo) {
-                                                                response.billing = {
-                                                                    totalCost: finalCost,
-                                                                    originalCost: billingInfo.totalCost,
-                                                                    durationMinutes: billingInfo.durationMinutes,
-                                                                    ratePerMinute: billingInfo.ratePerMinute,
-                                                                    bikeType: bikeData?.type
-                                                                };
-                                                                response.message += ` - Total charge: $${finalCost.toFixed(2)} for ${billingInfo.durationMinutes} minutes`;
-                                                            }
-                                                            // Add flex dollars info if awarded
-                                                            if (flexDollarsAwarded) {
-                                                                response.flexDollars = flexDollarsAwarded;
-                                                                response.message += ` - Earned $${flexDollarsAwarded.amount.toFixed(2)} flex dollars for supporting our network!`;
-                                                            }
-
-                                                            // Calculate new tier after successful return
-                                                            if (loyaltyService) {
-                                                                try {
-                                                                    // Get current tier before calculating new one
-                                                                    db.get('SELECT loyalty_tier FROM users WHERE id = ?', [userId], async (tierErr, tierData) => {
-                                                                        const oldTier = tierData?.loyalty_tier || 'entry';
-                                                                        
-                                                                        // Calculate new tier
-                                                                        const newTier = await loyaltyService.calculateUserTier(userId);
-                                                                        console.log(`[Return/Tier] User ${userId}: Old tier: ${oldTier}, New tier: ${newTier}`);
-                                                                        
-                                                                        // If tier changed, update and include notification
-                                                                        if (oldTier !== newTier) {
-                                                                            console.log(`[Return/Tier] Tier changed - updating from ${oldTier} to ${newTier}`);
-                                                                            await loyaltyService.updateUserTier(userId, newTier);
-                                                                            
-                                                                            const isPromotion = (oldTier === 'entry' || 
-                                                                                (oldTier === 'bronze' && (newTier === 'silver' || newTier === 'gold')) ||
-                                                                                (oldTier === 'silver' && newTier === 'gold'));
-                                                                            
-                                                                            response.tierNotification = {
-                                                                                type: isPromotion ? 'promotion' : 'demotion',
-                                                                                oldTier,
-                                                                                newTier,
-                                                                                message: isPromotion 
-                                                                                    ? `Great job! You've been promoted to ${newTier.charAt(0).toUpperCase() + newTier.slice(1)} tier!`
-                                                                                    : `Your tier has changed to ${newTier.charAt(0).toUpperCase() + newTier.slice(1)}`
-                                                                            };
-                                                                            console.log(`[Return/Tier] Created notification:`, response.tierNotification);
-                                                                        } else {
-                                                                            console.log(`[Return/Tier] No tier change detected`);
-                                                                        }
-                                                                        
-                                                                        resolve(response);
-                                                                    });
-                                                                } catch (tierError) {
-                                                                    console.error('Error calculating loyalty tier:', tierError);
-                                                                    resolve(response); // Still return success even if tier calc fails
-                                                                }
-                                                            } else {
-                                                                resolve(response);
-                                                            }
-                                                        });
-                                                    });
-                                                }
-                                            );
-                                        }
-                                    );
-                                }
-                            );
-                        }
-                    );
+        // Calculate new tier after successful return
+        if (loyaltyService) {
+            try {
+                const tierCheck = await loyaltyService.checkUserTier(userId, { source: LOYALTY_CONFIG.CHECK_SOURCES.RETURN });
+                console.log(`[Return/Tier] User ${userId}: Old tier: ${tierCheck.oldTier}, New tier: ${tierCheck.newTier}`);
+                
+                // Promotions, demotions and new demotion warnings; the login reminder is enough otherwise
+                if (tierCheck.event && tierCheck.event !== LOYALTY_CONFIG.HISTORY_EVENTS.DEMOTION_CANCELLED) {
+                    response.tierNotification = tierNotificationFor(tierCheck);
+                    console.log(`[Return/Tier] Created notification:`, response.tierNotification);
+                } else {
+                    console.log(`[Return/Tier] No tier change detected`);
                 }
-            );
-        } catch (error) {
-            console.error('Error in returnBikeToConfig:', error);
-            resolve({
-                success: false,
-                message: 'Internal error during return'
-            });
+            } catch (tierError) {
+                console.error('Error calculating loyalty tier:', tierError);
+                // Still return success even if tier calc fails
+            }
         }
-    });
+
+        return response;
+    } catch (error) {
+        if (error instanceof BikeStateService.BikeStateError) {
+            return { success: false, message: error.message, error: error.code, conflict: error.isConflict };
+        }
+        console.error('Error in returnBikeToStation:', error);
+        return {
+            success: false,
+            message: 'Internal error during return'
+        };
+    }
 }
 
 /**
- * Clean up orphaned reservations for a user
- * This handles cases where reservations exist in stations config but the user account was recreated
+ * Release reservations a user can no longer use when they log in
+ * (expired holds, and holds without an expiry left behind by a recreated account)
  */
 async function cleanupOrphanedReservations(userId, username) {
     try {
-        const configPath = './config/stations-config.json';
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        let cleanupCount = 0;
-        
-        // Check all bikes in stations config for reservations by this username
-        for (let station of config.stations) {
-            for (let bike of station.bikes) {
-                if (bike.reservedBy === username) {
-                    // Check if this reservation exists in the database
-                    const activeReservation = await new Promise((resolve, reject) => {
-                        db.get(
-                            'SELECT * FROM reservations WHERE user_id = ? AND bike_id = ? AND status = "active"',
-                            [userId, bike.id],
-                            (err, row) => err ? reject(err) : resolve(row)
-                        );
-                    });
-                    
-                    // If no active reservation found in database, clean up the config
-                    if (!activeReservation) {
-                        console.log(`Cleaning up orphaned reservation for bike ${bike.id} by user ${username}`);
-                        delete bike.reservedBy;
-                        delete bike.reservedAt;
-                        delete bike.reservationExpiry;
-                        bike.status = 'available';
-                        cleanupCount++;
-                    }
-                }
+        const released = await bikeStateService.releaseStaleReservations(userId);
+        released.forEach(bike => {
+            const bikeMem = bmsManager.bikes.get(bike.id);
+            if (bikeMem) {
+                bikeMem.status = bike.releasedTo;
             }
-        }
-        
-        if (cleanupCount > 0) {
-            // Save the cleaned config
-            fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-            console.log(`Cleaned up ${cleanupCount} orphaned reservations for user ${username}`);
+            bmsManager.publishBikeStatus(bike.id, bike.releasedTo, bike.station_id, 'reservation_released');
+        });
+        new Set(released.map(bike => bike.station_id)).forEach(stationId => updateStationStatus(stationId));
+        if (released.length > 0) {
+            console.log(`Cleaned up ${released.length} orphaned reservations for user ${username}`);
         }
     } catch (error) {
         console.error('Error in cleanupOrphanedReservations:', error);
@@ -3906,12 +4418,144 @@ function setupBackgroundTasks() {
         }
     }, 60000); // Every 60 seconds
 
+    // Release expired bike holds so maps update without waiting for the next reserve attempt
+    setInterval(() => {
+        expireBikeReservations().catch(error => {
+            console.error('Error expiring bike reservations:', error);
+        });
+    }, 15000); // Every 15 seconds
+
+    // Drop Idempotency-Keys past their TTL
+    setInterval(async () => {
+        try {
+            const purged = await idempotencyService.purgeExpired();
+            if (purged > 0) {
+                console.log(`Purged ${purged} expired idempotency key(s)`);
+            }
+        } catch (error) {
+            console.error('Error purging idempotency keys:', error);
+        }
+    }, IDEMPOTENCY_CONFIG.PURGE_INTERVAL_MS);
+
+    // Tell operators about trips running longer than expected
+    setInterval(() => {
+        notifyLongTrips().catch(error => {
+            console.error('Error checking for long trips:', error);
+        });
+    }, RENTAL_PAYMENT_CONFIG.LONG_TRIP_CHECK_INTERVAL_MS);
+
+    // Expire flex dollars credits past their expiry date, once at startup and then hourly
+    const expireFlexDollars = () => flexDollarsService.expireFlexDollars().then(expired => {
+        if (expired.length > 0) {
+            console.log(`Expired flex dollars for ${expired.length} rider(s)`);
+        }
+    }).catch(error => {
+        console.error('Error expiring flex dollars:', error);
+    });
+    expireFlexDollars();
+    setInterval(expireFlexDollars, FLEX_DOLLARS_CONFIG.EXPIRY_CHECK_INTERVAL_MS);
+
+    // Re-check every rider's loyalty tier each night at LOYALTY_CHECK_HOUR, so inactive riders
+    // don't keep stale tiers and demotions start with a warning
+    const scheduleNightlyTierCheck = () => {
+        const nextRun = new Date();
+        nextRun.setHours(LOYALTY_CONFIG.NIGHTLY_CHECK_HOUR, 0, 0, 0);
+        if (nextRun <= new Date()) {
+            nextRun.setDate(nextRun.getDate() + 1);
+        }
+        setTimeout(async () => {
+            try {
+                const result = await loyaltyService.checkAllUsersTiers({ source: LOYALTY_CONFIG.CHECK_SOURCES.NIGHTLY });
+                console.log(`Nightly loyalty check: ${result.totalChecked} rider(s), ${result.tierChanges} tier change(s), ${result.warnings} demotion warning(s)`);
+            } catch (error) {
+                console.error('Error in nightly loyalty check:', error);
+            }
+            scheduleNightlyTierCheck();
+        }, nextRun.getTime() - Date.now());
+    };
+    scheduleNightlyTierCheck();
+
     console.log('Background tasks initialized');
 }
 
+// Toast for the rider after a tier check: a promotion or demotion, or a reminder of a pending demotion
+function tierNotificationFor(tierCheck) {
+    const tierName = (tier) => tier.charAt(0).toUpperCase() + tier.slice(1);
+    const { oldTier, newTier } = tierCheck;
+    if (tierCheck.event === LOYALTY_CONFIG.HISTORY_EVENTS.PROMOTION || tierCheck.event === LOYALTY_CONFIG.HISTORY_EVENTS.DEMOTION) {
+        const isPromotion = tierCheck.event === LOYALTY_CONFIG.HISTORY_EVENTS.PROMOTION;
+        return {
+            type: isPromotion ? 'promotion' : 'demotion',
+            oldTier,
+            newTier,
+            message: isPromotion
+                ? `Great job! You've been promoted to ${tierName(newTier)} tier!`
+                : `Your tier has changed to ${tierName(newTier)}`
+        };
+    }
+    if (tierCheck.demotionDueAt) {
+        return {
+            type: 'warning',
+            oldTier,
+            newTier,
+            demotionTo: tierCheck.demotionTo,
+            demotionDueAt: tierCheck.demotionDueAt,
+            message: `Keep riding to stay ${tierName(newTier)}: you'll move to ${tierName(tierCheck.demotionTo)} on ${new Date(tierCheck.demotionDueAt).toLocaleDateString()}`
+        };
+    }
+    return null;
+}
+
+// Raise one operator notification per active rental that passes the long-trip threshold
+async function notifyLongTrips() {
+    const rentals = await bikeStateService.flagLongRentals(RENTAL_PAYMENT_CONFIG.LONG_TRIP_MINUTES);
+    for (const rental of rentals) {
+        const minutes = Math.floor((Date.now() - new Date(rental.start_time).getTime()) / (1000 * 60));
+        await new Promise((resolve, reject) => {
+            db.run(
+                'INSERT INTO operator_notifications (type, bike_id, station_id, user_id, username, message) VALUES (?, ?, ?, ?, ?, ?)',
+                ['long_trip', rental.bike_id, rental.station_id, rental.user_id, rental.username,
+                    `LONG TRIP: ${rental.username || `User ${rental.user_id}`} has had bike ${rental.bike_id} for ${Math.floor(minutes / 60)}h ${minutes % 60}m (rental #${rental.id}${rental.station_id ? `, from ${rental.station_id}` : ''}).`],
+                err => err ? reject(err) : resolve()
+            );
+        });
+    }
+    if (rentals.length > 0) {
+        console.log(`Notified operators of ${rentals.length} long trip(s)`);
+    }
+    return rentals.length;
+}
+
+// Make reserved bikes whose hold has passed available again and publish the change
+async function expireBikeReservations() {
+    const expired = await bikeStateService.expireReservations();
+    expired.forEach(bike => {
+        const bikeObj = bmsManager.bikes.get(bike.id);
+        if (bikeObj) {
+            bikeObj.status = bike.releasedTo;
+        }
+        bmsManager.publishReservationExpired({
+            bikeId: bike.id,
+            stationId: bike.station_id,
+            userId: bike.reserved_by_user_id,
+            expiredAt: bike.reservation_expiry
+        });
+        bmsManager.publishBikeStatus(bike.id, bike.releasedTo, bike.station_id, 'reservation_expired');
+    });
+    new Set(expired.map(bike => bike.station_id)).forEach(stationId => updateStationStatus(stationId));
+    if (expired.length > 0) {
+        console.log(`Expired ${expired.length} bike reservation(s)`);
+    }
+    return expired.length;
+}
+
 process.on('SIGINT', async () => {
     console.log('\nShutting down server...');
     
+    if (eventStreamService) {
+        eventStreamService.close();
+    }
+    
     if (db) {
         await new Promise((resolve) => {
             db.close((err) => {
@@ -3961,12 +4605,15 @@ app.get('/api/flex-dollars/history', authenticateUser, requireRider, async (req,
         const offset = req.query.offset ? parseInt(req.query.offset) : 0;
         
         const history = await flexDollarsService.getTransactionHistory(userId, limit, offset);
+        // What is left of each credit and when it expires
+        const expiring = await flexDollarsService.getExpiringBalances(userId);
         
         res.json({
             success: true,
             message: 'Flex dollars transaction history retrieved',
             userId: userId,
             transactions: history.transactions,
+            expiring: expiring,
             totalCount: history.totalCount,
             pagination: {
                 limit: history.limit,
@@ -0,0 +1,357 @@
+/**
+ * Bike State Service - Owns the runtime state of bikes: reservations, rentals and docking.
+ *
+ * This service provides methods to:
+ * - Reserve a docked bike and cancel the reservation (`reserveBike`, `cancelReservation`)
+ * - Undock a bike into a new rental and dock it again at the end (`startRental`, `completeRental`)
+ * - Release holds whose time has passed (`expireReservations`, `releaseStaleReservations`)
+ * - Pick out active rentals that have run too long, once each (`flagLongRentals`)
+ *
+ * r_bms_bikes and rentals in SQLite are the only store for this state; stations-config.json is
+ * read-only seed input. Every change runs inside a transaction from utils/transaction, queued behind
+ * any other transaction on the shared connection, on a copy of the service bound to it. Writes are
+ * conditional on the state that was checked (e.g. `WHERE status = 'available'`) and must change
+ * exactly one row, so a request that loses a race fails with a conflict instead of overwriting. A bike with maintenance_due_at set (enough riders reported it while it was held) goes
+ * to maintenance instead of available when its hold or rental ends.
+ */
+
+const { transaction } = require('../utils/transaction');
+
+// Status a bike takes when a hold or rental ends, and clearing the maintenance it may owe
+const RELEASE_SET = `status = CASE WHEN maintenance_due_at IS NOT NULL THEN 'maintenance' ELSE 'available' END,
+                     maintenance_due_at = NULL`;
+const releasedTo = (bike) => (bike.maintenance_due_at ? 'maintenance' : 'available');
+
+// Error codes meaning another request got there first (HTTP 409)
+const CONFLICT_CODES = new Set(['CONFLICT', 'ALREADY_RESERVED', 'ALREADY_RENTING', 'BIKE_NOT_AVAILABLE']);
+
+class BikeStateError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'BikeStateError';
+        this.code = code;
+        this.details = details;
+    }
+
+    get isConflict() {
+        return CONFLICT_CODES.has(this.code);
+    }
+}
+
+class BikeStateService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Run a conditional write that must change exactly one row
+     * @param {string} sql - UPDATE whose WHERE re-states the expected current state
+     * @param {Array} params
+     * @param {string} message - Conflict message if the row changed meanwhile
+     */
+    async runExpectingOne(sql, params, message) {
+        const result = await this.run(sql, params);
+        if (result.changes !== 1) {
+            throw new BikeStateError('CONFLICT', message);
+        }
+        return result;
+    }
+
+    /**
+     * This service issuing its statements inside a transaction
+     * @param {Object} tx - Transaction handle from utils/transaction
+     * @returns {BikeStateService}
+     */
+    inTransaction(tx) {
+        return new BikeStateService(tx);
+    }
+
+    /**
+     * Run work inside a transaction, after any transaction already in progress
+     * @param {Function} work - async (state) => result; state is this service bound to the transaction
+     * @returns {Promise<*>} The work's result
+     */
+    transaction(work) {
+        return transaction(this.db, tx => work(this.inTransaction(tx)));
+    }
+
+    /**
+     * The bike a user currently holds, if the hold hasn't expired
+     * @param {number|string} userId - User ID
+     * @param {Date} [now]
+     * @returns {Promise<Object|undefined>} r_bms_bikes row
+     */
+    getActiveReservation(userId, now = new Date()) {
+        return this.get(
+            `SELECT * FROM r_bms_bikes
+             WHERE reserved_by_user_id = ? AND status = 'reserved'
+             AND (reservation_expiry IS NULL OR reservation_expiry > ?)`,
+            [userId, now.toISOString()]
+        );
+    }
+
+    /**
+     * A user's active rental of a bike
+     * @param {number|string} userId - User ID
+     * @param {string} bikeId - Bike ID
+     * @returns {Promise<Object|undefined>} rentals row
+     */
+    getActiveRental(userId, bikeId) {
+        return this.get(
+            'SELECT * FROM rentals WHERE user_id = ? AND bike_id = ? AND status = ?',
+            [userId, bikeId, 'active']
+        );
+    }
+
+    /**
+     * Hold an available bike at a station for a user
+     * @param {Object} params - { userId, stationId, bikeId, holdMinutes, now }
+     * @returns {Promise<Object>} { bike, expiresAt }
+     */
+    reserveBike({ userId, stationId, bikeId, holdMinutes, now = new Date() }) {
+        return this.transaction(async (state) => {
+            const existing = await state.getActiveReservation(userId, now);
+            if (existing) {
+                throw new BikeStateError('ALREADY_RESERVED', 'You already have an active reservation', {
+                    existingReservation: {
+                        bikeId: existing.id,
+                        stationId: existing.station_id,
+                        expiresAt: existing.reservation_expiry
+                    }
+                });
+            }
+
+            const bike = await state.get(
+                `SELECT * FROM r_bms_bikes WHERE id = ? AND station_id = ? AND status = 'available'`,
+                [bikeId, stationId]
+            );
+            if (!bike) {
+                throw new BikeStateError('BIKE_NOT_AVAILABLE', 'Bike not available for reservation');
+            }
+
+            const expiresAt = new Date(now.getTime() + holdMinutes * 60 * 1000).toISOString();
+            await state.runExpectingOne(
+                `UPDATE r_bms_bikes
+                 SET status = 'reserved', reserved_by_user_id = ?, reservation_expiry = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND station_id = ? AND status = 'available'`,
+                [userId, expiresAt, bikeId, stationId],
+                `Bike ${bikeId} was just taken by another rider`
+            );
+            return { bike, expiresAt };
+        });
+    }
+
+    /**
+     * Cancel a user's reservation and make the bike available again
+     * @param {Object} params - { userId, stationId, bikeId, now }
+     * @returns {Promise<Object>} The bike as it was while reserved, with `releasedTo` (its new status)
+     */
+    cancelReservation({ userId, stationId, bikeId, now = new Date() }) {
+        return this.transaction(async (state) => {
+            const bike = await state.get(
+                `SELECT * FROM r_bms_bikes WHERE id = ? AND station_id = ? AND status = 'reserved'`,
+                [bikeId, stationId]
+            );
+            if (!bike) {
+                throw new BikeStateError('NOT_RESERVED', 'Bike not found or not reserved');
+            }
+            if (bike.reservation_expiry && new Date(bike.reservation_expiry) < now) {
+                throw new BikeStateError('RESERVATION_EXPIRED', 'Reservation has expired');
+            }
+            if (bike.reserved_by_user_id && String(bike.reserved_by_user_id) !== String(userId)) {
+                throw new BikeStateError('NOT_RESERVATION_OWNER', 'This reservation does not belong to you');
+            }
+
+            await state.runExpectingOne(
+                `UPDATE r_bms_bikes
+                 SET ${RELEASE_SET}, reservation_expiry = NULL, reserved_by_user_id = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'reserved' AND reserved_by_user_id IS ?`,
+                [bikeId, bike.reserved_by_user_id],
+                `Reservation for bike ${bikeId} changed while it was being cancelled`
+            );
+            return { ...bike, releasedTo: releasedTo(bike) };
+        });
+    }
+
+    /**
+     * Undock a bike that is available, or reserved by this user, and open a rental for it
+     * @param {Object} params - { userId, stationId, bikeId, now }
+     * @returns {Promise<Object>} { rentalId, bike, startTime }
+     */
+    startRental({ userId, stationId, bikeId, now = new Date() }) {
+        return this.transaction(async (state) => {
+            const activeRental = await state.get(`SELECT id FROM rentals WHERE user_id = ? AND status = 'active'`, [userId]);
+            if (activeRental) {
+                throw new BikeStateError('ALREADY_RENTING', 'You already have an active bike rental');
+            }
+
+            // A bike already on a trip has no station; it was taken, not mistyped
+            const bike = await state.get('SELECT * FROM r_bms_bikes WHERE id = ?', [bikeId]);
+            if (!bike || (bike.station_id !== stationId && bike.status !== 'on_trip')) {
+                throw new BikeStateError('BIKE_NOT_FOUND', `Bike ${bikeId} not found at station ${stationId}`);
+            }
+            const reservedByUser = bike.status === 'reserved' && String(bike.reserved_by_user_id) === String(userId);
+            if (bike.status !== 'available' && !reservedByUser) {
+                throw new BikeStateError('BIKE_NOT_AVAILABLE', `Bike ${bikeId} is not available (status: ${bike.status})`);
+            }
+
+            await state.runExpectingOne(
+                `UPDATE r_bms_bikes
+                 SET status = 'on_trip', station_id = NULL, reserved_by_user_id = NULL, reservation_expiry = NULL,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND station_id = ? AND status = ? AND reserved_by_user_id IS ?`,
+                [bikeId, stationId, bike.status, bike.reserved_by_user_id],
+                `Bike ${bikeId} was just taken by another rider`
+            );
+            const startTime = now.toISOString();
+            const result = await state.run(
+                'INSERT INTO rentals (user_id, bike_id, start_time, status, station_id, bike_type) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, bikeId, startTime, 'active', stationId, bike.type]
+            );
+            return { rentalId: result.lastID, bike, startTime, reservedByUser };
+        });
+    }
+
+    /**
+     * Dock a rented bike at a station and close its rental
+     * @param {Object} params - { rentalId, bikeId, stationId, endTime, billing }
+     *   billing: { totalCost, bikeType, planId, baseFee, ratePerMinute, billableMinutes } or null
+     * @returns {Promise<Object>} { bikeStatus } - 'available', or 'maintenance' if the bike owed it
+     */
+    completeRental({ rentalId, bikeId, stationId, endTime, billing = null }) {
+        return this.transaction(async (state) => {
+            const station = await state.get('SELECT id FROM stations WHERE id = ? AND retired_at IS NULL', [stationId]);
+            if (!station) {
+                throw new BikeStateError('STATION_NOT_FOUND', `Station ${stationId} not found`);
+            }
+
+            // Closing the rental first makes a duplicate return the loser
+            const rentalWhere = `WHERE id = ? AND status = 'active'`;
+            const alreadyEnded = `Rental ${rentalId} has already ended`;
+            if (billing) {
+                await state.runExpectingOne(
+                    `UPDATE rentals SET status = 'completed', end_time = ?, total_cost = ?, end_station_id = ?, bike_type = ?,
+                     pricing_plan_id = ?, base_fee = ?, rate_per_minute = ?, billable_minutes = ? ${rentalWhere}`,
+                    [endTime, billing.totalCost, stationId, billing.bikeType, billing.planId, billing.baseFee,
+                        billing.ratePerMinute, billing.billableMinutes, rentalId],
+                    alreadyEnded
+                );
+            } else {
+                await state.runExpectingOne(
+                    `UPDATE rentals SET status = 'completed', end_time = ?, end_station_id = ? ${rentalWhere}`,
+                    [endTime, stationId, rentalId],
+                    alreadyEnded
+                );
+            }
+            const bike = await state.get('SELECT maintenance_due_at FROM r_bms_bikes WHERE id = ?', [bikeId]);
+            await state.runExpectingOne(
+                `UPDATE r_bms_bikes SET ${RELEASE_SET}, station_id = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = 'on_trip'`,
+                [stationId, bikeId],
+                `Bike ${bikeId} is no longer on a trip`
+            );
+            return { bikeStatus: releasedTo(bike || {}) };
+        });
+    }
+
+    /**
+     * Make reserved bikes whose hold has passed available again
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>>} The expired bikes as they were while reserved, with `releasedTo`
+     */
+    expireReservations(now = new Date()) {
+        return this.transaction(async (state) => {
+            const bikes = await state.all(
+                `SELECT id, station_id, reserved_by_user_id, reservation_expiry, maintenance_due_at FROM r_bms_bikes
+                 WHERE status = 'reserved' AND reservation_expiry IS NOT NULL AND reservation_expiry < ?
+                 AND retired_at IS NULL`,
+                [now.toISOString()]
+            );
+            for (const bike of bikes) {
+                await state.run(
+                    `UPDATE r_bms_bikes
+                     SET ${RELEASE_SET}, reserved_by_user_id = NULL, reservation_expiry = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'reserved' AND reservation_expiry IS ?`,
+                    [bike.id, bike.reservation_expiry]
+                );
+            }
+            return bikes.map(bike => ({ ...bike, releasedTo: releasedTo(bike) }));
+        });
+    }
+
+    /**
+     * Release a user's holds that can no longer be used: expired ones, and ones without an
+     * expiry (left behind by older versions, they would otherwise block the user forever)
+     * @param {number|string} userId - User ID
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>>} The released bikes, with `releasedTo`
+     */
+    releaseStaleReservations(userId, now = new Date()) {
+        return this.transaction(async (state) => {
+            const bikes = await state.all(
+                `SELECT id, station_id, reserved_by_user_id, reservation_expiry, maintenance_due_at FROM r_bms_bikes
+                 WHERE status = 'reserved' AND reserved_by_user_id = ?
+                 AND (reservation_expiry IS NULL OR reservation_expiry < ?)`,
+                [userId, now.toISOString()]
+            );
+            for (const bike of bikes) {
+                await state.run(
+                    `UPDATE r_bms_bikes
+                     SET ${RELEASE_SET}, reserved_by_user_id = NULL, reservation_expiry = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'reserved' AND reservation_expiry IS ?`,
+                    [bike.id, bike.reservation_expiry]
+                );
+            }
+            return bikes.map(bike => ({ ...bike, releasedTo: releasedTo(bike) }));
+        });
+    }
+
+    /**
+     * Mark active rentals that started more than the given minutes ago and were not flagged yet
+     * @param {number} minutes - Trip length that counts as long
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>>} The newly flagged rentals, with the rider's username
+     */
+    flagLongRentals(minutes, now = new Date()) {
+        return this.transaction(async (state) => {
+            const rentals = await state.all(
+                `SELECT r.*, u.username FROM rentals r LEFT JOIN users u ON u.id = r.user_id
+                 WHERE r.status = 'active' AND r.long_trip_notified_at IS NULL AND r.start_time < ?`,
+                [new Date(now.getTime() - minutes * 60 * 1000).toISOString()]
+            );
+            for (const rental of rentals) {
+                await state.run(
+                    `UPDATE rentals SET long_trip_notified_at = ? WHERE id = ? AND long_trip_notified_at IS NULL`,
+                    [now.toISOString(), rental.id]
+                );
+            }
+            return rentals;
+        });
+    }
+}
+
+BikeStateService.BikeStateError = BikeStateError;
+BikeStateService.CONFLICT_CODES = CONFLICT_CODES;
+
+module.exports = BikeStateService;
@@ -0,0 +1,561 @@
+/**
+ * Damage Report Service - Rider damage reports and their repair by operators.
+ *
+ * This service provides methods to:
+ * - Check a rider's report and its photos before anything is written (`validateReport`)
+ * - Record a report with its photos on disk (`createReport`)
+ * - Record a rider's report of a docked bike, merged into the bike's open report (`reportIssue`)
+ * - List reports with their photos, status history and repair log (`listReports`, `getReport`)
+ * - Set a report's category, severity and technician (`updateDetails`)
+ * - Move a report through its lifecycle, returning the bike to service when it is closed (`setStatus`)
+ * - Log parts and labour against a report (`addRepairLog`)
+ * - Find a photo file to send back (`getPhoto`)
+ *
+ * Reports move pending → triaged → in_repair → resolved / wont_fix; a report can be closed from
+ * any open status. Every status change and assignment is a damage_report_events row. Photos arrive
+ * as base64 data URLs, are checked against their file signature and are written to
+ * DAMAGE_CONFIG.PHOTO_DIR; the database only keeps the file name.
+ *
+ * A bike has at most one open report from issue reports: riders reporting a bike that already has an
+ * open report are added to its damage_report_reporters, and the bike is moved to maintenance once
+ * ISSUE_REPORT_THRESHOLD different riders have reported it. Issue reports run in a transaction, so
+ * parallel reports on one bike are merged rather than opening several reports. A reserved bike keeps
+ * its reservation and gets maintenance_due_at instead; it goes to maintenance when the hold ends.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DAMAGE_CONFIG } = require('../config/constants');
+const { transaction } = require('../utils/transaction');
+
+const { STATUS } = DAMAGE_CONFIG;
+
+const OPEN_STATUSES = [STATUS.PENDING, STATUS.TRIAGED, STATUS.IN_REPAIR];
+
+// Statuses each status can move to
+const TRANSITIONS = {
+    [STATUS.PENDING]: [STATUS.TRIAGED, STATUS.RESOLVED, STATUS.WONT_FIX],
+    [STATUS.TRIAGED]: [STATUS.IN_REPAIR, STATUS.RESOLVED, STATUS.WONT_FIX],
+    [STATUS.IN_REPAIR]: [STATUS.RESOLVED, STATUS.WONT_FIX]
+};
+
+// First bytes of each accepted photo type
+const PHOTO_SIGNATURES = {
+    'image/jpeg': (buffer) => buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF,
+    'image/png': (buffer) => buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])),
+    'image/webp': (buffer) => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+};
+
+class DamageReportError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'DamageReportError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * API shape of a damage_reports row (with its station name when joined)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatReport(row) {
+    return {
+        id: row.id,
+        bikeId: row.bike_id,
+        stationId: row.station_id,
+        stationName: row.station_name || row.station_id,
+        userId: row.user_id,
+        username: row.username,
+        source: row.source || 'rental',
+        rentalId: row.rental_id || null,
+        description: row.description,
+        category: row.category || 'other',
+        severity: row.severity || 'medium',
+        status: row.status,
+        technician: row.technician || null,
+        resolutionNote: row.resolution_note || null,
+        reportedAt: row.reported_at,
+        updatedAt: row.updated_at || null,
+        resolvedAt: row.resolved_at || null
+    };
+}
+
+class DamageReportService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.photoDir = options.photoDir || DAMAGE_CONFIG.PHOTO_DIR;
+        this.issueReportThreshold = options.issueReportThreshold || DAMAGE_CONFIG.ISSUE_REPORT_THRESHOLD;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * This service issuing its statements inside a transaction
+     * @param {Object} tx - Transaction handle from utils/transaction
+     * @returns {DamageReportService}
+     */
+    inTransaction(tx) {
+        return new DamageReportService(tx, { photoDir: this.photoDir, issueReportThreshold: this.issueReportThreshold });
+    }
+
+    /**
+     * Check a rider's report before the rental is ended or anything is saved
+     * @param {Object} input - { description?, category?, severity?, photos?: [data URL] }
+     * @returns {Object} { description, category, severity, photos: [{ contentType, data: Buffer }] }
+     */
+    validateReport(input = {}) {
+        const description = String(input.description || '').trim();
+        if (description.length > DAMAGE_CONFIG.MAX_DESCRIPTION_LENGTH) {
+            throw new DamageReportError('INVALID_DESCRIPTION', `description must be at most ${DAMAGE_CONFIG.MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        const category = input.category || 'other';
+        if (!DAMAGE_CONFIG.CATEGORIES.includes(category)) {
+            throw new DamageReportError('INVALID_CATEGORY', `category must be one of: ${DAMAGE_CONFIG.CATEGORIES.join(', ')}`);
+        }
+        const severity = input.severity || 'medium';
+        if (!DAMAGE_CONFIG.SEVERITIES.includes(severity)) {
+            throw new DamageReportError('INVALID_SEVERITY', `severity must be one of: ${DAMAGE_CONFIG.SEVERITIES.join(', ')}`);
+        }
+
+        const photos = input.photos || [];
+        if (!Array.isArray(photos) || photos.length > DAMAGE_CONFIG.MAX_PHOTOS) {
+            throw new DamageReportError('INVALID_PHOTO', `At most ${DAMAGE_CONFIG.MAX_PHOTOS} photos can be attached`);
+        }
+        return {
+            description: description || null,
+            category,
+            severity,
+            photos: photos.map((photo, index) => this.decodePhoto(photo, index))
+        };
+    }
+
+    decodePhoto(dataUrl, index) {
+        const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+        const contentType = match && match[1];
+        if (!match || !DAMAGE_CONFIG.PHOTO_TYPES[contentType]) {
+            throw new DamageReportError('INVALID_PHOTO', `Photo ${index + 1} must be a JPEG, PNG or WebP image`);
+        }
+        const data = Buffer.from(match[2], 'base64');
+        if (data.length > DAMAGE_CONFIG.MAX_PHOTO_BYTES) {
+            throw new DamageReportError('INVALID_PHOTO', `Photo ${index + 1} is larger than ${DAMAGE_CONFIG.MAX_PHOTO_BYTES / (1024 * 1024)} MB`);
+        }
+        if (!PHOTO_SIGNATURES[contentType](data)) {
+            throw new DamageReportError('INVALID_PHOTO', `Photo ${index + 1} is not a valid ${contentType} file`);
+        }
+        return { contentType, data };
+    }
+
+    /**
+     * Record a rider's report and write its photos to disk
+     * @param {Object} report - { bikeId, stationId, userId, username, rentalId?, source?, ...validateReport() }
+     * @returns {Promise<number>} The report id
+     */
+    async createReport({ bikeId, stationId, userId, username, rentalId = null, source = 'rental', description, category, severity, photos = [] }) {
+        const result = await this.run(
+            `INSERT INTO damage_reports (bike_id, station_id, user_id, username, description, rental_id, category, severity, status, source, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [bikeId, stationId, userId, username, description || 'Bike damage reported', rentalId, category, severity, STATUS.PENDING, source]
+        );
+        const reportId = result.lastID;
+        await this.run(
+            'INSERT INTO damage_report_reporters (report_id, user_id, username, description) VALUES (?, ?, ?, ?)',
+            [reportId, userId, username, description]
+        );
+        await this.recordEvent(reportId, null, STATUS.PENDING, `Reported by ${username || `user ${userId}`}`, null);
+        await this.savePhotos(reportId, photos, userId);
+        return reportId;
+    }
+
+    async savePhotos(reportId, photos, userId) {
+        if (photos.length === 0) {
+            return;
+        }
+        await fs.promises.mkdir(this.photoDir, { recursive: true });
+        for (const photo of photos) {
+            const filename = `${reportId}-${crypto.randomBytes(8).toString('hex')}.${DAMAGE_CONFIG.PHOTO_TYPES[photo.contentType]}`;
+            await fs.promises.writeFile(path.join(this.photoDir, filename), photo.data);
+            await this.run(
+                'INSERT INTO damage_report_photos (report_id, filename, content_type, size, uploaded_by) VALUES (?, ?, ?, ?, ?)',
+                [reportId, filename, photo.contentType, photo.data.length, userId]
+            );
+        }
+    }
+
+    /**
+     * Record a rider's report of a docked bike they are not renting. If the bike already has an open
+     * report the rider is added to it (with their photos) instead of opening another one, and the bike
+     * moves to maintenance once issueReportThreshold different riders have reported it (a reserved bike
+     * when its reservation ends).
+     * @param {Object} issue - { bikeId, userId, username, ...validateReport() }
+     * @returns {Promise<Object>} { report, created, reporterCount, movedToMaintenance, maintenanceDue }
+     */
+    reportIssue(issue) {
+        // Serialized with every other transaction, so two riders cannot both open a report for the bike
+        return transaction(this.db, tx => this.inTransaction(tx).recordIssue(issue));
+    }
+
+    async recordIssue({ bikeId, userId, username, description, category, severity, photos = [] }) {
+        const bike = await this.get('SELECT id, status, station_id FROM r_bms_bikes WHERE id = ? AND retired_at IS NULL', [bikeId]);
+        if (!bike) {
+            throw new DamageReportError('BIKE_NOT_FOUND', `Bike ${bikeId} not found`);
+        }
+        const rental = await this.get("SELECT id FROM rentals WHERE bike_id = ? AND status = 'active'", [bikeId]);
+        if (!bike.station_id || !DAMAGE_CONFIG.ISSUE_REPORTABLE_STATUSES.includes(bike.status) || rental) {
+            throw new DamageReportError('BIKE_NOT_DOCKED', `Bike ${bikeId} is not docked at a station; report damage on your own rental from My Rentals`);
+        }
+
+        const open = await this.get(
+            `SELECT id, status FROM damage_reports WHERE bike_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+             ORDER BY id DESC LIMIT 1`,
+            [bikeId, ...OPEN_STATUSES]
+        );
+
+        let reportId;
+        if (open) {
+            const added = await this.run(
+                'INSERT OR IGNORE INTO damage_report_reporters (report_id, user_id, username, description) VALUES (?, ?, ?, ?)',
+                [open.id, userId, username, description]
+            );
+            if (added.changes !== 1) {
+                throw new DamageReportError('ALREADY_REPORTED', `You have already reported bike ${bikeId}; operators are looking into it`);
+            }
+            reportId = open.id;
+            await this.recordEvent(reportId, open.status, open.status, `Also reported by ${username || `user ${userId}`}`, null);
+            await this.savePhotos(reportId, photos, userId);
+            await this.run('UPDATE damage_reports SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [reportId]);
+        } else {
+            reportId = await this.createReport({
+                bikeId, stationId: bike.station_id, userId, username, source: 'issue', description, category, severity, photos
+            });
+        }
+
+        const { count } = await this.get('SELECT COUNT(*) AS count FROM damage_report_reporters WHERE report_id = ?', [reportId]);
+        let movedToMaintenance = false;
+        let maintenanceDue = false;
+        if (count >= this.issueReportThreshold) {
+            // Only a bike nobody holds is taken out; a reserved bike keeps its reservation
+            const update = await this.run(
+                `UPDATE r_bms_bikes SET status = 'maintenance', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'available'`,
+                [bikeId]
+            );
+            movedToMaintenance = update.changes === 1;
+            if (!movedToMaintenance) {
+                const due = await this.run(
+                    `UPDATE r_bms_bikes SET maintenance_due_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'reserved' AND maintenance_due_at IS NULL`,
+                    [bikeId]
+                );
+                maintenanceDue = due.changes === 1;
+            }
+            if (movedToMaintenance || maintenanceDue) {
+                const current = await this.get('SELECT status FROM damage_reports WHERE id = ?', [reportId]);
+                const note = movedToMaintenance
+                    ? `Bike ${bikeId} moved to maintenance after ${count} rider reports`
+                    : `Bike ${bikeId} is reserved; it moves to maintenance when the reservation ends (${count} rider reports)`;
+                await this.recordEvent(reportId, current.status, current.status, note, null);
+            }
+        }
+
+        return { report: await this.getReport(reportId), created: !open, reporterCount: count, movedToMaintenance, maintenanceDue };
+    }
+
+    recordEvent(reportId, fromStatus, toStatus, note, operatorId) {
+        return this.run(
+            'INSERT INTO damage_report_events (report_id, from_status, to_status, note, operator_id) VALUES (?, ?, ?, ?, ?)',
+            [reportId, fromStatus, toStatus, note || null, operatorId]
+        );
+    }
+
+    /**
+     * Reports with their photos, status history and repair log, newest first
+     * @param {Object} [filters] - { status: 'open' (pending, triaged, in_repair), 'all', or a single status }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listReports({ status = 'all' } = {}) {
+        let where = '';
+        let params = [];
+        if (status === 'open') {
+            where = `WHERE dr.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`;
+            params = OPEN_STATUSES;
+        } else if (status && status !== 'all') {
+            where = 'WHERE dr.status = ?';
+            params = [status];
+        }
+        const rows = await this.all(
+            `SELECT dr.*, s.name AS station_name FROM damage_reports dr
+             LEFT JOIN stations s ON dr.station_id = s.id
+             ${where}
+             ORDER BY dr.reported_at DESC, dr.id DESC`,
+            params
+        );
+        return Promise.all(rows.map(row => this.withDetails(formatReport(row))));
+    }
+
+    /**
+     * One report with its photos, status history and repair log
+     * @param {number} reportId
+     * @returns {Promise<Object>}
+     */
+    async getReport(reportId) {
+        const row = await this.get(
+            `SELECT dr.*, s.name AS station_name FROM damage_reports dr
+             LEFT JOIN stations s ON dr.station_id = s.id WHERE dr.id = ?`,
+            [reportId]
+        );
+        if (!row) {
+            throw new DamageReportError('REPORT_NOT_FOUND', `Damage report ${reportId} not found`);
+        }
+        return this.withDetails(formatReport(row));
+    }
+
+    async withDetails(report) {
+        const [reporters, photos, events, repairLog] = await Promise.all([
+            this.all('SELECT user_id, username, description, created_at FROM damage_report_reporters WHERE report_id = ? ORDER BY id', [report.id]),
+            this.all('SELECT id, content_type, size, created_at FROM damage_report_photos WHERE report_id = ? ORDER BY id', [report.id]),
+            this.all(
+                `SELECT e.*, u.username AS operator_username FROM damage_report_events e
+                 LEFT JOIN users u ON e.operator_id = u.id WHERE e.report_id = ? ORDER BY e.id`,
+                [report.id]
+            ),
+            this.all(
+                `SELECT l.*, u.username AS logged_by_username FROM damage_repair_log l
+                 LEFT JOIN users u ON l.logged_by = u.id WHERE l.report_id = ? ORDER BY l.id`,
+                [report.id]
+            )
+        ]);
+
+        report.reporters = reporters.map(reporter => ({
+            userId: reporter.user_id,
+            username: reporter.username,
+            description: reporter.description,
+            createdAt: reporter.created_at
+        }));
+        report.reporterCount = reporters.length;
+        report.photos = photos.map(photo => ({
+            id: photo.id,
+            url: `/api/damage-reports/${report.id}/photos/${photo.id}`,
+            contentType: photo.content_type,
+            size: photo.size,
+            createdAt: photo.created_at
+        }));
+        report.events = events.map(event => ({
+            fromStatus: event.from_status,
+            toStatus: event.to_status,
+            note: event.note,
+            operator: event.operator_username || null,
+            createdAt: event.created_at
+        }));
+        report.repairLog = repairLog.map(entry => ({
+            id: entry.id,
+            type: entry.entry_type,
+            description: entry.description,
+            quantity: entry.quantity,
+            unitCost: entry.unit_cost,
+            minutes: entry.minutes,
+            loggedBy: entry.logged_by_username || null,
+            createdAt: entry.created_at
+        }));
+        report.repairTotals = {
+            partsCost: roundCents(repairLog.reduce((sum, entry) => sum + (entry.quantity || 0) * (entry.unit_cost || 0), 0)),
+            labourMinutes: repairLog.reduce((sum, entry) => sum + (entry.minutes || 0), 0)
+        };
+        return report;
+    }
+
+    async getOpenReport(reportId) {
+        const report = await this.getReport(reportId);
+        if (!OPEN_STATUSES.includes(report.status)) {
+            throw new DamageReportError('REPORT_CLOSED', `Damage report ${reportId} is already ${report.status}`);
+        }
+        return report;
+    }
+
+    /**
+     * Set an open report's category, severity or technician
+     * @param {number} reportId
+     * @param {Object} details - { category?, severity?, technician? } (technician null or '' unassigns)
+     * @param {number} operatorId
+     * @returns {Promise<Object>} The report
+     */
+    async updateDetails(reportId, { category, severity, technician } = {}, operatorId) {
+        const report = await this.getOpenReport(reportId);
+        if (category !== undefined && !DAMAGE_CONFIG.CATEGORIES.includes(category)) {
+            throw new DamageReportError('INVALID_CATEGORY', `category must be one of: ${DAMAGE_CONFIG.CATEGORIES.join(', ')}`);
+        }
+        if (severity !== undefined && !DAMAGE_CONFIG.SEVERITIES.includes(severity)) {
+            throw new DamageReportError('INVALID_SEVERITY', `severity must be one of: ${DAMAGE_CONFIG.SEVERITIES.join(', ')}`);
+        }
+        let assignedTo = report.technician;
+        if (technician !== undefined) {
+            assignedTo = String(technician || '').trim() || null;
+            if (assignedTo && assignedTo.length > DAMAGE_CONFIG.MAX_TECHNICIAN_LENGTH) {
+                throw new DamageReportError('INVALID_TECHNICIAN', `technician must be at most ${DAMAGE_CONFIG.MAX_TECHNICIAN_LENGTH} characters`);
+            }
+        }
+
+        await this.run(
+            'UPDATE damage_reports SET category = ?, severity = ?, technician = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [category || report.category, severity || report.severity, assignedTo, report.id]
+        );
+        if (assignedTo !== report.technician) {
+            await this.recordEvent(report.id, report.status, report.status, assignedTo ? `Assigned to ${assignedTo}` : 'Unassigned', operatorId);
+        }
+        return this.getReport(report.id);
+    }
+
+    /**
+     * Move a report to its next status
+     * @param {number} reportId
+     * @param {Object} change - { status, note?, returnToService? } - returnToService puts the bike back to
+     *   available when the report is resolved or closed as wont_fix
+     * @param {number} operatorId
+     * @returns {Promise<Object>} { report, bikeReturned, stationId }
+     */
+    async setStatus(reportId, { status, note = null, returnToService = false } = {}, operatorId) {
+        const report = await this.getOpenReport(reportId);
+        if (!(TRANSITIONS[report.status] || []).includes(status)) {
+            throw new DamageReportError('INVALID_TRANSITION', `A ${report.status} report cannot move to ${status}`);
+        }
+        const closing = status === STATUS.RESOLVED || status === STATUS.WONT_FIX;
+        if (returnToService && !closing) {
+            throw new DamageReportError('INVALID_TRANSITION', 'The bike can only return to service when the report is closed');
+        }
+        if (returnToService) {
+            const others = await this.all(
+                `SELECT id FROM damage_reports WHERE bike_id = ? AND id != ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+                [report.bikeId, report.id, ...OPEN_STATUSES]
+            );
+            if (others.length > 0) {
+                throw new DamageReportError('OPEN_REPORTS', `Bike ${report.bikeId} has other open damage reports (#${others.map(other => other.id).join(', #')})`);
+            }
+        }
+        const trimmedNote = note ? String(note).trim().slice(0, DAMAGE_CONFIG.MAX_DESCRIPTION_LENGTH) : null;
+
+        // Guarded on the current status so two operators cannot both move the same report
+        const update = await this.run(
+            `UPDATE damage_reports SET status = ?, updated_at = CURRENT_TIMESTAMP,
+                    resolved_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE resolved_at END,
+                    resolution_note = CASE WHEN ? THEN ? ELSE resolution_note END
+             WHERE id = ? AND status = ?`,
+            [status, closing ? 1 : 0, closing ? 1 : 0, trimmedNote, report.id, report.status]
+        );
+        if (update.changes !== 1) {
+            throw new DamageReportError('REPORT_CHANGED', `Damage report ${reportId} was changed by someone else; reload and try again`);
+        }
+        await this.recordEvent(report.id, report.status, status, trimmedNote, operatorId);
+        if (closing) {
+            // Nothing left for a held bike to go to maintenance for
+            await this.run(
+                `UPDATE r_bms_bikes SET maintenance_due_at = NULL
+                 WHERE id = ? AND maintenance_due_at IS NOT NULL
+                 AND NOT EXISTS (SELECT 1 FROM damage_reports WHERE bike_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')}))`,
+                [report.bikeId, report.bikeId, ...OPEN_STATUSES]
+            );
+        }
+
+        let bikeReturned = false;
+        let stationId = null;
+        if (returnToService) {
+            const bikeUpdate = await this.run(
+                `UPDATE r_bms_bikes SET status = 'available', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'maintenance'`,
+                [report.bikeId]
+            );
+            bikeReturned = bikeUpdate.changes === 1;
+            const bike = await this.get('SELECT station_id FROM r_bms_bikes WHERE id = ?', [report.bikeId]);
+            stationId = bike ? bike.station_id : null;
+            if (bikeReturned) {
+                await this.recordEvent(report.id, status, status, `Bike ${report.bikeId} returned to service`, operatorId);
+            }
+        }
+
+        return { report: await this.getReport(report.id), bikeReturned, stationId };
+    }
+
+    /**
+     * Log a part or labour against a report that is triaged or in repair
+     * @param {number} reportId
+     * @param {Object} entry - { type: 'part' | 'labour', description, quantity?, unitCost? (parts), minutes? (labour) }
+     * @param {number} operatorId
+     * @returns {Promise<Object>} The report
+     */
+    async addRepairLog(reportId, { type, description, quantity, unitCost, minutes } = {}, operatorId) {
+        const report = await this.getOpenReport(reportId);
+        if (report.status === STATUS.PENDING) {
+            throw new DamageReportError('INVALID_TRANSITION', 'Triage the report before logging repairs');
+        }
+        if (!DAMAGE_CONFIG.REPAIR_LOG_TYPES.includes(type)) {
+            throw new DamageReportError('INVALID_LOG_ENTRY', `type must be one of: ${DAMAGE_CONFIG.REPAIR_LOG_TYPES.join(', ')}`);
+        }
+        const text = String(description || '').trim();
+        if (!text || text.length > DAMAGE_CONFIG.MAX_DESCRIPTION_LENGTH) {
+            throw new DamageReportError('INVALID_LOG_ENTRY', 'description is required');
+        }
+
+        let values;
+        if (type === 'part') {
+            const count = quantity === undefined ? 1 : Number(quantity);
+            const cost = Number(unitCost || 0);
+            if (!Number.isInteger(count) || count < 1 || !Number.isFinite(cost) || cost < 0) {
+                throw new DamageReportError('INVALID_LOG_ENTRY', 'quantity must be a whole number of parts and unitCost a dollar amount');
+            }
+            values = [count, roundCents(cost), null];
+        } else {
+            const labour = Number(minutes);
+            if (!Number.isInteger(labour) || labour < 1) {
+                throw new DamageReportError('INVALID_LOG_ENTRY', 'minutes must be a whole number of minutes');
+            }
+            values = [null, null, labour];
+        }
+
+        await this.run(
+            'INSERT INTO damage_repair_log (report_id, entry_type, description, quantity, unit_cost, minutes, logged_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [report.id, type, text, ...values, operatorId]
+        );
+        await this.run('UPDATE damage_reports SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [report.id]);
+        return this.getReport(report.id);
+    }
+
+    /**
+     * A report's photo file
+     * @param {number} reportId
+     * @param {number} photoId
+     * @returns {Promise<Object>} { filePath, contentType, reporterId } - reporterId is the rider who uploaded it
+     */
+    async getPhoto(reportId, photoId) {
+        const photo = await this.get(
+            'SELECT filename, content_type, uploaded_by FROM damage_report_photos WHERE id = ? AND report_id = ?',
+            [photoId, reportId]
+        );
+        if (!photo) {
+            throw new DamageReportError('PHOTO_NOT_FOUND', 'Photo not found');
+        }
+        return { filePath: path.join(this.photoDir, photo.filename), contentType: photo.content_type, reporterId: photo.uploaded_by };
+    }
+}
+
+DamageReportService.DamageReportError = DamageReportError;
+
+module.exports = DamageReportService;
@@ -0,0 +1,348 @@
+/**
+ * Dispute Service - Rider disputes of rental charges and their resolution by operators.
+ *
+ * This service provides methods to:
+ * - Open a dispute on a captured payment and notify operators (`openDispute`)
+ * - List disputes for the operator queue, or the latest dispute of each of a rider's charges (`listDisputes`, `latestDisputes`)
+ * - Approve a dispute with a full or partial refund to the card or to flex dollars (`approveDispute`)
+ * - Reject a dispute with a note the rider can read (`rejectDispute`)
+ *
+ * A payment has at most one open dispute at a time. Refunds never exceed what is left of the
+ * payment after earlier refunds; card refunds go through PaymentService and are limited to the
+ * part of the charge that was paid by card. A flex dollars refund is credited in the same
+ * transaction that approves the dispute.
+ */
+
+const { DISPUTE_CONFIG, PAYMENT_GATEWAY_CONFIG } = require('../config/constants');
+const { transaction } = require('../utils/transaction');
+
+const { STATUS, REFUND_METHODS } = DISPUTE_CONFIG;
+
+class DisputeError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'DisputeError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * What is left to refund on a payment, in total and on the card
+ * @param {Object} payment - amount, flex_dollars_applied, amount_due_after_flex, refunded_amount and gateway_reference
+ * @param {number} flexRefunded - Flex dollars given back by approved disputes
+ * @returns {Object} { total, card }
+ */
+function refundableAmounts(payment, flexRefunded) {
+    const cardRefunded = payment.refunded_amount || 0;
+    // What the rider paid: flex dollars plus the card charge, which includes sales tax (amount is pre-tax)
+    const paid = payment.amount_due_after_flex === null || payment.amount_due_after_flex === undefined
+        ? payment.amount
+        : roundCents(payment.amount_due_after_flex + (payment.flex_dollars_applied || 0));
+    const total = Math.max(0, roundCents(paid - cardRefunded - (flexRefunded || 0)));
+    // Payments from before the gateway have no capture to refund; they can only be refunded as flex dollars
+    const card = payment.gateway_reference ? roundCents((payment.amount_due_after_flex || 0) - cardRefunded) : 0;
+    return { total, card: Math.max(0, Math.min(total, card)) };
+}
+
+/**
+ * API shape of a payment_disputes row (with the queue's joined columns when present)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatDispute(row) {
+    const dispute = {
+        id: row.id,
+        paymentId: row.payment_id,
+        rentalId: row.rental_id,
+        userId: row.user_id,
+        reason: row.reason,
+        description: row.description || null,
+        status: row.status,
+        refundAmount: row.refund_amount,
+        refundMethod: row.refund_method || null,
+        resolutionNote: row.resolution_note || null,
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at || null
+    };
+    if (row.payment_amount !== undefined) {
+        dispute.username = row.username;
+        dispute.bikeId = row.bike_id;
+        dispute.payment = {
+            amount: row.payment_amount,
+            flexDollarsApplied: row.flex_dollars_applied || 0,
+            cardAmount: row.amount_due_after_flex || 0,
+            cardLast4: row.card_last4 || null,
+            status: row.payment_status
+        };
+        dispute.refundable = refundableAmounts({ ...row, amount: row.payment_amount }, row.flex_refunded);
+        dispute.damageReportId = row.damage_report_id || null;
+    }
+    return dispute;
+}
+
+class DisputeService {
+    constructor(db, paymentService, flexDollarsService) {
+        this.db = db;
+        this.paymentService = paymentService;
+        this.flexDollarsService = flexDollarsService;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * This service, and the flex dollars it refunds, issuing statements inside a transaction
+     * @param {Object} tx - Transaction handle from utils/transaction
+     * @returns {DisputeService}
+     */
+    inTransaction(tx) {
+        return new DisputeService(tx, this.paymentService, this.flexDollarsService.inTransaction(tx));
+    }
+
+    /**
+     * What is left to refund on a payment: the card part not yet refunded, and the total
+     * including flex dollars given back by approved disputes
+     * @param {Object} payment - payments row
+     * @returns {Promise<Object>} { total, card }
+     */
+    async refundable(payment) {
+        const flex = await this.get(
+            `SELECT COALESCE(SUM(refund_amount), 0) AS refunded FROM payment_disputes
+             WHERE payment_id = ? AND status = ? AND refund_method = ?`,
+            [payment.id, STATUS.APPROVED, REFUND_METHODS.FLEX_DOLLARS]
+        );
+        return refundableAmounts(payment, flex.refunded);
+    }
+
+    /**
+     * Open a dispute on one of the rider's captured payments
+     * @param {Object} params - { paymentId, userId, reason, description }
+     * @returns {Promise<Object>} The new dispute
+     */
+    async openDispute({ paymentId, userId, reason, description = null }) {
+        if (!DISPUTE_CONFIG.REASONS.includes(reason)) {
+            throw new DisputeError('INVALID_REASON', `reason must be one of: ${DISPUTE_CONFIG.REASONS.join(', ')}`);
+        }
+        if (description && String(description).length > DISPUTE_CONFIG.MAX_DESCRIPTION_LENGTH) {
+            throw new DisputeError('INVALID_DESCRIPTION', `description must be at most ${DISPUTE_CONFIG.MAX_DESCRIPTION_LENGTH} characters`);
+        }
+
+        const payment = await this.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
+        if (!payment || String(payment.user_id) !== String(userId)) {
+            throw new DisputeError('PAYMENT_NOT_FOUND', `Payment ${paymentId} not found`);
+        }
+        const { CAPTURED, REFUNDED } = PAYMENT_GATEWAY_CONFIG.STATUS;
+        if (payment.status !== CAPTURED && payment.status !== REFUNDED) {
+            throw new DisputeError('PAYMENT_NOT_DISPUTABLE', 'Only paid charges can be disputed');
+        }
+        if ((await this.refundable(payment)).total <= 0) {
+            throw new DisputeError('PAYMENT_NOT_DISPUTABLE', 'This charge has already been fully refunded');
+        }
+
+        const inserted = await this.run(
+            `INSERT INTO payment_disputes (payment_id, rental_id, user_id, reason, description, status)
+             SELECT ?, ?, ?, ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM payment_disputes WHERE payment_id = ? AND status = ?)`,
+            [payment.id, payment.rental_id, payment.user_id, reason, description, STATUS.OPEN, payment.id, STATUS.OPEN]
+        );
+        if (inserted.changes !== 1) {
+            throw new DisputeError('DISPUTE_ALREADY_OPEN', 'This charge already has an open dispute');
+        }
+
+        const context = await this.get(
+            `SELECT u.username, r.bike_id, r.station_id FROM rentals r JOIN users u ON u.id = r.user_id WHERE r.id = ?`,
+            [payment.rental_id]
+        );
+        await this.run(
+            'INSERT INTO operator_notifications (type, bike_id, station_id, user_id, username, message) VALUES (?, ?, ?, ?, ?, ?)',
+            ['billing_dispute', context ? context.bike_id : null, context ? context.station_id : null, payment.user_id,
+                context ? context.username : null,
+                `BILLING DISPUTE: ${context ? context.username : `User ${payment.user_id}`} disputes $${Number(payment.amount).toFixed(2)} for rental #${payment.rental_id} (${reason.replace(/_/g, ' ')}).`]
+        );
+
+        return formatDispute(await this.get('SELECT * FROM payment_disputes WHERE id = ?', [inserted.lastID]));
+    }
+
+    /**
+     * Disputes for the operator queue, oldest open first
+     * @param {Object} [filters] - { status } (open, approved, rejected or all; default open)
+     * @returns {Promise<Object[]>}
+     */
+    async listDisputes({ status = STATUS.OPEN } = {}) {
+        if (status !== 'all' && !Object.values(STATUS).includes(status)) {
+            throw new DisputeError('INVALID_STATUS', `status must be one of: ${Object.values(STATUS).join(', ')}, all`);
+        }
+        const params = [];
+        let where = '';
+        if (status !== 'all') {
+            where = 'WHERE d.status = ?';
+            params.push(status);
+        }
+        const rows = await this.all(
+            `SELECT d.*, u.username, r.bike_id,
+                    p.amount AS payment_amount, p.flex_dollars_applied, p.amount_due_after_flex, p.card_last4,
+                    p.status AS payment_status, p.refunded_amount, p.gateway_reference,
+                    (SELECT COALESCE(SUM(f.refund_amount), 0) FROM payment_disputes f
+                     WHERE f.payment_id = d.payment_id AND f.status = 'approved' AND f.refund_method = 'flex_dollars') AS flex_refunded,
+                    (SELECT MAX(dr.id) FROM damage_reports dr WHERE dr.rental_id = d.rental_id) AS damage_report_id
+             FROM payment_disputes d
+             JOIN payments p ON p.id = d.payment_id
+             LEFT JOIN rentals r ON r.id = d.rental_id
+             LEFT JOIN users u ON u.id = d.user_id
+             ${where}
+             ORDER BY d.status = 'open' DESC, d.created_at ASC, d.id ASC`,
+            params
+        );
+        return rows.map(formatDispute);
+    }
+
+    /**
+     * Latest dispute of each payment, for the rider's billing history
+     * @param {number[]} paymentIds
+     * @returns {Promise<Map<number, Object>>} payment ID → dispute
+     */
+    async latestDisputes(paymentIds) {
+        if (paymentIds.length === 0) {
+            return new Map();
+        }
+        const rows = await this.all(
+            `SELECT * FROM payment_disputes WHERE id IN (
+                SELECT MAX(id) FROM payment_disputes WHERE payment_id IN (${paymentIds.map(() => '?').join(', ')}) GROUP BY payment_id
+             )`,
+            paymentIds
+        );
+        return new Map(rows.map(row => [row.payment_id, formatDispute(row)]));
+    }
+
+    async getOpenDispute(disputeId) {
+        const dispute = await this.get('SELECT * FROM payment_disputes WHERE id = ?', [disputeId]);
+        if (!dispute) {
+            throw new DisputeError('DISPUTE_NOT_FOUND', `Dispute ${disputeId} not found`);
+        }
+        if (dispute.status !== STATUS.OPEN) {
+            throw new DisputeError('DISPUTE_ALREADY_RESOLVED', `Dispute ${disputeId} was already ${dispute.status}`);
+        }
+        return dispute;
+    }
+
+    /**
+     * Approve a dispute and refund the rider
+     * @param {number} disputeId
+     * @param {Object} params - { operatorId, amount, refundMethod, note }; amount defaults to everything
+     *   left to refund (or, for card refunds, everything left of the card part)
+     * @returns {Promise<Object>} The approved dispute
+     */
+    async approveDispute(disputeId, { operatorId, amount = null, refundMethod = REFUND_METHODS.CARD, note = null }) {
+        if (!Object.values(REFUND_METHODS).includes(refundMethod)) {
+            throw new DisputeError('INVALID_REFUND_METHOD', `refundMethod must be one of: ${Object.values(REFUND_METHODS).join(', ')}`);
+        }
+
+        const dispute = await this.getOpenDispute(disputeId);
+        const payment = await this.get('SELECT * FROM payments WHERE id = ?', [dispute.payment_id]);
+        const refundable = await this.refundable(payment);
+        const limit = refundMethod === REFUND_METHODS.CARD ? refundable.card : refundable.total;
+        const refund = amount === null || amount === undefined ? limit : roundCents(amount);
+
+        if (!(refund > 0) || refund > limit) {
+            const where = refundMethod === REFUND_METHODS.CARD ? 'to the card' : 'in total';
+            throw new DisputeError('INVALID_REFUND_AMOUNT', limit > 0
+                ? `Refund must be between $0.01 and $${limit.toFixed(2)} ${where}`
+                : `Nothing is left to refund ${where}`);
+        }
+
+        const resolution = { refund, refundMethod, note, operatorId };
+        if (refundMethod === REFUND_METHODS.FLEX_DOLLARS) {
+            await transaction(this.db, async (tx) => {
+                const disputes = this.inTransaction(tx);
+                await disputes.claimApproval(disputeId, resolution);
+                await disputes.flexDollarsService.refundFlexDollars(
+                    payment.user_id,
+                    refund,
+                    `Refund for disputed rental #${payment.rental_id}`,
+                    payment.rental_id
+                );
+            });
+        } else {
+            // The card refund goes to the gateway, so it is made after the claim has committed
+            await this.claimApproval(disputeId, resolution);
+            try {
+                await this.paymentService.refundPayment(payment.id, refund);
+            } catch (error) {
+                // Reopen so the refund can be tried again
+                await this.run(
+                    `UPDATE payment_disputes
+                     SET status = ?, refund_amount = NULL, refund_method = NULL, resolution_note = NULL, resolved_by = NULL, resolved_at = NULL
+                     WHERE id = ?`,
+                    [STATUS.OPEN, disputeId]
+                );
+                throw error;
+            }
+        }
+
+        return formatDispute(await this.get('SELECT * FROM payment_disputes WHERE id = ?', [disputeId]));
+    }
+
+    /**
+     * Mark an open dispute approved, so two operators can't both refund it
+     * @param {number} disputeId
+     * @param {Object} resolution - { refund, refundMethod, note, operatorId }
+     */
+    async claimApproval(disputeId, { refund, refundMethod, note, operatorId }) {
+        const claimed = await this.run(
+            `UPDATE payment_disputes
+             SET status = ?, refund_amount = ?, refund_method = ?, resolution_note = ?, resolved_by = ?, resolved_at = ?
+             WHERE id = ? AND status = ?`,
+            [STATUS.APPROVED, refund, refundMethod, note, operatorId, new Date().toISOString(), disputeId, STATUS.OPEN]
+        );
+        if (claimed.changes !== 1) {
+            throw new DisputeError('DISPUTE_ALREADY_RESOLVED', `Dispute ${disputeId} was already resolved`);
+        }
+    }
+
+    /**
+     * Reject a dispute
+     * @param {number} disputeId
+     * @param {Object} params - { operatorId, note } - the note is shown to the rider
+     * @returns {Promise<Object>} The rejected dispute
+     */
+    async rejectDispute(disputeId, { operatorId, note }) {
+        if (!note || !String(note).trim()) {
+            throw new DisputeError('NOTE_REQUIRED', 'A note explaining the rejection is required');
+        }
+        await this.getOpenDispute(disputeId);
+
+        const updated = await this.run(
+            `UPDATE payment_disputes SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = ?
+             WHERE id = ? AND status = ?`,
+            [STATUS.REJECTED, String(note).trim(), operatorId, new Date().toISOString(), disputeId, STATUS.OPEN]
+        );
+        if (updated.changes !== 1) {
+            throw new DisputeError('DISPUTE_ALREADY_RESOLVED', `Dispute ${disputeId} was already resolved`);
+        }
+        return formatDispute(await this.get('SELECT * FROM payment_disputes WHERE id = ?', [disputeId]));
+    }
+}
+
+DisputeService.DisputeError = DisputeError;
+DisputeService.formatDispute = formatDispute;
+module.exports = DisputeService;
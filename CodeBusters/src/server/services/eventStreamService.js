@@ -0,0 +1,139 @@
+/**
+ * Event Stream Service - Pushes real-time BMS events to browsers over Server-Sent Events.
+ *
+ * This service provides methods to:
+ * - Register an authenticated SSE client on an Express response (`addClient`)
+ * - Broadcast an event to every connected client (`broadcast`)
+ * - Forward BMSManager events to clients (`attachToBMSManager`)
+ * - Keep idle connections open with heartbeats and close them on shutdown (`startHeartbeat`, `close`)
+ *
+ * Each event is written as `id`, `event: <type>` and `data: <JSON>` lines, so browsers can
+ * listen with `eventSource.addEventListener(type, ...)`. Clients may pass `?types=a,b` to only
+ * receive some event types.
+ *
+ * Every client belongs to a signed-in user (GET /api/events takes a stream ticket). The rider an
+ * event is about (its `userId`, e.g. whose reservation expired) is only sent to that rider and to
+ * operators; other clients get the event without it.
+ */
+
+const { BMS_EVENTS } = require('../config/constants');
+
+const OPERATOR_ROLES = ['operator', 'dual', 'admin'];
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const CLIENT_RETRY_MS = 5000;
+
+class EventStreamService {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.nextEventId = 1;
+        this.heartbeatIntervalMs = options.heartbeatIntervalMs || HEARTBEAT_INTERVAL_MS;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Open an SSE stream on a response and keep it until the client disconnects
+     * @param {Object} req - Express request (closing it removes the client)
+     * @param {Object} res - Express response
+     * @param {Object} user - Authenticated user (req.user) with id and role
+     * @param {Array<string>} [types] - Event types to deliver; all types when empty
+     * @returns {Object} The registered client
+     */
+    addClient(req, res, user, types = []) {
+        if (!user || !user.id) {
+            throw new Error('Event stream clients must be authenticated');
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        const client = {
+            res,
+            types: new Set(types),
+            userId: String(user.id),
+            isOperator: OPERATOR_ROLES.includes(user.role)
+        };
+        this.clients.add(client);
+
+        req.on('close', () => {
+            this.clients.delete(client);
+        });
+
+        return client;
+    }
+
+    /**
+     * Send an event to every client subscribed to its type
+     * @param {string} type - Event type (see BMS_EVENTS)
+     * @param {Object} data - JSON payload
+     * @returns {number} Number of clients the event was written to
+     */
+    broadcast(type, data) {
+        const id = this.nextEventId++;
+        const format = (payload) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+        const message = format(data);
+
+        // Without the rider's id for everyone but that rider and operators
+        const ownerId = data && data.userId !== undefined && data.userId !== null ? String(data.userId) : null;
+        let anonymized = message;
+        if (ownerId !== null) {
+            const withoutOwner = { ...data };
+            delete withoutOwner.userId;
+            anonymized = format(withoutOwner);
+        }
+
+        let delivered = 0;
+        for (const client of this.clients) {
+            if (client.types.size > 0 && !client.types.has(type)) {
+                continue;
+            }
+            client.res.write(ownerId === null || client.isOperator || client.userId === ownerId ? message : anonymized);
+            delivered++;
+        }
+        return delivered;
+    }
+
+    /**
+     * Forward every BMS event published by a BMSManager
+     * @param {Object} bmsManager - BMSManager (EventEmitter)
+     */
+    attachToBMSManager(bmsManager) {
+        for (const type of Object.values(BMS_EVENTS)) {
+            bmsManager.on(type, (payload) => this.broadcast(type, payload));
+        }
+    }
+
+    /**
+     * Write a comment line periodically so proxies do not close idle streams
+     */
+    startHeartbeat() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatIntervalMs);
+        // Don't keep the process alive just for heartbeats
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * End all streams and stop the heartbeat
+     */
+    close() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStreamService;
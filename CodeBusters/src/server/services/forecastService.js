@@ -0,0 +1,238 @@
+/**
+ * Forecast Service - Projects station occupancy from rental history.
+ *
+ * This service provides methods to:
+ * - Average departures and arrivals per station by day of week and hour of day (`getHourlyRates`)
+ * - Project a station's available bikes and free docks hour by hour (`forecastStation`)
+ * - Forecast every station and flag the ones likely to run empty or full (`forecastAll`)
+ *
+ * Departures come from rentals.station_id/start_time and arrivals from
+ * rentals.end_station_id/end_time over the last FORECAST_CONFIG.HISTORY_DAYS. Buckets use the
+ * server's local time, so "Monday 8:00" means the morning rush where the system runs.
+ */
+
+const { FORECAST_CONFIG } = require('../config/constants');
+
+class ForecastError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ForecastError';
+        this.code = code;
+    }
+}
+
+const HOURS_PER_WEEK = 7 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Index of a time in a week of hourly buckets (Sunday 0:00 = 0)
+ * @param {Date} date
+ * @returns {number} 0..167
+ */
+function weekHourOf(date) {
+    return date.getDay() * 24 + date.getHours();
+}
+
+function roundTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+class ForecastService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.historyDays = options.historyDays || FORECAST_CONFIG.HISTORY_DAYS;
+        this.defaultHorizonHours = options.defaultHorizonHours || FORECAST_CONFIG.DEFAULT_HORIZON_HOURS;
+        this.maxHorizonHours = options.maxHorizonHours || FORECAST_CONFIG.MAX_HORIZON_HOURS;
+        this.emptyBelowBikes = options.emptyBelowBikes ?? FORECAST_CONFIG.EMPTY_BELOW_BIKES;
+        this.fullBelowFreeDocks = options.fullBelowFreeDocks ?? FORECAST_CONFIG.FULL_BELOW_FREE_DOCKS;
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    /**
+     * Validate a requested horizon, falling back to the default
+     * @param {number|string} [hours]
+     * @returns {number} Hours to project
+     */
+    resolveHorizon(hours) {
+        if (hours === undefined || hours === null || hours === '') {
+            return this.defaultHorizonHours;
+        }
+        const parsed = Number(hours);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > this.maxHorizonHours) {
+            throw new ForecastError('INVALID_HORIZON', `hours must be a whole number between 1 and ${this.maxHorizonHours}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Active stations with their current available bikes and docked bikes
+     * @param {string} [stationId] - Only this station
+     * @returns {Promise<Array<Object>>}
+     */
+    getStationStates(stationId = null) {
+        return this.all(
+            `SELECT s.id, s.name, s.status, s.capacity,
+                    COALESCE(SUM(CASE WHEN b.status = 'available' THEN 1 ELSE 0 END), 0) AS bikes_available,
+                    COUNT(b.id) AS bikes_docked
+             FROM stations s
+             LEFT JOIN r_bms_bikes b ON b.station_id = s.id AND b.retired_at IS NULL AND b.status != 'on_trip'
+             WHERE s.retired_at IS NULL ${stationId ? 'AND s.id = ?' : ''}
+             GROUP BY s.id
+             ORDER BY s.id`,
+            stationId ? [stationId] : []
+        );
+    }
+
+    /**
+     * Average departures and arrivals per hour of the week for each station
+     * @param {Date} [now] - End of the history window
+     * @returns {Promise<Map<string, Object>>} stationId -> { departures: number[168], arrivals: number[168] }
+     */
+    async getHourlyRates(now = new Date()) {
+        const since = new Date(now.getTime() - this.historyDays * 24 * HOUR_MS);
+        const sinceIso = since.toISOString();
+        const [departures, arrivals] = await Promise.all([
+            this.all(
+                `SELECT station_id AS stationId, start_time AS time FROM rentals
+                 WHERE station_id IS NOT NULL AND start_time >= ? AND start_time < ?`,
+                [sinceIso, now.toISOString()]
+            ),
+            this.all(
+                `SELECT end_station_id AS stationId, end_time AS time FROM rentals
+                 WHERE end_station_id IS NOT NULL AND end_time >= ? AND end_time < ?`,
+                [sinceIso, now.toISOString()]
+            )
+        ]);
+
+        // Average over the weeks actually covered, so a young system isn't diluted by empty weeks
+        const times = departures.concat(arrivals).map(row => new Date(row.time).getTime());
+        const earliest = times.length > 0 ? Math.min(...times) : now.getTime();
+        const weeksObserved = Math.max(1, (now.getTime() - Math.max(since.getTime(), earliest)) / (7 * 24 * HOUR_MS));
+
+        const rates = new Map();
+        const ratesFor = (stationId) => {
+            if (!rates.has(stationId)) {
+                rates.set(stationId, {
+                    departures: new Array(HOURS_PER_WEEK).fill(0),
+                    arrivals: new Array(HOURS_PER_WEEK).fill(0)
+                });
+            }
+            return rates.get(stationId);
+        };
+        departures.forEach(row => { ratesFor(row.stationId).departures[weekHourOf(new Date(row.time))] += 1 / weeksObserved; });
+        arrivals.forEach(row => { ratesFor(row.stationId).arrivals[weekHourOf(new Date(row.time))] += 1 / weeksObserved; });
+        return rates;
+    }
+
+    /**
+     * Project one station hour by hour, starting from the current hour
+     * @param {Object} station - Row from getStationStates
+     * @param {Object} [rates] - The station's entry from getHourlyRates
+     * @param {Date} now
+     * @param {number} hours
+     * @returns {Object} Forecast with points and empty/full flags
+     */
+    projectStation(station, rates, now, hours) {
+        const hourStart = new Date(now);
+        hourStart.setMinutes(0, 0, 0);
+
+        let bikes = station.bikes_available;
+        let docked = station.bikes_docked;
+        let likelyEmptyAt = null;
+        let likelyFullAt = null;
+        const points = [];
+        // Out-of-service stations are projected but never flagged; riders can't use them anyway
+        const flagRisks = station.status !== 'out_of_service';
+
+        for (let i = 0; i < hours; i++) {
+            const slotStart = new Date(hourStart.getTime() + i * HOUR_MS);
+            const bucket = weekHourOf(slotStart);
+            const expectedDepartures = rates ? rates.departures[bucket] : 0;
+            const expectedArrivals = rates ? rates.arrivals[bucket] : 0;
+            const net = expectedArrivals - expectedDepartures;
+
+            bikes = clamp(bikes + net, 0, station.capacity);
+            docked = clamp(docked + net, 0, station.capacity);
+            const freeDocks = station.capacity - docked;
+            const time = new Date(slotStart.getTime() + HOUR_MS).toISOString();
+
+            if (flagRisks && !likelyEmptyAt && bikes < this.emptyBelowBikes) likelyEmptyAt = time;
+            if (flagRisks && !likelyFullAt && freeDocks < this.fullBelowFreeDocks) likelyFullAt = time;
+
+            points.push({
+                time,
+                expectedDepartures: roundTenth(expectedDepartures),
+                expectedArrivals: roundTenth(expectedArrivals),
+                projectedBikes: roundTenth(bikes),
+                projectedFreeDocks: roundTenth(freeDocks)
+            });
+        }
+
+        return {
+            stationId: station.id,
+            stationName: station.name,
+            status: station.status,
+            capacity: station.capacity,
+            bikesAvailable: station.bikes_available,
+            freeDocks: station.capacity - station.bikes_docked,
+            generatedAt: now.toISOString(),
+            horizonHours: hours,
+            historyDays: this.historyDays,
+            likelyEmpty: likelyEmptyAt !== null,
+            likelyEmptyAt,
+            likelyFull: likelyFullAt !== null,
+            likelyFullAt,
+            points
+        };
+    }
+
+    /**
+     * Forecast a single station
+     * @param {string} stationId - Station ID
+     * @param {Object} [options] - { hours, now }
+     * @returns {Promise<Object>} Forecast
+     */
+    async forecastStation(stationId, { hours, now = new Date() } = {}) {
+        const horizon = this.resolveHorizon(hours);
+        const [station] = await this.getStationStates(stationId);
+        if (!station) {
+            throw new ForecastError('STATION_NOT_FOUND', `Station ${stationId} not found`);
+        }
+        const rates = await this.getHourlyRates(now);
+        return this.projectStation(station, rates.get(stationId), now, horizon);
+    }
+
+    /**
+     * Forecast every active station, stations at risk first
+     * @param {Object} [options] - { hours, now }
+     * @returns {Promise<Array<Object>>} Forecasts
+     */
+    async forecastAll({ hours, now = new Date() } = {}) {
+        const horizon = this.resolveHorizon(hours);
+        const [stations, rates] = await Promise.all([this.getStationStates(), this.getHourlyRates(now)]);
+        const forecasts = stations.map(station => this.projectStation(station, rates.get(station.id), now, horizon));
+
+        const firstRisk = (forecast) => [forecast.likelyEmptyAt, forecast.likelyFullAt].filter(Boolean).sort()[0] || null;
+        return forecasts.sort((a, b) => {
+            const riskA = firstRisk(a);
+            const riskB = firstRisk(b);
+            if (riskA && riskB) return riskA.localeCompare(riskB);
+            if (riskA || riskB) return riskA ? -1 : 1;
+            return a.stationId.localeCompare(b.stationId);
+        });
+    }
+}
+
+ForecastService.ForecastError = ForecastError;
+ForecastService.weekHourOf = weekHourOf;
+
+module.exports = ForecastService;
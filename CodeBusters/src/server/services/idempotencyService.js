@@ -0,0 +1,135 @@
+/**
+ * Idempotency Service - Remembers the first response to each Idempotency-Key.
+ *
+ * This service provides methods to:
+ * - Claim a key for a request, or find the response already stored for it (`begin`)
+ * - Store the response once the request has been handled (`complete`)
+ * - Give a key back when the request failed on the server, so a retry runs again (`release`)
+ * - Delete keys older than the TTL (`purgeExpired`)
+ *
+ * Keys are scoped to the user that sent them. Reusing a key for a different request (another
+ * endpoint or body) is rejected rather than replayed. See middleware/idempotency.js.
+ */
+
+const crypto = require('crypto');
+const { IDEMPOTENCY_CONFIG } = require('../config/constants');
+
+class IdempotencyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'IdempotencyError';
+        this.code = code;
+    }
+}
+
+/**
+ * Fingerprint of a request, to tell a retry from a different request reusing the key
+ * @param {string} endpoint - e.g. "POST /api/rent"
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(endpoint, body) {
+    return crypto.createHash('sha256').update(`${endpoint}\n${JSON.stringify(body || {})}`).digest('hex');
+}
+
+class IdempotencyService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.ttlHours = options.ttlHours || IDEMPOTENCY_CONFIG.KEY_TTL_HOURS;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Claim a key for a new request, or return the stored response of an earlier one
+     * @param {number|string} userId - User ID
+     * @param {string} key - Idempotency-Key header value
+     * @param {string} endpoint - e.g. "POST /api/rent"
+     * @param {string} requestHash - From hashRequest
+     * @param {Date} [now]
+     * @returns {Promise<Object|null>} null if the caller should handle the request, else { status, body }
+     */
+    async begin(userId, key, endpoint, requestHash, now = new Date()) {
+        await this.run(
+            'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND expires_at <= ?',
+            [userId, key, now.toISOString()]
+        );
+
+        const expiresAt = new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString();
+        const claimed = await this.run(
+            `INSERT OR IGNORE INTO idempotency_keys (user_id, idempotency_key, endpoint, request_hash, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, key, endpoint, requestHash, now.toISOString(), expiresAt]
+        );
+        if (claimed.changes === 1) {
+            return null;
+        }
+
+        const existing = await this.get(
+            'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+            [userId, key]
+        );
+        if (existing.endpoint !== endpoint || existing.request_hash !== requestHash) {
+            throw new IdempotencyError('IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request');
+        }
+        if (existing.status !== 'completed') {
+            throw new IdempotencyError('IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed');
+        }
+        return { status: existing.response_status, body: JSON.parse(existing.response_body) };
+    }
+
+    /**
+     * Store the response sent for a claimed key
+     * @param {number|string} userId - User ID
+     * @param {string} key - Idempotency-Key
+     * @param {number} status - HTTP status code
+     * @param {*} body - JSON response body
+     */
+    async complete(userId, key, status, body) {
+        await this.run(
+            `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+             WHERE user_id = ? AND idempotency_key = ?`,
+            [status, JSON.stringify(body), userId, key]
+        );
+    }
+
+    /**
+     * Forget a claimed key without storing a response
+     * @param {number|string} userId - User ID
+     * @param {string} key - Idempotency-Key
+     */
+    async release(userId, key) {
+        await this.run(
+            `DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND status = 'in_progress'`,
+            [userId, key]
+        );
+    }
+
+    /**
+     * Delete keys past their TTL
+     * @param {Date} [now]
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async purgeExpired(now = new Date()) {
+        const result = await this.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [now.toISOString()]);
+        return result.changes;
+    }
+}
+
+IdempotencyService.IdempotencyError = IdempotencyError;
+IdempotencyService.hashRequest = hashRequest;
+
+module.exports = IdempotencyService;
@@ -2,66 +2,199 @@
  * Loyalty Service - Manages rider loyalty tier system
  * 
  * This service handles:
- * - Calculating rider loyalty tiers (Bronze, Silver, Gold)
- * - Checking tier eligibility based on specified criteria
- * - Managing tier upgrades and downgrades
+ * - Loading tiers, their benefits and their rules from loyalty_tiers (`loadTiers`, `listTiers`)
+ * - Calculating rider loyalty tiers by evaluating each tier's rules (`calculateUserTier`, `evaluateRule`)
+ * - Managing tier upgrades and downgrades, with a warned grace period before demotions (`checkUserTier`, `checkAllUsersTiers`)
  * - Tracking loyalty tier history
  * - Calculating tier benefits (discounts, reservation extensions)
+ * - Letting operators edit a tier and preview how many riders it would move (`updateTier`, `previewTier`)
+ * - Showing riders their progress towards the next tier, rule by rule (`getTierProgress`)
  * 
- * Tier Requirements:
- * Bronze (BR):
- *   - BR-001: No missed reservations in last year
- *   - BR-002: All bikes returned successfully (assumed all are returned)
- *   - BR-003: Surpassed 10 trips in last year
- *   - BR-004: 5% discount
+ * Tiers are ranked; a rider holds the highest tier whose rules they meet together with the rules of
+ * every tier below it. Rules are JSON objects in loyalty_tiers.criteria:
+ *   { type: 'trips', min, months }                     - at least `min` trips in the last `months`
+ *   { type: 'trips', per: 'month'|'week', min, months, periods }
+ *                                                      - at least `min` trips in each of the last `periods` months/weeks
+ *   { type: 'missed_reservations', max, months }       - at most `max` reservations expired unclaimed
+ *   { type: 'claims', min, months }                    - at least `min` successful bike claims
+ *   { type: 'spend', min, months }                     - at least `min` dollars spent on completed trips
  * 
- * Silver (SL):
- *   - SL-001: Covers Bronze requirements
- *   - SL-002: At least 5 successful bike claims in last year
- *   - SL-003: 5+ trips per month for last 3 months
- *   - SL-004: 10% discount + 2 minute extension
+ * The seeded tiers (migration 019) keep the original requirements:
+ * Bronze: no missed reservations and 10+ trips in the last year; 5% discount
+ * Silver: 5+ successful claims in the last year and 5+ trips in each of the last 3 months; 10% discount + 2 minute extension
+ * Gold: 5+ trips in each of the last 12 weeks; 15% discount + 5 minute extension
  * 
- * Gold (GL):
- *   - GL-001: Covers Silver requirements
- *   - GL-002: 5+ trips per week for last 3 months
- *   - GL-003: 15% discount + 5 minute extension
+ * Benefits are read synchronously while pricing and reserving, so tiers are cached in memory;
+ * `loadTiers` must run once at startup and runs again after every edit.
  */
 
+const { LOYALTY_CONFIG } = require('../config/constants');
+
+const { RULE_TYPES, HISTORY_EVENTS, CHECK_SOURCES } = LOYALTY_CONFIG;
+
+class LoyaltyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'LoyaltyError';
+        this.code = code;
+    }
+}
+
+/**
+ * API shape of a loyalty_tiers row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatTier(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        rank: row.rank,
+        discountPercentage: row.discount_percentage,
+        reservationExtensionMinutes: row.reservation_extension_minutes,
+        criteria: JSON.parse(row.criteria || '[]'),
+        updatedBy: row.updated_by || null,
+        updatedAt: row.updated_at
+    };
+}
+
+const RIDERS_QUERY = 'SELECT id, username, loyalty_tier FROM users WHERE role = "rider"';
+
+const isWholeNumber = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+
 class LoyaltyService {
-    constructor(db) {
+    constructor(db, options = {}) {
         this.db = db;
+        this.tiers = [];
+        this.demotionGraceDays = options.demotionGraceDays === undefined ? LOYALTY_CONFIG.DEMOTION_GRACE_DAYS : options.demotionGraceDays;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Read the tiers into the in-memory cache, lowest rank first
+     * @returns {Promise<Array<Object>>}
+     */
+    async loadTiers() {
+        const rows = await this.all('SELECT * FROM loyalty_tiers ORDER BY rank');
+        this.tiers = rows.map(formatTier);
+        return this.tiers;
+    }
+
+    /**
+     * The cached tiers, lowest rank first
+     * @returns {Array<Object>}
+     */
+    listTiers() {
+        return this.tiers;
+    }
+
+    getTier(tierId, tiers = this.tiers) {
+        return tiers.find(tier => tier.id === tierId) || null;
     }
 
     /**
      * Calculate a user's loyalty tier based on their activity history
      * @param {number} userId - The user ID
-     * @returns {Promise<string>} The tier: 'entry', 'bronze', 'silver', 'gold'
+     * @param {Array<Object>} [tiers] - Tiers to evaluate against (defaults to the current ones)
+     * @returns {Promise<string>} The id of the highest tier the rider qualifies for, e.g. 'entry', 'bronze', 'silver', 'gold'
      */
-    async calculateUserTier(userId) {
+    async calculateUserTier(userId, tiers = this.tiers) {
         try {
-            // Get user's current tier
-            const user = await this.getUserData(userId);
-            const currentTier = user?.loyalty_tier || 'entry';
-
-            // Check all tier eligibility
-            const isGoldEligible = await this.isGoldEligible(userId);
-            const isSilverEligible = await this.isSilverEligible(userId);
-            const isBronzeEligible = await this.isBronzeEligible(userId);
-
-            // Determine tier (highest to lowest)
-            let newTier = 'entry';
-            if (isGoldEligible) {
-                newTier = 'gold';
-            } else if (isSilverEligible) {
-                newTier = 'silver';
-            } else if (isBronzeEligible) {
-                newTier = 'bronze';
-            }
-
-            return newTier;
+            return (await this.evaluateUserTier(userId, tiers)).tier;
         } catch (error) {
             console.error('Error calculating user tier:', error);
-            return 'entry';
+            return LOYALTY_CONFIG.ENTRY_TIER;
+        }
+    }
+
+    /**
+     * Work out a rider's tier and the rules that decided it
+     * @param {number} userId
+     * @param {Array<Object>} [tiers]
+     * @returns {Promise<Object>} { tier, met: rule results of that tier, failed: { tier, rule, value } of the first rule missed above it, or null }
+     */
+    async evaluateUserTier(userId, tiers = this.tiers) {
+        // Rule results are shared between tiers so each count is queried once
+        const cache = new Map();
+        let reached = { tier: LOYALTY_CONFIG.ENTRY_TIER, met: [], failed: null };
+
+        // Determine tier (lowest to highest; each tier covers the ones below it)
+        for (const tier of tiers) {
+            const results = await Promise.all(tier.criteria.map(rule => this.evaluateRule(userId, rule, cache)));
+            const missed = results.find(result => !result.passed);
+            if (missed) {
+                reached.failed = { tier: tier.id, rule: missed.rule, value: missed.value };
+                break;
+            }
+            reached = { tier: tier.id, met: results.map(({ rule, value }) => ({ rule, value })), failed: null };
+        }
+
+        return reached;
+    }
+
+    /**
+     * Check one tier rule for a rider
+     * @param {number} userId
+     * @param {Object} rule - See the rule types at the top of this file
+     * @param {Map} [cache] - Results already computed for this rider, keyed by rule
+     * @returns {Promise<Object>} { rule, value, passed }
+     */
+    async evaluateRule(userId, rule, cache = new Map()) {
+        const key = JSON.stringify(rule);
+        if (!cache.has(key)) {
+            cache.set(key, this.computeRule(userId, rule));
+        }
+        return cache.get(key);
+    }
+
+    async computeRule(userId, rule) {
+        const since = new Date();
+        since.setMonth(since.getMonth() - rule.months);
+
+        switch (rule.type) {
+            case RULE_TYPES.TRIPS: {
+                if (rule.per) {
+                    // The value is how many of the months/weeks meet the minimum
+                    const value = await this.countPeriodsMeetingTrips(userId, since, rule.per, rule.min, rule.periods);
+                    return { rule, value, passed: value >= rule.periods };
+                }
+                const value = await this.countTripsInPeriod(userId, since);
+                return { rule, value, passed: value >= rule.min };
+            }
+            case RULE_TYPES.MISSED_RESERVATIONS: {
+                const value = await this.countMissedReservations(userId, since);
+                return { rule, value, passed: value <= rule.max };
+            }
+            case RULE_TYPES.CLAIMS: {
+                const value = await this.countSuccessfulBikeClaims(userId, since);
+                return { rule, value, passed: value >= rule.min };
+            }
+            case RULE_TYPES.SPEND: {
+                const value = await this.sumSpendInPeriod(userId, since);
+                return { rule, value, passed: value >= rule.min };
+            }
+            default:
+                throw new LoyaltyError('INVALID_RULE', `Unknown loyalty rule type: ${rule.type}`);
         }
     }
 
@@ -123,106 +256,6 @@ class LoyaltyService {
         });
     }
 
-    /**
-     * Check if user is eligible for Bronze tier
-     * BR-001: No missed reservations in last year
-     * BR-002: All bikes returned (assumed true)
-     * BR-003: Surpassed 10 trips in last year
-     */
-    async isBronzeEligible(userId) {
-        try {
-            const oneYearAgo = new Date();
-            oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-
-            // BR-001: Check for missed reservations (expired without claiming bike)
-            const missedReservations = await this.countMissedReservations(userId, oneYearAgo);
-            if (missedReservations > 0) {
-                return false;
-            }
-
-            // BR-003: Check trip count
-            const tripCount = await this.countTripsInPeriod(userId, oneYearAgo);
-            if (tripCount < 10) {
-                return false;
-            }
-
-            return true;
-        } catch (error) {
-            console.error('Error checking Bronze eligibility:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Check if user is eligible for Silver tier
-     * SL-001: Must cover Bronze requirements
-     * SL-002: At least 5 successful bike claims in last year
-     * SL-003: 5+ trips per month for last 3 months
-     */
-    async isSilverEligible(userId) {
-        try {
-            // SL-001: First check Bronze eligibility
-            const isBronze = await this.isBronzeEligible(userId);
-            if (!isBronze) {
-                return false;
-            }
-
-            const oneYearAgo = new Date();
-            oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-
-            // SL-002: Check successful bike claims (reservations that were actually rented)
-            const successfulClaims = await this.countSuccessfulBikeClaims(userId, oneYearAgo);
-            if (successfulClaims < 5) {
-                return false;
-            }
-
-            
-            // SL-003: Check 5+ trips per month for last 3 months
-            const threeMonthsAgo = new Date();
-            threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-            
-            const monthlyTripsValid = await this.checkMonthlyTrips(userId, threeMonthsAgo, 5);
-            if (!monthlyTripsValid) {
-                return false;
-            }
-            
-
-            return true;
-        } catch (error) {
-            console.error('Error checking Silver eligibility:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Check if user is eligible for Gold tier
-     * GL-001: Must cover Silver requirements
-     * GL-002: 5+ trips per week for last 3 months
-     */
-    async isGoldEligible(userId) {
-        try {
-            // GL-001: First check Silver eligibility
-            const isSilver = await this.isSilverEligible(userId);
-            if (!isSilver) {
-                return false;
-            }
-
-            // GL-002: Check 5+ trips per week for last 3 months
-            const threeMonthsAgo = new Date();
-            threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-            
-            const weeklyTripsValid = await this.checkWeeklyTrips(userId, threeMonthsAgo, 5);
-            if (!weeklyTripsValid) {
-                return false;
-            }
-
-            return true;
-        } catch (error) {
-            console.error('Error checking Gold eligibility:', error);
-            return false;
-        }
-    }
-
     /**
      * Count missed reservations (expired without being claimed)
      */
@@ -274,91 +307,67 @@ class LoyaltyService {
         });
     }
 
+    /**
+     * Total spent on completed trips in a period
+     */
+    async sumSpendInPeriod(userId, sinceDate) {
+        const row = await this.get(
+            `SELECT COALESCE(SUM(total_cost), 0) AS total FROM rentals
+             WHERE user_id = ? AND status = 'completed' AND start_time > ?`,
+            [userId, sinceDate.toISOString()]
+        );
+        return Math.round((row?.total || 0) * 100) / 100;
+    }
+
+    /**
+     * Of the rider's latest `periods` months/weeks with trips, how many have at least `tripsPerPeriod`
+     * @param {number} userId
+     * @param {Date} sinceDate
+     * @param {string} per - 'month' or 'week'
+     * @param {number} tripsPerPeriod
+     * @param {number} periods
+     * @returns {Promise<number>}
+     */
+    async countPeriodsMeetingTrips(userId, sinceDate, per, tripsPerPeriod, periods) {
+        const rows = await this.all(
+            `SELECT 
+                strftime(?, start_time) as period,
+                COUNT(*) as count
+            FROM rentals 
+            WHERE user_id = ? AND status IN ('completed', 'active') AND start_time > ?
+            GROUP BY period
+            ORDER BY period DESC
+            LIMIT ?`,
+            [per === 'week' ? '%Y-%W' : '%Y-%m', userId, sinceDate.toISOString(), periods]
+        );
+        return rows.filter(row => row.count >= tripsPerPeriod).length;
+    }
+
     /**
      * Check if user meets monthly trip requirement for all months in period
      */
-    async checkMonthlyTrips(userId, sinceDate, tripsPerMonth) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    strftime('%Y-%m', start_time) as month,
-                    COUNT(*) as count
-                FROM rentals 
-                WHERE user_id = ? AND status IN ('completed', 'active') AND start_time > ?
-                GROUP BY month
-                ORDER BY month DESC
-                LIMIT 3
-            `;
-            
-            this.db.all(query, [userId, sinceDate.toISOString()], (err, rows) => {
-                if (err) return reject(err);
-                
-                // Must have data for at least 3 months
-                if (!rows || rows.length < 3) {
-                    return resolve(false);
-                }
-                
-                // All 3 months must have >= tripsPerMonth
-                const allMonthsValid = rows.every(row => row.count >= tripsPerMonth);
-                resolve(allMonthsValid);
-            });
-        });
+    async checkMonthlyTrips(userId, sinceDate, tripsPerMonth, months = 3) {
+        // Every month (3 by default) must have >= tripsPerMonth
+        return await this.countPeriodsMeetingTrips(userId, sinceDate, 'month', tripsPerMonth, months) >= months;
     }
 
     /**
      * Check if user meets weekly trip requirement for all weeks in period
      */
-    async checkWeeklyTrips(userId, sinceDate, tripsPerWeek) {
-        return new Promise((resolve, reject) => {
-            const query = `
-                SELECT 
-                    strftime('%Y-%W', start_time) as week,
-                    COUNT(*) as count
-                FROM rentals 
-                WHERE user_id = ? AND status IN ('completed', 'active') AND start_time > ?
-                GROUP BY week
-                ORDER BY week DESC
-                LIMIT 12
-            `;
-            
-            this.db.all(query, [userId, sinceDate.toISOString()], (err, rows) => {
-                if (err) return reject(err);
-                
-                // Must have data for at least 12 weeks (3 months)
-                if (!rows || rows.length < 12) {
-                    return resolve(false);
-                }
-                
-                // All 12 weeks must have >= tripsPerWeek
-                const allWeeksValid = rows.every(row => row.count >= tripsPerWeek);
-                resolve(allWeeksValid);
-            });
-        });
+    async checkWeeklyTrips(userId, sinceDate, tripsPerWeek, weeks = 12) {
+        // Every week (12 by default, about 3 months) must have >= tripsPerWeek
+        return await this.countPeriodsMeetingTrips(userId, sinceDate, 'week', tripsPerWeek, weeks) >= weeks;
     }
 
     /**
      * Get tier benefits (discounts and reservation extensions)
      */
     getTierBenefits(tier) {
-        const benefits = {
-            entry: {
-                discountPercentage: 0,
-                reservationExtensionMinutes: 0
-            },
-            bronze: {
-                discountPercentage: 5,
-                reservationExtensionMinutes: 0
-            },
-            silver: {
-                discountPercentage: 10,
-                reservationExtensionMinutes: 2
-            },
-            gold: {
-                discountPercentage: 15,
-                reservationExtensionMinutes: 5
-            }
+        const found = this.getTier(tier);
+        return {
+            discountPercentage: found ? found.discountPercentage : 0,
+            reservationExtensionMinutes: found ? found.reservationExtensionMinutes : 0
         };
-        return benefits[tier] || benefits.entry;
     }
 
     /**
@@ -381,15 +390,14 @@ class LoyaltyService {
      * Get tier change reason
      */
     getTierChangeReason(oldTier, newTier) {
-        if (!oldTier || oldTier === 'entry') {
+        if (!oldTier || oldTier === LOYALTY_CONFIG.ENTRY_TIER) {
             return `Promoted to ${newTier}`;
         }
-        if (newTier === 'entry' || !newTier) {
+        if (newTier === LOYALTY_CONFIG.ENTRY_TIER || !newTier) {
             return `Demoted from ${oldTier}`;
         }
-        const tierOrder = { bronze: 1, silver: 2, gold: 3 };
-        const oldRank = tierOrder[oldTier] || 0;
-        const newRank = tierOrder[newTier] || 0;
+        const oldRank = this.getTier(oldTier)?.rank || 0;
+        const newRank = this.getTier(newTier)?.rank || 0;
         
         if (newRank > oldRank) {
             return `Promoted from ${oldTier} to ${newTier}`;
@@ -424,47 +432,351 @@ class LoyaltyService {
                 [userId, limit],
                 (err, rows) => {
                     if (err) return reject(err);
-                    resolve(rows || []);
+                    resolve((rows || []).map(row => ({ ...row, rule: row.rule ? JSON.parse(row.rule) : null })));
                 }
             );
         });
     }
 
     /**
-     * Check and update all users' tiers (maintenance task)
+     * Re-check a rider's tier, with a grace period before demotions
+     * - Promotions apply at once
+     * - A rider who no longer meets their tier is warned and keeps it for DEMOTION_GRACE_DAYS,
+     *   then drops to the tier they meet at that point; meeting their tier again cancels it
+     * Every promotion, demotion, warning and cancellation is written to loyalty_history with the
+     * rule result that decided it
+     * @param {number} userId
+     * @param {Object} [options] - { source: one of LOYALTY_CONFIG.CHECK_SOURCES, now }
+     * @returns {Promise<Object>} { userId, oldTier, newTier, tierChanged, event, reason, rule, demotionTo, demotionDueAt }
      */
-    async checkAllUsersTiers() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT id FROM users WHERE role = "rider"', [], async (err, users) => {
-                if (err) return reject(err);
-                
-                let updated = 0;
-                const results = [];
-                
-                for (const user of users || []) {
-                    try {
-                        const newTier = await this.calculateUserTier(user.id);
-                        const result = await this.updateUserTier(user.id, newTier);
-                        if (result.tierChanged) {
-                            updated++;
-                            results.push({
-                                userId: user.id,
-                                ...result
-                            });
-                        }
-                    } catch (error) {
-                        console.error(`Error updating tier for user ${user.id}:`, error);
-                    }
+    async checkUserTier(userId, { source = CHECK_SOURCES.OPERATOR, now = new Date() } = {}) {
+        const user = await this.get('SELECT id, loyalty_tier, tier_demotion_due_at, tier_demotion_to FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            throw new LoyaltyError('USER_NOT_FOUND', `User ${userId} not found`);
+        }
+        const oldTier = user.loyalty_tier || LOYALTY_CONFIG.ENTRY_TIER;
+        const evaluation = await this.evaluateUserTier(user.id);
+        const oldRank = this.getTier(oldTier)?.rank || 0;
+        const newRank = this.getTier(evaluation.tier)?.rank || 0;
+
+        const result = {
+            userId: user.id,
+            oldTier,
+            newTier: oldTier,
+            tierChanged: false,
+            event: null,
+            reason: null,
+            rule: null,
+            demotionTo: user.tier_demotion_to || null,
+            demotionDueAt: user.tier_demotion_due_at || null
+        };
+        const setTier = async (tier, demotionTo = null, demotionDueAt = null) => {
+            await this.run(
+                'UPDATE users SET loyalty_tier = ?, tier_demotion_to = ?, tier_demotion_due_at = ?, last_tier_check = ? WHERE id = ?',
+                [tier, demotionTo, demotionDueAt, now.toISOString(), user.id]
+            );
+            Object.assign(result, { newTier: tier, tierChanged: tier !== oldTier, demotionTo, demotionDueAt });
+        };
+
+        if (newRank > oldRank || (newRank === oldRank && evaluation.tier !== oldTier)) {
+            await setTier(evaluation.tier);
+            if (newRank > oldRank) {
+                result.event = HISTORY_EVENTS.PROMOTION;
+                result.reason = this.getTierChangeReason(oldTier, evaluation.tier);
+                result.rule = { tier: evaluation.tier, rules: evaluation.met };
+            }
+        } else if (newRank === oldRank) {
+            await setTier(oldTier);
+            if (user.tier_demotion_due_at) {
+                result.event = HISTORY_EVENTS.DEMOTION_CANCELLED;
+                result.reason = `Meets ${oldTier} again; demotion cancelled`;
+            }
+        } else {
+            const graceDays = this.demotionGraceDays;
+            const dueAt = user.tier_demotion_due_at;
+            result.rule = evaluation.failed;
+            if (graceDays <= 0 || (dueAt && new Date(dueAt) <= now)) {
+                await setTier(evaluation.tier);
+                result.event = HISTORY_EVENTS.DEMOTION;
+                result.reason = `${this.getTierChangeReason(oldTier, evaluation.tier)}: ${this.describeRule(evaluation.failed.rule)} not met`;
+            } else if (!dueAt) {
+                const due = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000).toISOString();
+                await setTier(oldTier, evaluation.tier, due);
+                result.event = HISTORY_EVENTS.DEMOTION_WARNING;
+                result.reason = `${this.describeRule(evaluation.failed.rule)} not met; moving from ${oldTier} to ${evaluation.tier} on ${due.slice(0, 10)} unless it is met again`;
+            } else {
+                // Still within the grace period; only the tier they would drop to may have moved
+                await setTier(oldTier, evaluation.tier, dueAt);
+                result.rule = null;
+            }
+        }
+
+        if (result.event) {
+            await this.run(
+                'INSERT INTO loyalty_history (user_id, old_tier, new_tier, reason, event, source, rule) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [user.id, oldTier, result.event === HISTORY_EVENTS.DEMOTION_WARNING ? evaluation.tier : result.newTier,
+                    result.reason, result.event, source, result.rule ? JSON.stringify(result.rule) : null]
+            );
+        }
+        return result;
+    }
+
+    /**
+     * How close a rider is to their next tier, rule by rule
+     * Covers the rules of every tier up to the next one (or up to the rider's tier at the top), since
+     * each tier also needs the ones below it
+     * @param {number} userId
+     * @returns {Promise<Object>} { currentTier, nextTier: { id, name, discountPercentage, reservationExtensionMinutes } | null,
+     *   criteria: [{ tier, type, label, current, target, passed, percent }] }
+     */
+    async getTierProgress(userId) {
+        const user = await this.getUserData(userId);
+        if (!user) {
+            throw new LoyaltyError('USER_NOT_FOUND', `User ${userId} not found`);
+        }
+        const currentTier = user.loyalty_tier || LOYALTY_CONFIG.ENTRY_TIER;
+        const currentRank = this.getTier(currentTier)?.rank || 0;
+        const nextTier = this.tiers.find(tier => tier.rank > currentRank) || null;
+        const upToRank = nextTier ? nextTier.rank : currentRank;
+
+        const cache = new Map();
+        const criteria = [];
+        for (const tier of this.tiers.filter(candidate => candidate.rank <= upToRank)) {
+            for (const rule of tier.criteria) {
+                const { value, passed } = await this.evaluateRule(user.id, rule, cache);
+                criteria.push({ tier: tier.id, type: rule.type, ...this.describeProgress(rule, value), passed });
+            }
+        }
+
+        return {
+            currentTier,
+            nextTier: nextTier && {
+                id: nextTier.id,
+                name: nextTier.name,
+                discountPercentage: nextTier.discountPercentage,
+                reservationExtensionMinutes: nextTier.reservationExtensionMinutes
+            },
+            criteria
+        };
+    }
+
+    /**
+     * Label and progress of one rule result, e.g. "8/10 trips in the last 12 months"
+     * @returns {Object} { label, current, target, percent }
+     */
+    describeProgress(rule, value) {
+        const percentOf = (current, target) => Math.min(100, Math.round((current / target) * 100));
+        const window = `in the last ${rule.months} months`;
+        switch (rule.type) {
+            case RULE_TYPES.TRIPS:
+                if (rule.per) {
+                    return {
+                        label: `${rule.per === 'week' ? 'Weeks' : 'Months'} meeting the ${rule.min}-trip minimum: ${value}/${rule.periods}`,
+                        current: value,
+                        target: rule.periods,
+                        percent: percentOf(value, rule.periods)
+                    };
                 }
-                
-                resolve({
-                    totalChecked: (users || []).length,
-                    tierChanges: updated,
-                    changes: results
-                });
-            });
-        });
+                return { label: `${value}/${rule.min} trips ${window}`, current: value, target: rule.min, percent: percentOf(value, rule.min) };
+            case RULE_TYPES.MISSED_RESERVATIONS:
+                return {
+                    label: `${value} missed reservation(s) ${window} (at most ${rule.max})`,
+                    current: value,
+                    target: rule.max,
+                    percent: value <= rule.max ? 100 : 0
+                };
+            case RULE_TYPES.CLAIMS:
+                return { label: `${value}/${rule.min} successful claims ${window}`, current: value, target: rule.min, percent: percentOf(value, rule.min) };
+            default:
+                return {
+                    label: `$${value.toFixed(2)}/$${Number(rule.min).toFixed(2)} spent ${window}`,
+                    current: value,
+                    target: rule.min,
+                    percent: percentOf(value, rule.min)
+                };
+        }
+    }
+
+    /**
+     * Short description of a rule, e.g. "10+ trips in 12 months"
+     */
+    describeRule(rule) {
+        switch (rule.type) {
+            case RULE_TYPES.TRIPS:
+                return rule.per
+                    ? `${rule.min}+ trips every ${rule.per} for ${rule.periods} ${rule.per}s`
+                    : `${rule.min}+ trips in ${rule.months} months`;
+            case RULE_TYPES.MISSED_RESERVATIONS:
+                return `at most ${rule.max} missed reservations in ${rule.months} months`;
+            case RULE_TYPES.CLAIMS:
+                return `${rule.min}+ successful bike claims in ${rule.months} months`;
+            case RULE_TYPES.SPEND:
+                return `$${Number(rule.min).toFixed(2)}+ spent in ${rule.months} months`;
+            default:
+                return rule.type;
+        }
+    }
+
+    /**
+     * Check and update all users' tiers (maintenance task, run nightly and by operators)
+     * @param {Object} [options] - { source, now }, see checkUserTier
+     * @returns {Promise<Object>} { totalChecked, tierChanges, warnings, failed, changes: checkUserTier results that recorded an event }
+     */
+    async checkAllUsersTiers({ source = CHECK_SOURCES.OPERATOR, now = new Date() } = {}) {
+        const users = await this.all(RIDERS_QUERY);
+        const changes = [];
+        let failed = 0;
+
+        for (const user of users) {
+            try {
+                const result = await this.checkUserTier(user.id, { source, now });
+                if (result.event) {
+                    changes.push(result);
+                }
+            } catch (error) {
+                failed++;
+                console.error(`Error updating tier for user ${user.id}:`, error);
+            }
+        }
+
+        return {
+            totalChecked: users.length,
+            tierChanges: changes.filter(change => change.tierChanged).length,
+            warnings: changes.filter(change => change.event === HISTORY_EVENTS.DEMOTION_WARNING).length,
+            failed,
+            changes
+        };
+    }
+
+    /**
+     * Check an operator's tier edit
+     * @param {Object} tier - The tier being edited
+     * @param {Object} input - { name?, discountPercentage?, reservationExtensionMinutes?, criteria? }
+     * @returns {Object} The tier as it would be saved
+     */
+    validateTier(tier, input = {}) {
+        const name = input.name === undefined ? tier.name : String(input.name || '').trim();
+        if (!name || name.length > LOYALTY_CONFIG.MAX_TIER_NAME_LENGTH) {
+            throw new LoyaltyError('INVALID_NAME', `name is required and must be at most ${LOYALTY_CONFIG.MAX_TIER_NAME_LENGTH} characters`);
+        }
+        const discountPercentage = input.discountPercentage === undefined ? tier.discountPercentage : Number(input.discountPercentage);
+        if (!Number.isFinite(discountPercentage) || discountPercentage < 0 || discountPercentage > 100) {
+            throw new LoyaltyError('INVALID_DISCOUNT', 'discountPercentage must be between 0 and 100');
+        }
+        const reservationExtensionMinutes = input.reservationExtensionMinutes === undefined
+            ? tier.reservationExtensionMinutes : Number(input.reservationExtensionMinutes);
+        if (!isWholeNumber(reservationExtensionMinutes, 0, LOYALTY_CONFIG.MAX_RESERVATION_EXTENSION_MINUTES)) {
+            throw new LoyaltyError('INVALID_EXTENSION', `reservationExtensionMinutes must be a whole number from 0 to ${LOYALTY_CONFIG.MAX_RESERVATION_EXTENSION_MINUTES}`);
+        }
+        const criteria = input.criteria === undefined ? tier.criteria : input.criteria;
+        if (!Array.isArray(criteria)) {
+            throw new LoyaltyError('INVALID_RULE', 'criteria must be a list of rules');
+        }
+        if (tier.id === LOYALTY_CONFIG.ENTRY_TIER && criteria.length > 0) {
+            throw new LoyaltyError('INVALID_RULE', 'The entry tier cannot have rules');
+        }
+
+        return {
+            ...tier,
+            name,
+            discountPercentage,
+            reservationExtensionMinutes,
+            criteria: criteria.map((rule, index) => this.validateRule(rule, index))
+        };
+    }
+
+    /**
+     * Check one rule and keep only the fields its type uses
+     */
+    validateRule(rule, index) {
+        const fail = (message) => { throw new LoyaltyError('INVALID_RULE', `Rule ${index + 1}: ${message}`); };
+        if (!rule || typeof rule !== 'object') fail('must be an object');
+        if (!Object.values(RULE_TYPES).includes(rule.type)) fail(`type must be one of ${Object.values(RULE_TYPES).join(', ')}`);
+        if (!isWholeNumber(rule.months, 1, LOYALTY_CONFIG.MAX_WINDOW_MONTHS)) fail(`months must be a whole number from 1 to ${LOYALTY_CONFIG.MAX_WINDOW_MONTHS}`);
+
+        switch (rule.type) {
+            case RULE_TYPES.TRIPS:
+                if (!isWholeNumber(rule.min, 1)) fail('min must be a whole number of trips');
+                if (rule.per === undefined || rule.per === null) {
+                    return { type: rule.type, min: rule.min, months: rule.months };
+                }
+                if (!LOYALTY_CONFIG.TRIP_PERIODS.includes(rule.per)) fail(`per must be one of ${LOYALTY_CONFIG.TRIP_PERIODS.join(', ')}`);
+                if (!isWholeNumber(rule.periods, 1)) fail(`periods must be a whole number of ${rule.per}s`);
+                return { type: rule.type, per: rule.per, min: rule.min, months: rule.months, periods: rule.periods };
+            case RULE_TYPES.MISSED_RESERVATIONS:
+                if (!isWholeNumber(rule.max, 0)) fail('max must be a whole number of reservations');
+                return { type: rule.type, max: rule.max, months: rule.months };
+            case RULE_TYPES.CLAIMS:
+                if (!isWholeNumber(rule.min, 1)) fail('min must be a whole number of claims');
+                return { type: rule.type, min: rule.min, months: rule.months };
+            default:
+                if (!Number.isFinite(rule.min) || rule.min <= 0) fail('min must be a positive dollar amount');
+                return { type: rule.type, min: Math.round(rule.min * 100) / 100, months: rule.months };
+        }
+    }
+
+    /**
+     * Save an operator's tier edit and reload the cache
+     * @param {string} tierId
+     * @param {Object} input - See validateTier
+     * @param {number} operatorId
+     * @returns {Promise<Object>} The saved tier
+     */
+    async updateTier(tierId, input, operatorId) {
+        const tier = this.getTier(tierId);
+        if (!tier) {
+            throw new LoyaltyError('TIER_NOT_FOUND', `Loyalty tier ${tierId} not found`);
+        }
+        const updated = this.validateTier(tier, input);
+        await this.run(
+            `UPDATE loyalty_tiers SET name = ?, discount_percentage = ?, reservation_extension_minutes = ?, criteria = ?,
+                    updated_by = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [updated.name, updated.discountPercentage, updated.reservationExtensionMinutes, JSON.stringify(updated.criteria), operatorId, tierId]
+        );
+        await this.loadTiers();
+        return this.getTier(tierId);
+    }
+
+    /**
+     * How riders' tiers would change if a tier edit were saved; nothing is written
+     * @param {string} tierId
+     * @param {Object} input - See validateTier
+     * @returns {Promise<Object>} { tier, totalChecked, wouldChange, promoted, demoted, byTier, changes: [{ userId, username, currentTier, newTier }] }
+     */
+    async previewTier(tierId, input) {
+        const tier = this.getTier(tierId);
+        if (!tier) {
+            throw new LoyaltyError('TIER_NOT_FOUND', `Loyalty tier ${tierId} not found`);
+        }
+        const candidate = this.validateTier(tier, input);
+        const tiers = this.tiers.map(existing => existing.id === tierId ? candidate : existing);
+        const rank = (tierId) => this.getTier(tierId, tiers)?.rank || 0;
+
+        const riders = await this.all(RIDERS_QUERY);
+        const byTier = Object.fromEntries(tiers.map(existing => [existing.id, 0]));
+        const changes = [];
+        for (const rider of riders) {
+            const currentTier = rider.loyalty_tier || LOYALTY_CONFIG.ENTRY_TIER;
+            const newTier = await this.calculateUserTier(rider.id, tiers);
+            byTier[newTier] = (byTier[newTier] || 0) + 1;
+            if (newTier !== currentTier) {
+                changes.push({ userId: rider.id, username: rider.username, currentTier, newTier });
+            }
+        }
+
+        return {
+            tier: candidate,
+            totalChecked: riders.length,
+            wouldChange: changes.length,
+            promoted: changes.filter(change => rank(change.newTier) > rank(change.currentTier)).length,
+            demoted: changes.filter(change => rank(change.newTier) < rank(change.currentTier)).length,
+            byTier,
+            changes
+        };
     }
 }
 
+LoyaltyService.LoyaltyError = LoyaltyError;
+
 module.exports = LoyaltyService;
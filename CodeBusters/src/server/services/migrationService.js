@@ -0,0 +1,180 @@
+/**
+ * Migration Service - Applies versioned schema migrations.
+ *
+ * This service provides methods to:
+ * - Load numbered migration files from the migrations directory (`loadMigrations`)
+ * - Track applied versions in the schema_migrations table (`getAppliedVersions`)
+ * - Apply pending migrations in order (`up`)
+ * - Roll back the most recent migrations (`down`)
+ * - Report applied and pending migrations (`status`)
+ *
+ * Migration files are named `NNN_description.js` and export `up(schema)` and `down(schema)`.
+ * Each migration runs inside its own transaction and is recorded once it succeeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { transaction } = require('../utils/transaction');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationService {
+    constructor(db, migrationsDir = path.join(__dirname, '..', 'migrations')) {
+        this.db = db;
+        this.migrationsDir = migrationsDir;
+        this.schema = this.createSchemaHelpers();
+    }
+
+    /**
+     * Promise-based helpers handed to each migration's up/down functions
+     * @param {Object} [db] - Database, or the handle of the transaction the migration runs in
+     * @returns {Object} { run, get, all, hasColumn, addColumnIfMissing }
+     */
+    createSchemaHelpers(db = this.db) {
+        const run = (sql, params = []) => new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+        const get = (sql, params = []) => new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+        const all = (sql, params = []) => new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+        const hasColumn = async (table, column) => {
+            const columns = await all(`PRAGMA table_info(${table})`);
+            return columns.some(col => col.name === column);
+        };
+        // Databases created before versioned migrations may already have some columns
+        const addColumnIfMissing = async (table, column, definition) => {
+            if (!(await hasColumn(table, column))) {
+                await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        };
+
+        return { run, get, all, hasColumn, addColumnIfMissing };
+    }
+
+    /**
+     * Create the schema_migrations tracking table if needed
+     * @returns {Promise<void>}
+     */
+    async ensureMigrationsTable() {
+        await this.schema.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    /**
+     * Load migration files sorted by version
+     * @returns {Array} [{ version, name, file, up, down }]
+     */
+    loadMigrations() {
+        return fs.readdirSync(this.migrationsDir)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+            .filter(entry => entry.match)
+            .map(({ file, match }) => {
+                const migration = require(path.join(this.migrationsDir, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down()`);
+                }
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    file,
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get applied migration versions
+     * @returns {Promise<Map>} version -> applied_at
+     */
+    async getAppliedVersions() {
+        await this.ensureMigrationsTable();
+        const rows = await this.schema.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    }
+
+    /**
+     * Run one migration direction inside a transaction
+     * @param {Object} migration - Loaded migration
+     * @param {string} direction - 'up' or 'down'
+     * @returns {Promise<void>}
+     */
+    async runInTransaction(migration, direction) {
+        try {
+            await transaction(this.db, async (tx) => {
+                const schema = this.createSchemaHelpers(tx);
+                await migration[direction](schema);
+                if (direction === 'up') {
+                    await schema.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                } else {
+                    await schema.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                }
+            });
+        } catch (error) {
+            throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply all pending migrations (optionally up to a target version)
+     * @param {number} [targetVersion] - Highest version to apply
+     * @returns {Promise<Array>} Applied migrations
+     */
+    async up(targetVersion = Infinity) {
+        const applied = await this.getAppliedVersions();
+        const pending = this.loadMigrations()
+            .filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+        for (const migration of pending) {
+            await this.runInTransaction(migration, 'up');
+            console.log(`Migration ${migration.file} applied`);
+        }
+        return pending;
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {number} [steps=1] - Number of migrations to roll back
+     * @returns {Promise<Array>} Rolled back migrations
+     */
+    async down(steps = 1) {
+        const applied = await this.getAppliedVersions();
+        const toRollBack = this.loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRollBack) {
+            await this.runInTransaction(migration, 'down');
+            console.log(`Migration ${migration.file} rolled back`);
+        }
+        return toRollBack;
+    }
+
+    /**
+     * Report applied and pending migrations
+     * @returns {Promise<Array>} [{ version, name, file, applied, appliedAt }]
+     */
+    async status() {
+        const applied = await this.getAppliedVersions();
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            file: migration.file,
+            applied: applied.has(migration.version),
+            appliedAt: applied.get(migration.version) || null
+        }));
+    }
+}
+
+module.exports = MigrationService;
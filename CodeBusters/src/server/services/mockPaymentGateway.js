@@ -0,0 +1,85 @@
+/**
+ * Mock Payment Gateway - Local provider for development and tests; no money moves.
+ *
+ * Every card is approved except these magic numbers:
+ * - 4000 0000 0000 0002 - declined
+ * - 4000 0000 0000 9995 - insufficient funds
+ * - 4000 0000 0000 0119 - the provider never answers (PaymentService fails the call as a timeout)
+ *
+ * The outcome is decided when the card is tokenized and carried in the token
+ * ("mock_<outcome>_<last4>"), so saved cards behave the same on every charge.
+ */
+
+const crypto = require('crypto');
+const PaymentGateway = require('./paymentGateway');
+
+const { PaymentGatewayError, FAILURE_CODES } = PaymentGateway;
+
+const MAGIC_CARDS = {
+    '4000000000000002': 'decline',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000119': 'timeout'
+};
+
+const TOKEN_PATTERN = /^mock_(approve|decline|insufficient_funds|timeout)_(\d{4})$/;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+class MockPaymentGateway extends PaymentGateway {
+    constructor() {
+        super('mock');
+    }
+
+    async tokenizeCard(card = {}) {
+        const number = String(card.number || '').replace(/\s/g, '');
+        if (!/^\d{12,19}$/.test(number)) {
+            throw new PaymentGatewayError(FAILURE_CODES.INVALID_CARD, 'Card number must be 12 to 19 digits');
+        }
+        const last4 = number.slice(-4);
+        return { token: `mock_${MAGIC_CARDS[number] || 'approve'}_${last4}`, last4 };
+    }
+
+    async authorize({ token, amount }) {
+        const match = TOKEN_PATTERN.exec(token || '');
+        if (!match) {
+            throw new PaymentGatewayError(FAILURE_CODES.INVALID_CARD, 'Card is not recognised by the payment provider');
+        }
+        if (!(amount > 0)) {
+            throw new PaymentGatewayError(FAILURE_CODES.PROVIDER_ERROR, 'Amount must be greater than zero');
+        }
+
+        switch (match[1]) {
+            case 'decline':
+                throw new PaymentGatewayError(FAILURE_CODES.CARD_DECLINED, 'Your card was declined');
+            case 'insufficient_funds':
+                throw new PaymentGatewayError(FAILURE_CODES.INSUFFICIENT_FUNDS, 'Your card has insufficient funds');
+            case 'timeout':
+                return new Promise(() => {});
+            default:
+                return { authorizationId: newId('mock_auth') };
+        }
+    }
+
+    async capture(authorizationId) {
+        if (!String(authorizationId).startsWith('mock_auth_')) {
+            throw new PaymentGatewayError(FAILURE_CODES.PROVIDER_ERROR, `Unknown authorization ${authorizationId}`);
+        }
+        return { captureId: newId('mock_cap') };
+    }
+
+    async refund(captureId) {
+        if (!String(captureId).startsWith('mock_cap_')) {
+            throw new PaymentGatewayError(FAILURE_CODES.PROVIDER_ERROR, `Unknown capture ${captureId}`);
+        }
+        return { refundId: newId('mock_ref') };
+    }
+
+    async void(authorizationId) {
+        if (!String(authorizationId).startsWith('mock_auth_')) {
+            throw new PaymentGatewayError(FAILURE_CODES.PROVIDER_ERROR, `Unknown authorization ${authorizationId}`);
+        }
+    }
+}
+
+MockPaymentGateway.MAGIC_CARDS = MAGIC_CARDS;
+module.exports = MockPaymentGateway;
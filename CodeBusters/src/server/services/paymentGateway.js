@@ -0,0 +1,103 @@
+/**
+ * Payment Gateway - Interface every card payment provider implements.
+ *
+ * A provider must implement:
+ * - Turn card details into a reusable token, keeping only the last 4 digits locally (`tokenizeCard`)
+ * - Reserve an amount on a card (`authorize`)
+ * - Collect all or part of an authorized amount (`capture`)
+ * - Return all or part of a captured amount (`refund`)
+ * - Release an authorization that will not be captured (`void`)
+ *
+ * Amounts are in dollars. Providers report failures by throwing a PaymentGatewayError with one of
+ * the FAILURE_CODES; anything else thrown is treated as a provider error. Providers are registered
+ * in PROVIDERS and picked with PAYMENT_GATEWAY_CONFIG.PROVIDER.
+ */
+
+const FAILURE_CODES = {
+    CARD_DECLINED: 'card_declined',
+    INSUFFICIENT_FUNDS: 'insufficient_funds',
+    INVALID_CARD: 'invalid_card',
+    TIMEOUT: 'gateway_timeout',
+    PROVIDER_ERROR: 'provider_error'
+};
+
+class PaymentGatewayError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PaymentGatewayError';
+        this.code = code;
+    }
+}
+
+class PaymentGateway {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * @param {Object} card - { number, expiryDate, holderName }
+     * @returns {Promise<Object>} { token, last4 }
+     */
+    async tokenizeCard(card) {
+        throw new Error(`${this.name} gateway does not implement tokenizeCard`);
+    }
+
+    /**
+     * @param {Object} request - { token, amount, currency, description }
+     * @returns {Promise<Object>} { authorizationId }
+     */
+    async authorize(request) {
+        throw new Error(`${this.name} gateway does not implement authorize`);
+    }
+
+    /**
+     * @param {string} authorizationId - From authorize
+     * @param {number} amount - At most the authorized amount
+     * @returns {Promise<Object>} { captureId }
+     */
+    async capture(authorizationId, amount) {
+        throw new Error(`${this.name} gateway does not implement capture`);
+    }
+
+    /**
+     * @param {string} captureId - From capture
+     * @param {number} amount - At most the amount not yet refunded
+     * @returns {Promise<Object>} { refundId }
+     */
+    async refund(captureId, amount) {
+        throw new Error(`${this.name} gateway does not implement refund`);
+    }
+
+    /**
+     * @param {string} authorizationId - From authorize
+     * @returns {Promise<void>}
+     */
+    async void(authorizationId) {
+        throw new Error(`${this.name} gateway does not implement void`);
+    }
+}
+
+// Loaded lazily so provider modules can extend PaymentGateway from this file
+const PROVIDERS = {
+    mock: () => require('./mockPaymentGateway')
+};
+
+/**
+ * Create the configured gateway
+ * @param {string} provider - Key in PROVIDERS
+ * @param {Object} [options] - Passed to the provider's constructor
+ * @returns {PaymentGateway}
+ */
+function createPaymentGateway(provider, options = {}) {
+    const load = PROVIDERS[provider];
+    if (!load) {
+        throw new Error(`Unknown payment gateway provider "${provider}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    const Provider = load();
+    return new Provider(options);
+}
+
+PaymentGateway.PaymentGatewayError = PaymentGatewayError;
+PaymentGateway.FAILURE_CODES = FAILURE_CODES;
+PaymentGateway.createPaymentGateway = createPaymentGateway;
+module.exports = PaymentGateway;
@@ -0,0 +1,493 @@
+/**
+ * Payment Service - Charges rentals through the configured PaymentGateway.
+ *
+ * This service provides methods to:
+ * - Charge a completed rental, applying flex dollars before the card (`chargeRental`)
+ * - Hold an amount on the rider's default card when a rental starts and capture the final cost
+ *   from it at return (`placeRentalHold`, `attachRentalHold`, `releaseRentalHold`, `captureRentalHold`)
+ * - Move a payment through the card lifecycle (`authorizePayment`, `capturePayment`, `voidPayment`, `failPayment`)
+ * - Refund all or part of a captured card payment (`refundPayment`)
+ * - Turn a new card, or the rider's default saved card, into a gateway token (`resolveCard`)
+ *
+ * Each charge attempt is one payments row that moves pending → authorized → captured, or ends as
+ * failed (with the gateway's failure code) or voided; captured payments can later be refunded.
+ * Status updates are conditional on the expected current status, so a payment can't be captured
+ * twice or refunded before it was captured. A failed attempt gives back the flex dollars it used
+ * and leaves the rental unpaid, so the rider can retry.
+ *
+ * Sales tax (from the TaxService, if given) is added to the amount left after flex dollars, and
+ * stored on the payment with one line per tax.
+ *
+ * Rentals started with a hold already have an authorized payment; at return it is captured for the
+ * final cost after flex dollars (voided if flex dollars cover everything). A trip costing more than
+ * the hold is re-authorized for the full amount before the capture.
+ */
+
+const PaymentGateway = require('./paymentGateway');
+const TaxService = require('./taxService');
+const { PAYMENT_GATEWAY_CONFIG, RENTAL_PAYMENT_CONFIG } = require('../config/constants');
+
+const { STATUS } = PAYMENT_GATEWAY_CONFIG;
+const { PaymentGatewayError, FAILURE_CODES } = PaymentGateway;
+
+// Statuses that block a new charge attempt for the same rental
+const OPEN_STATUSES = [STATUS.PENDING, STATUS.AUTHORIZED, STATUS.CAPTURED];
+
+class PaymentError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * API shape of a payments row
+ * @param {Object} row - payments row
+ * @returns {Object}
+ */
+function formatPayment(row) {
+    return {
+        id: row.id,
+        rentalId: row.rental_id,
+        totalCost: row.amount,
+        flexDollarsApplied: row.flex_dollars_applied || 0,
+        amountDue: row.amount_due_after_flex,
+        method: row.method,
+        status: row.status,
+        cardLast4: row.card_last4 || null,
+        failureCode: row.failure_code || null,
+        failureMessage: row.failure_message || null,
+        refundedAmount: row.refunded_amount || 0,
+        taxes: TaxService.paymentTaxes(row),
+        createdAt: row.created_at
+    };
+}
+
+class PaymentService {
+    constructor(db, gateway, flexDollarsService, options = {}) {
+        this.db = db;
+        this.gateway = gateway;
+        this.flexDollarsService = flexDollarsService;
+        this.timeoutMs = options.timeoutMs || PAYMENT_GATEWAY_CONFIG.TIMEOUT_MS;
+        this.holdAmount = options.holdAmount || RENTAL_PAYMENT_CONFIG.HOLD_AMOUNT;
+        // TaxService; without one, charges are untaxed
+        this.taxService = options.taxService || null;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    getPayment(paymentId) {
+        return this.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    }
+
+    /**
+     * Call the gateway, failing with a gateway_timeout if it does not answer in time
+     * @param {string} operation - tokenizeCard, authorize, capture, refund or void
+     * @param {...*} args
+     * @returns {Promise<*>} The gateway's result
+     */
+    async callGateway(operation, ...args) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new PaymentGatewayError(
+                FAILURE_CODES.TIMEOUT,
+                'The payment provider did not respond in time. Please try again.'
+            )), this.timeoutMs);
+        });
+
+        try {
+            return await Promise.race([this.gateway[operation](...args), timeout]);
+        } catch (error) {
+            if (error instanceof PaymentGatewayError) {
+                throw error;
+            }
+            console.error(`Payment gateway ${operation} failed:`, error);
+            throw new PaymentGatewayError(FAILURE_CODES.PROVIDER_ERROR, 'The payment provider could not process the payment');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Move a payment to a new status if it is still in one of the expected ones
+     * @param {number} paymentId
+     * @param {string[]} from - Statuses the payment may be in
+     * @param {string} to - New status
+     * @param {Object} [fields] - Other columns to set
+     * @returns {Promise<Object>} The updated payments row
+     */
+    async transition(paymentId, from, to, fields = {}) {
+        const columns = { ...fields, status: to, updated_at: new Date().toISOString() };
+        const assignments = Object.keys(columns).map(column => `${column} = ?`).join(', ');
+        const result = await this.run(
+            `UPDATE payments SET ${assignments} WHERE id = ? AND status IN (${from.map(() => '?').join(', ')})`,
+            [...Object.values(columns), paymentId, ...from]
+        );
+        if (result.changes !== 1) {
+            const payment = await this.getPayment(paymentId);
+            if (!payment) {
+                throw new PaymentError('PAYMENT_NOT_FOUND', `Payment ${paymentId} not found`);
+            }
+            throw new PaymentError('INVALID_PAYMENT_STATE', `Payment ${paymentId} is ${payment.status}, expected ${from.join(' or ')}`);
+        }
+        return this.getPayment(paymentId);
+    }
+
+    /**
+     * Gateway token for a new card, or for the rider's default saved card
+     * @param {number|string} userId
+     * @param {Object} [card] - { number, expiryDate, holderName } entered on the Payment page
+     * @returns {Promise<Object>} { token, last4 }
+     */
+    async resolveCard(userId, card) {
+        if (card && card.number) {
+            return this.callGateway('tokenizeCard', card);
+        }
+
+        const saved = await this.get(
+            'SELECT card_number_last4, gateway_token FROM payment_methods WHERE user_id = ? AND is_default = 1',
+            [userId]
+        );
+        if (!saved || !saved.gateway_token) {
+            throw new PaymentGatewayError(FAILURE_CODES.INVALID_CARD, 'No saved card on file. Please enter a card.');
+        }
+        return { token: saved.gateway_token, last4: saved.card_number_last4 };
+    }
+
+    /**
+     * pending → authorized: reserve the amount on the card
+     * @param {number} paymentId
+     * @param {Object} card - { token, last4 } from resolveCard
+     * @param {number} amount
+     * @returns {Promise<Object>} The authorized payments row
+     */
+    async authorizePayment(paymentId, card, amount) {
+        const { authorizationId } = await this.callGateway('authorize', {
+            token: card.token,
+            amount: roundCents(amount),
+            currency: PAYMENT_GATEWAY_CONFIG.CURRENCY,
+            description: `Payment #${paymentId}`
+        });
+        return this.transition(paymentId, [STATUS.PENDING], STATUS.AUTHORIZED, {
+            gateway: this.gateway.name,
+            gateway_reference: authorizationId,
+            card_last4: card.last4,
+            authorized_amount: roundCents(amount),
+            authorized_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * authorized → captured: collect the amount due
+     * @param {number} paymentId
+     * @param {number} amount - At most the authorized amount
+     * @returns {Promise<Object>} The captured payments row
+     */
+    async capturePayment(paymentId, amount) {
+        const payment = await this.getPayment(paymentId);
+        if (!payment || payment.status !== STATUS.AUTHORIZED) {
+            throw new PaymentError('INVALID_PAYMENT_STATE', `Payment ${paymentId} is not authorized`);
+        }
+        const { captureId } = await this.callGateway('capture', payment.gateway_reference, roundCents(amount));
+        return this.transition(paymentId, [STATUS.AUTHORIZED], STATUS.CAPTURED, {
+            gateway_reference: captureId,
+            amount_due_after_flex: roundCents(amount),
+            captured_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * authorized → voided: release the authorization without collecting it
+     * @param {number} paymentId
+     * @returns {Promise<Object>} The voided payments row
+     */
+    async voidPayment(paymentId) {
+        const payment = await this.getPayment(paymentId);
+        if (!payment || payment.status !== STATUS.AUTHORIZED) {
+            throw new PaymentError('INVALID_PAYMENT_STATE', `Payment ${paymentId} is not authorized`);
+        }
+        await this.callGateway('void', payment.gateway_reference);
+        return this.transition(paymentId, [STATUS.AUTHORIZED], STATUS.VOIDED);
+    }
+
+    /**
+     * pending/authorized → failed, releasing any authorization and flex dollars the attempt held
+     * @param {number} paymentId
+     * @param {Error} error - PaymentGatewayError, or any other error (recorded as provider_error)
+     * @returns {Promise<Object>} The failed payments row
+     */
+    async failPayment(paymentId, error) {
+        const payment = await this.getPayment(paymentId);
+        if (payment && payment.status === STATUS.AUTHORIZED) {
+            await this.callGateway('void', payment.gateway_reference).catch(voidError => {
+                console.error(`Error voiding authorization for payment ${paymentId}:`, voidError);
+            });
+        }
+
+        const gatewayError = error instanceof PaymentGatewayError;
+        const failed = await this.transition(paymentId, [STATUS.PENDING, STATUS.AUTHORIZED], STATUS.FAILED, {
+            failure_code: gatewayError ? error.code : FAILURE_CODES.PROVIDER_ERROR,
+            failure_message: gatewayError ? error.message : 'The payment could not be processed'
+        });
+
+        if (failed.flex_dollars_applied > 0) {
+            await this.flexDollarsService.refundFlexDollars(
+                failed.user_id,
+                failed.flex_dollars_applied,
+                `Payment for rental #${failed.rental_id} failed`,
+                failed.rental_id
+            );
+        }
+        return failed;
+    }
+
+    /**
+     * Apply the rider's flex dollars to a payment, then tax what is left for the card
+     * @param {number} paymentId
+     * @param {Object} rental - rentals row
+     * @param {number} totalCost - Rental cost after discounts
+     * @returns {Promise<number>} Amount due on the card, taxes included
+     */
+    async applyFlexDollarsAndTaxes(paymentId, rental, totalCost) {
+        // DM-03, DM-04: Apply flex dollars to this rental charge
+        let flexDollarsApplied = 0;
+        try {
+            const flexResult = await this.flexDollarsService.deductFlexDollars(
+                rental.user_id,
+                totalCost,
+                `Payment for rental #${rental.id}`,
+                rental.id
+            );
+            flexDollarsApplied = roundCents(flexResult.amountDeducted);
+        } catch (flexError) {
+            // Charge the full amount to the card rather than fail the payment
+            console.error('Error applying flex dollars:', flexError);
+        }
+        const taxes = this.taxService
+            ? await this.taxService.calculateTaxes(totalCost - flexDollarsApplied)
+            : { jurisdiction: null, lines: [], total: 0 };
+        const amountDue = roundCents(totalCost - flexDollarsApplied + taxes.total);
+        await this.run(
+            `UPDATE payments SET amount = ?, flex_dollars_applied = ?, amount_due_after_flex = ?,
+                tax_jurisdiction = ?, tax_amount = ?, tax_lines = ? WHERE id = ?`,
+            [totalCost, flexDollarsApplied, amountDue, taxes.jurisdiction, taxes.total, JSON.stringify(taxes.lines), paymentId]
+        );
+        return amountDue;
+    }
+
+    /**
+     * Authorize the rental hold on the rider's default saved card, before the bike unlocks
+     * @param {number|string} userId
+     * @param {number} [amount] - Defaults to the configured hold amount
+     * @returns {Promise<Object>} { authorizationId, last4, amount }
+     * @throws {PaymentGatewayError} If there is no saved card or the gateway refuses the hold
+     */
+    async placeRentalHold(userId, amount = this.holdAmount) {
+        const card = await this.resolveCard(userId);
+        const { authorizationId } = await this.callGateway('authorize', {
+            token: card.token,
+            amount: roundCents(amount),
+            currency: PAYMENT_GATEWAY_CONFIG.CURRENCY,
+            description: `Rental hold for user ${userId}`
+        });
+        return { authorizationId, last4: card.last4, amount: roundCents(amount) };
+    }
+
+    /**
+     * Release a hold that never became a rental (the bike could not be undocked)
+     * @param {Object} hold - From placeRentalHold
+     * @returns {Promise<void>}
+     */
+    async releaseRentalHold(hold) {
+        await this.callGateway('void', hold.authorizationId);
+    }
+
+    /**
+     * Record a hold as the authorized payment of the rental it secured
+     * @param {Object} rental - { id, user_id }
+     * @param {Object} hold - From placeRentalHold
+     * @returns {Promise<Object>} The authorized payments row
+     */
+    async attachRentalHold(rental, hold) {
+        const now = new Date().toISOString();
+        const inserted = await this.run(
+            `INSERT INTO payments (rental_id, user_id, amount, flex_dollars_applied, amount_due_after_flex, method, status,
+                gateway, gateway_reference, card_last4, authorized_amount, authorized_at, created_at, updated_at)
+             VALUES (?, ?, ?, 0, ?, 'card', ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [rental.id, rental.user_id, hold.amount, hold.amount, STATUS.AUTHORIZED, this.gateway.name,
+                hold.authorizationId, hold.last4, hold.amount, now, now, now]
+        );
+        return this.getPayment(inserted.lastID);
+    }
+
+    /**
+     * Settle a returned rental from its hold: flex dollars first, then capture the rest on the held card
+     * @param {Object} rental - rentals row with its final total_cost
+     * @returns {Promise<Object|null>} The captured or failed payments row, or null if the rental has no hold
+     */
+    async captureRentalHold(rental) {
+        const hold = await this.get(
+            'SELECT * FROM payments WHERE rental_id = ? AND status = ? ORDER BY id DESC LIMIT 1',
+            [rental.id, STATUS.AUTHORIZED]
+        );
+        if (!hold) {
+            return null;
+        }
+
+        const amountDue = await this.applyFlexDollarsAndTaxes(hold.id, rental, roundCents(rental.total_cost));
+        if (amountDue <= 0) {
+            await this.callGateway('void', hold.gateway_reference).catch(voidError => {
+                console.error(`Error releasing hold for payment ${hold.id}:`, voidError);
+            });
+            return this.transition(hold.id, [STATUS.AUTHORIZED], STATUS.CAPTURED, {
+                method: 'flex_dollars',
+                gateway_reference: null,
+                captured_at: new Date().toISOString()
+            });
+        }
+
+        try {
+            if (amountDue > roundCents(hold.authorized_amount)) {
+                // The trip cost more than the hold: swap it for an authorization of the full amount
+                const card = await this.resolveCard(rental.user_id);
+                const { authorizationId } = await this.callGateway('authorize', {
+                    token: card.token,
+                    amount: amountDue,
+                    currency: PAYMENT_GATEWAY_CONFIG.CURRENCY,
+                    description: `Payment #${hold.id}`
+                });
+                await this.callGateway('void', hold.gateway_reference).catch(voidError => {
+                    console.error(`Error releasing hold for payment ${hold.id}:`, voidError);
+                });
+                await this.transition(hold.id, [STATUS.AUTHORIZED], STATUS.AUTHORIZED, {
+                    gateway_reference: authorizationId,
+                    card_last4: card.last4,
+                    authorized_amount: amountDue,
+                    authorized_at: new Date().toISOString()
+                });
+            }
+            return await this.capturePayment(hold.id, amountDue);
+        } catch (error) {
+            if (!(error instanceof PaymentGatewayError)) {
+                console.error(`Error capturing hold for rental ${rental.id}:`, error);
+            }
+            return this.failPayment(hold.id, error);
+        }
+    }
+
+    /**
+     * Charge a completed rental: flex dollars first, then the rest to the card
+     * @param {Object} rental - rentals row
+     * @param {Object} [options]
+     * @param {Object} [options.card] - New card details; the default saved card is used otherwise
+     * @param {string} [options.method] - Payment method label for the card portion
+     * @returns {Promise<Object>} { payment, alreadyPaid } - payment.status is captured or failed
+     */
+    async chargeRental(rental, { card = null, method = 'card' } = {}) {
+        const totalCost = roundCents(rental.total_cost);
+        const now = new Date().toISOString();
+
+        // Claim the rental for this attempt unless another one is open or already captured it
+        const claimed = await this.run(
+            `INSERT INTO payments (rental_id, user_id, amount, flex_dollars_applied, amount_due_after_flex, method, status, created_at, updated_at)
+             SELECT ?, ?, ?, 0, ?, ?, ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM payments WHERE rental_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')}))`,
+            [rental.id, rental.user_id, totalCost, totalCost, method, STATUS.PENDING, now, now, rental.id, ...OPEN_STATUSES]
+        );
+        if (claimed.changes !== 1) {
+            const captured = await this.get(
+                'SELECT * FROM payments WHERE rental_id = ? AND status = ? ORDER BY id DESC LIMIT 1',
+                [rental.id, STATUS.CAPTURED]
+            );
+            if (captured) {
+                return { payment: captured, alreadyPaid: true };
+            }
+            throw new PaymentError('PAYMENT_IN_PROGRESS', `A payment for rental ${rental.id} is already being processed`);
+        }
+        const paymentId = claimed.lastID;
+        const amountDue = await this.applyFlexDollarsAndTaxes(paymentId, rental, totalCost);
+
+        if (amountDue <= 0) {
+            const payment = await this.transition(paymentId, [STATUS.PENDING], STATUS.CAPTURED, {
+                method: 'flex_dollars',
+                captured_at: new Date().toISOString()
+            });
+            return { payment, alreadyPaid: false };
+        }
+
+        try {
+            const resolvedCard = await this.resolveCard(rental.user_id, card);
+            await this.run('UPDATE payments SET card_last4 = ? WHERE id = ?', [resolvedCard.last4, paymentId]);
+            await this.authorizePayment(paymentId, resolvedCard, amountDue);
+            const payment = await this.capturePayment(paymentId, amountDue);
+            return { payment, alreadyPaid: false };
+        } catch (error) {
+            if (!(error instanceof PaymentGatewayError)) {
+                console.error(`Error charging rental ${rental.id}:`, error);
+            }
+            const payment = await this.failPayment(paymentId, error);
+            return { payment, alreadyPaid: false };
+        }
+    }
+
+    /**
+     * Refund all or part of the card portion of a captured payment
+     * @param {number} paymentId
+     * @param {number} [amount] - Defaults to everything not refunded yet
+     * @returns {Promise<Object>} The payments row; status becomes refunded once fully refunded
+     */
+    async refundPayment(paymentId, amount = null) {
+        const payment = await this.getPayment(paymentId);
+        if (!payment) {
+            throw new PaymentError('PAYMENT_NOT_FOUND', `Payment ${paymentId} not found`);
+        }
+        if (payment.status !== STATUS.CAPTURED) {
+            throw new PaymentError('INVALID_PAYMENT_STATE', `Payment ${paymentId} is ${payment.status}, only captured payments can be refunded`);
+        }
+
+        const alreadyRefunded = roundCents(payment.refunded_amount);
+        const refundable = roundCents((payment.amount_due_after_flex || 0) - alreadyRefunded);
+        const refund = amount === null ? refundable : roundCents(amount);
+        if (!payment.gateway_reference || refundable <= 0) {
+            throw new PaymentError('NOTHING_TO_REFUND', `Payment ${paymentId} has no card amount left to refund`);
+        }
+        if (refund <= 0 || refund > refundable) {
+            throw new PaymentError('INVALID_REFUND_AMOUNT', `Refund must be between $0.01 and $${refundable.toFixed(2)}`);
+        }
+
+        await this.callGateway('refund', payment.gateway_reference, refund);
+
+        const refundedAmount = roundCents(alreadyRefunded + refund);
+        const fullyRefunded = refundedAmount >= roundCents(payment.amount_due_after_flex);
+        const updated = await this.run(
+            `UPDATE payments SET refunded_amount = ?, refunded_at = ?, status = ?, updated_at = ?
+             WHERE id = ? AND status = ? AND COALESCE(refunded_amount, 0) = ?`,
+            [refundedAmount, new Date().toISOString(), fullyRefunded ? STATUS.REFUNDED : STATUS.CAPTURED,
+                new Date().toISOString(), paymentId, STATUS.CAPTURED, payment.refunded_amount || 0]
+        );
+        if (updated.changes !== 1) {
+            throw new PaymentError('INVALID_PAYMENT_STATE', `Payment ${paymentId} changed while it was being refunded`);
+        }
+        return this.getPayment(paymentId);
+    }
+}
+
+PaymentService.PaymentError = PaymentError;
+PaymentService.formatPayment = formatPayment;
+module.exports = PaymentService;
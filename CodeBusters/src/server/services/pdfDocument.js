@@ -0,0 +1,160 @@
+/**
+ * PDF Document - Writes simple text documents (receipts, statements) as PDF without a library.
+ *
+ * This module provides a small builder to:
+ * - Add lines of text, bold or in another size (`text`, `heading`)
+ * - Add table rows whose cells are left- or right-aligned at fixed x positions (`row`)
+ * - Add spacing and horizontal rules (`gap`, `rule`)
+ * - Serialize everything to a PDF 1.4 buffer, starting new Letter pages as needed (`toBuffer`)
+ *
+ * Text uses the standard Helvetica fonts with WinAnsi encoding, so no fonts are embedded;
+ * characters outside Latin-1 are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 612;   // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+// Helvetica advance widths (per 1000 units of font size) for the characters amounts are made of;
+// other characters use an average width, which is close enough for right-aligning numbers
+const CHAR_WIDTHS = { ' ': 278, '.': 278, ',': 278, '-': 333, '$': 556, '%': 889, '(': 333, ')': 333 };
+const DIGIT_WIDTH = 556;
+const AVERAGE_WIDTH = 520;
+
+function textWidth(text, size) {
+    let units = 0;
+    for (const char of text) {
+        units += /[0-9]/.test(char) ? DIGIT_WIDTH : (CHAR_WIDTHS[char] || AVERAGE_WIDTH);
+    }
+    return (units * size) / 1000;
+}
+
+// PDF string literal: Latin-1 only, with \ ( ) escaped
+function pdfString(text) {
+    const latin1 = String(text).replace(/[^\x20-\xff]/g, '?');
+    return `(${latin1.replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+class PdfDocument {
+    /**
+     * @param {Object} [options] - { title } stored in the document information
+     */
+    constructor(options = {}) {
+        this.title = options.title || '';
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    // Move down by the given height, starting a new page if it would run into the bottom margin
+    advance(height) {
+        if (this.y - height < MARGIN) {
+            this.newPage();
+        }
+        this.y -= height;
+    }
+
+    /**
+     * Add a line of text
+     * @param {string} text
+     * @param {Object} [options] - { size = 10, bold = false, x = left margin }
+     * @returns {PdfDocument} this
+     */
+    text(text, { size = 10, bold = false, x = MARGIN } = {}) {
+        this.advance(size * 1.4);
+        this.current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${this.y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+        return this;
+    }
+
+    /**
+     * Add a bold heading
+     * @param {string} text
+     * @param {number} [size]
+     * @returns {PdfDocument} this
+     */
+    heading(text, size = 16) {
+        return this.text(text, { size, bold: true });
+    }
+
+    /**
+     * Add a table row
+     * @param {Array<Object>} cells - { text, x, align: 'left' | 'right' }; right-aligned cells end at x
+     * @param {Object} [options] - { size = 9, bold = false }
+     * @returns {PdfDocument} this
+     */
+    row(cells, { size = 9, bold = false } = {}) {
+        this.advance(size * 1.5);
+        for (const cell of cells) {
+            const text = String(cell.text == null ? '' : cell.text);
+            const x = cell.align === 'right' ? cell.x - textWidth(text, size) : cell.x;
+            this.current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${this.y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+        }
+        return this;
+    }
+
+    /**
+     * Add vertical space
+     * @param {number} [height] - In points
+     * @returns {PdfDocument} this
+     */
+    gap(height = 8) {
+        this.advance(height);
+        return this;
+    }
+
+    /**
+     * Add a horizontal line across the page
+     * @returns {PdfDocument} this
+     */
+    rule() {
+        this.advance(6);
+        this.current.push(`0.5 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${this.y.toFixed(2)} l S`);
+        this.advance(4);
+        return this;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+        // Objects 1-5 are fixed: catalog, page tree, the two fonts and the document information
+        const objects = [];
+        const pageIds = this.pages.map((page, index) => 6 + index * 2);
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        objects[5] = `<< /Title ${pdfString(this.title)} /Producer (CodeBusters) >>`;
+        this.pages.forEach((page, index) => {
+            const content = page.join('\n');
+            objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+            objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+        });
+
+        let output = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = Buffer.byteLength(output, 'latin1');
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        const xrefOffset = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+PdfDocument.PAGE_WIDTH = PAGE_WIDTH;
+PdfDocument.MARGIN = MARGIN;
+
+module.exports = PdfDocument;
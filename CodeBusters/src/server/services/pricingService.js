@@ -0,0 +1,325 @@
+/**
+ * Pricing Service - Prices rentals from persisted pricing plans.
+ *
+ * This service provides methods to:
+ * - List and look up plans from the pricing_plans table (`listPlans`, `getPlan`, `getDefaultPlan`)
+ * - Manage rider plan subscriptions (`getActiveSubscription`, `subscribe`, `cancelSubscription`)
+ * - Resolve the plan that applies to a rider (`getPlanForUser`)
+ * - Price a rental with a plan (`calculateCost`) or with the rider's active plan (`priceRental`)
+ * - Rebuild a completed rental's breakdown from the pricing stored on it (`rentalBreakdown`)
+ *
+ * Rental cost = base fee + billable minutes × (per-minute rate + e-bike surcharge for e-bikes),
+ * where billable minutes are the ride minutes (rounded up) beyond the plan's included minutes.
+ * The cost stops growing at the daily fare cap for each started 24 hours of the trip.
+ * Riders without an active subscription are priced with the default plan.
+ */
+
+const { RENTAL_PAYMENT_CONFIG } = require('../config/constants');
+const { transaction } = require('../utils/transaction');
+
+class PricingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PricingError';
+        this.code = code;
+    }
+}
+
+const E_BIKE_TYPES = ['e-bike', 'ebike', 'electric'];
+
+/**
+ * Check whether a bike type string denotes an e-bike
+ * @param {string} bikeType - 'standard', 'e-bike' (legacy rows may say 'electric')
+ * @returns {boolean} True for e-bikes
+ */
+function isEBike(bikeType) {
+    return E_BIKE_TYPES.includes(String(bikeType || '').toLowerCase());
+}
+
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+class PricingService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dailyFareCap = options.dailyFareCap || RENTAL_PAYMENT_CONFIG.DAILY_FARE_CAP;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    // db: a transaction handle to run the statement inside that transaction
+    run(sql, params = [], db = this.db) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Map a pricing_plans row to the API shape
+     * @param {Object} row - pricing_plans row
+     * @returns {Object|null} Plan
+     */
+    formatPlan(row) {
+        if (!row) {
+            return null;
+        }
+        let features = [];
+        try {
+            features = row.features ? JSON.parse(row.features) : [];
+        } catch (error) {
+            features = [];
+        }
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            monthlyFee: Number(row.monthly_fee),
+            baseFee: Number(row.base_fee),
+            ratePerMinute: Number(row.rate_per_minute),
+            eBikeSurchargePerMinute: Number(row.ebike_surcharge_per_minute),
+            includedMinutes: Number(row.included_minutes),
+            features,
+            isDefault: Boolean(row.is_default),
+            active: Boolean(row.active)
+        };
+    }
+
+    /**
+     * List pricing plans
+     * @param {Object} [options] - { includeInactive }
+     * @returns {Promise<Array>} Plans ordered for display
+     */
+    async listPlans({ includeInactive = false } = {}) {
+        const rows = await this.all(
+            `SELECT * FROM pricing_plans ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY sort_order, id`
+        );
+        return rows.map(row => this.formatPlan(row));
+    }
+
+    /**
+     * Get a plan by ID
+     * @param {string} planId - Plan ID
+     * @returns {Promise<Object|null>} Plan or null
+     */
+    async getPlan(planId) {
+        return this.formatPlan(await this.get('SELECT * FROM pricing_plans WHERE id = ?', [planId]));
+    }
+
+    /**
+     * Get the plan used for riders without a subscription
+     * @returns {Promise<Object>} Default plan
+     */
+    async getDefaultPlan() {
+        const row = await this.get(
+            'SELECT * FROM pricing_plans WHERE is_default = 1 AND active = 1 ORDER BY sort_order LIMIT 1'
+        );
+        if (!row) {
+            throw new PricingError('NO_DEFAULT_PLAN', 'No default pricing plan is configured');
+        }
+        return this.formatPlan(row);
+    }
+
+    /**
+     * Get a rider's active subscription with its plan
+     * @param {number|string} userId - User ID
+     * @returns {Promise<Object|null>} { id, userId, planId, status, startedAt, plan } or null
+     */
+    async getActiveSubscription(userId) {
+        const row = await this.get(
+            `SELECT * FROM user_subscriptions WHERE user_id = ? AND status = 'active'
+             ORDER BY started_at DESC, id DESC LIMIT 1`,
+            [userId]
+        );
+        if (!row) {
+            return null;
+        }
+        return {
+            id: row.id,
+            userId: row.user_id,
+            planId: row.plan_id,
+            status: row.status,
+            startedAt: row.started_at,
+            plan: await this.getPlan(row.plan_id)
+        };
+    }
+
+    /**
+     * Resolve the plan that prices a rider's rentals
+     * @param {number|string} userId - User ID
+     * @returns {Promise<Object>} Subscribed plan, or the default plan
+     */
+    async getPlanForUser(userId) {
+        const subscription = userId ? await this.getActiveSubscription(userId) : null;
+        if (subscription && subscription.plan && subscription.plan.active) {
+            return subscription.plan;
+        }
+        return this.getDefaultPlan();
+    }
+
+    /**
+     * Subscribe a rider to a plan, replacing any active subscription
+     * @param {number|string} userId - User ID
+     * @param {string} planId - Plan ID
+     * @returns {Promise<Object>} New active subscription
+     */
+    async subscribe(userId, planId) {
+        const plan = await this.getPlan(planId);
+        if (!plan || !plan.active) {
+            throw new PricingError('PLAN_NOT_FOUND', `Pricing plan ${planId} not found`);
+        }
+
+        const current = await this.getActiveSubscription(userId);
+        if (current && current.planId === planId) {
+            throw new PricingError('ALREADY_SUBSCRIBED', `Already subscribed to ${plan.name}`);
+        }
+
+        await transaction(this.db, async (tx) => {
+            await this.run(
+                `UPDATE user_subscriptions SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND status = 'active'`,
+                [userId],
+                tx
+            );
+            await this.run(
+                `INSERT INTO user_subscriptions (user_id, plan_id, status) VALUES (?, ?, 'active')`,
+                [userId, planId],
+                tx
+            );
+        });
+
+        return this.getActiveSubscription(userId);
+    }
+
+    /**
+     * Cancel a rider's active subscription (rentals fall back to the default plan)
+     * @param {number|string} userId - User ID
+     * @returns {Promise<Object>} The cancelled subscription
+     */
+    async cancelSubscription(userId) {
+        const current = await this.getActiveSubscription(userId);
+        if (!current) {
+            throw new PricingError('NO_ACTIVE_SUBSCRIPTION', 'No active subscription to cancel');
+        }
+
+        await this.run(
+            `UPDATE user_subscriptions SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [current.id]
+        );
+        return { ...current, status: 'cancelled' };
+    }
+
+    /**
+     * Limit a trip's cost to the daily fare cap for each started 24 hours
+     * @param {number} cost - Cost before the cap
+     * @param {number} durationMinutes - Trip length
+     * @returns {Object} { totalCost, fareCap, fareCapped }
+     */
+    capFare(cost, durationMinutes) {
+        const days = Math.max(1, Math.ceil(durationMinutes / (24 * 60)));
+        const fareCap = roundCurrency(this.dailyFareCap * days);
+        return {
+            totalCost: Math.min(cost, fareCap),
+            fareCap,
+            fareCapped: cost > fareCap
+        };
+    }
+
+    /**
+     * Price a rental with a given plan
+     * @param {Object} plan - Plan from formatPlan
+     * @param {string|Date} startTime - Rental start
+     * @param {string|Date} endTime - Rental end
+     * @param {string} bikeType - Bike type
+     * @returns {Object} Cost breakdown
+     */
+    calculateCost(plan, startTime, endTime, bikeType) {
+        const durationMs = new Date(endTime) - new Date(startTime);
+        const durationMinutes = Math.max(0, Math.ceil(durationMs / (1000 * 60))); // Round up to next minute
+        const billableMinutes = Math.max(0, durationMinutes - plan.includedMinutes);
+        const eBike = isEBike(bikeType);
+        const eBikeSurchargePerMinute = eBike ? plan.eBikeSurchargePerMinute : 0;
+        const ratePerMinute = roundCurrency(plan.ratePerMinute + eBikeSurchargePerMinute);
+
+        const minutesCost = roundCurrency(billableMinutes * ratePerMinute);
+        const { totalCost, fareCap, fareCapped } = this.capFare(roundCurrency(plan.baseFee + minutesCost), durationMinutes);
+
+        return {
+            planId: plan.id,
+            planName: plan.name,
+            bikeType: eBike ? 'e-bike' : 'standard',
+            durationMinutes,
+            includedMinutes: plan.includedMinutes,
+            billableMinutes,
+            baseFee: plan.baseFee,
+            ratePerMinute,
+            eBikeSurchargePerMinute,
+            minutesCost,
+            fareCap,
+            fareCapped,
+            totalCost
+        };
+    }
+
+    /**
+     * Price a rental with the rider's active plan
+     * @param {number|string} userId - User ID
+     * @param {string|Date} startTime - Rental start
+     * @param {string|Date} endTime - Rental end
+     * @param {string} bikeType - Bike type
+     * @returns {Promise<Object>} Cost breakdown
+     */
+    async priceRental(userId, startTime, endTime, bikeType) {
+        const plan = await this.getPlanForUser(userId);
+        return this.calculateCost(plan, startTime, endTime, bikeType);
+    }
+
+    /**
+     * Rebuild a cost breakdown from the pricing stored on a rental at return
+     * @param {Object} rental - rentals row (bike_type, pricing_plan_id, base_fee, rate_per_minute, billable_minutes)
+     * @returns {Object|null} Cost breakdown before discounts, or null if no pricing was stored
+     */
+    rentalBreakdown(rental) {
+        if (!rental || rental.rate_per_minute == null) {
+            return null;
+        }
+        const durationMs = new Date(rental.end_time) - new Date(rental.start_time);
+        const baseFee = Number(rental.base_fee) || 0;
+        const ratePerMinute = Number(rental.rate_per_minute);
+        const billableMinutes = Number(rental.billable_minutes) || 0;
+        const minutesCost = roundCurrency(billableMinutes * ratePerMinute);
+        const durationMinutes = Math.max(0, Math.ceil(durationMs / (1000 * 60)));
+        const { totalCost, fareCap, fareCapped } = this.capFare(roundCurrency(baseFee + minutesCost), durationMinutes);
+
+        return {
+            planId: rental.pricing_plan_id,
+            bikeType: isEBike(rental.bike_type) ? 'e-bike' : 'standard',
+            durationMinutes,
+            billableMinutes,
+            baseFee,
+            ratePerMinute,
+            minutesCost,
+            fareCap,
+            fareCapped,
+            totalCost
+        };
+    }
+}
+
+PricingService.PricingError = PricingError;
+PricingService.isEBike = isEBike;
+
+module.exports = PricingService;
@@ -0,0 +1,467 @@
+/**
+ * Promo Service - Operator promo codes and rider referral codes, both paid out in flex dollars.
+ *
+ * This service provides methods to:
+ * - Create, list and switch off promo codes (`createPromoCode`, `listPromoCodes`, `setPromoCodeActive`)
+ * - Redeem a promo code or a referral code for a rider (`redeem`)
+ * - Credit a pending percentage code on the trip being returned (`applyPendingPromo`)
+ * - Credit both riders of a referral after the new rider's first trip (`creditReferral`)
+ * - Give a rider their referral code and the referrals made with it (`getReferralCode`, `getReferralSummary`)
+ *
+ * Fixed-amount codes are credited as soon as they are redeemed. Percentage codes stay pending and
+ * are credited at the rider's next return, as a share of that trip's cost (capped by max_discount),
+ * before the trip is charged. Credits are recorded in flex_dollars_transactions as 'promo' or
+ * 'referral'. Usage limits are checked in the same statement that records the redemption, so two
+ * riders cannot both take the last use of a code. Marking a code or referral used and crediting the
+ * flex dollars for it happen in one transaction, so neither is left without the other.
+ */
+
+const crypto = require('crypto');
+const { PROMO_CONFIG, FLEX_DOLLARS_CONFIG } = require('../config/constants');
+const { transaction } = require('../utils/transaction');
+
+const { DISCOUNT_TYPES, REDEMPTION_STATUS, REFERRAL_STATUS } = PROMO_CONFIG;
+
+class PromoError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PromoError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * API shape of a promo_codes row (with its redemption count when selected)
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatPromoCode(row) {
+    return {
+        id: row.id,
+        code: row.code,
+        description: row.description || null,
+        discountType: row.discount_type,
+        value: row.value,
+        maxDiscount: row.max_discount,
+        expiresAt: row.expires_at || null,
+        maxRedemptions: row.max_redemptions,
+        maxRedemptionsPerUser: row.max_redemptions_per_user,
+        planIds: row.plan_ids ? JSON.parse(row.plan_ids) : null,
+        active: row.active === 1,
+        redemptions: row.redemption_count || 0,
+        createdAt: row.created_at
+    };
+}
+
+class PromoService {
+    constructor(db, flexDollarsService, pricingService, options = {}) {
+        this.db = db;
+        this.flexDollarsService = flexDollarsService;
+        this.pricingService = pricingService;
+        this.referralCredit = options.referralCredit || PROMO_CONFIG.REFERRAL_CREDIT;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * This service, and the flex dollars it credits, issuing statements inside a transaction
+     * @param {Object} tx - Transaction handle from utils/transaction
+     * @returns {PromoService}
+     */
+    inTransaction(tx) {
+        return new PromoService(tx, this.flexDollarsService.inTransaction(tx), this.pricingService, { referralCredit: this.referralCredit });
+    }
+
+    /**
+     * Run work inside a transaction
+     * @param {Function} work - async (promos) => result; promos is this service bound to the transaction
+     * @returns {Promise<*>} The work's result
+     */
+    transaction(work) {
+        return transaction(this.db, tx => work(this.inTransaction(tx)));
+    }
+
+    /**
+     * Create a promo code
+     * @param {Object} data - { code, description, discountType, value, maxDiscount, expiresAt,
+     *                          maxRedemptions, maxRedemptionsPerUser, planIds }
+     * @param {number|string} operatorId
+     * @returns {Promise<Object>} The new promo code
+     */
+    async createPromoCode(data, operatorId) {
+        const code = normalizeCode(data.code);
+        if (!PROMO_CONFIG.CODE_PATTERN.test(code)) {
+            throw new PromoError('INVALID_CODE', 'code must be 3-32 letters, digits, - or _');
+        }
+        if (!Object.values(DISCOUNT_TYPES).includes(data.discountType)) {
+            throw new PromoError('INVALID_DISCOUNT_TYPE', `discountType must be one of: ${Object.values(DISCOUNT_TYPES).join(', ')}`);
+        }
+        const value = Number(data.value);
+        if (!(value > 0) || (data.discountType === DISCOUNT_TYPES.PERCENT && value > 100)) {
+            throw new PromoError('INVALID_VALUE', data.discountType === DISCOUNT_TYPES.PERCENT
+                ? 'value must be a percentage between 0 and 100'
+                : 'value must be a positive amount');
+        }
+        const maxDiscount = data.maxDiscount == null || data.maxDiscount === '' ? null : Number(data.maxDiscount);
+        if (maxDiscount !== null && !(maxDiscount > 0)) {
+            throw new PromoError('INVALID_VALUE', 'maxDiscount must be a positive amount');
+        }
+        let expiresAt = null;
+        if (data.expiresAt) {
+            const expiry = new Date(data.expiresAt);
+            if (Number.isNaN(expiry.getTime())) {
+                throw new PromoError('INVALID_EXPIRY', 'expiresAt must be a date');
+            }
+            expiresAt = expiry.toISOString();
+        }
+        const positiveInteger = (input, field) => {
+            const number = Number(input);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new PromoError('INVALID_LIMIT', `${field} must be a positive whole number`);
+            }
+            return number;
+        };
+        const maxRedemptions = data.maxRedemptions == null || data.maxRedemptions === '' ? null : positiveInteger(data.maxRedemptions, 'maxRedemptions');
+        const maxPerUser = data.maxRedemptionsPerUser == null || data.maxRedemptionsPerUser === '' ? 1 : positiveInteger(data.maxRedemptionsPerUser, 'maxRedemptionsPerUser');
+
+        let planIds = null;
+        if (Array.isArray(data.planIds) && data.planIds.length > 0) {
+            for (const planId of data.planIds) {
+                if (!(await this.pricingService.getPlan(planId))) {
+                    throw new PromoError('INVALID_PLAN', `Pricing plan ${planId} not found`);
+                }
+            }
+            planIds = JSON.stringify(data.planIds);
+        }
+
+        if (await this.get('SELECT id FROM promo_codes WHERE code = ?', [code])) {
+            throw new PromoError('CODE_EXISTS', `Promo code ${code} already exists`);
+        }
+        const result = await this.run(
+            `INSERT INTO promo_codes (code, description, discount_type, value, max_discount, expires_at,
+                max_redemptions, max_redemptions_per_user, plan_ids, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [code, data.description || null, data.discountType, value, maxDiscount, expiresAt,
+                maxRedemptions, maxPerUser, planIds, operatorId]
+        );
+        return formatPromoCode(await this.get('SELECT * FROM promo_codes WHERE id = ?', [result.lastID]));
+    }
+
+    /**
+     * Every promo code with how often it was redeemed, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async listPromoCodes() {
+        const rows = await this.all(
+            `SELECT pc.*, (SELECT COUNT(*) FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS redemption_count
+             FROM promo_codes pc ORDER BY pc.created_at DESC, pc.id DESC`
+        );
+        return rows.map(formatPromoCode);
+    }
+
+    /**
+     * Switch a promo code on or off
+     * @param {number} promoCodeId
+     * @param {boolean} active
+     * @returns {Promise<Object>} The updated promo code
+     */
+    async setPromoCodeActive(promoCodeId, active) {
+        const result = await this.run(
+            'UPDATE promo_codes SET active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [active ? 1 : 0, promoCodeId]
+        );
+        if (result.changes !== 1) {
+            throw new PromoError('PROMO_NOT_FOUND', `Promo code ${promoCodeId} not found`);
+        }
+        return formatPromoCode(await this.get('SELECT * FROM promo_codes WHERE id = ?', [promoCodeId]));
+    }
+
+    /**
+     * Redeem a promo code, or another rider's referral code
+     * @param {number|string} userId
+     * @param {string} rawCode
+     * @returns {Promise<Object>} { type: 'promo' | 'referral', ... }
+     */
+    async redeem(userId, rawCode) {
+        const code = normalizeCode(rawCode);
+        if (!code) {
+            throw new PromoError('INVALID_CODE', 'code is required');
+        }
+        const promo = await this.get('SELECT * FROM promo_codes WHERE code = ?', [code]);
+        if (promo) {
+            return this.transaction(promos => promos.redeemPromoCode(userId, promo));
+        }
+        const referrer = await this.get('SELECT id, username FROM users WHERE referral_code = ?', [code]);
+        if (referrer) {
+            return this.redeemReferralCode(userId, referrer);
+        }
+        throw new PromoError('PROMO_NOT_FOUND', `Code ${code} is not valid`);
+    }
+
+    async redeemPromoCode(userId, promo) {
+        if (promo.active !== 1) {
+            throw new PromoError('PROMO_INACTIVE', `Promo code ${promo.code} is no longer active`);
+        }
+        if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+            throw new PromoError('PROMO_EXPIRED', `Promo code ${promo.code} expired`);
+        }
+        if (promo.plan_ids) {
+            const plan = await this.pricingService.getPlanForUser(userId);
+            if (!JSON.parse(promo.plan_ids).includes(plan.id)) {
+                throw new PromoError('PLAN_NOT_ELIGIBLE', `Promo code ${promo.code} is not valid on the ${plan.name} plan`);
+            }
+        }
+        const isPercent = promo.discount_type === DISCOUNT_TYPES.PERCENT;
+        if (isPercent && await this.get(
+            `SELECT pr.id FROM promo_redemptions pr JOIN promo_codes pc ON pc.id = pr.promo_code_id
+             WHERE pr.user_id = ? AND pr.status = ? AND pc.discount_type = ?`,
+            [userId, REDEMPTION_STATUS.PENDING, DISCOUNT_TYPES.PERCENT]
+        )) {
+            throw new PromoError('PROMO_PENDING', 'A percentage code is already waiting for your next trip');
+        }
+
+        // Record the redemption only while both limits still allow it
+        const status = isPercent ? REDEMPTION_STATUS.PENDING : REDEMPTION_STATUS.CREDITED;
+        const amount = isPercent ? null : roundCents(promo.value);
+        const result = await this.run(
+            `INSERT INTO promo_redemptions (promo_code_id, user_id, status, amount, credited_at)
+             SELECT ?, ?, ?, ?, ${isPercent ? 'NULL' : 'CURRENT_TIMESTAMP'}
+             WHERE (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?) < ?
+               AND (? IS NULL OR (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = ?) < ?)`,
+            [promo.id, userId, status, amount, promo.id, userId, promo.max_redemptions_per_user,
+                promo.max_redemptions, promo.id, promo.max_redemptions]
+        );
+        if (result.changes !== 1) {
+            const used = await this.get(
+                'SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?',
+                [promo.id, userId]
+            );
+            if (used.count >= promo.max_redemptions_per_user) {
+                throw new PromoError('PROMO_ALREADY_REDEEMED', `You have already redeemed ${promo.code}`);
+            }
+            throw new PromoError('PROMO_EXHAUSTED', `Promo code ${promo.code} has been fully redeemed`);
+        }
+
+        const redemption = {
+            type: 'promo',
+            redemptionId: result.lastID,
+            code: promo.code,
+            discountType: promo.discount_type,
+            value: promo.value,
+            maxDiscount: promo.max_discount,
+            status,
+            amount
+        };
+        if (!isPercent) {
+            const award = await this.flexDollarsService.awardFlexDollars(
+                userId, amount, `Promo code ${promo.code}`, null, null, FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE.PROMO
+            );
+            // The flex dollars balance cap may have reduced the credit
+            if (award.amount !== amount) {
+                await this.run('UPDATE promo_redemptions SET amount = ? WHERE id = ?', [award.amount, result.lastID]);
+                redemption.amount = award.amount;
+                redemption.capped = true;
+            }
+            redemption.newBalance = award.newBalance;
+        }
+        return redemption;
+    }
+
+    async redeemReferralCode(userId, referrer) {
+        if (String(referrer.id) === String(userId)) {
+            throw new PromoError('OWN_REFERRAL_CODE', 'You cannot use your own referral code');
+        }
+        if (await this.get('SELECT id FROM referrals WHERE referred_id = ?', [userId])) {
+            throw new PromoError('ALREADY_REFERRED', 'You have already used a referral code');
+        }
+        const trips = await this.get(
+            "SELECT COUNT(*) AS count FROM rentals WHERE user_id = ? AND status = 'completed'",
+            [userId]
+        );
+        if (trips.count > 0) {
+            throw new PromoError('NOT_NEW_RIDER', 'Referral codes are for riders who have not taken a trip yet');
+        }
+        try {
+            await this.run('INSERT INTO referrals (referrer_id, referred_id, status) VALUES (?, ?, ?)',
+                [referrer.id, userId, REFERRAL_STATUS.PENDING]);
+        } catch (err) {
+            if (err.message.includes('UNIQUE constraint failed')) {
+                throw new PromoError('ALREADY_REFERRED', 'You have already used a referral code');
+            }
+            throw err;
+        }
+        return {
+            type: 'referral',
+            referrer: referrer.username,
+            status: REFERRAL_STATUS.PENDING,
+            amount: this.referralCredit
+        };
+    }
+
+    /**
+     * Credit the rider's pending percentage code on a returned trip, before it is charged
+     * @param {Object} rental - { id, user_id, total_cost, pricing_plan_id }
+     * @returns {Promise<Object|null>} { code, percent, amount, newBalance }, or null if nothing was credited
+     */
+    applyPendingPromo(rental) {
+        return this.transaction(async (promos) => {
+            const pending = await promos.get(
+                `SELECT pr.id, pc.code, pc.value, pc.max_discount, pc.plan_ids
+                 FROM promo_redemptions pr JOIN promo_codes pc ON pc.id = pr.promo_code_id
+                 WHERE pr.user_id = ? AND pr.status = ? AND pc.discount_type = ?
+                 ORDER BY pr.id LIMIT 1`,
+                [rental.user_id, REDEMPTION_STATUS.PENDING, DISCOUNT_TYPES.PERCENT]
+            );
+            if (!pending || !(rental.total_cost > 0)) {
+                return null;
+            }
+            // A trip on a plan the code is not valid for leaves it pending for a later trip
+            if (pending.plan_ids && rental.pricing_plan_id && !JSON.parse(pending.plan_ids).includes(rental.pricing_plan_id)) {
+                return null;
+            }
+            let amount = roundCents(rental.total_cost * pending.value / 100);
+            if (pending.max_discount != null) {
+                amount = Math.min(amount, roundCents(pending.max_discount));
+            }
+
+            const result = await promos.run(
+                `UPDATE promo_redemptions SET status = ?, amount = ?, rental_id = ?, credited_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = ?`,
+                [REDEMPTION_STATUS.CREDITED, amount, rental.id, pending.id, REDEMPTION_STATUS.PENDING]
+            );
+            if (result.changes !== 1) {
+                return null;
+            }
+            const award = await promos.flexDollarsService.awardFlexDollars(
+                rental.user_id, amount, `Promo code ${pending.code} (${pending.value}% off rental ${rental.id})`,
+                rental.id, null, FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE.PROMO
+            );
+            if (award.amount !== amount) {
+                await promos.run('UPDATE promo_redemptions SET amount = ? WHERE id = ?', [award.amount, pending.id]);
+            }
+            return { code: pending.code, percent: pending.value, amount: award.amount, newBalance: award.newBalance };
+        });
+    }
+
+    /**
+     * Credit a pending referral once the new rider has completed a trip
+     * @param {number|string} userId - The new rider
+     * @param {number} rentalId - The completed trip
+     * @returns {Promise<Object|null>} { referrerId, amount }, or null if there was no pending referral
+     */
+    creditReferral(userId, rentalId) {
+        return this.transaction(async (promos) => {
+            const referral = await promos.get(
+                `SELECT rf.*, u.username AS referred_username, ru.username AS referrer_username
+                 FROM referrals rf JOIN users u ON u.id = rf.referred_id JOIN users ru ON ru.id = rf.referrer_id
+                 WHERE rf.referred_id = ? AND rf.status = ?`,
+                [userId, REFERRAL_STATUS.PENDING]
+            );
+            if (!referral) {
+                return null;
+            }
+            const amount = roundCents(promos.referralCredit);
+            const result = await promos.run(
+                `UPDATE referrals SET status = ?, credit_amount = ?, rental_id = ?, credited_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = ?`,
+                [REFERRAL_STATUS.CREDITED, amount, rentalId, referral.id, REFERRAL_STATUS.PENDING]
+            );
+            if (result.changes !== 1) {
+                return null;
+            }
+            const { REFERRAL } = FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE;
+            await promos.flexDollarsService.awardFlexDollars(
+                referral.referrer_id, amount, `Referral: ${referral.referred_username} completed their first trip`, null, null, REFERRAL
+            );
+            await promos.flexDollarsService.awardFlexDollars(
+                referral.referred_id, amount, `Referral bonus from ${referral.referrer_username}`, rentalId, null, REFERRAL
+            );
+            return { referrerId: referral.referrer_id, amount };
+        });
+    }
+
+    /**
+     * A rider's referral code, created the first time it is asked for
+     * @param {number|string} userId
+     * @returns {Promise<string>}
+     */
+    async getReferralCode(userId) {
+        const user = await this.get('SELECT id, referral_code FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            throw new PromoError('USER_NOT_FOUND', `User ${userId} not found`);
+        }
+        if (user.referral_code) {
+            return user.referral_code;
+        }
+        // Retry on the rare collision with another rider's code
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const code = `R${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+            try {
+                await this.run('UPDATE users SET referral_code = ? WHERE id = ? AND referral_code IS NULL', [code, userId]);
+            } catch (err) {
+                if (err.message.includes('UNIQUE constraint failed')) {
+                    continue;
+                }
+                throw err;
+            }
+            return (await this.get('SELECT referral_code FROM users WHERE id = ?', [userId])).referral_code;
+        }
+        throw new Error('Could not create a unique referral code');
+    }
+
+    /**
+     * A rider's referral code with the riders who used it
+     * @param {number|string} userId
+     * @returns {Promise<Object>} { code, creditAmount, referredBy, referrals: [{ username, status, createdAt, creditedAt }] }
+     */
+    async getReferralSummary(userId) {
+        const code = await this.getReferralCode(userId);
+        const referrals = await this.all(
+            `SELECT rf.status, rf.created_at, rf.credited_at, u.username
+             FROM referrals rf JOIN users u ON u.id = rf.referred_id
+             WHERE rf.referrer_id = ? ORDER BY rf.created_at DESC, rf.id DESC`,
+            [userId]
+        );
+        const referredBy = await this.get(
+            `SELECT rf.status, u.username FROM referrals rf JOIN users u ON u.id = rf.referrer_id WHERE rf.referred_id = ?`,
+            [userId]
+        );
+        return {
+            code,
+            creditAmount: roundCents(this.referralCredit),
+            referredBy: referredBy ? { username: referredBy.username, status: referredBy.status } : null,
+            referrals: referrals.map(row => ({
+                username: row.username,
+                status: row.status,
+                createdAt: row.created_at,
+                creditedAt: row.credited_at || null
+            }))
+        };
+    }
+}
+
+PromoService.PromoError = PromoError;
+PromoService.formatPromoCode = formatPromoCode;
+module.exports = PromoService;
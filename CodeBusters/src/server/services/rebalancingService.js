@@ -0,0 +1,378 @@
+/**
+ * Rebalancing Service - Suggests and runs bike moves between stations.
+ *
+ * This service provides methods to:
+ * - Read and set per-station bike targets (`getTargets`, `setTarget`)
+ * - Count recent departures and arrivals per station (`getRecentFlows`)
+ * - Build an ordered plan of moves with a van route (`buildPlan`)
+ * - Run an accepted plan as a batch of manual moves (`executePlan`)
+ *
+ * A station's desired bike count is its target shifted by the net flow expected over
+ * REBALANCING_CONFIG.LOOKAHEAD_HOURS, so stations that are emptying get extra bikes. Only
+ * available bikes are moved; reserved and maintenance bikes stay where they are.
+ */
+
+const { REBALANCING_CONFIG, BMS_STATES } = require('../config/constants');
+const RouteService = require('./routeService');
+
+const { haversineKm } = RouteService;
+
+class RebalancingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RebalancingError';
+        this.code = code;
+    }
+}
+
+function roundKm(km) {
+    return Math.round(km * 100) / 100;
+}
+
+function hasCoordinates(station) {
+    return Number.isFinite(station.latitude) && Number.isFinite(station.longitude);
+}
+
+function distanceBetween(a, b) {
+    return hasCoordinates(a) && hasCoordinates(b) ? haversineKm(a, b) : 0;
+}
+
+/**
+ * Order pickups and drop-offs into a van route. Starts at the westernmost pickup and always
+ * drives to the nearest stop it can serve; a drop-off is only reachable once every bike for it
+ * has been picked up.
+ * @param {Array<Object>} moves - { fromStation, toStation, bikeCount } with station coordinates
+ * @returns {Array<Object>} Stops in visiting order
+ */
+function orderRoute(moves) {
+    const stops = new Map();
+    const stopFor = (station) => {
+        if (!stops.has(station.id)) {
+            stops.set(station.id, { station, pickUp: 0, dropOff: 0, pendingSources: new Set() });
+        }
+        return stops.get(station.id);
+    };
+    moves.forEach(move => {
+        stopFor(move.fromStation).pickUp += move.bikeCount;
+        const dropStop = stopFor(move.toStation);
+        dropStop.dropOff += move.bikeCount;
+        dropStop.pendingSources.add(move.fromStation.id);
+    });
+
+    const remaining = new Set(stops.values());
+    const visited = new Set();
+    const route = [];
+    let current = null;
+
+    const isReachable = (stop) => Array.from(stop.pendingSources).every(sourceId => visited.has(sourceId));
+
+    while (remaining.size > 0) {
+        const candidates = Array.from(remaining).filter(isReachable);
+        let next;
+        if (!current) {
+            next = candidates.reduce((west, stop) =>
+                (stop.station.longitude ?? Infinity) < (west.station.longitude ?? Infinity) ? stop : west);
+        } else {
+            next = candidates.reduce((nearest, stop) =>
+                distanceBetween(current.station, stop.station) < distanceBetween(current.station, nearest.station) ? stop : nearest);
+        }
+
+        route.push({
+            stationId: next.station.id,
+            stationName: next.station.name,
+            latitude: next.station.latitude,
+            longitude: next.station.longitude,
+            pickUp: next.pickUp,
+            dropOff: next.dropOff,
+            legKm: current ? roundKm(distanceBetween(current.station, next.station)) : 0
+        });
+        visited.add(next.station.id);
+        remaining.delete(next);
+        current = next;
+    }
+
+    return route;
+}
+
+class RebalancingService {
+    /**
+     * @param {Object} db - sqlite3 database
+     * @param {Object} bmsManager - BMSManager holding live station occupancy
+     * @param {Object} [options] - Overrides for REBALANCING_CONFIG values
+     */
+    constructor(db, bmsManager, options = {}) {
+        this.db = db;
+        this.bmsManager = bmsManager;
+        this.defaultTargetRatio = options.defaultTargetRatio ?? REBALANCING_CONFIG.DEFAULT_TARGET_RATIO;
+        this.flowWindowHours = options.flowWindowHours || REBALANCING_CONFIG.FLOW_WINDOW_HOURS;
+        this.lookaheadHours = options.lookaheadHours ?? REBALANCING_CONFIG.LOOKAHEAD_HOURS;
+        this.toleranceBikes = options.toleranceBikes ?? REBALANCING_CONFIG.TOLERANCE_BIKES;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Target bike count for every station
+     * @returns {Promise<Array<Object>>} { stationId, stationName, capacity, targetBikes, isCustom }
+     */
+    async getTargets() {
+        const rows = await this.all('SELECT station_id, target_bikes FROM station_rebalancing_targets');
+        const custom = new Map(rows.map(row => [row.station_id, row.target_bikes]));
+
+        return this.bmsManager.listAllStations().map(station => ({
+            stationId: station.id,
+            stationName: station.name,
+            capacity: station.capacity,
+            targetBikes: custom.has(station.id)
+                ? Math.min(custom.get(station.id), station.capacity)
+                : Math.round(station.capacity * this.defaultTargetRatio),
+            isCustom: custom.has(station.id)
+        }));
+    }
+
+    /**
+     * Set a station's target bike count, or reset it to the default when targetBikes is null
+     * @param {string} stationId - Station ID
+     * @param {number|null} targetBikes - Bikes the station should hold (0..capacity)
+     * @param {number|string} operatorId - Operator making the change
+     * @returns {Promise<Object>} The station's target entry
+     */
+    async setTarget(stationId, targetBikes, operatorId) {
+        const station = this.bmsManager.listAllStations().find(s => s.id === stationId);
+        if (!station) {
+            throw new RebalancingError('STATION_NOT_FOUND', `Station ${stationId} not found`);
+        }
+
+        if (targetBikes === null) {
+            await this.run('DELETE FROM station_rebalancing_targets WHERE station_id = ?', [stationId]);
+        } else {
+            if (!Number.isInteger(targetBikes) || targetBikes < 0 || targetBikes > station.capacity) {
+                throw new RebalancingError('INVALID_TARGET',
+                    `Target must be a whole number between 0 and the station capacity (${station.capacity})`);
+            }
+            await this.run(
+                `INSERT INTO station_rebalancing_targets (station_id, target_bikes, updated_by, updated_at)
+                 VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(station_id) DO UPDATE SET
+                     target_bikes = excluded.target_bikes,
+                     updated_by = excluded.updated_by,
+                     updated_at = CURRENT_TIMESTAMP`,
+                [stationId, targetBikes, operatorId]
+            );
+        }
+
+        const targets = await this.getTargets();
+        return targets.find(target => target.stationId === stationId);
+    }
+
+    /**
+     * Departures and arrivals per station over the flow window
+     * @param {Date} [now] - End of the window
+     * @returns {Promise<Map<string, Object>>} stationId -> { departures, arrivals }
+     */
+    async getRecentFlows(now = new Date()) {
+        const since = new Date(now.getTime() - this.flowWindowHours * 60 * 60 * 1000).toISOString();
+        const [departures, arrivals] = await Promise.all([
+            this.all(
+                `SELECT station_id AS stationId, COUNT(*) AS count FROM rentals
+                 WHERE station_id IS NOT NULL AND start_time >= ? GROUP BY station_id`,
+                [since]
+            ),
+            this.all(
+                `SELECT end_station_id AS stationId, COUNT(*) AS count FROM rentals
+                 WHERE end_station_id IS NOT NULL AND end_time >= ? GROUP BY end_station_id`,
+                [since]
+            )
+        ]);
+
+        const flows = new Map();
+        const flowFor = (stationId) => {
+            if (!flows.has(stationId)) {
+                flows.set(stationId, { departures: 0, arrivals: 0 });
+            }
+            return flows.get(stationId);
+        };
+        departures.forEach(row => { flowFor(row.stationId).departures = row.count; });
+        arrivals.forEach(row => { flowFor(row.stationId).arrivals = row.count; });
+        return flows;
+    }
+
+    /**
+     * Build an ordered rebalancing plan from current occupancy and recent flows
+     * @param {Date} [now] - Time the plan is built for
+     * @returns {Promise<Object>} { generatedAt, stations, moves, route, totalBikes, totalDistanceKm }
+     */
+    async buildPlan(now = new Date()) {
+        const [targets, flows, availableRows] = await Promise.all([
+            this.getTargets(),
+            this.getRecentFlows(now),
+            // The database is authoritative for reservations, so read bike availability from it
+            this.all("SELECT id FROM r_bms_bikes WHERE status = 'available' AND retired_at IS NULL")
+        ]);
+        const targetByStation = new Map(targets.map(target => [target.stationId, target.targetBikes]));
+        const availableBikeIds = new Set(availableRows.map(row => row.id));
+
+        const stations = this.bmsManager.listAllStations()
+            .filter(station => !station.isOutOfService)
+            .map(station => {
+                const flow = flows.get(station.id) || { departures: 0, arrivals: 0 };
+                const netOutflowPerHour = (flow.departures - flow.arrivals) / this.flowWindowHours;
+                const targetBikes = targetByStation.get(station.id);
+                const desiredBikes = Math.max(0, Math.min(station.capacity,
+                    Math.round(targetBikes + netOutflowPerHour * this.lookaheadHours)));
+                const movableBikeIds = station.bikes
+                    .filter(bike => availableBikeIds.has(bike.id))
+                    .map(bike => bike.id);
+                const imbalance = station.numberOfBikesDocked - desiredBikes;
+
+                return {
+                    station,
+                    summary: {
+                        stationId: station.id,
+                        stationName: station.name,
+                        capacity: station.capacity,
+                        bikesDocked: station.numberOfBikesDocked,
+                        targetBikes,
+                        desiredBikes,
+                        departures: flow.departures,
+                        arrivals: flow.arrivals,
+                        imbalance
+                    },
+                    movableBikeIds,
+                    surplus: imbalance > this.toleranceBikes ? Math.min(imbalance, movableBikeIds.length) : 0,
+                    deficit: -imbalance > this.toleranceBikes ? -imbalance : 0
+                };
+            });
+
+        // Fill the biggest gaps first, each from the nearest stations with spare bikes
+        const sources = stations.filter(entry => entry.surplus > 0);
+        const pairs = [];
+        stations
+            .filter(entry => entry.deficit > 0)
+            .sort((a, b) => b.deficit - a.deficit)
+            .forEach(destination => {
+                let needed = destination.deficit;
+                const nearestSources = sources
+                    .filter(source => source.surplus > 0)
+                    .sort((a, b) => distanceBetween(a.station, destination.station) - distanceBetween(b.station, destination.station));
+                for (const source of nearestSources) {
+                    if (needed === 0) break;
+                    const bikeCount = Math.min(needed, source.surplus);
+                    source.surplus -= bikeCount;
+                    needed -= bikeCount;
+                    pairs.push({
+                        fromStation: source.station,
+                        toStation: destination.station,
+                        bikeCount,
+                        bikeIds: source.movableBikeIds.splice(0, bikeCount)
+                    });
+                }
+            });
+
+        const route = orderRoute(pairs);
+        const stopOrder = new Map(route.map((stop, index) => [stop.stationId, index]));
+        const moves = pairs
+            .sort((a, b) => stopOrder.get(a.fromStation.id) - stopOrder.get(b.fromStation.id) ||
+                stopOrder.get(a.toStation.id) - stopOrder.get(b.toStation.id))
+            .map((pair, index) => ({
+                order: index + 1,
+                fromStationId: pair.fromStation.id,
+                fromStationName: pair.fromStation.name,
+                toStationId: pair.toStation.id,
+                toStationName: pair.toStation.name,
+                bikeCount: pair.bikeCount,
+                bikeIds: pair.bikeIds,
+                distanceKm: roundKm(distanceBetween(pair.fromStation, pair.toStation))
+            }));
+
+        return {
+            generatedAt: now.toISOString(),
+            flowWindowHours: this.flowWindowHours,
+            stations: stations.map(entry => entry.summary),
+            moves,
+            route,
+            totalBikes: moves.reduce((sum, move) => sum + move.bikeCount, 0),
+            totalDistanceKm: roundKm(route.reduce((sum, stop) => sum + stop.legKm, 0))
+        };
+    }
+
+    /**
+     * Run accepted moves one bike at a time through BMSManager.manualMoveBike. Bikes that were
+     * rented, reserved or moved since the plan was built are skipped and reported as failed.
+     * @param {Array<Object>} moves - { fromStationId, toStationId, bikeIds }
+     * @param {number|string} operatorId - Operator running the plan
+     * @returns {Promise<Object>} { movedCount, failedCount, moves, stationIds }
+     */
+    async executePlan(moves, operatorId) {
+        if (!Array.isArray(moves) || moves.length === 0) {
+            throw new RebalancingError('INVALID_PLAN', 'A plan must contain at least one move');
+        }
+        const invalidMove = moves.find(move => !move || !move.fromStationId || !move.toStationId ||
+            !Array.isArray(move.bikeIds) || move.bikeIds.length === 0 || move.fromStationId === move.toStationId);
+        if (invalidMove) {
+            throw new RebalancingError('INVALID_PLAN',
+                'Each move needs a fromStationId, a different toStationId and a non-empty bikeIds list');
+        }
+
+        const results = [];
+        const stationIds = new Set();
+        for (const move of moves) {
+            const result = { fromStationId: move.fromStationId, toStationId: move.toStationId, moved: [], failed: [] };
+            for (const bikeId of move.bikeIds) {
+                const bike = await this.get(
+                    'SELECT status, station_id FROM r_bms_bikes WHERE id = ? AND retired_at IS NULL',
+                    [bikeId]
+                );
+                if (!bike || bike.status !== BMS_STATES.BIKE.AVAILABLE || bike.station_id !== move.fromStationId) {
+                    result.failed.push({ bikeId, message: `Bike ${bikeId} is no longer available at ${move.fromStationId}` });
+                    continue;
+                }
+
+                const moveResult = this.bmsManager.manualMoveBike(bikeId, move.fromStationId, move.toStationId, operatorId);
+                if (!moveResult.success) {
+                    result.failed.push({ bikeId, message: moveResult.message });
+                    continue;
+                }
+
+                await this.run(
+                    'UPDATE r_bms_bikes SET station_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [move.toStationId, bikeId]
+                );
+                result.moved.push(bikeId);
+                stationIds.add(move.fromStationId);
+                stationIds.add(move.toStationId);
+            }
+            results.push(result);
+        }
+
+        const movedCount = results.reduce((sum, result) => sum + result.moved.length, 0);
+        const failedCount = results.reduce((sum, result) => sum + result.failed.length, 0);
+        console.log(`REBALANCING: Operator ${operatorId} moved ${movedCount} bike(s), ${failedCount} skipped`);
+
+        return { movedCount, failedCount, moves: results, stationIds: Array.from(stationIds) };
+    }
+}
+
+RebalancingService.RebalancingError = RebalancingError;
+RebalancingService.orderRoute = orderRoute;
+
+module.exports = RebalancingService;
@@ -19,7 +19,6 @@
 
 const { BMS_STATES, DEFAULT_EXPIRY_MINUTES } = require('../config/constants');
 const { addMinutesToDate, isReservationExpired } = require('../utils/helpers');
-const fs = require('fs');
 
 class ReservationService {
     constructor(db, bmsService) {
@@ -29,6 +28,7 @@ class ReservationService {
 
     /**
      * R-BMS-03: Expire old reservations based on expiresAfterMinutes
+     * (holds on r_bms_bikes are expired by BikeStateService)
      * @returns {Promise<number>} Number of expired reservations
      */
     async expireOldReservations() {
@@ -54,56 +54,9 @@ class ReservationService {
             }
         }
         
-        // Also check configuration file for expired reservations
-        totalExpired += await this.expireConfigFileReservations();
-        
         return totalExpired;
     }
 
-    /**
-     * Check and expire reservations stored in configuration file
-     * @returns {Promise<number>} Number of expired reservations from config
-     */
-    async expireConfigFileReservations() {
-        try {
-            const configPath = './config/stations-config.json';
-            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            const now = new Date();
-            let expiredCount = 0;
-            
-            // Check each station for expired reservations
-            for (let station of config.stations) {
-                if (station.bikes) {
-                    for (let bike of station.bikes) {
-                        if (bike.status === 'reserved' && bike.reservationExpiry) {
-                            const expiryTime = new Date(bike.reservationExpiry);
-                            if (expiryTime <= now) {
-                                // This reservation has expired, clean it up
-                                console.log(`⏰ Expiring reservation for bike ${bike.id} (expired at ${bike.reservationExpiry})`);
-                                delete bike.reservedBy;
-                                delete bike.reservedAt;
-                                delete bike.reservationExpiry;
-                                bike.status = 'available';
-                                expiredCount++;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // Save updated configuration if any changes were made
-            if (expiredCount > 0) {
-                fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-                console.log(`✅ Expired ${expiredCount} reservations from configuration file`);
-            }
-            
-            return expiredCount;
-        } catch (error) {
-            console.error('Error checking config file for expired reservations:', error);
-            return 0;
-        }
-    }
-
     /**
      * Expire a single reservation
      * @param {Object} reservation - Reservation to expire
@@ -129,31 +82,6 @@ class ReservationService {
                 reason: 'Reservation expired automatically'
             }
         );
-
-        // Also update the stations configuration file to clear the reservation
-        try {
-            const configPath = './config/stations-config.json';
-            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            
-            // Find the bike and clear its reservation
-            for (let station of config.stations) {
-                for (let bike of station.bikes) {
-                    if (bike.id === reservation.bike_id) {
-                        delete bike.reservedBy;
-                        delete bike.reservedAt;
-                        delete bike.reservationExpiry;
-                        bike.status = 'available';
-                        break;
-                    }
-                }
-            }
-            
-            // Save the updated configuration
-            fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-            console.log(`Cleared expired reservation for bike ${reservation.bike_id} from stations config`);
-        } catch (error) {
-            console.error('Error updating stations config after expiry:', error);
-        }
     }
 
     /**
@@ -0,0 +1,335 @@
+/**
+ * Route Service - Records GPS tracks for rentals and summarises trip routes.
+ *
+ * This service provides methods to:
+ * - Store batches of GPS points sent during an active rental (`addTrackPoints`)
+ * - Summarise a finished rental's track into distance, average speed and a simplified polyline (`summarizeRoute`)
+ * - Return a rental's route as a GeoJSON Feature (`getRouteGeoJSON`)
+ *
+ * Raw points live in rental_track_points; the summary is stored on the rental when it ends
+ * so ride history does not need to re-read every point.
+ */
+
+const { ROUTE_TRACKING_CONFIG } = require('../config/constants');
+const { transaction } = require('../utils/transaction');
+
+class RouteError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RouteError';
+        this.code = code;
+    }
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+function haversineKm(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distance from a point to the segment start-end, in metres (equirectangular approximation,
+ * accurate enough at city scale)
+ */
+function perpendicularDistanceMeters(point, start, end) {
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(toRadians(start.latitude));
+    const px = (point.longitude - start.longitude) * metersPerDegreeLng;
+    const py = (point.latitude - start.latitude) * metersPerDegreeLat;
+    const ex = (end.longitude - start.longitude) * metersPerDegreeLng;
+    const ey = (end.latitude - start.latitude) * metersPerDegreeLat;
+    const lengthSquared = ex * ex + ey * ey;
+    if (lengthSquared === 0) {
+        return Math.hypot(px, py);
+    }
+    const t = Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+    return Math.hypot(px - t * ex, py - t * ey);
+}
+
+/**
+ * Simplify a track with the Douglas-Peucker algorithm
+ * @param {Array} points - [{ latitude, longitude }] in travel order
+ * @param {number} toleranceMeters - Maximum deviation of dropped points from the simplified line
+ * @returns {Array} Subset of the input points, always keeping the first and last
+ */
+function simplifyTrack(points, toleranceMeters) {
+    if (points.length <= 2) {
+        return points.slice();
+    }
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicularDistanceMeters(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > toleranceMeters) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+class RouteService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.maxPointsPerBatch = options.maxPointsPerBatch || ROUTE_TRACKING_CONFIG.MAX_POINTS_PER_BATCH;
+        this.toleranceMeters = options.toleranceMeters || ROUTE_TRACKING_CONFIG.SIMPLIFY_TOLERANCE_METERS;
+        this.maxSpeedKmh = options.maxSpeedKmh || ROUTE_TRACKING_CONFIG.MAX_SPEED_KMH;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    // db: a transaction handle to run the statement inside that transaction
+    run(sql, params = [], db = this.db) {
+        return new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Get a rental by ID
+     * @param {number|string} rentalId - Rental ID
+     * @returns {Promise<Object>} rentals row
+     */
+    async getRental(rentalId) {
+        const rental = await this.get('SELECT * FROM rentals WHERE id = ?', [rentalId]);
+        if (!rental) {
+            throw new RouteError('RENTAL_NOT_FOUND', `Rental ${rentalId} not found`);
+        }
+        return rental;
+    }
+
+    /**
+     * Validate and normalise a batch of GPS points
+     * @param {Array} points - [{ lat, lng, timestamp }]
+     * @returns {Array} [{ latitude, longitude, recordedAt }] sorted by time
+     */
+    normalizePoints(points) {
+        if (!Array.isArray(points) || points.length === 0) {
+            throw new RouteError('INVALID_POINTS', 'points must be a non-empty array of { lat, lng, timestamp }');
+        }
+        if (points.length > this.maxPointsPerBatch) {
+            throw new RouteError('INVALID_POINTS', `At most ${this.maxPointsPerBatch} points can be sent per batch`);
+        }
+
+        return points.map((point, index) => {
+            const latitude = Number(point && point.lat);
+            const longitude = Number(point && point.lng);
+            const recordedAt = new Date(point && point.timestamp);
+            if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+                !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+                throw new RouteError('INVALID_POINTS', `Point ${index} has an invalid lat/lng`);
+            }
+            if (point.timestamp === undefined || point.timestamp === null || isNaN(recordedAt.getTime())) {
+                throw new RouteError('INVALID_POINTS', `Point ${index} has an invalid timestamp`);
+            }
+            return { latitude, longitude, recordedAt: recordedAt.toISOString() };
+        }).sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    }
+
+    /**
+     * Store a batch of GPS points for an active rental
+     * @param {number|string} rentalId - Rental ID
+     * @param {number|string} userId - Rider sending the points (must own the rental)
+     * @param {Array} points - [{ lat, lng, timestamp }]
+     * @returns {Promise<Object>} { accepted, totalPoints }
+     */
+    async addTrackPoints(rentalId, userId, points) {
+        const rental = await this.getRental(rentalId);
+        if (String(rental.user_id) !== String(userId)) {
+            throw new RouteError('NOT_RENTAL_OWNER', 'You can only track your own rentals');
+        }
+        if (rental.status !== 'active') {
+            throw new RouteError('RENTAL_NOT_ACTIVE', `Rental ${rentalId} has already ended`);
+        }
+
+        const normalized = this.normalizePoints(points);
+
+        await transaction(this.db, async (tx) => {
+            for (const point of normalized) {
+                await this.run(
+                    'INSERT INTO rental_track_points (rental_id, latitude, longitude, recorded_at) VALUES (?, ?, ?, ?)',
+                    [rental.id, point.latitude, point.longitude, point.recordedAt],
+                    tx
+                );
+            }
+        });
+
+        const { count } = await this.get('SELECT COUNT(*) as count FROM rental_track_points WHERE rental_id = ?', [rental.id]);
+        return { accepted: normalized.length, totalPoints: count };
+    }
+
+    /**
+     * Get the stored GPS points of a rental in travel order
+     * @param {number|string} rentalId - Rental ID
+     * @returns {Promise<Array>} [{ latitude, longitude, recordedAt }]
+     */
+    async getTrackPoints(rentalId) {
+        const rows = await this.all(
+            `SELECT latitude, longitude, recorded_at FROM rental_track_points
+             WHERE rental_id = ? ORDER BY recorded_at, id`,
+            [rentalId]
+        );
+        return rows.map(row => ({ latitude: row.latitude, longitude: row.longitude, recordedAt: row.recorded_at }));
+    }
+
+    /**
+     * Drop GPS jumps: points that could only be reached from the previous kept point faster than a bike rides
+     * @param {Array} points - [{ latitude, longitude, recordedAt }] in travel order
+     * @returns {Array} Points that form a plausible track
+     */
+    removeJumps(points) {
+        const kept = [];
+        for (const point of points) {
+            const previous = kept[kept.length - 1];
+            if (previous) {
+                const hours = (new Date(point.recordedAt) - new Date(previous.recordedAt)) / 3600000;
+                if (hours > 0 && haversineKm(previous, point) / hours > this.maxSpeedKmh) {
+                    continue;
+                }
+            }
+            kept.push(point);
+        }
+        return kept;
+    }
+
+    /**
+     * Compute distance and average speed of a track
+     * @param {Array} points - [{ latitude, longitude, recordedAt }] in travel order, without GPS jumps
+     * @returns {Object} { distanceKm, averageSpeedKmh } (speed is null when the track spans no time)
+     */
+    measureTrack(points) {
+        let distanceKm = 0;
+        for (let i = 1; i < points.length; i++) {
+            distanceKm += haversineKm(points[i - 1], points[i]);
+        }
+
+        const elapsedHours = points.length > 1
+            ? (new Date(points[points.length - 1].recordedAt) - new Date(points[0].recordedAt)) / 3600000
+            : 0;
+
+        return {
+            distanceKm: Math.round(distanceKm * 1000) / 1000,
+            averageSpeedKmh: elapsedHours > 0 ? Math.round((distanceKm / elapsedHours) * 10) / 10 : null
+        };
+    }
+
+    /**
+     * Summarise a rental's track and store distance, average speed and the simplified polyline on it.
+     * Called when the rental ends; rentals without points are left untouched.
+     * @param {number|string} rentalId - Rental ID
+     * @returns {Promise<Object|null>} { pointCount, distanceKm, averageSpeedKmh, coordinates } or null
+     */
+    async summarizeRoute(rentalId) {
+        const points = await this.getTrackPoints(rentalId);
+        if (points.length === 0) {
+            return null;
+        }
+
+        const track = this.removeJumps(points);
+        const { distanceKm, averageSpeedKmh } = this.measureTrack(track);
+        const coordinates = simplifyTrack(track, this.toleranceMeters)
+            .map(point => [point.longitude, point.latitude]);
+
+        await this.run(
+            'UPDATE rentals SET distance_km = ?, average_speed_kmh = ?, route_polyline = ? WHERE id = ?',
+            [distanceKm, averageSpeedKmh, JSON.stringify(coordinates), rentalId]
+        );
+
+        return { pointCount: points.length, distanceKm, averageSpeedKmh, coordinates };
+    }
+
+    /**
+     * Get a rental's route as a GeoJSON Feature with a LineString geometry.
+     * Completed rentals use the stored simplified polyline; active rentals use the raw points so far.
+     * @param {number|string} rentalId - Rental ID
+     * @returns {Promise<Object>} GeoJSON Feature (coordinates are [lng, lat])
+     */
+    async getRouteGeoJSON(rentalId) {
+        const rental = await this.getRental(rentalId);
+
+        let coordinates = [];
+        let distanceKm = rental.distance_km;
+        let averageSpeedKmh = rental.average_speed_kmh;
+
+        if (rental.status !== 'active' && rental.route_polyline) {
+            try {
+                coordinates = JSON.parse(rental.route_polyline);
+            } catch (error) {
+                coordinates = [];
+            }
+        } else {
+            const track = this.removeJumps(await this.getTrackPoints(rental.id));
+            coordinates = track.map(point => [point.longitude, point.latitude]);
+            if (rental.status === 'active' && track.length > 0) {
+                ({ distanceKm, averageSpeedKmh } = this.measureTrack(track));
+            }
+        }
+
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates
+            },
+            properties: {
+                rentalId: rental.id,
+                userId: rental.user_id,
+                bikeId: rental.bike_id,
+                status: rental.status,
+                startStationId: rental.station_id,
+                endStationId: rental.end_station_id,
+                startTime: rental.start_time,
+                endTime: rental.end_time,
+                distanceKm: distanceKm != null ? distanceKm : null,
+                averageSpeedKmh: averageSpeedKmh != null ? averageSpeedKmh : null
+            }
+        };
+    }
+}
+
+RouteService.RouteError = RouteError;
+RouteService.haversineKm = haversineKm;
+RouteService.simplifyTrack = simplifyTrack;
+
+module.exports = RouteService;
@@ -0,0 +1,384 @@
+/**
+ * Statement Service - Builds riders' payment receipts and monthly statements.
+ *
+ * This service provides methods to:
+ * - Describe one paid rental: trip, fare breakdown, tier discount, flex dollars, tax and card charge (`getReceipt`)
+ * - Collect every payment captured in a calendar month with totals (`getMonthlyStatement`)
+ * - Render either as a PDF (`receiptPdf`, `statementPdf`) or as CSV (`receiptCsv`, `statementCsv`)
+ *
+ * Only captured (or later refunded) payments have receipts. The fare comes from the pricing stored
+ * on the rental at return; the tier discount is the difference between that fare and the amount
+ * charged. Taxes are the lines stored on the payment when it was charged, on what was left
+ * after flex dollars. Months are calendar months in UTC, by the date the payment was captured.
+ */
+
+const PdfDocument = require('./pdfDocument');
+const PricingService = require('./pricingService');
+const TaxService = require('./taxService');
+
+const PAID_STATUSES = ['captured', 'refunded'];
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+class StatementError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'StatementError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(roundCents(amount)).toFixed(2)}`;
+const dateTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+// "GST (5%)", with the registration number when there is one
+function taxLabel(line) {
+    const label = `${line.name} (${TaxService.formatPercent(line.rate)})`;
+    return line.registrationNumber ? `${label} - No. ${line.registrationNumber}` : label;
+}
+
+// One CSV field, quoted when it holds a separator, quote or line break
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Columns shared by statement CSV rows and their header
+const CSV_COLUMNS = [
+    ['Receipt', line => line.paymentId],
+    ['Paid at', line => line.paidAt],
+    ['Rental', line => line.rentalId],
+    ['Bike', line => line.bikeId],
+    ['Bike type', line => line.bikeType],
+    ['Start', line => line.startTime],
+    ['End', line => line.endTime],
+    ['From', line => line.from.name || line.from.id],
+    ['To', line => (line.to ? line.to.name || line.to.id : '')],
+    ['Minutes', line => line.durationMinutes],
+    ['Fare', line => line.fare.toFixed(2)],
+    ['Tier discount', line => line.tierDiscount.toFixed(2)],
+    ['Flex dollars', line => line.flexDollarsApplied.toFixed(2)],
+    ['Tax', line => line.tax.toFixed(2)],
+    ['Card charged', line => line.cardCharged.toFixed(2)],
+    ['Refunded', line => line.refunded.toFixed(2)],
+    ['Card', line => line.cardLast4 || '']
+];
+
+class StatementService {
+    constructor(db, pricingService) {
+        this.db = db;
+        this.pricingService = pricingService;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    /**
+     * Payments joined with their rental, rider, stations and plan
+     * @param {string} where - Conditions on p (payments), r (rentals) and u (users)
+     * @param {Array} params
+     * @returns {Promise<Array<Object>>} Rows, oldest payment first
+     */
+    paidRows(where, params) {
+        return this.all(
+            `SELECT p.id AS payment_id, p.user_id, p.amount, p.flex_dollars_applied, p.amount_due_after_flex,
+                p.tax_jurisdiction, p.tax_amount, p.tax_lines, p.refunded_amount, p.card_last4, p.method, p.status AS payment_status,
+                COALESCE(p.captured_at, p.created_at) AS paid_at,
+                r.id AS rental_id, r.bike_id, r.bike_type, r.start_time, r.end_time, r.total_cost,
+                r.station_id, r.end_station_id, r.pricing_plan_id, r.base_fee, r.rate_per_minute, r.billable_minutes,
+                s1.name AS start_station_name, s2.name AS end_station_name, pp.name AS plan_name,
+                u.username, u.first_name, u.last_name, u.email
+             FROM payments p
+             JOIN rentals r ON r.id = p.rental_id
+             JOIN users u ON u.id = p.user_id
+             LEFT JOIN stations s1 ON s1.id = r.station_id
+             LEFT JOIN stations s2 ON s2.id = r.end_station_id
+             LEFT JOIN pricing_plans pp ON pp.id = r.pricing_plan_id
+             WHERE p.status IN (${PAID_STATUSES.map(() => '?').join(', ')}) AND ${where}
+             ORDER BY paid_at, p.id`,
+            [...PAID_STATUSES, ...params]
+        );
+    }
+
+    /**
+     * Receipt line for one paid rental
+     * @param {Object} row - From paidRows
+     * @returns {Object} Receipt line
+     */
+    formatLine(row) {
+        const breakdown = this.pricingService.rentalBreakdown(row);
+        const total = roundCents(row.amount);
+        // Rentals returned before pricing was stored only know what was charged
+        const fare = breakdown ? breakdown.totalCost : total;
+        const taxes = TaxService.paymentTaxes(row);
+
+        return {
+            paymentId: row.payment_id,
+            rentalId: row.rental_id,
+            userId: row.user_id,
+            username: row.username,
+            bikeId: row.bike_id,
+            bikeType: PricingService.isEBike(row.bike_type) ? 'e-bike' : 'standard',
+            startTime: row.start_time,
+            endTime: row.end_time,
+            durationMinutes: breakdown ? breakdown.durationMinutes
+                : Math.max(0, Math.ceil((new Date(row.end_time) - new Date(row.start_time)) / (1000 * 60))),
+            from: { id: row.station_id, name: row.start_station_name || null },
+            to: row.end_station_id ? { id: row.end_station_id, name: row.end_station_name || null } : null,
+            planName: row.plan_name || null,
+            breakdown,
+            fare,
+            tierDiscount: Math.max(0, roundCents(fare - total)),
+            tax: taxes.total,
+            taxLines: taxes.lines,
+            taxJurisdiction: taxes.jurisdiction,
+            total,
+            flexDollarsApplied: roundCents(row.flex_dollars_applied),
+            cardCharged: roundCents(row.amount_due_after_flex),
+            cardLast4: row.card_last4 || null,
+            refunded: roundCents(row.refunded_amount),
+            status: row.payment_status,
+            paidAt: row.paid_at
+        };
+    }
+
+    /**
+     * Receipt for a paid rental
+     * @param {number} paymentId
+     * @returns {Promise<Object>} Receipt line plus the rider's name and email
+     */
+    async getReceipt(paymentId) {
+        const [row] = await this.paidRows('p.id = ?', [paymentId]);
+        if (!row) {
+            const payment = await this.get('SELECT status FROM payments WHERE id = ?', [paymentId]);
+            if (!payment) {
+                throw new StatementError('PAYMENT_NOT_FOUND', `Payment ${paymentId} not found`);
+            }
+            throw new StatementError('RECEIPT_NOT_AVAILABLE', `Payment ${paymentId} is ${payment.status}; only paid charges have receipts`);
+        }
+        return { ...this.formatLine(row), rider: this.riderName(row), email: row.email || null };
+    }
+
+    /**
+     * Every payment a rider made in a calendar month
+     * @param {number|string} userId
+     * @param {string} month - YYYY-MM
+     * @returns {Promise<Object>} { userId, rider, email, month, periodStart, periodEnd, lines, totals }
+     */
+    async getMonthlyStatement(userId, month) {
+        const match = MONTH_PATTERN.exec(String(month || ''));
+        if (!match) {
+            throw new StatementError('INVALID_MONTH', 'Month must be in YYYY-MM format');
+        }
+        const user = await this.get('SELECT id, username, first_name, last_name, email FROM users WHERE id = ?', [userId]);
+        if (!user) {
+            throw new StatementError('USER_NOT_FOUND', `User ${userId} not found`);
+        }
+
+        const rows = await this.paidRows(`p.user_id = ? AND strftime('%Y-%m', COALESCE(p.captured_at, p.created_at)) = ?`, [userId, month]);
+        const lines = rows.map(row => this.formatLine(row));
+        const sum = (field) => roundCents(lines.reduce((total, line) => total + line[field], 0));
+
+        return {
+            userId: user.id,
+            rider: this.riderName(user),
+            email: user.email || null,
+            month,
+            periodStart: new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1)).toISOString(),
+            periodEnd: new Date(Date.UTC(Number(match[1]), Number(match[2]), 1)).toISOString(),
+            lines,
+            totals: {
+                trips: lines.length,
+                fare: sum('fare'),
+                tierDiscount: sum('tierDiscount'),
+                tax: sum('tax'),
+                total: sum('total'),
+                flexDollarsApplied: sum('flexDollarsApplied'),
+                cardCharged: sum('cardCharged'),
+                refunded: sum('refunded')
+            }
+        };
+    }
+
+    riderName(row) {
+        const fullName = [row.first_name, row.last_name].filter(Boolean).join(' ');
+        return fullName || row.username;
+    }
+
+    /**
+     * Receipt as a PDF
+     * @param {Object} receipt - From getReceipt
+     * @returns {Buffer}
+     */
+    receiptPdf(receipt) {
+        const right = PdfDocument.PAGE_WIDTH - PdfDocument.MARGIN;
+        const amountRow = (doc, label, amount, bold = false) => doc.row([
+            { text: label, x: PdfDocument.MARGIN },
+            { text: money(amount), x: right, align: 'right' }
+        ], { size: 10, bold });
+
+        const doc = new PdfDocument({ title: `Receipt #${receipt.paymentId}` });
+        doc.heading('CodeBusters Bike Rental - Receipt')
+            .text(`Receipt #${receipt.paymentId} - paid ${dateTime(receipt.paidAt)}`)
+            .text(`Billed to: ${receipt.rider}${receipt.email ? ` <${receipt.email}>` : ''}`)
+            .rule()
+            .text('Trip', { bold: true, size: 12 })
+            .text(`Rental #${receipt.rentalId} - bike ${receipt.bikeId} (${receipt.bikeType})`)
+            .text(`From ${receipt.from.name || receipt.from.id || 'unknown station'}, ${dateTime(receipt.startTime)}`)
+            .text(`To ${receipt.to ? receipt.to.name || receipt.to.id : 'unknown station'}, ${dateTime(receipt.endTime)}`)
+            .text(`Duration: ${receipt.durationMinutes} min${receipt.planName ? ` - plan: ${receipt.planName}` : ''}`)
+            .rule()
+            .text('Charges', { bold: true, size: 12 });
+
+        if (receipt.breakdown) {
+            const { baseFee, billableMinutes, ratePerMinute, minutesCost, fareCapped, fareCap } = receipt.breakdown;
+            amountRow(doc, 'Base fee', baseFee);
+            amountRow(doc, `${billableMinutes} billable min x ${money(ratePerMinute)}`, minutesCost);
+            if (fareCapped) {
+                amountRow(doc, 'Daily fare cap', fareCap);
+            }
+        }
+        amountRow(doc, 'Fare', receipt.fare, true);
+        if (receipt.tierDiscount > 0) {
+            amountRow(doc, 'Loyalty tier discount', -receipt.tierDiscount);
+        }
+        amountRow(doc, 'Total before tax', receipt.total, true);
+        doc.gap(4);
+        amountRow(doc, 'Flex dollars applied', -receipt.flexDollarsApplied);
+        if (receipt.taxLines.length > 0) {
+            amountRow(doc, 'Subtotal', roundCents(receipt.cardCharged - receipt.tax));
+            receipt.taxLines.forEach(line => amountRow(doc, taxLabel(line), line.amount));
+        }
+        amountRow(doc, `Charged to card${receipt.cardLast4 ? ` ending ${receipt.cardLast4}` : ''}`, receipt.cardCharged, true);
+        if (receipt.refunded > 0) {
+            amountRow(doc, 'Refunded to card', -receipt.refunded);
+        }
+        return doc.toBuffer();
+    }
+
+    /**
+     * Receipt as CSV: one row per line item
+     * @param {Object} receipt - From getReceipt
+     * @returns {string}
+     */
+    receiptCsv(receipt) {
+        const rows = [['Receipt', 'Rental', 'Item', 'Amount']];
+        const item = (label, amount) => rows.push([receipt.paymentId, receipt.rentalId, label, roundCents(amount).toFixed(2)]);
+        if (receipt.breakdown) {
+            item('Base fee', receipt.breakdown.baseFee);
+            item(`${receipt.breakdown.billableMinutes} billable min`, receipt.breakdown.minutesCost);
+        }
+        item('Fare', receipt.fare);
+        item('Loyalty tier discount', -receipt.tierDiscount);
+        item('Total before tax', receipt.total);
+        item('Flex dollars applied', -receipt.flexDollarsApplied);
+        if (receipt.taxLines.length > 0) {
+            item('Subtotal', receipt.cardCharged - receipt.tax);
+            receipt.taxLines.forEach(line => item(taxLabel(line), line.amount));
+        }
+        item('Charged to card', receipt.cardCharged);
+        item('Refunded to card', -receipt.refunded);
+        return toCsv(rows);
+    }
+
+    /**
+     * Monthly statement as a PDF
+     * @param {Object} statement - From getMonthlyStatement
+     * @returns {Buffer}
+     */
+    statementPdf(statement) {
+        const left = PdfDocument.MARGIN;
+        // Date, rental, trip, then right-aligned amounts
+        const columns = [
+            { key: 'date', x: left },
+            { key: 'rental', x: left + 62 },
+            { key: 'trip', x: left + 102 },
+            { key: 'fare', x: left + 312, align: 'right' },
+            { key: 'discount', x: left + 362, align: 'right' },
+            { key: 'tax', x: left + 402, align: 'right' },
+            { key: 'flex', x: left + 452, align: 'right' },
+            { key: 'card', x: left + 512, align: 'right' }
+        ];
+        const tableRow = (doc, values, bold = false) => doc.row(
+            columns.map(column => ({ text: values[column.key], x: column.x, align: column.align })),
+            { bold }
+        );
+
+        const doc = new PdfDocument({ title: `Statement ${statement.month}` });
+        doc.heading('CodeBusters Bike Rental - Monthly Statement')
+            .text(`${statement.rider}${statement.email ? ` <${statement.email}>` : ''}`)
+            .text(`Period: ${statement.periodStart.slice(0, 10)} to ${new Date(new Date(statement.periodEnd) - 1).toISOString().slice(0, 10)}`)
+            .rule();
+        tableRow(doc, { date: 'Date', rental: 'Rental', trip: 'Trip', fare: 'Fare', discount: 'Discount', tax: 'Tax', flex: 'Flex $', card: 'Card' }, true);
+
+        if (statement.lines.length === 0) {
+            doc.text('No payments this month.');
+        }
+        for (const line of statement.lines) {
+            const to = line.to ? line.to.name || line.to.id : '?';
+            tableRow(doc, {
+                date: String(line.paidAt || '').slice(0, 10),
+                rental: `#${line.rentalId}`,
+                trip: `${line.from.name || line.from.id || '?'} > ${to} (${line.durationMinutes} min)`.slice(0, 42),
+                fare: money(line.fare),
+                discount: line.tierDiscount > 0 ? money(-line.tierDiscount) : '',
+                tax: money(line.tax),
+                flex: line.flexDollarsApplied > 0 ? money(-line.flexDollarsApplied) : '',
+                card: money(line.cardCharged)
+            });
+        }
+
+        const { totals } = statement;
+        doc.rule();
+        tableRow(doc, {
+            date: 'Total',
+            trip: `${totals.trips} trip(s)`,
+            fare: money(totals.fare),
+            discount: totals.tierDiscount > 0 ? money(-totals.tierDiscount) : '',
+            tax: money(totals.tax),
+            flex: totals.flexDollarsApplied > 0 ? money(-totals.flexDollarsApplied) : '',
+            card: money(totals.cardCharged)
+        }, true);
+        if (totals.refunded > 0) {
+            doc.gap(4).text(`Refunded to card: ${money(totals.refunded)}`);
+        }
+        return doc.toBuffer();
+    }
+
+    /**
+     * Monthly statement as CSV: one row per payment, then a totals row
+     * @param {Object} statement - From getMonthlyStatement
+     * @returns {string}
+     */
+    statementCsv(statement) {
+        const rows = [CSV_COLUMNS.map(([header]) => header)];
+        statement.lines.forEach(line => rows.push(CSV_COLUMNS.map(([, value]) => value(line))));
+
+        const { totals } = statement;
+        const totalsByHeader = {
+            Receipt: 'Total', Fare: totals.fare, 'Tier discount': totals.tierDiscount, 'Flex dollars': totals.flexDollarsApplied,
+            Tax: totals.tax, 'Card charged': totals.cardCharged, Refunded: totals.refunded
+        };
+        rows.push(CSV_COLUMNS.map(([header]) => {
+            const value = totalsByHeader[header];
+            return typeof value === 'number' ? value.toFixed(2) : (value || '');
+        }));
+        return toCsv(rows);
+    }
+}
+
+StatementService.StatementError = StatementError;
+module.exports = StatementService;
@@ -0,0 +1,135 @@
+/**
+ * Tax Service - Computes sales tax on rental charges from the rates in tax_rates.
+ *
+ * This service provides methods to:
+ * - List the jurisdictions and their active rates (`listJurisdictions`, `getRates`)
+ * - Tax an amount in the configured jurisdiction (`calculateTaxes`)
+ * - Read the tax lines stored on a payment (`paymentTaxes`)
+ *
+ * Each tax is computed on the pre-tax amount and rounded to the cent on its own (GST and QST are
+ * not compounded). A jurisdiction without active rates is untaxed. Taxes apply to what the card is
+ * charged, i.e. after tier discounts and flex dollars.
+ */
+
+const { TAX_CONFIG } = require('../config/constants');
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * API shape of a tax_rates row
+ * @param {Object} row - tax_rates row
+ * @returns {Object}
+ */
+function formatRate(row) {
+    return {
+        jurisdiction: row.jurisdiction,
+        code: row.code,
+        name: row.name,
+        rate: Number(row.rate),
+        registrationNumber: row.registration_number || null
+    };
+}
+
+/**
+ * A rate as a percentage for labels, e.g. 0.09975 -> "9.975%"
+ * @param {number} rate
+ * @returns {string}
+ */
+function formatPercent(rate) {
+    return `${Number((Number(rate) * 100).toFixed(3))}%`;
+}
+
+class TaxService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.jurisdiction = options.jurisdiction || TAX_CONFIG.JURISDICTION;
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    /**
+     * Active rates of a jurisdiction
+     * @param {string} [jurisdiction] - Defaults to the configured one
+     * @returns {Promise<Array<Object>>} Rates in the order they are shown
+     */
+    async getRates(jurisdiction = this.jurisdiction) {
+        const rows = await this.all(
+            'SELECT * FROM tax_rates WHERE jurisdiction = ? AND active = 1 ORDER BY sort_order, id',
+            [jurisdiction]
+        );
+        return rows.map(formatRate);
+    }
+
+    /**
+     * Every jurisdiction with its active rates
+     * @returns {Promise<Array<Object>>} { jurisdiction, rates, current }
+     */
+    async listJurisdictions() {
+        const rows = await this.all('SELECT * FROM tax_rates WHERE active = 1 ORDER BY jurisdiction, sort_order, id');
+        const byJurisdiction = new Map();
+        rows.forEach(row => {
+            if (!byJurisdiction.has(row.jurisdiction)) {
+                byJurisdiction.set(row.jurisdiction, []);
+            }
+            byJurisdiction.get(row.jurisdiction).push(formatRate(row));
+        });
+        return [...byJurisdiction].map(([jurisdiction, rates]) => ({
+            jurisdiction,
+            rates,
+            current: jurisdiction === this.jurisdiction
+        }));
+    }
+
+    /**
+     * Taxes on an amount
+     * @param {number} amount - Pre-tax amount
+     * @param {string} [jurisdiction] - Defaults to the configured one
+     * @returns {Promise<Object>} { jurisdiction, taxableAmount, lines: [{ code, name, rate, amount }], total }
+     */
+    async calculateTaxes(amount, jurisdiction = this.jurisdiction) {
+        const taxableAmount = Math.max(0, roundCents(amount));
+        const rates = await this.getRates(jurisdiction);
+        const lines = rates.map(rate => ({
+            code: rate.code,
+            name: rate.name,
+            rate: rate.rate,
+            registrationNumber: rate.registrationNumber,
+            amount: roundCents(taxableAmount * rate.rate)
+        }));
+        return {
+            jurisdiction,
+            taxableAmount,
+            lines,
+            total: roundCents(lines.reduce((sum, line) => sum + line.amount, 0))
+        };
+    }
+
+    /**
+     * Taxes stored on a payment when it was charged
+     * @param {Object} payment - payments row (tax_jurisdiction, tax_amount, tax_lines, amount_due_after_flex)
+     * @returns {Object} Same shape as calculateTaxes; untaxed for payments made before taxes existed
+     */
+    static paymentTaxes(payment) {
+        let lines = [];
+        try {
+            lines = payment.tax_lines ? JSON.parse(payment.tax_lines) : [];
+        } catch (error) {
+            lines = [];
+        }
+        const total = roundCents(payment.tax_amount);
+        return {
+            jurisdiction: payment.tax_jurisdiction || null,
+            taxableAmount: roundCents((payment.amount_due_after_flex || 0) - total),
+            lines,
+            total
+        };
+    }
+}
+
+TaxService.formatRate = formatRate;
+TaxService.formatPercent = formatPercent;
+module.exports = TaxService;
@@ -0,0 +1,307 @@
+/**
+ * Token Service - Issues and verifies authentication tokens.
+ *
+ * This service provides methods to:
+ * - Issue signed, expiring access tokens for a user (`issueAccessToken`)
+ * - Verify an access token's signature and expiry (`verifyAccessToken`)
+ * - Issue and verify short-lived tickets for the event stream (`issueStreamTicket`, `verifyStreamTicket`)
+ * - Issue, rotate and revoke refresh tokens (`issueRefreshToken`, `rotateRefreshToken`, `revokeRefreshToken`)
+ * - Issue a full access/refresh token pair at login (`issueTokenPair`)
+ * - Revoke every refresh token of a user, e.g. after a password change (`revokeUserRefreshTokens`)
+ *
+ * Access tokens use the compact JWT layout (header.payload.signature) signed with
+ * HMAC-SHA256 from Node's crypto module. Stream tickets use the same layout with an `aud` claim of
+ * 'events', for EventSource connections that cannot send an Authorization header; they are only
+ * accepted by verifyStreamTicket. Refresh tokens are random opaque strings; only their SHA-256 hash
+ * is stored in the refresh_tokens table.
+ */
+
+const crypto = require('crypto');
+const { AUTH_CONFIG } = require('../config/constants');
+
+const STREAM_TICKET_AUDIENCE = 'events';
+
+class TokenError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'TokenError';
+        this.code = code;
+    }
+}
+
+function base64UrlEncode(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function base64UrlDecode(value) {
+    return Buffer.from(value, 'base64url').toString('utf8');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class TokenService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.secret = options.secret || process.env.AUTH_TOKEN_SECRET;
+        this.accessTokenTtlSeconds = options.accessTokenTtlSeconds || AUTH_CONFIG.ACCESS_TOKEN_TTL_SECONDS;
+        this.refreshTokenTtlSeconds = options.refreshTokenTtlSeconds || AUTH_CONFIG.REFRESH_TOKEN_TTL_SECONDS;
+        this.streamTicketTtlSeconds = options.streamTicketTtlSeconds || AUTH_CONFIG.STREAM_TICKET_TTL_SECONDS;
+
+        if (!this.secret) {
+            // Without a configured secret, tokens only survive until the next restart
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('AUTH_TOKEN_SECRET is not set - using a random secret. Issued tokens will not survive a restart.');
+        }
+    }
+
+    /**
+     * Sign the header and payload segments of a token
+     * @param {string} unsignedToken - "header.payload" string
+     * @returns {string} base64url signature
+     */
+    sign(unsignedToken) {
+        return crypto.createHmac('sha256', this.secret).update(unsignedToken).digest('base64url');
+    }
+
+    /**
+     * Sign claims into a token that expires after the given number of seconds
+     * @param {Object} claims - Payload claims (iat and exp are added)
+     * @param {number} ttlSeconds - Lifetime
+     * @returns {string} Signed token
+     */
+    issueSignedToken(claims, ttlSeconds) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64UrlEncode(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+        const unsignedToken = `${header}.${payload}`;
+        return `${unsignedToken}.${this.sign(unsignedToken)}`;
+    }
+
+    /**
+     * Verify a signed token's signature and expiry
+     * @param {string} token - Signed token
+     * @param {string} kind - What the token is, for error messages (e.g. 'Access token')
+     * @returns {Object} Decoded payload
+     * @throws {TokenError} INVALID_TOKEN or TOKEN_EXPIRED
+     */
+    verifySignedToken(token, kind) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            throw new TokenError('INVALID_TOKEN', `Malformed ${kind.toLowerCase()}`);
+        }
+
+        const [header, payload, signature] = parts;
+        const expected = Buffer.from(this.sign(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new TokenError('INVALID_TOKEN', `Invalid ${kind.toLowerCase()} signature`);
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(base64UrlDecode(payload));
+        } catch (error) {
+            throw new TokenError('INVALID_TOKEN', `Malformed ${kind.toLowerCase()} payload`);
+        }
+
+        if (!claims.sub || !claims.exp) {
+            throw new TokenError('INVALID_TOKEN', `${kind} is missing required claims`);
+        }
+
+        if (claims.exp <= Math.floor(Date.now() / 1000)) {
+            throw new TokenError('TOKEN_EXPIRED', `${kind} has expired`);
+        }
+
+        return claims;
+    }
+
+    /**
+     * Issue a signed access token for a user
+     * @param {Object} user - User row with id, role and username
+     * @returns {string} Signed access token
+     */
+    issueAccessToken(user) {
+        return this.issueSignedToken({
+            sub: String(user.id),
+            role: user.role,
+            username: user.username
+        }, this.accessTokenTtlSeconds);
+    }
+
+    /**
+     * Verify an access token's signature and expiry
+     * @param {string} token - Access token
+     * @returns {Object} Decoded payload
+     * @throws {TokenError} INVALID_TOKEN or TOKEN_EXPIRED
+     */
+    verifyAccessToken(token) {
+        const claims = this.verifySignedToken(token, 'Access token');
+        // Stream tickets are signed with the same secret but only open the event stream
+        if (claims.aud) {
+            throw new TokenError('INVALID_TOKEN', 'Not an access token');
+        }
+        return claims;
+    }
+
+    /**
+     * Issue a short-lived ticket that lets a user open the event stream
+     * @param {Object} user - User with id
+     * @returns {Object} { ticket, expiresIn }
+     */
+    issueStreamTicket(user) {
+        return {
+            ticket: this.issueSignedToken({ sub: String(user.id), aud: STREAM_TICKET_AUDIENCE }, this.streamTicketTtlSeconds),
+            expiresIn: this.streamTicketTtlSeconds
+        };
+    }
+
+    /**
+     * Verify an event stream ticket
+     * @param {string} ticket - Ticket from issueStreamTicket
+     * @returns {Object} Decoded payload
+     * @throws {TokenError} INVALID_TOKEN or TOKEN_EXPIRED
+     */
+    verifyStreamTicket(ticket) {
+        const claims = this.verifySignedToken(ticket, 'Stream ticket');
+        if (claims.aud !== STREAM_TICKET_AUDIENCE) {
+            throw new TokenError('INVALID_TOKEN', 'Not a stream ticket');
+        }
+        return claims;
+    }
+
+    /**
+     * Issue a new refresh token and persist its hash
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { token, expiresAt }
+     */
+    issueRefreshToken(userId) {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.refreshTokenTtlSeconds * 1000).toISOString();
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, hashToken(token), expiresAt],
+                (err) => err ? reject(err) : resolve({ token, expiresAt })
+            );
+        });
+    }
+
+    /**
+     * Issue an access token and a refresh token for a user
+     * @param {Object} user - User row with id, role and username
+     * @returns {Promise<Object>} Token pair for the client
+     */
+    async issueTokenPair(user) {
+        const refresh = await this.issueRefreshToken(user.id);
+        return {
+            accessToken: this.issueAccessToken(user),
+            refreshToken: refresh.token,
+            tokenType: 'Bearer',
+            expiresIn: this.accessTokenTtlSeconds,
+            refreshTokenExpiresAt: refresh.expiresAt
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair (the old refresh token is revoked)
+     * @param {string} refreshToken - Refresh token presented by the client
+     * @returns {Promise<Object>} { user, tokens }
+     * @throws {TokenError} INVALID_REFRESH_TOKEN
+     */
+    async rotateRefreshToken(refreshToken) {
+        if (!refreshToken) {
+            throw new TokenError('INVALID_REFRESH_TOKEN', 'Refresh token is required');
+        }
+
+        const stored = await new Promise((resolve, reject) => {
+            this.db.get(
+                `SELECT rt.id, rt.expires_at, rt.revoked_at, u.id AS user_id, u.username, u.role
+                 FROM refresh_tokens rt
+                 JOIN users u ON rt.user_id = u.id
+                 WHERE rt.token_hash = ?`,
+                [hashToken(refreshToken)],
+                (err, row) => err ? reject(err) : resolve(row)
+            );
+        });
+
+        if (!stored || stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+            throw new TokenError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid or has expired');
+        }
+
+        // Guarded on revoked_at so two refreshes racing with the same token cannot both rotate it
+        const revoked = await new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+                [stored.id],
+                function(err) {
+                    err ? reject(err) : resolve(this.changes);
+                }
+            );
+        });
+        if (revoked !== 1) {
+            throw new TokenError('INVALID_REFRESH_TOKEN', 'Refresh token is invalid or has expired');
+        }
+
+        const user = { id: stored.user_id, username: stored.username, role: stored.role };
+        return {
+            user,
+            tokens: await this.issueTokenPair(user)
+        };
+    }
+
+    /**
+     * Revoke a refresh token (logout)
+     * @param {string} refreshToken - Refresh token to revoke
+     * @returns {Promise<boolean>} True if a token was revoked
+     */
+    revokeRefreshToken(refreshToken) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL',
+                [hashToken(refreshToken || '')],
+                function(err) {
+                    err ? reject(err) : resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    /**
+     * Revoke all of a user's outstanding refresh tokens (every session ends at its access token's expiry)
+     * @param {number} userId
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    revokeUserRefreshTokens(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId],
+                function(err) {
+                    err ? reject(err) : resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    /**
+     * Load the current identity for a verified token subject
+     * @param {string|number} userId - User ID from the token
+     * @returns {Promise<Object|undefined>} User row with id, username and role
+     */
+    getUserById(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT id, username, role FROM users WHERE id = ?',
+                [userId],
+                (err, row) => err ? reject(err) : resolve(row)
+            );
+        });
+    }
+}
+
+TokenService.TokenError = TokenError;
+
+module.exports = TokenService;
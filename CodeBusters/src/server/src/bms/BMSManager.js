@@ -8,14 +8,18 @@
  * - Bike reservation and rental operations
  * - System-wide state management
  * - Flex Dollars rewards for returning bikes to understocked stations
+ * - Publishing real-time events (station occupancy, bike status, reservation expiry, damage reports);
+ *   listen with `bmsManager.on(BMS_EVENTS.X, handler)`
  */
 
+const EventEmitter = require('events');
 const Bike = require('./Bike');
 const Station = require('./Station');
-const { BMS_STATES, BMS_OPERATIONS, STATION_CONFIG, FLEX_DOLLARS_CONFIG } = require('../../config/constants');
+const { BMS_STATES, BMS_OPERATIONS, BMS_EVENTS, STATION_CONFIG, FLEX_DOLLARS_CONFIG } = require('../../config/constants');
 
-class BMSManager {
+class BMSManager extends EventEmitter {
     constructor(flexDollarsService = null) {
+        super();
         this.stations = new Map(); // stationId -> Station object
         this.bikes = new Map(); // bikeId -> Bike object
         this.activeRentals = new Map(); // userId -> rental info
@@ -46,6 +50,68 @@ class BMSManager {
         console.log('Flex Dollars Service has been set on BMSManager');
     }
 
+    /**
+     * Publish a station's current occupancy
+     * @param {string} stationId - Station ID
+     * @param {Object} [snapshot] - Occupancy counted elsewhere (e.g. from the database); defaults to the in-memory station
+     */
+    publishStationOccupancy(stationId, snapshot = null) {
+        const station = this.stations.get(stationId);
+        if (!station && !snapshot) {
+            return;
+        }
+        const info = station ? station.getStationInfo() : {};
+        this.emit(BMS_EVENTS.STATION_OCCUPANCY, {
+            stationId,
+            name: info.name,
+            status: info.status,
+            capacity: info.capacity,
+            bikesDocked: info.numberOfBikesDocked,
+            freeDocks: info.freeDocks,
+            ...(snapshot || {}),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Publish a bike status change
+     * @param {string} bikeId - Bike ID
+     * @param {string} status - New status
+     * @param {string|null} stationId - Station the bike is docked at (null while on a trip)
+     * @param {string} [reason] - What caused the change (rented, returned, reserved, ...)
+     */
+    publishBikeStatus(bikeId, status, stationId = null, reason = null) {
+        this.emit(BMS_EVENTS.BIKE_STATUS, {
+            bikeId,
+            status,
+            stationId,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Publish that a reservation hold ran out and the bike is available again
+     * @param {Object} reservation - { bikeId, stationId, userId, expiredAt }
+     */
+    publishReservationExpired(reservation) {
+        this.emit(BMS_EVENTS.RESERVATION_EXPIRED, {
+            ...reservation,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Publish a new damage report
+     * @param {Object} report - { reportId, bikeId, stationId }
+     */
+    publishDamageReport(report) {
+        this.emit(BMS_EVENTS.DAMAGE_REPORTED, {
+            ...report,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Sanity checking: validate entire system state
      */
@@ -218,6 +284,8 @@ class BMSManager {
                 startTime: new Date(),
                 status: 'active'
             });
+            this.publishBikeStatus(bikeId, BMS_STATES.BIKE.ON_TRIP, null, 'rented');
+            this.publishStationOccupancy(stationId);
         } else {
             this.systemStats.failedUndocks++;
             if (undockResult.operation === BMS_OPERATIONS.UNDOCK_FAILED_EMPTY) {
@@ -281,6 +349,8 @@ class BMSManager {
             rental.returnStationId = stationId;
             rental.status = 'completed';
             this.activeRentals.delete(userId);
+            this.publishBikeStatus(bikeId, BMS_STATES.BIKE.AVAILABLE, stationId, 'returned');
+            this.publishStationOccupancy(stationId);
 
             // Business Rule: DM-03, DM-04 - Award flex dollars for returning to understocked stations
             // Check if station is below minimum occupancy (25%) after the return
@@ -301,14 +371,15 @@ class BMSManager {
                             stationId
                         );
                         
-                        if (awardResult.success) {
+                        // Nothing is credited once the rider is at the balance cap
+                        if (awardResult.success && awardResult.amount > 0) {
                             this.systemStats.flexDollarsAwarded++;
                             dockResult.flexDollarsAwarded = {
-                                amount: rewardAmount,
+                                amount: awardResult.amount,
                                 reason: `Station below 25% capacity (${Math.round((occupiedDocks / totalCapacity) * 100)}% occupied)`,
                                 newBalance: awardResult.newBalance
                             };
-                            console.log(`✅ Flex dollars awarded: $${rewardAmount.toFixed(2)} to user ${userId} for understocked station return`);
+                            console.log(`✅ Flex dollars awarded: $${awardResult.amount.toFixed(2)} to user ${userId} for understocked station return`);
                         }
                     } catch (error) {
                         console.error(`Error awarding flex dollars: ${error.message}`);
@@ -458,6 +529,9 @@ class BMSManager {
         }
 
         console.log(`MANUAL MOVE: Bike ${bikeId} moved from ${fromStationId} to ${toStationId} by operator ${operatorId}`);
+        this.publishBikeStatus(bikeId, bike.status, toStationId, 'manual_move');
+        this.publishStationOccupancy(fromStationId);
+        this.publishStationOccupancy(toStationId);
         
         return {
             success: true,
@@ -482,6 +556,7 @@ class BMSManager {
 
         const station = this.stations.get(stationId);
         station.setMaintenance(isOutOfService);
+        this.publishStationOccupancy(stationId);
         
         return {
             success: true,
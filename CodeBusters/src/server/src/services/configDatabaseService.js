@@ -1,6 +1,15 @@
 const ConfigLoader = require('../bms/ConfigLoader');
 const Station = require('../bms/Station');
 const Bike = require('../bms/Bike');
+const { transaction } = require('../../utils/transaction');
+
+/**
+ * Status a bike is seeded with. Reservations only ever live in the database,
+ * so a bike marked reserved in the config file starts out available.
+ */
+function seedStatus(bikeData) {
+    return bikeData.status === 'reserved' ? 'available' : bikeData.status;
+}
 
 /**
  * Database Integration Service for R-BMS-01
@@ -17,6 +26,8 @@ class ConfigDatabaseService {
     /**
      * Initialize system from configuration file
      * R-BMS-01: Load configuration file including docking stations and bikes
+     * The config file only seeds an empty database; otherwise the persisted
+     * stations and bikes (with their runtime state) are loaded as-is.
      */
     async initializeFromConfig() {
         try {
@@ -25,18 +36,16 @@ class ConfigDatabaseService {
             // Load configuration
             const config = await this.configLoader.loadConfig();
             
-            // Create database tables if they don't exist
-            await this.createTables();
-            
-            // Clear existing data (for fresh load)
-            await this.clearExistingData();
-            
-            // Load stations and bikes from config
-            await this.loadStationsFromConfig(config.stations);
-            await this.loadBikesFromConfig(config.stations);
-            
-            // Save to database
-            await this.saveToDatabase();
+            if (await this.isDatabaseEmpty()) {
+                // First boot: seed stations and bikes from config
+                console.log('🌱 Empty database - seeding stations and bikes from configuration');
+                await this.loadStationsFromConfig(config.stations);
+                await this.loadBikesFromConfig(config.stations);
+                await this.saveToDatabase();
+            } else {
+                // Keep live bike locations, reservations and maintenance states
+                await this.loadFromDatabase();
+            }
             
             console.log('✅ BMS initialization complete!');
             return this.getSummary();
@@ -48,88 +57,357 @@ class ConfigDatabaseService {
     }
 
     /**
-     * Create necessary database tables
+     * Reload configuration file and apply the differences to the database
+     * New stations/bikes are inserted, removed ones retired and changed capacities
+     * updated; runtime state (bike locations, reservations, maintenance) is kept.
+     * Bikes docked at a retired station are undocked and taken out of service.
+     * @returns {Promise<Object>} { diff, summary }
      */
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            // First, check if we need to migrate existing bikes table
-            this.db.get("PRAGMA table_info(bikes)", (err, row) => {
-                if (err && !err.message.includes('no such table')) {
-                    reject(err);
-                    return;
+    async reloadFromConfig() {
+        const config = await this.configLoader.loadConfig();
+        const [dbStations, dbBikes] = await Promise.all([
+            this.allQuery('SELECT * FROM stations'),
+            this.allQuery('SELECT * FROM r_bms_bikes')
+        ]);
+
+        const diff = this.computeConfigDiff(config.stations, dbStations, dbBikes);
+        await this.applyConfigDiff(diff);
+        await this.loadFromDatabase();
+
+        console.log(`🔄 Config reload: +${diff.stationsAdded.length} stations, -${diff.stationsRetired.length} stations, ` +
+            `${diff.capacitiesChanged.length} capacity changes, +${diff.bikesAdded.length} bikes, -${diff.bikesRetired.length} bikes`);
+
+        return {
+            diff: this.formatDiff(diff),
+            summary: this.getSummary()
+        };
+    }
+
+    /**
+     * Compare configuration against persisted stations and bikes
+     * Only rows that came from the config file (origin 'config') are retired when they
+     * disappear from it; stations and bikes created through the API are left alone.
+     * @param {Array} configStations - Stations from stations-config.json
+     * @param {Array} dbStations - Rows from stations
+     * @param {Array} dbBikes - Rows from r_bms_bikes
+     * @returns {Object} Diff to apply
+     */
+    computeConfigDiff(configStations, dbStations, dbBikes) {
+        const diff = {
+            stationsAdded: [],
+            stationsRetired: [],
+            stationsUpdated: [],
+            stationsAdopted: [],
+            stationsSkipped: [],
+            capacitiesChanged: [],
+            capacitiesSkipped: [],
+            bikesAdded: [],
+            bikesRetired: [],
+            bikesAdopted: [],
+            bikesUndocked: [],
+            bikesSkipped: []
+        };
+
+        const dbStationsById = new Map(dbStations.map(row => [row.id, row]));
+        const dbBikesById = new Map(dbBikes.map(row => [row.id, row]));
+        const configStationIds = new Set();
+        const configBikeIds = new Set();
+
+        for (const stationData of configStations) {
+            configStationIds.add(stationData.id);
+            for (const bikeData of stationData.bikes) {
+                configBikeIds.add(bikeData.id);
+                const existingBike = dbBikesById.get(bikeData.id);
+                if (!existingBike || existingBike.retired_at) {
+                    diff.bikesAdded.push({ ...bikeData, stationId: stationData.id, restored: Boolean(existingBike) });
+                } else if (existingBike.origin !== 'config') {
+                    // Created through the API, now listed in the file: the file owns it from here on
+                    diff.bikesAdopted.push(bikeData.id);
                 }
+            }
+        }
 
-                const queries = [
-                    `CREATE TABLE IF NOT EXISTS stations (
-                        id TEXT PRIMARY KEY,
-                        name TEXT NOT NULL,
-                        status TEXT NOT NULL,
-                        latitude REAL,
-                        longitude REAL,
-                        address TEXT,
-                        capacity INTEGER NOT NULL,
-                        reservation_hold_time_minutes INTEGER DEFAULT 15,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    )`,
-                    
-                    // Drop and recreate bikes table with proper schema for R-BMS-01
-                    `DROP TABLE IF EXISTS r_bms_bikes`,
-                    `CREATE TABLE IF NOT EXISTS r_bms_bikes (
-                        id TEXT PRIMARY KEY,
-                        type TEXT NOT NULL,
-                        status TEXT NOT NULL,
-                        station_id TEXT,
-                        reservation_expiry DATETIME,
-                        reserved_by_user_id INTEGER,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        FOREIGN KEY (station_id) REFERENCES stations (id)
-                    )`
-                ];
-
-                let completed = 0;
-                queries.forEach(query => {
-                    this.db.run(query, (err) => {
-                        if (err) {
-                            reject(err);
-                            return;
-                        }
-                        completed++;
-                        if (completed === queries.length) {
-                            console.log('✅ Database tables created/verified (R-BMS-01 schema)');
-                            resolve();
-                        }
+        const retiredBikeIds = new Set();
+        for (const row of dbBikes) {
+            if (row.retired_at || row.origin !== 'config' || configBikeIds.has(row.id)) {
+                continue;
+            }
+            // Bikes in use stay until they are back at a dock; the next reload retires them
+            if (row.status === 'on_trip' || row.status === 'reserved') {
+                diff.bikesSkipped.push({ id: row.id, status: row.status, reason: `Bike is ${row.status}; retire after it is returned` });
+            } else {
+                diff.bikesRetired.push({ id: row.id, stationId: row.station_id });
+                retiredBikeIds.add(row.id);
+            }
+        }
+
+        // Bikes that stay in service, grouped by the station they are docked at
+        const dockedByStation = new Map();
+        for (const row of dbBikes) {
+            if (row.retired_at || !row.station_id || retiredBikeIds.has(row.id)) {
+                continue;
+            }
+            if (!dockedByStation.has(row.station_id)) {
+                dockedByStation.set(row.station_id, []);
+            }
+            dockedByStation.get(row.station_id).push(row);
+        }
+
+        for (const stationData of configStations) {
+            const existing = dbStationsById.get(stationData.id);
+
+            if (!existing || existing.retired_at) {
+                // Brand new, or previously retired and back in the config
+                diff.stationsAdded.push({ ...stationData, restored: Boolean(existing) });
+                continue;
+            }
+
+            if (existing.origin !== 'config') {
+                diff.stationsAdopted.push(stationData.id);
+            }
+            if (Number(existing.capacity) !== Number(stationData.capacity)) {
+                const docked = (dockedByStation.get(stationData.id) || []).length;
+                if (Number(stationData.capacity) < docked) {
+                    diff.capacitiesSkipped.push({
+                        id: stationData.id,
+                        from: existing.capacity,
+                        to: stationData.capacity,
+                        docked,
+                        reason: `${docked} bikes are docked; move bikes out before lowering the capacity`
                     });
+                } else {
+                    diff.capacitiesChanged.push({ id: stationData.id, from: existing.capacity, to: stationData.capacity });
+                }
+            }
+            const metadataChanged = existing.name !== stationData.name ||
+                existing.address !== stationData.address ||
+                Number(existing.latitude) !== Number(stationData.latitude) ||
+                Number(existing.longitude) !== Number(stationData.longitude) ||
+                Number(existing.reservation_hold_time_minutes) !== Number(stationData.reservationHoldTimeMinutes);
+            if (metadataChanged) {
+                diff.stationsUpdated.push(stationData);
+            }
+        }
+
+        for (const row of dbStations) {
+            if (row.retired_at || row.origin !== 'config' || configStationIds.has(row.id)) {
+                continue;
+            }
+            const docked = dockedByStation.get(row.id) || [];
+            // A reservation expiring would put its bike back at the retired station
+            const reserved = docked.filter(bike => bike.status === 'reserved');
+            if (reserved.length > 0) {
+                diff.stationsSkipped.push({
+                    id: row.id,
+                    name: row.name,
+                    reason: `${reserved.length} bikes are reserved here; retire after the reservations end`
                 });
-            });
+                continue;
+            }
+            diff.stationsRetired.push({ id: row.id, name: row.name });
+            // Bikes left at a retired station are taken off it so they cannot be rented there
+            for (const bike of docked) {
+                diff.bikesUndocked.push({ id: bike.id, stationId: row.id });
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Apply a computed config diff in a single transaction
+     * @param {Object} diff - Result of computeConfigDiff
+     */
+    async applyConfigDiff(diff) {
+        await transaction(this.db, async (tx) => {
+            for (const stationData of diff.stationsAdded) {
+                await this.runQuery(
+                    `INSERT INTO stations (id, name, status, latitude, longitude, address, capacity, reservation_hold_time_minutes, origin)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'config')
+                     ON CONFLICT(id) DO UPDATE SET
+                        name = excluded.name, status = excluded.status, latitude = excluded.latitude,
+                        longitude = excluded.longitude, address = excluded.address, capacity = excluded.capacity,
+                        reservation_hold_time_minutes = excluded.reservation_hold_time_minutes, origin = 'config',
+                        retired_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+                    [stationData.id, stationData.name, stationData.status, stationData.latitude, stationData.longitude,
+                        stationData.address, stationData.capacity, stationData.reservationHoldTimeMinutes],
+                    tx
+                );
+            }
+
+            for (const stationData of diff.stationsUpdated) {
+                await this.runQuery(
+                    `UPDATE stations SET name = ?, latitude = ?, longitude = ?, address = ?, reservation_hold_time_minutes = ?,
+                     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [stationData.name, stationData.latitude, stationData.longitude, stationData.address,
+                        stationData.reservationHoldTimeMinutes, stationData.id],
+                    tx
+                );
+            }
+
+            for (const stationId of diff.stationsAdopted) {
+                await this.runQuery("UPDATE stations SET origin = 'config' WHERE id = ?", [stationId], tx);
+            }
+
+            for (const change of diff.capacitiesChanged) {
+                await this.runQuery(
+                    'UPDATE stations SET capacity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [change.to, change.id],
+                    tx
+                );
+            }
+
+            for (const station of diff.stationsRetired) {
+                await this.runQuery(
+                    `UPDATE stations SET status = 'out_of_service', retired_at = CURRENT_TIMESTAMP,
+                     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [station.id],
+                    tx
+                );
+            }
+
+            for (const bike of diff.bikesUndocked) {
+                await this.runQuery(
+                    `UPDATE r_bms_bikes SET status = 'out_of_service', station_id = NULL, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND station_id = ?`,
+                    [bike.id, bike.stationId],
+                    tx
+                );
+            }
+
+            for (const bikeData of diff.bikesAdded) {
+                // Same rule as the initial seed: only available bikes are docked
+                const status = seedStatus(bikeData);
+                const stationId = status === 'available' ? bikeData.stationId : null;
+                await this.runQuery(
+                    `INSERT INTO r_bms_bikes (id, type, status, station_id, origin)
+                     VALUES (?, ?, ?, ?, 'config')
+                     ON CONFLICT(id) DO UPDATE SET
+                        type = excluded.type, status = excluded.status, station_id = excluded.station_id,
+                        reservation_expiry = NULL, reserved_by_user_id = NULL, origin = 'config',
+                        retired_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+                    [bikeData.id, bikeData.type, status, stationId],
+                    tx
+                );
+            }
+
+            for (const bikeId of diff.bikesAdopted) {
+                await this.runQuery("UPDATE r_bms_bikes SET origin = 'config' WHERE id = ?", [bikeId], tx);
+            }
+
+            for (const bike of diff.bikesRetired) {
+                await this.runQuery(
+                    `UPDATE r_bms_bikes SET status = 'out_of_service', station_id = NULL, reservation_expiry = NULL,
+                     reserved_by_user_id = NULL, retired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [bike.id],
+                    tx
+                );
+            }
         });
     }
 
     /**
-     * Clear existing data for fresh load
+     * Shape a diff for API responses
+     * @param {Object} diff - Result of computeConfigDiff
+     * @returns {Object} Diff with ids and counts
+     */
+    formatDiff(diff) {
+        return {
+            stationsAdded: diff.stationsAdded.map(station => ({ id: station.id, name: station.name, restored: station.restored })),
+            stationsRetired: diff.stationsRetired,
+            stationsUpdated: diff.stationsUpdated.map(station => station.id),
+            stationsAdopted: diff.stationsAdopted,
+            capacitiesChanged: diff.capacitiesChanged,
+            bikesAdded: diff.bikesAdded.map(bike => ({ id: bike.id, type: bike.type, stationId: bike.stationId, restored: bike.restored })),
+            bikesAdopted: diff.bikesAdopted,
+            stationsSkipped: diff.stationsSkipped,
+            capacitiesSkipped: diff.capacitiesSkipped,
+            bikesRetired: diff.bikesRetired,
+            bikesUndocked: diff.bikesUndocked,
+            bikesSkipped: diff.bikesSkipped,
+            hasChanges: Boolean(diff.stationsAdded.length || diff.stationsRetired.length || diff.stationsUpdated.length ||
+                diff.capacitiesChanged.length || diff.bikesAdded.length || diff.bikesRetired.length || diff.bikesUndocked.length ||
+                diff.stationsAdopted.length || diff.bikesAdopted.length)
+        };
+    }
+
+    /**
+     * Check whether the station inventory has never been seeded
+     * @returns {Promise<boolean>} True if the stations table is empty
      */
-    async clearExistingData() {
+    async isDatabaseEmpty() {
+        const rows = await this.allQuery('SELECT COUNT(*) AS count FROM stations');
+        return rows[0].count === 0;
+    }
+
+    /**
+     * Load active (non-retired) stations and bikes from the database into memory
+     */
+    async loadFromDatabase() {
+        const [stationRows, bikeRows] = await Promise.all([
+            this.allQuery('SELECT * FROM stations WHERE retired_at IS NULL ORDER BY id'),
+            this.allQuery('SELECT * FROM r_bms_bikes WHERE retired_at IS NULL ORDER BY id')
+        ]);
+
+        this.stations = new Map();
+        this.bikes = new Map();
+
+        for (const row of stationRows) {
+            const station = new Station(row.id, row.capacity, {
+                name: row.name,
+                status: row.status,
+                latitude: row.latitude,
+                longitude: row.longitude,
+                address: row.address,
+                reservationHoldTimeMinutes: row.reservation_hold_time_minutes
+            });
+            this.stations.set(station.id, station);
+        }
+
+        for (const row of bikeRows) {
+            let bike;
+            try {
+                bike = new Bike(row.id, row.type);
+            } catch (error) {
+                console.warn(`⚠️  Skipping bike ${row.id}: ${error.message}`);
+                continue;
+            }
+            bike.status = row.status;
+            bike.reservationExpiry = row.reservation_expiry ? new Date(row.reservation_expiry) : null;
+            bike.reservedBy = row.reserved_by_user_id || null;
+            this.bikes.set(bike.id, bike);
+
+            const station = row.station_id ? this.stations.get(row.station_id) : null;
+            if (bike.status === 'available' && station) {
+                station.dockedBikes.set(bike.id, bike);
+            }
+        }
+
+        console.log(`📦 Loaded ${this.stations.size} stations and ${this.bikes.size} bikes from database`);
+    }
+
+    /**
+     * Run a statement (promise wrapper); db may be a transaction handle to run it inside that transaction
+     */
+    runQuery(sql, params = [], db = this.db) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM r_bms_bikes', (err) => {
-                if (err && !err.message.includes('no such table')) {
-                    reject(err);
-                    return;
-                }
-                
-                this.db.run('DELETE FROM stations', (err) => {
-                    if (err && !err.message.includes('no such table')) {
-                        reject(err);
-                        return;
-                    }
-                    
-                    console.log('🗑️  Cleared existing R-BMS-01 data');
-                    resolve();
-                });
+            db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
             });
         });
     }
 
+    /**
+     * Fetch all rows (promise wrapper)
+     */
+    allQuery(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
     /**
      * Load stations from configuration
      */
@@ -166,12 +444,7 @@ class ConfigDatabaseService {
             
             for (const bikeData of stationData.bikes) {
                 const bike = new Bike(bikeData.id, bikeData.type);
-                bike.status = bikeData.status;
-                
-                // Handle reservation expiry
-                if (bikeData.reservationExpiry) {
-                    bike.reservationExpiry = new Date(bikeData.reservationExpiry);
-                }
+                bike.status = seedStatus(bikeData);
                 
                 this.bikes.set(bike.id, bike);
                 
@@ -209,12 +482,14 @@ class ConfigDatabaseService {
 
     /**
      * Save individual station to database
+     * @param {Station} station
+     * @param {string} [origin] - 'config' when seeded from the file, 'operator' when created through the API
      */
-    async saveStationToDb(station) {
+    async saveStationToDb(station, origin = 'config') {
         return new Promise((resolve, reject) => {
             const query = `INSERT OR REPLACE INTO stations 
-                          (id, name, status, latitude, longitude, address, capacity, reservation_hold_time_minutes) 
-                          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+                          (id, name, status, latitude, longitude, address, capacity, reservation_hold_time_minutes, origin) 
+                          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
             
             const params = [
                 station.id,
@@ -224,7 +499,8 @@ class ConfigDatabaseService {
                 station.longitude,
                 station.address,
                 station.capacity,
-                station.reservationHoldTimeMinutes
+                station.reservationHoldTimeMinutes,
+                origin
             ];
             
             this.db.run(query, params, (err) => {
@@ -252,8 +528,8 @@ class ConfigDatabaseService {
             }
             
             const query = `INSERT OR REPLACE INTO r_bms_bikes 
-                          (id, type, status, station_id, reservation_expiry) 
-                          VALUES (?, ?, ?, ?, ?)`;
+                          (id, type, status, station_id, reservation_expiry, origin) 
+                          VALUES (?, ?, ?, ?, ?, 'config')`;
             
             const params = [
                 bike.id,
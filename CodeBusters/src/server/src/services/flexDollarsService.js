@@ -1,80 +1,170 @@
 /**
  * Flex Dollars Service
  * Manages flex dollars rewards and usage for riders
- * 
+ *
  * Business Rules:
  * - Riders receive flex dollars when returning a bike to a station below 25% capacity
- * - Flex dollars do not expire
- * - Flex dollars are automatically applied to trips and reservations
- * - Each transaction is tracked for audit purposes
+ * - Earned flex dollars (awards, promo codes, referrals) expire FLEX_DOLLARS_CONFIG.EXPIRY_DAYS after
+ *   they are credited, and stop being credited once the balance reaches BALANCE_CAP
+ * - Refunds and operator adjustments do not expire and are not capped
+ * - Flex dollars are automatically applied to trips and reservations, spending the credits that expire first
+ * - Each transaction is tracked for audit purposes; operator adjustments record who made them and why
+ *
+ * Each credit is also a bucket in flex_dollars_buckets with what is left of it, so spending and expiry
+ * can work credit by credit (FIFO) while users.flex_dollars stays the balance. Every change to the
+ * balance reads it, writes it and updates the buckets in one transaction (utils/transaction), so two
+ * changes for the same rider cannot both pass the cap or both spend the same credit.
  */
 
 const { FLEX_DOLLARS_CONFIG } = require('../../config/constants');
+const { transaction } = require('../../utils/transaction');
+
+const { TRANSACTION_TYPE } = FLEX_DOLLARS_CONFIG;
+
+// Credits riders earn; only these expire and count against the balance cap
+const EARNED_TYPES = [TRANSACTION_TYPE.AWARD, TRANSACTION_TYPE.PROMO, TRANSACTION_TYPE.REFERRAL];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FlexDollarsError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'FlexDollarsError';
+        this.code = code;
+    }
+}
+
+const roundCents = (amount) => Math.round(Number(amount || 0) * 100) / 100;
 
 class FlexDollarsService {
-    constructor(db) {
+    constructor(db, options = {}) {
         this.db = db;
+        this.expiryDays = options.expiryDays !== undefined ? options.expiryDays : FLEX_DOLLARS_CONFIG.EXPIRY_DAYS;
+        this.balanceCap = options.balanceCap !== undefined ? options.balanceCap : FLEX_DOLLARS_CONFIG.BALANCE_CAP;
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this);
+            });
+        });
     }
 
     /**
-     * Award flex dollars to a rider for returning a bike to an understocked station
-     * Business Rule: Return bike to station below 25% capacity → award flex dollars
+     * This service issuing its statements inside a transaction
+     * @param {Object} tx - Transaction handle from utils/transaction
+     * @returns {FlexDollarsService}
      */
-    awardFlexDollars(userId, amount, description = '', relatedRentalId = null, relatedStationId = null) {
-        return new Promise((resolve, reject) => {
-            // First, get current balance
-            this.db.get(
-                'SELECT flex_dollars FROM users WHERE id = ?',
-                [userId],
-                (err, row) => {
-                    if (err) {
-                        console.error('Error retrieving user flex dollars balance:', err);
-                        return reject(err);
-                    }
+    inTransaction(tx) {
+        return new FlexDollarsService(tx, { expiryDays: this.expiryDays, balanceCap: this.balanceCap });
+    }
 
-                    if (!row) {
-                        return reject(new Error(`User ${userId} not found`));
-                    }
+    /**
+     * Run work inside a transaction, or as part of the one this service is bound to
+     * @param {Function} work - async (flex) => result; flex is this service bound to the transaction
+     * @returns {Promise<*>} The work's result
+     */
+    transaction(work) {
+        return transaction(this.db, tx => work(this.inTransaction(tx)));
+    }
 
-                    const currentBalance = row.flex_dollars || 0;
-                    const newBalance = currentBalance + amount;
-
-                    // Update user balance
-                    this.db.run(
-                        'UPDATE users SET flex_dollars = ? WHERE id = ?',
-                        [newBalance, userId],
-                        (err) => {
-                            if (err) {
-                                console.error('Error updating user flex dollars:', err);
-                                return reject(err);
-                            }
-
-                            // Record transaction
-                            this.db.run(
-                                `INSERT INTO flex_dollars_transactions 
-                                (user_id, amount, transaction_type, description, related_rental_id, related_station_id, balance_after) 
-                                VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                                [userId, amount, FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE.AWARD, description, relatedRentalId, relatedStationId, newBalance],
-                                (err) => {
-                                    if (err) {
-                                        console.error('Error recording flex dollars transaction:', err);
-                                        return reject(err);
-                                    }
-
-                                    console.log(`Flex dollars awarded: User ${userId} received $${amount.toFixed(2)} for ${description}`);
-                                    resolve({
-                                        success: true,
-                                        userId,
-                                        amount,
-                                        newBalance,
-                                        description
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
-            );
+    async currentBalance(userId) {
+        const row = await this.get('SELECT flex_dollars FROM users WHERE id = ?', [userId]);
+        if (!row) {
+            throw new FlexDollarsError('USER_NOT_FOUND', `User ${userId} not found`);
+        }
+        return roundCents(row.flex_dollars);
+    }
+
+    // Record a transaction; returns its id
+    async recordTransaction(userId, amount, type, description, { relatedRentalId = null, relatedStationId = null, balanceAfter, performedBy = null, expiresAt = null }) {
+        const result = await this.run(
+            `INSERT INTO flex_dollars_transactions
+            (user_id, amount, transaction_type, description, related_rental_id, related_station_id, balance_after, performed_by, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, amount, type, description, relatedRentalId, relatedStationId, balanceAfter, performedBy, expiresAt]
+        );
+        return result.lastID;
+    }
+
+    // Add to the balance, record the transaction and open a bucket for it (inside the caller's transaction)
+    async credit(userId, amount, type, description, details = {}) {
+        await this.run('UPDATE users SET flex_dollars = ROUND(COALESCE(flex_dollars, 0) + ?, 2) WHERE id = ?', [amount, userId]);
+        const newBalance = await this.currentBalance(userId);
+        const transactionId = await this.recordTransaction(userId, amount, type, description, { ...details, balanceAfter: newBalance });
+        await this.run(
+            'INSERT INTO flex_dollars_buckets (user_id, transaction_id, source, amount, remaining, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, transactionId, type, amount, amount, details.expiresAt || null]
+        );
+        return { newBalance, transactionId };
+    }
+
+    // Take an amount out of the rider's buckets, those expiring first first; credits without expiry last
+    // (inside the caller's transaction, with the same amount taken off the balance)
+    async consumeBuckets(userId, amount) {
+        let left = roundCents(amount);
+        const buckets = await this.all(
+            `SELECT id, remaining FROM flex_dollars_buckets WHERE user_id = ? AND remaining > 0
+             ORDER BY expires_at IS NULL, expires_at, id`,
+            [userId]
+        );
+        for (const bucket of buckets) {
+            if (left <= 0) break;
+            const used = Math.min(left, roundCents(bucket.remaining));
+            await this.run('UPDATE flex_dollars_buckets SET remaining = ROUND(remaining - ?, 2) WHERE id = ?', [used, bucket.id]);
+            left = roundCents(left - used);
+        }
+    }
+
+    /**
+     * Award flex dollars to a rider for returning a bike to an understocked station
+     * Business Rule: Return bike to station below 25% capacity → award flex dollars
+     * Promo codes and referrals credit flex dollars the same way, under their own transaction type
+     * @returns {Promise<Object>} { success, userId, amount (credited, after the cap), newBalance, description, capped, expiresAt }
+     */
+    awardFlexDollars(userId, amount, description = '', relatedRentalId = null, relatedStationId = null,
+        transactionType = TRANSACTION_TYPE.AWARD) {
+        return this.transaction(async (flex) => {
+            const balance = await flex.currentBalance(userId);
+            const earned = EARNED_TYPES.includes(transactionType);
+
+            let credited = roundCents(amount);
+            let capped = false;
+            if (earned && flex.balanceCap > 0 && credited > flex.balanceCap - balance) {
+                credited = Math.max(0, roundCents(flex.balanceCap - balance));
+                capped = true;
+            }
+            if (credited <= 0) {
+                console.log(`Flex dollars not awarded: User ${userId} is at the $${flex.balanceCap.toFixed(2)} balance cap (${description})`);
+                return { success: true, userId, amount: 0, newBalance: balance, description, capped, expiresAt: null };
+            }
+
+            const expiresAt = earned && flex.expiryDays > 0 ? new Date(Date.now() + flex.expiryDays * DAY_MS).toISOString() : null;
+            const { newBalance } = await flex.credit(userId, credited, transactionType, description, { relatedRentalId, relatedStationId, expiresAt });
+
+            console.log(`Flex dollars awarded: User ${userId} received $${credited.toFixed(2)} for ${description}${capped ? ' (capped)' : ''}`);
+            return {
+                success: true,
+                userId,
+                amount: credited,
+                newBalance,
+                description,
+                capped,
+                expiresAt
+            };
         });
     }
 
@@ -83,205 +173,226 @@ class FlexDollarsService {
      * Business Rule: Automatically apply flex dollars to next trip or reservation
      */
     deductFlexDollars(userId, amount, description = '', relatedRentalId = null) {
-        return new Promise((resolve, reject) => {
-            // Get current balance
-            this.db.get(
-                'SELECT flex_dollars FROM users WHERE id = ?',
-                [userId],
-                (err, row) => {
-                    if (err) {
-                        console.error('Error retrieving user flex dollars balance:', err);
-                        return reject(err);
-                    }
-
-                    if (!row) {
-                        return reject(new Error(`User ${userId} not found`));
-                    }
-
-                    const currentBalance = Number(row.flex_dollars) || 0;
-                    const requestedAmount = Number(amount) || 0;
-                    const deductionAmount = Math.min(currentBalance, requestedAmount);
-                    const newBalance = Math.max(0, currentBalance - deductionAmount);
-
-                    // Debug logging to help trace why deduction may be zero
-                    console.log(`[FlexDollarsService] deductFlexDollars called for user=${userId} requestedAmount=${requestedAmount.toFixed(2)} currentBalance=${currentBalance.toFixed(2)} deductionAmount=${deductionAmount.toFixed(2)} newBalance=${newBalance.toFixed(2)}`);
-
-                    // Update user balance
-                    this.db.run(
-                        'UPDATE users SET flex_dollars = ? WHERE id = ?',
-                        [newBalance, userId],
-                        (err) => {
-                            if (err) {
-                                console.error('Error updating user flex dollars:', err);
-                                return reject(err);
-                            }
-
-                            // Record transaction
-                            this.db.run(
-                                `INSERT INTO flex_dollars_transactions 
-                                (user_id, amount, transaction_type, description, related_rental_id, balance_after) 
-                                VALUES (?, ?, ?, ?, ?, ?)`,
-                                [userId, -deductionAmount, FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE.DEDUCT, description, relatedRentalId, newBalance],
-                                (err) => {
-                                    if (err) {
-                                        console.error('Error recording flex dollars transaction:', err);
-                                        return reject(err);
-                                    }
-
-                                    const remainingBalance = Math.max(0, requestedAmount - deductionAmount);
-
-                                    console.log(`[FlexDollarsService] deduction recorded user=${userId} amountDeducted=${deductionAmount.toFixed(2)} remainingBalance=${remainingBalance.toFixed(2)} balanceAfter=${newBalance.toFixed(2)} description="${description}" relatedRentalId=${relatedRentalId}`);
-                                    resolve({
-                                        success: true,
-                                        userId,
-                                        amountRequested: requestedAmount,
-                                        amountDeducted: deductionAmount,
-                                        remainingBalance: remainingBalance,
-                                        newBalance,
-                                        description
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
-            );
+        return this.transaction(async (flex) => {
+            const currentBalance = await flex.currentBalance(userId);
+            const requestedAmount = Number(amount) || 0;
+            const deductionAmount = Math.max(0, roundCents(Math.min(currentBalance, requestedAmount)));
+
+            if (deductionAmount > 0) {
+                await flex.run('UPDATE users SET flex_dollars = ROUND(flex_dollars - ?, 2) WHERE id = ?', [deductionAmount, userId]);
+                await flex.consumeBuckets(userId, deductionAmount);
+            }
+            const newBalance = await flex.currentBalance(userId);
+            await flex.recordTransaction(userId, -deductionAmount, TRANSACTION_TYPE.DEDUCT, description, { relatedRentalId, balanceAfter: newBalance });
+
+            const remainingBalance = Math.max(0, requestedAmount - deductionAmount);
+            return {
+                success: true,
+                userId,
+                amountRequested: requestedAmount,
+                amountDeducted: deductionAmount,
+                remainingBalance: remainingBalance,
+                newBalance,
+                description
+            };
         });
     }
 
     /**
      * Refund flex dollars (e.g., when a trip is cancelled)
+     * Refunds give back what the rider spent or paid, so they neither expire nor count against the cap
      */
-    refundFlexDollars(userId, amount, description = '', relatedRentalId = null) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT flex_dollars FROM users WHERE id = ?',
-                [userId],
-                (err, row) => {
-                    if (err) {
-                        console.error('Error retrieving user flex dollars balance:', err);
-                        return reject(err);
-                    }
-
-                    if (!row) {
-                        return reject(new Error(`User ${userId} not found`));
-                    }
+    async refundFlexDollars(userId, amount, description = '', relatedRentalId = null) {
+        const { newBalance } = await this.transaction(flex => flex.credit(userId, roundCents(amount), TRANSACTION_TYPE.REFUND, description, { relatedRentalId }));
+
+        console.log(`Flex dollars refunded: User ${userId} received refund of $${amount.toFixed(2)} for ${description}`);
+        return {
+            success: true,
+            userId,
+            amount,
+            newBalance,
+            description
+        };
+    }
 
-                    const currentBalance = row.flex_dollars || 0;
-                    const newBalance = currentBalance + amount;
-
-                    this.db.run(
-                        'UPDATE users SET flex_dollars = ? WHERE id = ?',
-                        [newBalance, userId],
-                        (err) => {
-                            if (err) {
-                                console.error('Error updating user flex dollars:', err);
-                                return reject(err);
-                            }
-
-                            this.db.run(
-                                `INSERT INTO flex_dollars_transactions 
-                                (user_id, amount, transaction_type, description, related_rental_id, balance_after) 
-                                VALUES (?, ?, ?, ?, ?, ?)`,
-                                [userId, amount, FLEX_DOLLARS_CONFIG.TRANSACTION_TYPE.REFUND, description, relatedRentalId, newBalance],
-                                (err) => {
-                                    if (err) {
-                                        console.error('Error recording flex dollars refund:', err);
-                                        return reject(err);
-                                    }
-
-                                    console.log(`Flex dollars refunded: User ${userId} received refund of $${amount.toFixed(2)} for ${description}`);
-                                    resolve({
-                                        success: true,
-                                        userId,
-                                        amount,
-                                        newBalance,
-                                        description
-                                    });
-                                }
-                            );
-                        }
-                    );
-                }
+    /**
+     * Operator correction of a rider's balance
+     * @param {number|string} userId
+     * @param {number} amount - Positive to credit, negative to take away (at most the balance)
+     * @param {string} reason - Required; stored as the transaction description
+     * @param {number|string} operatorId - Stored as performed_by
+     * @returns {Promise<Object>} { userId, amount, newBalance, reason, performedBy, transactionId }
+     */
+    async adjustFlexDollars(userId, amount, reason, operatorId) {
+        const adjustment = roundCents(amount);
+        if (!Number.isFinite(Number(amount)) || adjustment === 0) {
+            throw new FlexDollarsError('INVALID_AMOUNT', 'amount must be a non-zero number of dollars');
+        }
+        const trimmedReason = String(reason || '').trim();
+        if (!trimmedReason) {
+            throw new FlexDollarsError('REASON_REQUIRED', 'A reason is required to adjust flex dollars');
+        }
+        if (trimmedReason.length > FLEX_DOLLARS_CONFIG.MAX_ADJUSTMENT_REASON_LENGTH) {
+            throw new FlexDollarsError('INVALID_REASON', `reason must be at most ${FLEX_DOLLARS_CONFIG.MAX_ADJUSTMENT_REASON_LENGTH} characters`);
+        }
+        const result = await this.transaction(async (flex) => {
+            if (adjustment > 0) {
+                return flex.credit(userId, adjustment, TRANSACTION_TYPE.ADJUST, trimmedReason, { performedBy: operatorId });
+            }
+            const balance = await flex.currentBalance(userId);
+            const update = await flex.run(
+                'UPDATE users SET flex_dollars = ROUND(flex_dollars + ?, 2) WHERE id = ? AND flex_dollars >= ?',
+                [adjustment, userId, -adjustment]
             );
+            if (update.changes !== 1) {
+                throw new FlexDollarsError('INSUFFICIENT_BALANCE', `Cannot remove $${(-adjustment).toFixed(2)}; the balance is $${balance.toFixed(2)}`);
+            }
+            await flex.consumeBuckets(userId, -adjustment);
+            const newBalance = await flex.currentBalance(userId);
+            const transactionId = await flex.recordTransaction(userId, adjustment, TRANSACTION_TYPE.ADJUST, trimmedReason, {
+                balanceAfter: newBalance, performedBy: operatorId
+            });
+            return { newBalance, transactionId };
         });
+
+        console.log(`Flex dollars adjusted: User ${userId} ${adjustment > 0 ? '+' : '-'}$${Math.abs(adjustment).toFixed(2)} by operator ${operatorId} (${trimmedReason})`);
+        return {
+            userId,
+            amount: adjustment,
+            newBalance: result.newBalance,
+            reason: trimmedReason,
+            performedBy: operatorId,
+            transactionId: result.transactionId
+        };
     }
 
     /**
-     * Get current flex dollars balance for a rider
+     * Expire what is left of credits past their expiry date (background job)
+     * @param {Date} [now]
+     * @returns {Promise<Array<Object>>} { userId, amount, newBalance } for each rider who lost flex dollars
      */
-    getBalance(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT id, username, flex_dollars FROM users WHERE id = ?',
-                [userId],
-                (err, row) => {
-                    if (err) {
-                        return reject(err);
-                    }
+    async expireFlexDollars(now = new Date()) {
+        const buckets = await this.all(
+            `SELECT id, user_id, remaining FROM flex_dollars_buckets
+             WHERE remaining > 0 AND expires_at IS NOT NULL AND expires_at <= ?
+             ORDER BY user_id, expires_at, id`,
+            [now.toISOString()]
+        );
+        const byUser = new Map();
+        buckets.forEach(bucket => {
+            if (!byUser.has(bucket.user_id)) byUser.set(bucket.user_id, []);
+            byUser.get(bucket.user_id).push(bucket);
+        });
 
-                    if (!row) {
-                        return reject(new Error(`User ${userId} not found`));
+        const expired = [];
+        for (const [userId, userBuckets] of byUser) {
+            const result = await this.transaction(async (flex) => {
+                let total = 0;
+                for (const bucket of userBuckets) {
+                    const update = await flex.run(
+                        'UPDATE flex_dollars_buckets SET remaining = 0, expired_at = ? WHERE id = ? AND remaining > 0',
+                        [now.toISOString(), bucket.id]
+                    );
+                    if (update.changes === 1) {
+                        total = roundCents(total + bucket.remaining);
                     }
-
-                    resolve({
-                        userId: row.id,
-                        username: row.username,
-                        balance: row.flex_dollars || 0
-                    });
                 }
-            );
-        });
+                // Never take more than the balance, which may have been changed outside the buckets
+                const amount = Math.min(total, await flex.currentBalance(userId));
+                if (amount <= 0) return null;
+
+                await flex.run('UPDATE users SET flex_dollars = ROUND(flex_dollars - ?, 2) WHERE id = ?', [amount, userId]);
+                const newBalance = await flex.currentBalance(userId);
+                await flex.recordTransaction(userId, -amount, TRANSACTION_TYPE.EXPIRE,
+                    `${userBuckets.length} credit(s) expired`, { balanceAfter: newBalance });
+                return { userId, amount, newBalance };
+            });
+            if (result) {
+                console.log(`Flex dollars expired: User ${userId} lost $${result.amount.toFixed(2)}`);
+                expired.push(result);
+            }
+        }
+        return expired;
     }
 
     /**
-     * Get transaction history for a rider
+     * What is left of a rider's credits, by expiry date
+     * @param {number|string} userId
+     * @param {Date} [now]
+     * @returns {Promise<Object>} { balance, balanceCap, expiryDays, neverExpires, expiringSoon, expiring: [{ amount, expiresAt, source, soon }] }
      */
-    getTransactionHistory(userId, limit = 50, offset = 0) {
-        return new Promise((resolve, reject) => {
-            this.db.all(
-                `SELECT * FROM flex_dollars_transactions 
-                WHERE user_id = ? 
-                ORDER BY created_at DESC 
-                LIMIT ? OFFSET ?`,
-                [userId, limit, offset],
-                (err, rows) => {
-                    if (err) {
-                        return reject(err);
-                    }
+    async getExpiringBalances(userId, now = new Date()) {
+        const balance = await this.currentBalance(userId);
+        const buckets = await this.all(
+            `SELECT remaining, expires_at, source FROM flex_dollars_buckets
+             WHERE user_id = ? AND remaining > 0 ORDER BY expires_at IS NULL, expires_at, id`,
+            [userId]
+        );
+        const soonBefore = new Date(now.getTime() + FLEX_DOLLARS_CONFIG.EXPIRING_SOON_DAYS * DAY_MS);
+        const expiring = buckets.filter(bucket => bucket.expires_at).map(bucket => ({
+            amount: roundCents(bucket.remaining),
+            expiresAt: bucket.expires_at,
+            source: bucket.source,
+            soon: new Date(bucket.expires_at) <= soonBefore
+        }));
+        const expiringTotal = roundCents(expiring.reduce((sum, bucket) => sum + bucket.amount, 0));
+        return {
+            balance,
+            balanceCap: this.balanceCap > 0 ? this.balanceCap : null,
+            expiryDays: this.expiryDays > 0 ? this.expiryDays : null,
+            neverExpires: Math.max(0, roundCents(balance - expiringTotal)),
+            expiringSoon: roundCents(expiring.filter(bucket => bucket.soon).reduce((sum, bucket) => sum + bucket.amount, 0)),
+            expiring
+        };
+    }
 
-                    const transactions = rows || [];
-
-                    // Get total count
-                    this.db.get(
-                        'SELECT COUNT(*) as count FROM flex_dollars_transactions WHERE user_id = ?',
-                        [userId],
-                        (err, countRow) => {
-                            if (err) {
-                                return reject(err);
-                            }
-
-                            resolve({
-                                userId,
-                                transactions: transactions.map(t => ({
-                                    id: t.id,
-                                    amount: t.amount,
-                                    type: t.transaction_type,
-                                    description: t.description,
-                                    relatedRentalId: t.related_rental_id,
-                                    relatedStationId: t.related_station_id,
-                                    balanceAfter: t.balance_after,
-                                    createdAt: t.created_at
-                                })),
-                                totalCount: countRow.count,
-                                limit,
-                                offset
-                            });
-                        }
-                    );
-                }
-            );
-        });
+    /**
+     * Get current flex dollars balance for a rider
+     */
+    async getBalance(userId) {
+        const row = await this.get('SELECT id, username, flex_dollars FROM users WHERE id = ?', [userId]);
+        if (!row) {
+            throw new Error(`User ${userId} not found`);
+        }
+        return {
+            userId: row.id,
+            username: row.username,
+            balance: row.flex_dollars || 0
+        };
+    }
+
+    /**
+     * Get transaction history for a rider
+     */
+    async getTransactionHistory(userId, limit = 50, offset = 0) {
+        const transactions = await this.all(
+            `SELECT t.*, u.username AS performed_by_username FROM flex_dollars_transactions t
+            LEFT JOIN users u ON u.id = t.performed_by
+            WHERE t.user_id = ?
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT ? OFFSET ?`,
+            [userId, limit, offset]
+        );
+        const countRow = await this.get('SELECT COUNT(*) as count FROM flex_dollars_transactions WHERE user_id = ?', [userId]);
+
+        return {
+            userId,
+            transactions: transactions.map(t => ({
+                id: t.id,
+                amount: t.amount,
+                type: t.transaction_type,
+                description: t.description,
+                relatedRentalId: t.related_rental_id,
+                relatedStationId: t.related_station_id,
+                balanceAfter: t.balance_after,
+                expiresAt: t.expires_at || null,
+                performedBy: t.performed_by ? { id: t.performed_by, username: t.performed_by_username || null } : null,
+                createdAt: t.created_at
+            })),
+            totalCount: countRow.count,
+            limit,
+            offset
+        };
     }
 
     /**
@@ -302,4 +413,5 @@ class FlexDollarsService {
     }
 }
 
+FlexDollarsService.FlexDollarsError = FlexDollarsError;
 module.exports = FlexDollarsService;
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for BikeStateService
+ * Consolidated tests - reservations, rentals, hold expiry, long trips and races between parallel requests
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const BikeStateService = require('../../services/bikeStateService');
+
+describe('BikeStateService Unit Tests', () => {
+    let db;
+    let bikeStateService;
+
+    const NOW = new Date('2024-06-01T12:00:00Z');
+    const minutesFromNow = (minutes) => new Date(NOW.getTime() + minutes * 60 * 1000);
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const bikeRow = async (id) => (await query('SELECT * FROM r_bms_bikes WHERE id = ?', [id]))[0];
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        for (const id of ['STN001', 'STN002']) {
+            await query("INSERT INTO stations (id, name, status, latitude, longitude, capacity) VALUES (?, ?, 'occupied', 45.5, -73.6, 10)",
+                [id, `Station ${id}`]);
+        }
+        for (const id of ['BIKE001', 'BIKE002']) {
+            await query("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES (?, 'standard', 'available', 'STN001')", [id]);
+        }
+        bikeStateService = new BikeStateService(db);
+    });
+
+    afterEach((done) => {
+        jest.restoreAllMocks();
+        db.close(done);
+    });
+
+    test('should hold one bike per user and only let the holder cancel it', async () => {
+        const { expiresAt } = await bikeStateService.reserveBike({
+            userId: 1, stationId: 'STN001', bikeId: 'BIKE001', holdMinutes: 15, now: NOW
+        });
+        expect(expiresAt).toBe(minutesFromNow(15).toISOString());
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'reserved', reserved_by_user_id: 1, reservation_expiry: expiresAt });
+
+        await expect(bikeStateService.reserveBike({ userId: 1, stationId: 'STN001', bikeId: 'BIKE002', holdMinutes: 15, now: NOW }))
+            .rejects.toMatchObject({ code: 'ALREADY_RESERVED', details: { existingReservation: { bikeId: 'BIKE001' } } });
+        await expect(bikeStateService.reserveBike({ userId: 2, stationId: 'STN001', bikeId: 'BIKE001', holdMinutes: 15, now: NOW }))
+            .rejects.toMatchObject({ code: 'BIKE_NOT_AVAILABLE' });
+        await expect(bikeStateService.cancelReservation({ userId: 2, stationId: 'STN001', bikeId: 'BIKE001', now: NOW }))
+            .rejects.toMatchObject({ code: 'NOT_RESERVATION_OWNER' });
+
+        await bikeStateService.cancelReservation({ userId: '1', stationId: 'STN001', bikeId: 'BIKE001', now: NOW });
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'available', reserved_by_user_id: null, reservation_expiry: null });
+    });
+
+    test('should rent a reserved bike only for its holder and dock it again on return', async () => {
+        await bikeStateService.reserveBike({ userId: 1, stationId: 'STN001', bikeId: 'BIKE001', holdMinutes: 15, now: NOW });
+        await expect(bikeStateService.startRental({ userId: 2, stationId: 'STN001', bikeId: 'BIKE001', now: NOW }))
+            .rejects.toMatchObject({ code: 'BIKE_NOT_AVAILABLE' });
+
+        const { rentalId, reservedByUser } = await bikeStateService.startRental({ userId: '1', stationId: 'STN001', bikeId: 'BIKE001', now: NOW });
+        expect(reservedByUser).toBe(true);
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'on_trip', station_id: null, reserved_by_user_id: null });
+
+        const rental = await bikeStateService.getActiveRental('1', 'BIKE001');
+        expect(rental).toMatchObject({ id: rentalId, station_id: 'STN001', bike_type: 'standard' });
+
+        await expect(bikeStateService.completeRental({ rentalId, bikeId: 'BIKE001', stationId: 'NOPE', endTime: NOW.toISOString() }))
+            .rejects.toMatchObject({ code: 'STATION_NOT_FOUND' });
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'on_trip' });
+
+        await bikeStateService.completeRental({
+            rentalId,
+            bikeId: 'BIKE001',
+            stationId: 'STN002',
+            endTime: minutesFromNow(20).toISOString(),
+            billing: { totalCost: 3.5, bikeType: 'standard', planId: 'payg', baseFee: 1, ratePerMinute: 0.125, billableMinutes: 20 }
+        });
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'available', station_id: 'STN002' });
+        const [completed] = await query('SELECT * FROM rentals WHERE id = ?', [rentalId]);
+        expect(completed).toMatchObject({ status: 'completed', end_station_id: 'STN002', total_cost: 3.5, billable_minutes: 20 });
+
+        await expect(bikeStateService.completeRental({ rentalId, bikeId: 'BIKE001', stationId: 'STN002', endTime: NOW.toISOString() }))
+            .rejects.toMatchObject({ code: 'CONFLICT', isConflict: true });
+    });
+
+    test('should let only one of several parallel requests win each race', async () => {
+        const settle = async (calls) => {
+            const results = await Promise.allSettled(calls);
+            const losers = results.filter(r => r.status === 'rejected').map(r => r.reason);
+            return { winners: results.filter(r => r.status === 'fulfilled').length, losers };
+        };
+
+        // Five riders reserve the same bike at once
+        const reservations = await settle([1, 2, 3, 4, 5].map(userId =>
+            bikeStateService.reserveBike({ userId, stationId: 'STN001', bikeId: 'BIKE001', holdMinutes: 15, now: NOW })));
+        expect(reservations.winners).toBe(1);
+        expect(reservations.losers).toHaveLength(4);
+        reservations.losers.forEach(error => expect(error.isConflict).toBe(true));
+        const holder = (await bikeRow('BIKE001')).reserved_by_user_id;
+
+        // Five riders rent the other bike at once; the reservation holder is not among them
+        const riders = [1, 2, 3, 4, 5].filter(userId => userId !== holder);
+        const rentals = await settle(riders.map(userId =>
+            bikeStateService.startRental({ userId, stationId: 'STN001', bikeId: 'BIKE002', now: NOW })));
+        expect(rentals.winners).toBe(1);
+        rentals.losers.forEach(error => expect(error.isConflict).toBe(true));
+        expect(await query("SELECT * FROM rentals WHERE bike_id = 'BIKE002' AND status = 'active'")).toHaveLength(1);
+
+        // The same return sent twice closes the rental once
+        const [rental] = await query("SELECT * FROM rentals WHERE bike_id = 'BIKE002'");
+        const returns = await settle([1, 2].map(() => bikeStateService.completeRental({
+            rentalId: rental.id, bikeId: 'BIKE002', stationId: 'STN002', endTime: minutesFromNow(5).toISOString()
+        })));
+        expect(returns.winners).toBe(1);
+        expect(returns.losers[0]).toMatchObject({ code: 'CONFLICT' });
+        expect(await bikeRow('BIKE002')).toMatchObject({ status: 'available', station_id: 'STN002' });
+    });
+
+    test('should fail with a conflict when the bike changed after it was checked', async () => {
+        // Another writer takes the bike between the availability check and the update
+        // The work runs on a copy of the service bound to its transaction
+        const originalGet = BikeStateService.prototype.get;
+        jest.spyOn(BikeStateService.prototype, 'get').mockImplementation(async function(sql, params) {
+            const row = await originalGet.call(this, sql, params);
+            if (sql.includes('FROM r_bms_bikes WHERE id = ?') && row) {
+                await query("UPDATE r_bms_bikes SET status = 'maintenance' WHERE id = ?", [row.id]);
+            }
+            return row;
+        });
+
+        await expect(bikeStateService.startRental({ userId: 1, stationId: 'STN001', bikeId: 'BIKE001', now: NOW }))
+            .rejects.toMatchObject({ code: 'CONFLICT' });
+        expect(await query('SELECT * FROM rentals')).toHaveLength(0);
+    });
+
+    test('should expire passed holds and release a user\'s stale ones', async () => {
+        await bikeStateService.reserveBike({ userId: 1, stationId: 'STN001', bikeId: 'BIKE001', holdMinutes: 15, now: NOW });
+        await query("UPDATE r_bms_bikes SET status = 'reserved', reserved_by_user_id = 2, reservation_expiry = NULL WHERE id = 'BIKE002'");
+
+        expect(await bikeStateService.expireReservations(minutesFromNow(10))).toEqual([]);
+        const expired = await bikeStateService.expireReservations(minutesFromNow(16));
+        expect(expired.map(bike => bike.id)).toEqual(['BIKE001']);
+        expect(await bikeRow('BIKE001')).toMatchObject({ status: 'available', reserved_by_user_id: null });
+
+        // A hold without an expiry blocks its user until they log in again
+        expect(await bikeStateService.getActiveReservation(2, NOW)).toMatchObject({ id: 'BIKE002' });
+        const released = await bikeStateService.releaseStaleReservations(2, NOW);
+        expect(released.map(bike => bike.id)).toEqual(['BIKE002']);
+        expect(await bikeStateService.getActiveReservation(2, NOW)).toBeUndefined();
+    });
+
+    test('should flag each rental that runs past the long-trip limit once', async () => {
+        await query("INSERT INTO users (id, username, password, role) VALUES (1, 'rider', 'x', 'rider')");
+        const { rentalId } = await bikeStateService.startRental({ userId: 1, stationId: 'STN001', bikeId: 'BIKE001', now: NOW });
+
+        expect(await bikeStateService.flagLongRentals(180, minutesFromNow(120))).toEqual([]);
+        const flagged = await bikeStateService.flagLongRentals(180, minutesFromNow(181));
+        expect(flagged).toEqual([expect.objectContaining({ id: rentalId, username: 'rider', bike_id: 'BIKE001' })]);
+        expect(await bikeStateService.flagLongRentals(180, minutesFromNow(240))).toEqual([]);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for ConfigDatabaseService
+ * Consolidated tests - seeds and reloads against an in-memory database, keeping operator-created inventory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const ConfigDatabaseService = require('../../src/services/configDatabaseService');
+
+describe('ConfigDatabaseService Unit Tests', () => {
+    let db;
+    let service;
+    let configPath;
+
+    const station = (id, capacity, bikes) => ({
+        id,
+        name: `Station ${id}`,
+        status: 'occupied',
+        latitude: 45.5,
+        longitude: -73.6,
+        address: `${id} Test Street`,
+        capacity,
+        reservationHoldTimeMinutes: 15,
+        bikes
+    });
+
+    const writeConfig = (stations) => {
+        fs.writeFileSync(configPath, JSON.stringify({ version: '1.0', stations }));
+    };
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        configPath = path.join(os.tmpdir(), `stations-config-${process.pid}-${Date.now()}.json`);
+        writeConfig([
+            station('STN001', 5, [
+                { id: 'BIKE001', type: 'standard', status: 'available' },
+                { id: 'BIKE002', type: 'e-bike', status: 'available' }
+            ]),
+            station('STN002', 5, [
+                { id: 'BIKE003', type: 'standard', status: 'available' }
+            ])
+        ]);
+        service = new ConfigDatabaseService(db);
+        service.configLoader.configPath = configPath;
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        fs.rmSync(configPath, { force: true });
+        db.close(done);
+    });
+
+    test('should seed an empty database once and keep runtime state on restart', async () => {
+        await service.initializeFromConfig();
+        expect(await query('SELECT id FROM r_bms_bikes')).toHaveLength(3);
+
+        // Runtime change made by the app after boot
+        await query("UPDATE r_bms_bikes SET status = 'maintenance', station_id = NULL WHERE id = 'BIKE001'");
+
+        const restarted = new ConfigDatabaseService(db);
+        restarted.configLoader.configPath = configPath;
+        await restarted.initializeFromConfig();
+
+        expect(restarted.getBike('BIKE001').status).toBe('maintenance');
+        expect(restarted.getStation('STN001').dockedBikes.has('BIKE001')).toBe(false);
+        expect(restarted.getStation('STN001').dockedBikes.has('BIKE002')).toBe(true);
+    });
+
+    test('should apply config reloads as a diff and report it', async () => {
+        await service.initializeFromConfig();
+        await query("UPDATE r_bms_bikes SET status = 'on_trip', station_id = NULL WHERE id = 'BIKE003'");
+
+        // STN002 removed, STN003 added, STN001 capacity changed, BIKE002 removed
+        writeConfig([
+            station('STN001', 8, [
+                { id: 'BIKE001', type: 'standard', status: 'available' }
+            ]),
+            station('STN003', 4, [
+                { id: 'BIKE004', type: 'e-bike', status: 'available' }
+            ])
+        ]);
+
+        const { diff } = await service.reloadFromConfig();
+
+        expect(diff.hasChanges).toBe(true);
+        expect(diff.stationsAdded.map(s => s.id)).toEqual(['STN003']);
+        expect(diff.stationsRetired.map(s => s.id)).toEqual(['STN002']);
+        expect(diff.capacitiesChanged).toEqual([{ id: 'STN001', from: 5, to: 8 }]);
+        expect(diff.bikesAdded.map(b => b.id)).toEqual(['BIKE004']);
+        expect(diff.bikesRetired.map(b => b.id)).toEqual(['BIKE002']);
+        // Bike out on a trip is left alone until it is returned
+        expect(diff.bikesSkipped.map(b => b.id)).toEqual(['BIKE003']);
+
+        const retired = await query('SELECT id FROM stations WHERE retired_at IS NOT NULL');
+        expect(retired.map(row => row.id)).toEqual(['STN002']);
+        expect(service.getStation('STN002')).toBeUndefined();
+        expect(service.getStation('STN001').capacity).toBe(8);
+        expect(service.getBike('BIKE002')).toBeUndefined();
+        expect(service.getBike('BIKE003').status).toBe('on_trip');
+
+        // Reloading the same file again is a no-op
+        const second = await service.reloadFromConfig();
+        expect(second.diff.hasChanges).toBe(false);
+    });
+
+    test('should only retire config entries and clear bikes off retired stations', async () => {
+        await service.initializeFromConfig();
+        // Created through the API, not in the file
+        const created = service.getStation('STN001');
+        await service.saveStationToDb({ ...created, id: 'STN009', name: 'Pop-up' }, 'operator');
+        await query("INSERT INTO r_bms_bikes (id, type, status, station_id, origin) VALUES ('BIKE009', 'standard', 'available', 'STN002', 'operator')");
+        await query("INSERT INTO r_bms_bikes (id, type, status, station_id, origin) VALUES ('BIKE010', 'standard', 'available', 'STN009', 'operator')");
+
+        // STN002 removed (BIKE003 and BIKE009 docked there), STN001 cut below its two docked bikes
+        writeConfig([
+            station('STN001', 1, [
+                { id: 'BIKE001', type: 'standard', status: 'available' },
+                { id: 'BIKE002', type: 'e-bike', status: 'available' },
+                { id: 'BIKE003', type: 'standard', status: 'available' }
+            ])
+        ]);
+
+        const { diff } = await service.reloadFromConfig();
+
+        expect(diff.stationsRetired.map(s => s.id)).toEqual(['STN002']);
+        expect(diff.bikesRetired).toEqual([]);
+        expect(diff.bikesUndocked.map(b => b.id).sort()).toEqual(['BIKE003', 'BIKE009']);
+        expect(diff.capacitiesChanged).toEqual([]);
+        expect(diff.capacitiesSkipped).toEqual([expect.objectContaining({ id: 'STN001', from: 5, to: 1, docked: 2 })]);
+
+        const rows = await query("SELECT id, status, station_id, retired_at FROM r_bms_bikes WHERE id IN ('BIKE003', 'BIKE009', 'BIKE010') ORDER BY id");
+        expect(rows).toEqual([
+            { id: 'BIKE003', status: 'out_of_service', station_id: null, retired_at: null },
+            { id: 'BIKE009', status: 'out_of_service', station_id: null, retired_at: null },
+            { id: 'BIKE010', status: 'available', station_id: 'STN009', retired_at: null }
+        ]);
+        expect(service.getStation('STN009').dockedBikes.has('BIKE010')).toBe(true);
+        expect(service.getStation('STN001').capacity).toBe(5);
+
+        // A station with a reserved bike is kept until the reservation ends
+        await query("UPDATE r_bms_bikes SET status = 'reserved', reserved_by_user_id = 1 WHERE id = 'BIKE001'");
+        writeConfig([]);
+        const second = await service.reloadFromConfig();
+        expect(second.diff.stationsRetired).toEqual([]);
+        expect(second.diff.stationsSkipped.map(s => s.id)).toEqual(['STN001']);
+        expect(service.getStation('STN009')).toBeDefined();
+    });
+});
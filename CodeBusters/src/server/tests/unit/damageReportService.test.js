@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for DamageReportService
+ * Consolidated tests - validating reports and photos, the triage and repair lifecycle, the repair log, returning bikes to service and deduplicated issue reports on docked bikes (parallel and on reserved bikes)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const DamageReportService = require('../../services/damageReportService');
+const BikeStateService = require('../../services/bikeStateService');
+
+describe('DamageReportService Unit Tests', () => {
+    let db;
+    let photoDir;
+    let damageReportService;
+
+    const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(16)]);
+    const pngDataUrl = `data:image/png;base64,${PNG.toString('base64')}`;
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const report = (input = {}) => damageReportService.createReport({
+        ...damageReportService.validateReport({ description: 'Brakes squeal', category: 'brakes', severity: 'high', ...input }),
+        bikeId: 'BIKE001', stationId: 'STN001', userId: 1, username: 'ada', rentalId: 10
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        photoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'damage-photos-'));
+        await query("INSERT INTO users (id, username, password, role) VALUES (1, 'ada', 'x', 'rider'), (2, 'bob', 'x', 'rider'), (3, 'cy', 'x', 'rider'), (9, 'ops', 'x', 'operator')");
+        await query("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES ('BIKE001', 'standard', 'maintenance', 'STN001')");
+        await query("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES ('BIKE002', 'standard', 'available', 'STN002'), ('BIKE003', 'standard', 'on_trip', NULL)");
+        damageReportService = new DamageReportService(db, { photoDir, issueReportThreshold: 3 });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        fs.rmSync(photoDir, { recursive: true, force: true });
+        db.close(done);
+    });
+
+    test('should validate categories, severities and photos before saving', async () => {
+        expect(() => damageReportService.validateReport({ category: 'frame' })).toThrow(expect.objectContaining({ code: 'INVALID_CATEGORY' }));
+        expect(() => damageReportService.validateReport({ severity: 'extreme' })).toThrow(expect.objectContaining({ code: 'INVALID_SEVERITY' }));
+        expect(() => damageReportService.validateReport({ photos: ['data:image/gif;base64,R0lGODlh'] })).toThrow(expect.objectContaining({ code: 'INVALID_PHOTO' }));
+        // A PNG label on a file that isn't a PNG
+        expect(() => damageReportService.validateReport({ photos: [`data:image/png;base64,${Buffer.from('not an image').toString('base64')}`] }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_PHOTO' }));
+        expect(() => damageReportService.validateReport({ photos: [pngDataUrl, pngDataUrl, pngDataUrl, pngDataUrl] })).toThrow(expect.objectContaining({ code: 'INVALID_PHOTO' }));
+        expect(damageReportService.validateReport({})).toMatchObject({ category: 'other', severity: 'medium', photos: [] });
+
+        const reportId = await report({ photos: [pngDataUrl] });
+        const [saved] = await damageReportService.listReports({ status: 'open' });
+        expect(saved).toMatchObject({ id: reportId, category: 'brakes', severity: 'high', status: 'pending', technician: null });
+        expect(saved.photos).toEqual([expect.objectContaining({ url: `/api/damage-reports/${reportId}/photos/${saved.photos[0].id}`, contentType: 'image/png' })]);
+        expect(saved.events).toEqual([expect.objectContaining({ fromStatus: null, toStatus: 'pending', note: 'Reported by ada' })]);
+
+        const photo = await damageReportService.getPhoto(reportId, saved.photos[0].id);
+        expect(photo).toMatchObject({ contentType: 'image/png', reporterId: 1 });
+        expect(fs.readFileSync(photo.filePath).equals(PNG)).toBe(true);
+        await expect(damageReportService.getPhoto(reportId + 1, saved.photos[0].id)).rejects.toMatchObject({ code: 'PHOTO_NOT_FOUND' });
+    });
+
+    test('should move reports through triage and repair with a repair log', async () => {
+        const reportId = await report();
+
+        await expect(damageReportService.addRepairLog(reportId, { type: 'labour', description: 'Bleed brakes', minutes: 30 }, 9))
+            .rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        await expect(damageReportService.setStatus(reportId, { status: 'in_repair' }, 9)).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+
+        const assigned = await damageReportService.updateDetails(reportId, { technician: ' Sam ', severity: 'critical' }, 9);
+        expect(assigned).toMatchObject({ technician: 'Sam', severity: 'critical', category: 'brakes' });
+
+        await damageReportService.setStatus(reportId, { status: 'triaged', note: 'Pads worn' }, 9);
+        await damageReportService.setStatus(reportId, { status: 'in_repair' }, 9);
+        await expect(damageReportService.addRepairLog(reportId, { type: 'part', description: 'Brake pads', quantity: 1.5 }, 9)).rejects.toMatchObject({ code: 'INVALID_LOG_ENTRY' });
+        await damageReportService.addRepairLog(reportId, { type: 'part', description: 'Brake pads', quantity: 2, unitCost: 12.5 }, 9);
+        const logged = await damageReportService.addRepairLog(reportId, { type: 'labour', description: 'Fit pads', minutes: 25 }, 9);
+
+        expect(logged.repairTotals).toEqual({ partsCost: 25, labourMinutes: 25 });
+        expect(logged.repairLog.map(entry => [entry.type, entry.description, entry.loggedBy])).toEqual([
+            ['part', 'Brake pads', 'ops'],
+            ['labour', 'Fit pads', 'ops']
+        ]);
+        expect(logged.events.map(event => [event.fromStatus, event.toStatus, event.note, event.operator])).toEqual([
+            [null, 'pending', 'Reported by ada', null],
+            ['pending', 'pending', 'Assigned to Sam', 'ops'],
+            ['pending', 'triaged', 'Pads worn', 'ops'],
+            ['triaged', 'in_repair', null, 'ops']
+        ]);
+    });
+
+    test('should return the bike to service when the last open report is closed', async () => {
+        const first = await report();
+        const second = await report({ category: 'tire' });
+
+        await expect(damageReportService.setStatus(first, { status: 'triaged', returnToService: true }, 9)).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+        await expect(damageReportService.setStatus(first, { status: 'resolved', returnToService: true }, 9)).rejects.toMatchObject({ code: 'OPEN_REPORTS' });
+
+        const wontFix = await damageReportService.setStatus(second, { status: 'wont_fix', note: 'Duplicate' }, 9);
+        expect(wontFix).toMatchObject({ bikeReturned: false, report: { status: 'wont_fix', resolutionNote: 'Duplicate' } });
+        expect(wontFix.report.resolvedAt).not.toBeNull();
+
+        const resolved = await damageReportService.setStatus(first, { status: 'resolved', returnToService: true }, 9);
+        expect(resolved).toMatchObject({ bikeReturned: true, stationId: 'STN001', report: { status: 'resolved' } });
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE001'")).toEqual([{ status: 'available' }]);
+
+        await expect(damageReportService.setStatus(first, { status: 'wont_fix' }, 9)).rejects.toMatchObject({ code: 'REPORT_CLOSED' });
+        await expect(damageReportService.updateDetails(first, { technician: 'Sam' }, 9)).rejects.toMatchObject({ code: 'REPORT_CLOSED' });
+        expect(await damageReportService.listReports({ status: 'open' })).toEqual([]);
+        expect((await damageReportService.listReports()).map(r => r.status)).toEqual(['wont_fix', 'resolved']);
+    });
+
+    test('should merge issue reports on a docked bike and take it out after enough riders report it', async () => {
+        const issue = (userId, username, input = {}) => damageReportService.reportIssue({
+            ...damageReportService.validateReport({ description: 'Flat tire', category: 'tire', ...input }),
+            bikeId: 'BIKE002', userId, username
+        });
+
+        await expect(damageReportService.reportIssue({ bikeId: 'BIKE404', userId: 1, username: 'ada' })).rejects.toMatchObject({ code: 'BIKE_NOT_FOUND' });
+        await expect(damageReportService.reportIssue({ bikeId: 'BIKE003', userId: 1, username: 'ada' })).rejects.toMatchObject({ code: 'BIKE_NOT_DOCKED' });
+        await query("INSERT INTO rentals (user_id, bike_id, station_id, start_time, status) VALUES (3, 'BIKE002', 'STN002', CURRENT_TIMESTAMP, 'active')");
+        await expect(issue(1, 'ada')).rejects.toMatchObject({ code: 'BIKE_NOT_DOCKED' });
+        await query("UPDATE rentals SET status = 'completed'");
+
+        const first = await issue(1, 'ada');
+        expect(first).toMatchObject({ created: true, reporterCount: 1, movedToMaintenance: false, report: { source: 'issue', stationId: 'STN002', category: 'tire' } });
+        await expect(issue(1, 'ada')).rejects.toMatchObject({ code: 'ALREADY_REPORTED' });
+
+        const second = await issue(2, 'bob', { description: 'Tire is flat', photos: [pngDataUrl] });
+        expect(second).toMatchObject({ created: false, reporterCount: 2, movedToMaintenance: false, report: { id: first.report.id } });
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE002'")).toEqual([{ status: 'available' }]);
+
+        const third = await issue(3, 'cy');
+        expect(third).toMatchObject({ reporterCount: 3, movedToMaintenance: true });
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE002'")).toEqual([{ status: 'maintenance' }]);
+        expect(third.report.reporters.map(reporter => [reporter.username, reporter.description])).toEqual([
+            ['ada', 'Flat tire'], ['bob', 'Tire is flat'], ['cy', 'Flat tire']
+        ]);
+        expect(third.report.events.map(event => event.note)).toEqual([
+            'Reported by ada', 'Also reported by bob', 'Also reported by cy', 'Bike BIKE002 moved to maintenance after 3 rider reports'
+        ]);
+        expect((await damageReportService.getPhoto(first.report.id, third.report.photos[0].id)).reporterId).toBe(2);
+        expect(await query('SELECT COUNT(*) AS count FROM damage_reports')).toEqual([{ count: 1 }]);
+
+        // Once the report is closed, the next rider opens a new one
+        await damageReportService.setStatus(first.report.id, { status: 'resolved', returnToService: true }, 9);
+        expect(await issue(1, 'ada')).toMatchObject({ created: true, reporterCount: 1 });
+    });
+
+    test('should merge issue reports sent in parallel into one report', async () => {
+        const issue = (userId, username) => damageReportService.reportIssue({
+            ...damageReportService.validateReport({ description: 'Chain slips', category: 'chain' }),
+            bikeId: 'BIKE002', userId, username
+        });
+
+        const results = await Promise.all([issue(1, 'ada'), issue(2, 'bob'), issue(3, 'cy')]);
+
+        expect(results.map(result => result.created)).toEqual([true, false, false]);
+        expect(results.map(result => result.reporterCount)).toEqual([1, 2, 3]);
+        expect(results[2].movedToMaintenance).toBe(true);
+        expect(await query('SELECT COUNT(*) AS count FROM damage_reports')).toEqual([{ count: 1 }]);
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE002'")).toEqual([{ status: 'maintenance' }]);
+    });
+
+    test('should take a reserved bike out once its reservation ends', async () => {
+        const bikeStateService = new BikeStateService(db);
+        const issue = (userId, username) => damageReportService.reportIssue({
+            ...damageReportService.validateReport({ description: 'Brakes fail' }),
+            bikeId: 'BIKE002', userId, username
+        });
+        await bikeStateService.reserveBike({ userId: 9, stationId: 'STN002', bikeId: 'BIKE002', holdMinutes: 15 });
+
+        await issue(1, 'ada');
+        await issue(2, 'bob');
+        const third = await issue(3, 'cy');
+        expect(third).toMatchObject({ reporterCount: 3, movedToMaintenance: false, maintenanceDue: true });
+        expect(third.report.events.map(event => event.note)).toContain(
+            'Bike BIKE002 is reserved; it moves to maintenance when the reservation ends (3 rider reports)'
+        );
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE002'")).toEqual([{ status: 'reserved' }]);
+
+        const cancelled = await bikeStateService.cancelReservation({ userId: 9, stationId: 'STN002', bikeId: 'BIKE002' });
+        expect(cancelled.releasedTo).toBe('maintenance');
+        expect(await query("SELECT status, station_id, maintenance_due_at FROM r_bms_bikes WHERE id = 'BIKE002'"))
+            .toEqual([{ status: 'maintenance', station_id: 'STN002', maintenance_due_at: null }]);
+
+        // Closing the report before the hold ends drops the pending move
+        await damageReportService.setStatus(third.report.id, { status: 'resolved', returnToService: true }, 9);
+        await bikeStateService.reserveBike({ userId: 9, stationId: 'STN002', bikeId: 'BIKE002', holdMinutes: 15 });
+        await query("UPDATE r_bms_bikes SET maintenance_due_at = CURRENT_TIMESTAMP WHERE id = 'BIKE002'");
+        await damageReportService.setStatus((await issue(1, 'ada')).report.id, { status: 'wont_fix' }, 9);
+        expect((await bikeStateService.cancelReservation({ userId: 9, stationId: 'STN002', bikeId: 'BIKE002' })).releasedTo).toBe('available');
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for DisputeService
+ * Consolidated tests - opening disputes, the operator queue, refunds to card or flex dollars and rejections
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const PaymentService = require('../../services/paymentService');
+const DisputeService = require('../../services/disputeService');
+const MockPaymentGateway = require('../../services/mockPaymentGateway');
+const FlexDollarsService = require('../../src/services/flexDollarsService');
+const TaxService = require('../../services/taxService');
+
+describe('DisputeService Unit Tests', () => {
+    let db;
+    let paymentService;
+    let disputeService;
+    let payment;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const flexBalance = async () => (await query('SELECT flex_dollars FROM users WHERE id = 1'))[0].flex_dollars;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        await query("INSERT INTO users (id, username, password, role, flex_dollars) VALUES (1, 'rider', 'x', 'rider', 1)");
+        await query("INSERT INTO users (id, username, password, role) VALUES (2, 'ops', 'x', 'operator')");
+        await query(`INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default, gateway, gateway_token)
+            VALUES (1, '4242', 'Test Rider', '12/29', 1, 'mock', 'mock_approve_4242')`);
+        await query("INSERT INTO rentals (id, user_id, bike_id, station_id, start_time, end_time, status, total_cost) VALUES (10, 1, 'BIKE001', 'STN001', '2024-06-01T12:00:00Z', '2024-06-01T12:20:00Z', 'completed', 5)");
+        await query("INSERT INTO damage_reports (bike_id, station_id, user_id, username, description, rental_id) VALUES ('BIKE001', 'STN001', 1, 'rider', 'Flat tire', 10)");
+
+        const flexDollarsService = new FlexDollarsService(db);
+        paymentService = new PaymentService(db, new MockPaymentGateway(), flexDollarsService);
+        disputeService = new DisputeService(db, paymentService, flexDollarsService);
+
+        // $1 flex dollars + $4 on the card
+        ({ payment } = await paymentService.chargeRental({ id: 10, user_id: 1, total_cost: 5 }));
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should open one dispute per charge, for its rider only, and queue it for operators', async () => {
+        await expect(disputeService.openDispute({ paymentId: payment.id, userId: 2, reason: 'overcharged' }))
+            .rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND' });
+        await expect(disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'because' }))
+            .rejects.toMatchObject({ code: 'INVALID_REASON' });
+
+        const dispute = await disputeService.openDispute({
+            paymentId: payment.id, userId: '1', reason: 'damaged_bike', description: 'Trip ended by a flat tire'
+        });
+        expect(dispute).toMatchObject({ status: 'open', rentalId: 10, reason: 'damaged_bike' });
+        await expect(disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'overcharged' }))
+            .rejects.toMatchObject({ code: 'DISPUTE_ALREADY_OPEN' });
+
+        const queue = await disputeService.listDisputes();
+        expect(queue).toHaveLength(1);
+        expect(queue[0]).toMatchObject({
+            username: 'rider',
+            bikeId: 'BIKE001',
+            damageReportId: 1,
+            payment: { amount: 5, flexDollarsApplied: 1, cardAmount: 4, cardLast4: '4242' },
+            refundable: { total: 5, card: 4 }
+        });
+
+        const notifications = await query("SELECT * FROM operator_notifications WHERE type = 'billing_dispute'");
+        expect(notifications).toHaveLength(1);
+    });
+
+    test('should refund part to the card and the rest to flex dollars, never more than was paid', async () => {
+        const first = await disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'overcharged' });
+        await expect(disputeService.approveDispute(first.id, { operatorId: 2, refundMethod: 'card', amount: 4.5 }))
+            .rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+
+        const approved = await disputeService.approveDispute(first.id, { operatorId: 2, refundMethod: 'card', amount: 3 });
+        expect(approved).toMatchObject({ status: 'approved', refundAmount: 3, refundMethod: 'card' });
+        expect((await paymentService.getPayment(payment.id))).toMatchObject({ status: 'captured', refunded_amount: 3 });
+        await expect(disputeService.approveDispute(first.id, { operatorId: 2, refundMethod: 'card' }))
+            .rejects.toMatchObject({ code: 'DISPUTE_ALREADY_RESOLVED' });
+
+        const second = await disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'other' });
+        await disputeService.approveDispute(second.id, { operatorId: 2, refundMethod: 'flex_dollars' });
+        expect(await flexBalance()).toBe(2);
+
+        await expect(disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'other' }))
+            .rejects.toMatchObject({ code: 'PAYMENT_NOT_DISPUTABLE' });
+        expect(await disputeService.latestDisputes([payment.id])).toEqual(new Map([[payment.id, expect.objectContaining({
+            id: second.id, status: 'approved', refundAmount: 2, refundMethod: 'flex_dollars'
+        })]]));
+    });
+
+    test('should refund a taxed charge in full, tax included', async () => {
+        const flexDollarsService = new FlexDollarsService(db);
+        const taxed = new PaymentService(db, new MockPaymentGateway(), flexDollarsService, {
+            taxService: new TaxService(db, { jurisdiction: 'QC' })
+        });
+        const taxedDisputes = new DisputeService(db, taxed, flexDollarsService);
+        await query('UPDATE users SET flex_dollars = 0 WHERE id = 1');
+        await query("INSERT INTO rentals (id, user_id, bike_id, station_id, start_time, end_time, status, total_cost) VALUES (11, 1, 'BIKE001', 'STN001', '2024-06-02T12:00:00Z', '2024-06-02T12:40:00Z', 'completed', 10)");
+
+        // $10 + GST $0.50 + QST $1.00
+        const { payment: charged } = await taxed.chargeRental({ id: 11, user_id: 1, total_cost: 10 });
+        expect(charged).toMatchObject({ amount: 10, amount_due_after_flex: 11.5 });
+
+        const dispute = await taxedDisputes.openDispute({ paymentId: charged.id, userId: 1, reason: 'trip_not_taken' });
+        expect((await taxedDisputes.listDisputes())[0].refundable).toEqual({ total: 11.5, card: 11.5 });
+
+        const approved = await taxedDisputes.approveDispute(dispute.id, { operatorId: 2, refundMethod: 'card' });
+        expect(approved).toMatchObject({ status: 'approved', refundAmount: 11.5 });
+        expect(await taxed.getPayment(charged.id)).toMatchObject({ status: 'refunded', refunded_amount: 11.5 });
+    });
+
+    test('should reject with a note and leave a dispute open when its refund fails', async () => {
+        const dispute = await disputeService.openDispute({ paymentId: payment.id, userId: 1, reason: 'trip_not_taken' });
+        await expect(disputeService.rejectDispute(dispute.id, { operatorId: 2, note: ' ' }))
+            .rejects.toMatchObject({ code: 'NOTE_REQUIRED' });
+
+        jest.spyOn(paymentService.gateway, 'refund').mockRejectedValueOnce(new Error('provider down'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(disputeService.approveDispute(dispute.id, { operatorId: 2, refundMethod: 'card' }))
+            .rejects.toMatchObject({ code: 'provider_error' });
+        console.error.mockRestore();
+        expect((await disputeService.listDisputes())[0]).toMatchObject({ id: dispute.id, status: 'open', refundAmount: null });
+
+        // A flex dollars refund that fails part-way leaves neither the approval nor the credit behind
+        jest.spyOn(FlexDollarsService.prototype, 'recordTransaction').mockRejectedValueOnce(new Error('disk full'));
+        await expect(disputeService.approveDispute(dispute.id, { operatorId: 2, refundMethod: 'flex_dollars' }))
+            .rejects.toThrow('disk full');
+        FlexDollarsService.prototype.recordTransaction.mockRestore();
+        expect((await disputeService.listDisputes())[0]).toMatchObject({ id: dispute.id, status: 'open', refundAmount: null });
+        expect(await flexBalance()).toBe(0);
+
+        const rejected = await disputeService.rejectDispute(dispute.id, { operatorId: 2, note: 'GPS shows a full trip' });
+        expect(rejected).toMatchObject({ status: 'rejected', resolutionNote: 'GPS shows a full trip' });
+        expect(await disputeService.listDisputes({ status: 'rejected' })).toHaveLength(1);
+    });
+});
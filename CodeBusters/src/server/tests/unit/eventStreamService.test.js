@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for EventStreamService
+ * Consolidated tests - SSE framing, type filters, per-user payloads and BMSManager forwarding
+ */
+
+const { EventEmitter } = require('events');
+const EventStreamService = require('../../services/eventStreamService');
+const { BMS_EVENTS } = require('../../config/constants');
+
+describe('EventStreamService Unit Tests', () => {
+    let service;
+
+    const rider = { id: '1', role: 'rider' };
+
+    const createClient = (types = [], user = rider) => {
+        const req = new EventEmitter();
+        const res = {
+            headers: null,
+            chunks: [],
+            ended: false,
+            writeHead(status, headers) { this.status = status; this.headers = headers; },
+            write(chunk) { this.chunks.push(chunk); },
+            end() { this.ended = true; }
+        };
+        service.addClient(req, res, user, types);
+        return { req, res };
+    };
+
+    beforeEach(() => {
+        service = new EventStreamService();
+    });
+
+    afterEach(() => {
+        service.close();
+    });
+
+    test('should open an event stream and write events in SSE format', () => {
+        const { res } = createClient();
+
+        expect(res.status).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        expect(res.chunks[0]).toBe('retry: 5000\n\n');
+
+        expect(service.broadcast('bike_status', { bikeId: 'BIKE001', status: 'on_trip' })).toBe(1);
+        expect(res.chunks[1]).toBe('id: 1\nevent: bike_status\ndata: {"bikeId":"BIKE001","status":"on_trip"}\n\n');
+    });
+
+    test('should only deliver subscribed types and drop closed clients', () => {
+        const all = createClient();
+        const occupancyOnly = createClient(['station_occupancy']);
+
+        expect(service.broadcast('bike_status', {})).toBe(1);
+        expect(service.broadcast('station_occupancy', {})).toBe(2);
+        expect(occupancyOnly.res.chunks).toHaveLength(2);
+
+        all.req.emit('close');
+        expect(service.broadcast('station_occupancy', {})).toBe(1);
+
+        service.close();
+        expect(occupancyOnly.res.ended).toBe(true);
+        expect(service.clients.size).toBe(0);
+    });
+
+    test('should require a user and only send a rider\'s id to that rider and operators', () => {
+        expect(() => createClient([], null)).toThrow('Event stream clients must be authenticated');
+
+        const owner = createClient();
+        const other = createClient([], { id: '2', role: 'rider' });
+        const operator = createClient([], { id: '9', role: 'operator' });
+
+        expect(service.broadcast('reservation_expired', { bikeId: 'BIKE001', userId: 1 })).toBe(3);
+        const payloads = [owner, other, operator].map(({ res }) => JSON.parse(res.chunks[1].split('data: ')[1]));
+        expect(payloads).toEqual([
+            { bikeId: 'BIKE001', userId: 1 },
+            { bikeId: 'BIKE001' },
+            { bikeId: 'BIKE001', userId: 1 }
+        ]);
+        expect(other.res.chunks[1]).toMatch(/^id: 1\nevent: reservation_expired\n/);
+    });
+
+    test('should forward every BMS event type from the manager', () => {
+        const bmsManager = new EventEmitter();
+        service.attachToBMSManager(bmsManager);
+        const { res } = createClient();
+
+        Object.values(BMS_EVENTS).forEach(type => bmsManager.emit(type, { type }));
+
+        const eventLines = res.chunks.slice(1).map(chunk => chunk.split('\n')[1]);
+        expect(eventLines).toEqual(Object.values(BMS_EVENTS).map(type => `event: ${type}`));
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for FlexDollarsService
+ * Consolidated tests - balance cap on earned credits, concurrent awards and deductions, FIFO use and expiry of credit buckets, and operator adjustments
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const FlexDollarsService = require('../../src/services/flexDollarsService');
+
+describe('FlexDollarsService Unit Tests', () => {
+    let db;
+    let flexDollarsService;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const remaining = async (userId) => (await query(
+        'SELECT source, remaining FROM flex_dollars_buckets WHERE user_id = ? ORDER BY id', [userId]
+    )).map(bucket => [bucket.source, bucket.remaining]);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        for (const [id, username] of [[1, 'ada'], [2, 'bob'], [9, 'ops']]) {
+            await query("INSERT INTO users (id, username, password, role, flex_dollars) VALUES (?, ?, 'x', ?, 0)", [id, username, id === 9 ? 'operator' : 'rider']);
+        }
+        flexDollarsService = new FlexDollarsService(db, { expiryDays: 30, balanceCap: 10 });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should stop earned credits at the balance cap but not refunds', async () => {
+        const first = await flexDollarsService.awardFlexDollars(1, 8, 'Returned to STN001');
+        expect(first).toMatchObject({ amount: 8, newBalance: 8, capped: false });
+        expect(new Date(first.expiresAt).getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+
+        expect(await flexDollarsService.awardFlexDollars(1, 5, 'Returned to STN002')).toMatchObject({ amount: 2, newBalance: 10, capped: true });
+        expect(await flexDollarsService.awardFlexDollars(1, 5, 'Returned to STN003')).toMatchObject({ amount: 0, newBalance: 10, capped: true });
+        expect((await query("SELECT COUNT(*) AS count FROM flex_dollars_transactions WHERE user_id = 1"))[0].count).toBe(2);
+
+        const refund = await flexDollarsService.refundFlexDollars(1, 4, 'Trip cancelled');
+        expect(refund.newBalance).toBe(14);
+        expect(await query("SELECT expires_at FROM flex_dollars_buckets WHERE source = 'refund'")).toEqual([{ expires_at: null }]);
+    });
+
+    test('should not let concurrent awards pass the cap or concurrent deductions spend the same credit', async () => {
+        await flexDollarsService.awardFlexDollars(1, 7, 'Returned to STN001');
+
+        const awards = await Promise.all([
+            flexDollarsService.awardFlexDollars(1, 2, 'Returned to STN002'),
+            flexDollarsService.awardFlexDollars(1, 2, 'Promo code WELCOME', null, null, 'promo')
+        ]);
+        expect(awards.map(award => award.amount)).toEqual([2, 1]);
+        expect(await flexDollarsService.currentBalance(1)).toBe(10);
+
+        const deductions = await Promise.all([
+            flexDollarsService.deductFlexDollars(1, 6, 'Trip payment'),
+            flexDollarsService.deductFlexDollars(1, 6, 'Trip payment')
+        ]);
+        expect(deductions.map(deduction => deduction.amountDeducted)).toEqual([6, 4]);
+        expect(await flexDollarsService.currentBalance(1)).toBe(0);
+        expect(await remaining(1)).toEqual([['award', 0], ['award', 0], ['promo', 0]]);
+        expect(await query("SELECT amount FROM flex_dollars_transactions WHERE transaction_type = 'deduct' ORDER BY id"))
+            .toEqual([{ amount: -6 }, { amount: -4 }]);
+    });
+
+    test('should use the soonest-expiring credits first and expire what is left', async () => {
+        await flexDollarsService.refundFlexDollars(1, 3, 'Trip cancelled');
+        await flexDollarsService.awardFlexDollars(1, 4, 'Returned to STN001');
+        await query("UPDATE flex_dollars_buckets SET expires_at = ? WHERE source = 'award'", [new Date(Date.now() + 10 * DAY_MS).toISOString()]);
+        await flexDollarsService.awardFlexDollars(1, 2, 'Returned to STN002', null, null, 'promo');
+
+        await flexDollarsService.deductFlexDollars(1, 5, 'Trip payment');
+        expect(await remaining(1)).toEqual([['refund', 3], ['award', 0], ['promo', 1]]);
+
+        const expiring = await flexDollarsService.getExpiringBalances(1);
+        expect(expiring).toMatchObject({ balance: 4, balanceCap: 10, expiryDays: 30, neverExpires: 3, expiringSoon: 1 });
+        expect(expiring.expiring).toEqual([expect.objectContaining({ amount: 1, source: 'promo', soon: true })]);
+
+        expect(await flexDollarsService.expireFlexDollars()).toEqual([]);
+        const expired = await flexDollarsService.expireFlexDollars(new Date(Date.now() + 31 * DAY_MS));
+        expect(expired).toEqual([{ userId: 1, amount: 1, newBalance: 3 }]);
+        expect(await remaining(1)).toEqual([['refund', 3], ['award', 0], ['promo', 0]]);
+        expect(await query("SELECT amount, balance_after FROM flex_dollars_transactions WHERE transaction_type = 'expire'")).toEqual([{ amount: -1, balance_after: 3 }]);
+        expect(await flexDollarsService.expireFlexDollars(new Date(Date.now() + 31 * DAY_MS))).toEqual([]);
+    });
+
+    test('should require a reason for operator adjustments and record who made them', async () => {
+        await expect(flexDollarsService.adjustFlexDollars(1, 5, '  ', 9)).rejects.toMatchObject({ code: 'REASON_REQUIRED' });
+        await expect(flexDollarsService.adjustFlexDollars(1, 0, 'Goodwill', 9)).rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+        await expect(flexDollarsService.adjustFlexDollars(1, 'abc', 'Goodwill', 9)).rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+        await expect(flexDollarsService.adjustFlexDollars(99, 5, 'Goodwill', 9)).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+
+        // Adjustments are not earned credits: over the cap and without expiry
+        expect(await flexDollarsService.adjustFlexDollars(1, 12.5, ' Broken dock charged twice ', 9))
+            .toMatchObject({ amount: 12.5, newBalance: 12.5, reason: 'Broken dock charged twice', performedBy: 9 });
+        await expect(flexDollarsService.adjustFlexDollars(1, -20, 'Duplicate credit', 9)).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+        expect((await flexDollarsService.adjustFlexDollars(1, -2.5, 'Duplicate credit', 9)).newBalance).toBe(10);
+        expect(await remaining(1)).toEqual([['adjust', 10]]);
+
+        const history = await flexDollarsService.getTransactionHistory(1);
+        expect(history.transactions.map(t => [t.type, t.amount, t.description, t.performedBy])).toEqual([
+            ['adjust', -2.5, 'Duplicate credit', { id: 9, username: 'ops' }],
+            ['adjust', 12.5, 'Broken dock charged twice', { id: 9, username: 'ops' }]
+        ]);
+    });
+});
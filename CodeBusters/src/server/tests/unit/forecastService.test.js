@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for ForecastService
+ * Consolidated tests - hourly demand rates, projections and empty/full flags
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const ForecastService = require('../../services/forecastService');
+
+describe('ForecastService Unit Tests', () => {
+    let db;
+    let forecastService;
+
+    // Local times, since demand is bucketed by the server's local hour; 3 June 2024 is a Monday
+    const NOW = new Date(2024, 5, 3, 7, 30);
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    const addStation = async (id, capacity, availableBikes, status = 'occupied') => {
+        await query('INSERT INTO stations (id, name, status, capacity) VALUES (?, ?, ?, ?)', [id, `Station ${id}`, status, capacity]);
+        for (let i = 0; i < availableBikes; i++) {
+            await query("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES (?, 'standard', 'available', ?)", [`${id}-B${i}`, id]);
+        }
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        await addStation('HOME', 10, 3);
+        await addStation('WORK', 4, 1);
+        await addStation('QUIET', 10, 5);
+        await addStation('CLOSED', 10, 0, 'out_of_service');
+
+        // The two previous Monday mornings: four commutes HOME -> WORK between 8:00 and 9:00
+        for (const day of [20, 27]) {
+            for (let i = 0; i < 4; i++) {
+                await query(
+                    `INSERT INTO rentals (user_id, bike_id, start_time, end_time, status, station_id, end_station_id)
+                     VALUES (1, 'X', ?, ?, 'completed', 'HOME', 'WORK')`,
+                    [new Date(2024, 4, day, 8, 10 + i).toISOString(), new Date(2024, 4, day, 8, 40 + i).toISOString()]
+                );
+            }
+        }
+
+        forecastService = new ForecastService(db);
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should average demand per weekday and hour over the weeks observed', async () => {
+        const rates = await forecastService.getHourlyRates(NOW);
+        const mondayEight = ForecastService.weekHourOf(new Date(2024, 5, 3, 8, 0));
+
+        expect(rates.get('HOME').departures[mondayEight]).toBeCloseTo(4, 1);
+        expect(rates.get('WORK').arrivals[mondayEight]).toBeCloseTo(4, 1);
+        expect(rates.get('HOME').departures[mondayEight + 1]).toBe(0);
+    });
+
+    test('should project the morning rush and flag the stations that run empty or full', async () => {
+        const home = await forecastService.forecastStation('HOME', { hours: 3, now: NOW });
+
+        expect(home.points).toHaveLength(3);
+        expect(home.points[0]).toMatchObject({ time: new Date(2024, 5, 3, 8, 0).toISOString(), projectedBikes: 3 });
+        expect(home.points[1]).toMatchObject({ time: new Date(2024, 5, 3, 9, 0).toISOString(), projectedBikes: 0, expectedDepartures: 4 });
+        expect(home).toMatchObject({ likelyEmpty: true, likelyEmptyAt: new Date(2024, 5, 3, 9, 0).toISOString(), likelyFull: false });
+
+        const work = await forecastService.forecastStation('WORK', { hours: 3, now: NOW });
+        expect(work.points[1].projectedFreeDocks).toBe(0);
+        expect(work).toMatchObject({ likelyFull: true, likelyEmpty: false });
+
+        await expect(forecastService.forecastStation('NOPE', { now: NOW })).rejects.toMatchObject({ code: 'STATION_NOT_FOUND' });
+        await expect(forecastService.forecastStation('HOME', { hours: 0, now: NOW })).rejects.toMatchObject({ code: 'INVALID_HORIZON' });
+    });
+
+    test('should list stations at risk first and never flag out-of-service stations', async () => {
+        const forecasts = await forecastService.forecastAll({ now: NOW });
+
+        expect(forecasts.map(f => f.stationId)).toEqual(['HOME', 'WORK', 'CLOSED', 'QUIET']);
+        expect(forecasts[0].points).toHaveLength(6);
+        expect(forecasts.find(f => f.stationId === 'CLOSED')).toMatchObject({ bikesAvailable: 0, likelyEmpty: false });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for IdempotencyService
+ * Consolidated tests - claiming keys, replaying stored responses, key reuse and TTL expiry
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const IdempotencyService = require('../../services/idempotencyService');
+const { setIdempotencyService, idempotent } = require('../../middleware/idempotency');
+
+describe('IdempotencyService Unit Tests', () => {
+    let db;
+    let idempotencyService;
+
+    const NOW = new Date('2024-06-01T12:00:00Z');
+    const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000);
+    const rentHash = IdempotencyService.hashRequest('POST /api/rent', { bikeId: 'BIKE001' });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+        idempotencyService = new IdempotencyService(db, { ttlHours: 24 });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should replay the stored response and reject the key for other requests', async () => {
+        expect(await idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, NOW)).toBeNull();
+
+        await expect(idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, NOW))
+            .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+
+        await idempotencyService.complete(1, 'key-1', 200, { success: true, rental: { rentalId: 7 } });
+        expect(await idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, NOW))
+            .toEqual({ status: 200, body: { success: true, rental: { rentalId: 7 } } });
+
+        const otherBike = IdempotencyService.hashRequest('POST /api/rent', { bikeId: 'BIKE002' });
+        await expect(idempotencyService.begin(1, 'key-1', 'POST /api/rent', otherBike, NOW))
+            .rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED' });
+
+        // Keys belong to the user that sent them
+        expect(await idempotencyService.begin(2, 'key-1', 'POST /api/rent', rentHash, NOW)).toBeNull();
+    });
+
+    test('should let a released or expired key be used again', async () => {
+        await idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, NOW);
+        await idempotencyService.release(1, 'key-1');
+        expect(await idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, NOW)).toBeNull();
+        await idempotencyService.complete(1, 'key-1', 200, { success: true });
+
+        expect(await idempotencyService.purgeExpired(hoursFromNow(23))).toBe(0);
+        expect(await idempotencyService.begin(1, 'key-1', 'POST /api/rent', rentHash, hoursFromNow(25))).toBeNull();
+        expect(await idempotencyService.purgeExpired(hoursFromNow(50))).toBe(1);
+    });
+
+    test('middleware should run the handler once and replay its response to a retry', async () => {
+        setIdempotencyService(idempotencyService);
+        const handler = jest.fn((req, res) => res.status(201).json({ success: true, count: handler.mock.calls.length }));
+
+        const send = () => new Promise((resolve) => {
+            const req = {
+                method: 'POST',
+                originalUrl: '/api/payments/charge',
+                body: { rentalId: 5 },
+                user: { id: '1' },
+                get: (name) => (name === 'Idempotency-Key' ? 'charge-5' : undefined)
+            };
+            const res = {
+                statusCode: 200,
+                headers: {},
+                status(code) { this.statusCode = code; return this; },
+                set(name, value) { this.headers[name] = value; return this; },
+                on: () => {},
+                json(body) { resolve({ status: this.statusCode, body, headers: this.headers }); return this; }
+            };
+            idempotent(req, res, () => handler(req, res));
+        });
+
+        const first = await send();
+        const retry = await send();
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(first).toMatchObject({ status: 201, body: { success: true, count: 1 } });
+        expect(retry).toEqual({ status: 201, body: { success: true, count: 1 }, headers: { 'Idempotent-Replayed': 'true' } });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for LoyaltyService
+ * Consolidated tests - evaluating the seeded tiers and rule types, validating tier edits, previewing their effect, demotion grace periods and progress to the next tier
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const LoyaltyService = require('../../services/loyaltyService');
+
+describe('LoyaltyService Unit Tests', () => {
+    let db;
+    let loyaltyService;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const addTrips = async (userId, count, daysAgo, totalCost = 2) => {
+        for (let i = 0; i < count; i++) {
+            await query(
+                "INSERT INTO rentals (user_id, bike_id, station_id, start_time, status, total_cost) VALUES (?, 'BIKE001', 'STN001', ?, 'completed', ?)",
+                [userId, new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(), totalCost]
+            );
+        }
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        for (const [id, username, tier] of [[1, 'ada', 'bronze'], [2, 'bob', 'entry'], [3, 'cy', 'entry']]) {
+            await query("INSERT INTO users (id, username, password, role, loyalty_tier) VALUES (?, ?, 'x', 'rider', ?)", [id, username, tier]);
+        }
+        loyaltyService = new LoyaltyService(db);
+        await loyaltyService.loadTiers();
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should evaluate the seeded tiers and their benefits', async () => {
+        expect(loyaltyService.listTiers().map(tier => tier.id)).toEqual(['entry', 'bronze', 'silver', 'gold']);
+        expect(loyaltyService.getTierBenefits('silver')).toEqual({ discountPercentage: 10, reservationExtensionMinutes: 2 });
+        expect(loyaltyService.getTierBenefits('unknown')).toEqual({ discountPercentage: 0, reservationExtensionMinutes: 0 });
+
+        await addTrips(1, 10, 5);
+        await addTrips(2, 9, 5);
+        expect(await loyaltyService.calculateUserTier(1)).toBe('bronze');
+        expect(await loyaltyService.calculateUserTier(2)).toBe('entry');
+
+        // A missed reservation fails Bronze, and every tier above it
+        await query("INSERT INTO reservations (user_id, bike_id, status, expires_at) VALUES (1, 1, 'expired', ?)", [new Date().toISOString()]);
+        expect(await loyaltyService.calculateUserTier(1)).toBe('entry');
+
+        const spend = await loyaltyService.evaluateRule(2, { type: 'spend', min: 18, months: 12 });
+        expect(spend).toMatchObject({ value: 18, passed: true });
+    });
+
+    test('should validate tier edits', async () => {
+        await expect(loyaltyService.updateTier('platinum', {}, 9)).rejects.toMatchObject({ code: 'TIER_NOT_FOUND' });
+        await expect(loyaltyService.updateTier('bronze', { discountPercentage: 120 }, 9)).rejects.toMatchObject({ code: 'INVALID_DISCOUNT' });
+        await expect(loyaltyService.updateTier('bronze', { reservationExtensionMinutes: 1.5 }, 9)).rejects.toMatchObject({ code: 'INVALID_EXTENSION' });
+        await expect(loyaltyService.updateTier('bronze', { criteria: [{ type: 'streak', months: 1 }] }, 9)).rejects.toMatchObject({ code: 'INVALID_RULE' });
+        await expect(loyaltyService.updateTier('bronze', { criteria: [{ type: 'trips', per: 'day', min: 1, months: 1, periods: 3 }] }, 9)).rejects.toMatchObject({ code: 'INVALID_RULE' });
+        await expect(loyaltyService.updateTier('entry', { criteria: [{ type: 'trips', min: 1, months: 1 }] }, 9)).rejects.toMatchObject({ code: 'INVALID_RULE' });
+
+        const tier = await loyaltyService.updateTier('bronze', {
+            discountPercentage: 7,
+            criteria: [{ type: 'spend', min: 10, months: 6, extra: true }]
+        }, 9);
+        expect(tier).toMatchObject({ name: 'Bronze', discountPercentage: 7, criteria: [{ type: 'spend', min: 10, months: 6 }], updatedBy: 9 });
+        expect(loyaltyService.getTierBenefits('bronze').discountPercentage).toBe(7);
+    });
+
+    test('should preview how many riders an edit would move without saving it', async () => {
+        await addTrips(1, 10, 5);
+        await addTrips(2, 12, 5);
+
+        const preview = await loyaltyService.previewTier('bronze', { criteria: [{ type: 'trips', min: 11, months: 12 }] });
+        expect(preview).toMatchObject({ totalChecked: 3, wouldChange: 2, promoted: 1, demoted: 1, byTier: { entry: 2, bronze: 1, silver: 0, gold: 0 } });
+        expect(preview.changes).toEqual([
+            { userId: 1, username: 'ada', currentTier: 'bronze', newTier: 'entry' },
+            { userId: 2, username: 'bob', currentTier: 'entry', newTier: 'bronze' }
+        ]);
+
+        expect(loyaltyService.getTier('bronze').criteria).toContainEqual({ type: 'trips', min: 10, months: 12 });
+        expect(await query("SELECT loyalty_tier FROM users ORDER BY id")).toEqual([{ loyalty_tier: 'bronze' }, { loyalty_tier: 'entry' }, { loyalty_tier: 'entry' }]);
+    });
+
+    test('should warn before demoting and record the deciding rule in the history', async () => {
+        const now = new Date();
+        const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+        await addTrips(2, 10, 5);
+
+        const nightly = await loyaltyService.checkAllUsersTiers({ source: 'nightly', now });
+        expect(nightly).toMatchObject({ totalChecked: 3, tierChanges: 1, warnings: 1, failed: 0 });
+
+        // ada (bronze) has no trips: warned, keeps bronze for 14 days
+        const warned = nightly.changes.find(change => change.userId === 1);
+        expect(warned).toMatchObject({ oldTier: 'bronze', newTier: 'bronze', tierChanged: false, event: 'demotion_warning', demotionTo: 'entry' });
+        expect(warned.demotionDueAt).toBe(inDays(14).toISOString());
+        expect(nightly.changes.find(change => change.userId === 2)).toMatchObject({ newTier: 'bronze', event: 'promotion' });
+
+        expect(await loyaltyService.checkUserTier(1, { now: inDays(7) })).toMatchObject({ event: null, newTier: 'bronze', demotionTo: 'entry' });
+        expect(await loyaltyService.checkUserTier(1, { source: 'login', now: inDays(15) })).toMatchObject({ event: 'demotion', oldTier: 'bronze', newTier: 'entry', tierChanged: true, demotionDueAt: null });
+
+        const history = await query('SELECT user_id, old_tier, new_tier, event, source, rule FROM loyalty_history ORDER BY id');
+        expect(history.map(row => [row.user_id, row.old_tier, row.new_tier, row.event, row.source])).toEqual([
+            [1, 'bronze', 'entry', 'demotion_warning', 'nightly'],
+            [2, 'entry', 'bronze', 'promotion', 'nightly'],
+            [1, 'bronze', 'entry', 'demotion', 'login']
+        ]);
+        expect(JSON.parse(history[0].rule)).toEqual({ tier: 'bronze', rule: { type: 'trips', min: 10, months: 12 }, value: 0 });
+        expect(JSON.parse(history[1].rule).rules).toContainEqual({ rule: { type: 'trips', min: 10, months: 12 }, value: 10 });
+
+        // bob drops below bronze, then meets it again within the grace period
+        await query('UPDATE rentals SET status = ? WHERE user_id = 2', ['cancelled']);
+        expect((await loyaltyService.checkUserTier(2, { now })).event).toBe('demotion_warning');
+        await query('UPDATE rentals SET status = ? WHERE user_id = 2', ['completed']);
+        expect(await loyaltyService.checkUserTier(2, { now: inDays(1) })).toMatchObject({ event: 'demotion_cancelled', newTier: 'bronze', demotionDueAt: null });
+
+        // Without a grace period demotions apply at once
+        const immediate = new LoyaltyService(db, { demotionGraceDays: 0 });
+        await immediate.loadTiers();
+        await query('UPDATE rentals SET status = ? WHERE user_id = 2', ['cancelled']);
+        expect(await immediate.checkUserTier(2, { now })).toMatchObject({ event: 'demotion', newTier: 'entry' });
+    });
+
+    test('should report progress towards the next tier rule by rule', async () => {
+        await addTrips(1, 8, 5);
+        await addTrips(1, 6, 40);
+
+        const progress = await loyaltyService.getTierProgress(1);
+        expect(progress).toMatchObject({ currentTier: 'bronze', nextTier: { id: 'silver', name: 'Silver', discountPercentage: 10 } });
+        expect(progress.criteria.map(({ tier, label, passed, percent }) => [tier, label, passed, percent])).toEqual([
+            ['bronze', '0 missed reservation(s) in the last 12 months (at most 0)', true, 100],
+            ['bronze', '14/10 trips in the last 12 months', true, 100],
+            ['silver', '14/5 successful claims in the last 12 months', true, 100],
+            ['silver', 'Months meeting the 5-trip minimum: 2/3', false, 67]
+        ]);
+
+        // Riders at the top tier see what they need to keep it
+        await query("UPDATE users SET loyalty_tier = 'gold' WHERE id = 1");
+        const top = await loyaltyService.getTierProgress(1);
+        expect(top.nextTier).toBeNull();
+        expect(top.criteria[top.criteria.length - 1]).toMatchObject({ tier: 'gold', label: 'Weeks meeting the 5-trip minimum: 2/12', current: 2, target: 12, passed: false });
+        await expect(loyaltyService.getTierProgress(99)).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for MigrationService
+ * Consolidated tests - runs the real migrations against an in-memory database
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+
+describe('MigrationService Unit Tests', () => {
+    let db;
+    let migrationService;
+
+    const tableNames = () => migrationService.schema
+        .all("SELECT name FROM sqlite_master WHERE type = 'table'")
+        .then(rows => rows.map(row => row.name));
+
+    beforeEach(() => {
+        db = new sqlite3.Database(':memory:');
+        migrationService = new MigrationService(db);
+    });
+
+    afterEach((done) => {
+        db.close(done);
+    });
+
+    test('should apply pending migrations once and record them', async () => {
+        const applied = await migrationService.up();
+        expect(applied.length).toBeGreaterThan(0);
+
+        const tables = await tableNames();
+        expect(tables).toEqual(expect.arrayContaining(['users', 'rentals', 'payments', 'damage_reports', 'schema_migrations']));
+        expect(await migrationService.schema.hasColumn('rentals', 'end_station_id')).toBe(true);
+
+        // Re-running is a no-op
+        expect(await migrationService.up()).toHaveLength(0);
+
+        const status = await migrationService.status();
+        expect(status.every(migration => migration.applied)).toBe(true);
+    });
+
+    test('should adopt a legacy database that already has some columns', async () => {
+        // Legacy rentals table with end_station_id added by the old ALTER TABLE calls
+        await migrationService.schema.run('CREATE TABLE rentals (id INTEGER PRIMARY KEY, end_station_id TEXT)');
+
+        await migrationService.up();
+
+        expect(await migrationService.schema.hasColumn('rentals', 'station_id')).toBe(true);
+        expect(await migrationService.schema.hasColumn('rentals', 'end_station_id')).toBe(true);
+    });
+
+    test('should roll back the most recent migration', async () => {
+        await migrationService.up();
+        const before = await migrationService.status();
+        const last = before[before.length - 1];
+
+        const rolledBack = await migrationService.down();
+        expect(rolledBack.map(migration => migration.version)).toEqual([last.version]);
+
+        const after = await migrationService.status();
+        expect(after.find(migration => migration.version === last.version).applied).toBe(false);
+        expect(after.filter(migration => migration.applied)).toHaveLength(before.length - 1);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit Tests for password hashing helpers
+ * Consolidated tests - one test per helper
+ */
+
+const { hashPassword, verifyPassword, needsRehash, isHashed } = require('../../utils/password');
+
+describe('Password Hashing Unit Tests', () => {
+
+    test('should hash passwords with a random salt', async () => {
+        const first = await hashPassword('secret');
+        const second = await hashPassword('secret');
+
+        expect(isHashed(first)).toBe(true);
+        expect(first.startsWith('scrypt$')).toBe(true);
+        expect(first).not.toContain('secret');
+        expect(first).not.toBe(second); // Different salts
+    });
+
+    test('should verify hashed and legacy plaintext passwords', async () => {
+        const stored = await hashPassword('secret');
+
+        expect(await verifyPassword('secret', stored)).toBe(true);
+        expect(await verifyPassword('wrong', stored)).toBe(false);
+
+        // Legacy plaintext rows still verify so they can be rehashed on login
+        expect(await verifyPassword('legacy', 'legacy')).toBe(true);
+        expect(await verifyPassword('wrong', 'legacy')).toBe(false);
+
+        // Missing or malformed values never verify
+        expect(await verifyPassword('secret', null)).toBe(false);
+        expect(await verifyPassword('secret', 'scrypt$broken')).toBe(false);
+    });
+
+    test('should flag plaintext and outdated hashes for rehash', async () => {
+        const stored = await hashPassword('secret');
+
+        expect(needsRehash(stored)).toBe(false);
+        expect(needsRehash('plaintext')).toBe(true);
+        expect(needsRehash(stored.replace(/^scrypt\$\d+\$/, 'scrypt$1024$'))).toBe(true);
+    });
+});
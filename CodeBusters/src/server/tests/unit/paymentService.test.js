@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for PaymentService
+ * Consolidated tests - charging through the mock gateway, rental holds, sales tax, declines and timeouts, retries and refunds
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const PaymentService = require('../../services/paymentService');
+const MockPaymentGateway = require('../../services/mockPaymentGateway');
+const FlexDollarsService = require('../../src/services/flexDollarsService');
+const TaxService = require('../../services/taxService');
+
+describe('PaymentService Unit Tests', () => {
+    let db;
+    let paymentService;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const flexBalance = async () => (await query('SELECT flex_dollars FROM users WHERE id = 1'))[0].flex_dollars;
+    const card = (number) => ({ number, expiryDate: '12/29', holderName: 'Test Rider' });
+
+    const rental = { id: 10, user_id: 1, total_cost: 5 };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        await query("INSERT INTO users (id, username, password, role, flex_dollars) VALUES (1, 'rider', 'x', 'rider', 1)");
+        await query(`INSERT INTO payment_methods (user_id, card_number_last4, card_holder_name, expiry_date, is_default, gateway, gateway_token)
+            VALUES (1, '4242', 'Test Rider', '12/29', 1, 'mock', 'mock_approve_4242')`);
+        paymentService = new PaymentService(db, new MockPaymentGateway(), new FlexDollarsService(db), { timeoutMs: 20 });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+        db.close(done);
+    });
+
+    test('should apply flex dollars, capture the rest on the saved card and not charge twice', async () => {
+        const { payment, alreadyPaid } = await paymentService.chargeRental(rental);
+        expect(alreadyPaid).toBe(false);
+        expect(payment).toMatchObject({
+            status: 'captured', flex_dollars_applied: 1, amount_due_after_flex: 4, card_last4: '4242', gateway: 'mock'
+        });
+        expect(payment.gateway_reference).toMatch(/^mock_cap_/);
+        expect(await flexBalance()).toBe(0);
+
+        const again = await paymentService.chargeRental(rental);
+        expect(again).toMatchObject({ alreadyPaid: true, payment: { id: payment.id } });
+        expect(await query('SELECT id FROM payments WHERE rental_id = 10')).toHaveLength(1);
+    });
+
+    test('should tax what is left after flex dollars and store each tax on the payment', async () => {
+        const taxed = new PaymentService(db, new MockPaymentGateway(), new FlexDollarsService(db), {
+            timeoutMs: 20, taxService: new TaxService(db, { jurisdiction: 'QC' })
+        });
+        // $5 - $1 flex dollars = $4, + GST $0.20 + QST $0.40
+        const { payment } = await taxed.chargeRental(rental);
+        expect(payment).toMatchObject({
+            status: 'captured', amount: 5, flex_dollars_applied: 1, amount_due_after_flex: 4.6, tax_jurisdiction: 'QC', tax_amount: 0.6
+        });
+        expect(PaymentService.formatPayment(payment).taxes).toMatchObject({
+            taxableAmount: 4,
+            total: 0.6,
+            lines: [{ code: 'GST', amount: 0.2 }, { code: 'QST', amount: 0.4 }]
+        });
+    });
+
+    test('should fail declined, underfunded and unanswered cards, give flex dollars back and allow a retry', async () => {
+        const declined = await paymentService.chargeRental(rental, { card: card('4000 0000 0000 0002') });
+        expect(declined.payment).toMatchObject({ status: 'failed', failure_code: 'card_declined', card_last4: '0002' });
+        expect(await flexBalance()).toBe(1);
+
+        const underfunded = await paymentService.chargeRental(rental, { card: card('4000000000009995') });
+        expect(underfunded.payment).toMatchObject({ status: 'failed', failure_code: 'insufficient_funds' });
+
+        const timedOut = await paymentService.chargeRental(rental, { card: card('4000000000000119') });
+        expect(timedOut.payment).toMatchObject({ status: 'failed', failure_code: 'gateway_timeout' });
+        expect(await flexBalance()).toBe(1);
+
+        const retry = await paymentService.chargeRental(rental, { card: card('5555555555554444') });
+        expect(retry.payment).toMatchObject({ status: 'captured', card_last4: '4444', amount_due_after_flex: 4 });
+        expect(await flexBalance()).toBe(0);
+
+        const statuses = await query('SELECT status FROM payments WHERE rental_id = 10 ORDER BY id');
+        expect(statuses.map(row => row.status)).toEqual(['failed', 'failed', 'failed', 'captured']);
+    });
+
+    test('should hold the default card when a rental starts and capture the final cost from it', async () => {
+        const hold = await paymentService.placeRentalHold(1, 20);
+        expect(hold).toMatchObject({ amount: 20, last4: '4242' });
+        expect(hold.authorizationId).toMatch(/^mock_auth_/);
+        expect(await paymentService.attachRentalHold(rental, hold)).toMatchObject({ status: 'authorized', authorized_amount: 20 });
+
+        // $1 flex dollars, then $4 captured from the hold
+        const payment = await paymentService.captureRentalHold(rental);
+        expect(payment).toMatchObject({ status: 'captured', amount: 5, flex_dollars_applied: 1, amount_due_after_flex: 4 });
+        expect(await paymentService.captureRentalHold(rental)).toBeNull();
+        const again = await paymentService.chargeRental(rental);
+        expect(again.alreadyPaid).toBe(true);
+
+        // A trip costing more than the hold is re-authorized for the full amount
+        const longTrip = { id: 11, user_id: 1, total_cost: 35 };
+        await paymentService.attachRentalHold(longTrip, await paymentService.placeRentalHold(1, 20));
+        expect(await paymentService.captureRentalHold(longTrip)).toMatchObject({ status: 'captured', authorized_amount: 35, amount_due_after_flex: 35 });
+
+        // Flex dollars covering everything release the hold
+        await query('UPDATE users SET flex_dollars = 10 WHERE id = 1');
+        const covered = { id: 12, user_id: 1, total_cost: 3 };
+        await paymentService.attachRentalHold(covered, await paymentService.placeRentalHold(1, 20));
+        expect(await paymentService.captureRentalHold(covered)).toMatchObject({ status: 'captured', method: 'flex_dollars', amount_due_after_flex: 0 });
+    });
+
+    test('should refuse a hold on a declined card and leave a failed capture unpaid for a retry', async () => {
+        await query("UPDATE payment_methods SET gateway_token = 'mock_decline_0002' WHERE user_id = 1");
+        await expect(paymentService.placeRentalHold(1)).rejects.toMatchObject({ code: 'card_declined' });
+
+        await query("UPDATE payment_methods SET gateway_token = 'mock_approve_4242' WHERE user_id = 1");
+        await paymentService.attachRentalHold(rental, await paymentService.placeRentalHold(1, 20));
+        jest.spyOn(paymentService.gateway, 'capture').mockRejectedValueOnce(new Error('provider down'));
+        expect(await paymentService.captureRentalHold(rental)).toMatchObject({ status: 'failed', failure_code: 'provider_error' });
+        expect(await flexBalance()).toBe(1);
+
+        const retry = await paymentService.chargeRental(rental);
+        expect(retry.payment).toMatchObject({ status: 'captured', amount_due_after_flex: 4 });
+    });
+
+    test('should only refund captured card amounts, partially and then in full', async () => {
+        const { payment } = await paymentService.chargeRental(rental);
+
+        const partial = await paymentService.refundPayment(payment.id, 1.5);
+        expect(partial).toMatchObject({ status: 'captured', refunded_amount: 1.5 });
+
+        await expect(paymentService.refundPayment(payment.id, 3)).rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+        expect(await paymentService.refundPayment(payment.id)).toMatchObject({ status: 'refunded', refunded_amount: 4 });
+        await expect(paymentService.refundPayment(payment.id)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE' });
+
+        // Illegal transitions are refused
+        await expect(paymentService.capturePayment(payment.id, 4)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE' });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for PricingService
+ * Consolidated tests - runs against the seeded pricing plans in an in-memory database
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const PricingService = require('../../services/pricingService');
+
+describe('PricingService Unit Tests', () => {
+    let db;
+    let pricingService;
+
+    const START = '2024-01-01T10:00:00Z';
+    const minutesLater = (minutes) => new Date(new Date(START).getTime() + minutes * 60 * 1000).toISOString();
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+        await new Promise((resolve, reject) => {
+            db.run("INSERT INTO users (id, username, password, role) VALUES (1, 'rider', 'x', 'rider')", err => err ? reject(err) : resolve());
+        });
+        pricingService = new PricingService(db);
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should price rentals with the default plan', async () => {
+        const plan = await pricingService.getDefaultPlan();
+
+        // Standard $0.10/min, e-bike adds a $0.15/min surcharge; partial minutes round up
+        expect(pricingService.calculateCost(plan, START, minutesLater(30), 'standard').totalCost).toBe(3.00);
+        expect(pricingService.calculateCost(plan, START, minutesLater(30), 'e-bike').totalCost).toBe(7.50);
+        expect(pricingService.calculateCost(plan, START, minutesLater(0.5), 'standard').totalCost).toBe(0.10);
+
+        // Base fee is added once per ride
+        const withBaseFee = { ...plan, baseFee: 1.00 };
+        expect(pricingService.calculateCost(withBaseFee, START, minutesLater(10), 'standard').totalCost).toBe(2.00);
+    });
+
+    test('should stop the fare growing at the daily cap for each started day', async () => {
+        const plan = await pricingService.getDefaultPlan();
+        const capped = new PricingService(db, { dailyFareCap: 15 });
+
+        expect(capped.calculateCost(plan, START, minutesLater(100), 'e-bike')).toMatchObject({ totalCost: 15, fareCapped: true });
+        expect(capped.calculateCost(plan, START, minutesLater(30), 'e-bike')).toMatchObject({ totalCost: 7.50, fareCapped: false });
+        // A second day of riding can add up to one more cap
+        expect(capped.calculateCost(plan, START, minutesLater(26 * 60), 'standard')).toMatchObject({ totalCost: 30, fareCap: 30 });
+        expect(capped.rentalBreakdown({
+            start_time: START, end_time: minutesLater(300), bike_type: 'standard', rate_per_minute: 0.1, billable_minutes: 300, base_fee: 0
+        }).totalCost).toBe(15);
+    });
+
+    test('should price with the subscribed plan and fall back after cancelling', async () => {
+        const subscription = await pricingService.subscribe(1, 'pro_rider');
+        expect(subscription.plan.id).toBe('pro_rider');
+
+        // 60 included minutes, then $0.10/min plus $0.10/min e-bike surcharge
+        const covered = await pricingService.priceRental(1, START, minutesLater(45), 'e-bike');
+        expect(covered.totalCost).toBe(0);
+        const over = await pricingService.priceRental(1, START, minutesLater(70), 'e-bike');
+        expect(over.billableMinutes).toBe(10);
+        expect(over.totalCost).toBe(2.00);
+
+        await expect(pricingService.subscribe(1, 'pro_rider')).rejects.toMatchObject({ code: 'ALREADY_SUBSCRIBED' });
+        await expect(pricingService.subscribe(1, 'no_such_plan')).rejects.toMatchObject({ code: 'PLAN_NOT_FOUND' });
+
+        await pricingService.cancelSubscription(1);
+        expect(await pricingService.getActiveSubscription(1)).toBeNull();
+        expect((await pricingService.priceRental(1, START, minutesLater(45), 'standard')).planId).toBe('payg');
+        await expect(pricingService.cancelSubscription(1)).rejects.toMatchObject({ code: 'NO_ACTIVE_SUBSCRIPTION' });
+    });
+});
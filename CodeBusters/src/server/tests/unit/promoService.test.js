@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for PromoService
+ * Consolidated tests - creating and redeeming promo codes with their limits, percentage codes at return, and referrals
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const PricingService = require('../../services/pricingService');
+const PromoService = require('../../services/promoService');
+const FlexDollarsService = require('../../src/services/flexDollarsService');
+
+describe('PromoService Unit Tests', () => {
+    let db;
+    let promoService;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const flexBalance = async (userId) => (await query('SELECT flex_dollars FROM users WHERE id = ?', [userId]))[0].flex_dollars;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        for (const [id, username] of [[1, 'ada'], [2, 'bob'], [3, 'cy'], [9, 'ops']]) {
+            await query("INSERT INTO users (id, username, password, role, flex_dollars) VALUES (?, ?, 'x', ?, 0)", [id, username, id === 9 ? 'operator' : 'rider']);
+        }
+        promoService = new PromoService(db, new FlexDollarsService(db), new PricingService(db), { referralCredit: 5 });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should validate new codes and credit fixed-amount codes within their limits', async () => {
+        await expect(promoService.createPromoCode({ code: 'x', discountType: 'amount', value: 5 }, 9)).rejects.toMatchObject({ code: 'INVALID_CODE' });
+        await expect(promoService.createPromoCode({ code: 'HALF', discountType: 'percent', value: 150 }, 9)).rejects.toMatchObject({ code: 'INVALID_VALUE' });
+        await expect(promoService.createPromoCode({ code: 'PLAN', discountType: 'amount', value: 5, planIds: ['nope'] }, 9)).rejects.toMatchObject({ code: 'INVALID_PLAN' });
+
+        const welcome = await promoService.createPromoCode({ code: ' welcome5 ', discountType: 'amount', value: 5, maxRedemptions: 2 }, 9);
+        expect(welcome).toMatchObject({ code: 'WELCOME5', maxRedemptions: 2, maxRedemptionsPerUser: 1, planIds: null, active: true });
+        await expect(promoService.createPromoCode({ code: 'WELCOME5', discountType: 'amount', value: 1 }, 9)).rejects.toMatchObject({ code: 'CODE_EXISTS' });
+
+        expect(await promoService.redeem(1, 'welcome5')).toMatchObject({ type: 'promo', status: 'credited', amount: 5, newBalance: 5 });
+        await expect(promoService.redeem(1, 'WELCOME5')).rejects.toMatchObject({ code: 'PROMO_ALREADY_REDEEMED' });
+        await promoService.redeem(2, 'WELCOME5');
+        await expect(promoService.redeem(3, 'WELCOME5')).rejects.toMatchObject({ code: 'PROMO_EXHAUSTED' });
+        expect((await promoService.listPromoCodes())[0].redemptions).toBe(2);
+
+        const transactions = await query("SELECT user_id, amount, transaction_type FROM flex_dollars_transactions ORDER BY id");
+        expect(transactions).toEqual([
+            { user_id: 1, amount: 5, transaction_type: 'promo' },
+            { user_id: 2, amount: 5, transaction_type: 'promo' }
+        ]);
+
+        await promoService.createPromoCode({ code: 'OLD', discountType: 'amount', value: 1, expiresAt: '2020-01-01T00:00:00Z' }, 9);
+        await expect(promoService.redeem(3, 'OLD')).rejects.toMatchObject({ code: 'PROMO_EXPIRED' });
+        const off = await promoService.createPromoCode({ code: 'OFF', discountType: 'amount', value: 1 }, 9);
+        await promoService.setPromoCodeActive(off.id, false);
+        await expect(promoService.redeem(3, 'OFF')).rejects.toMatchObject({ code: 'PROMO_INACTIVE' });
+        await expect(promoService.redeem(3, 'NOSUCHCODE')).rejects.toMatchObject({ code: 'PROMO_NOT_FOUND' });
+    });
+
+    test('should hold percentage codes until the next trip on an eligible plan', async () => {
+        await promoService.createPromoCode({ code: 'MEMBERS', discountType: 'percent', value: 50, planIds: ['pro_rider'] }, 9);
+        await expect(promoService.redeem(1, 'MEMBERS')).rejects.toMatchObject({ code: 'PLAN_NOT_ELIGIBLE' });
+
+        await promoService.createPromoCode({ code: 'HALF', discountType: 'percent', value: 50, maxDiscount: 3 }, 9);
+        expect(await promoService.redeem(1, 'HALF')).toMatchObject({ status: 'pending', amount: null });
+        await promoService.createPromoCode({ code: 'TENOFF', discountType: 'percent', value: 10 }, 9);
+        await expect(promoService.redeem(1, 'TENOFF')).rejects.toMatchObject({ code: 'PROMO_PENDING' });
+
+        // 50% of $8 is capped at $3, credited once
+        expect(await promoService.applyPendingPromo({ id: 20, user_id: 1, total_cost: 8, pricing_plan_id: 'payg' }))
+            .toMatchObject({ code: 'HALF', amount: 3, newBalance: 3 });
+        expect(await promoService.applyPendingPromo({ id: 21, user_id: 1, total_cost: 8, pricing_plan_id: 'payg' })).toBeNull();
+        expect(await query('SELECT status, amount, rental_id FROM promo_redemptions')).toEqual([{ status: 'credited', amount: 3, rental_id: 20 }]);
+    });
+
+    test('should credit both riders once after the referred rider\'s first trip', async () => {
+        const code = await promoService.getReferralCode(1);
+        expect(code).toMatch(/^R[0-9A-F]{8}$/);
+        expect(await promoService.getReferralCode(1)).toBe(code);
+
+        await expect(promoService.redeem(1, code)).rejects.toMatchObject({ code: 'OWN_REFERRAL_CODE' });
+        expect(await promoService.redeem(2, code.toLowerCase())).toMatchObject({ type: 'referral', referrer: 'ada', status: 'pending', amount: 5 });
+        await expect(promoService.redeem(2, code)).rejects.toMatchObject({ code: 'ALREADY_REFERRED' });
+
+        await query("INSERT INTO rentals (id, user_id, bike_id, station_id, start_time, status) VALUES (30, 3, 'BIKE001', 'STN001', '2024-01-01', 'completed')");
+        await expect(promoService.redeem(3, code)).rejects.toMatchObject({ code: 'NOT_NEW_RIDER' });
+
+        expect(await promoService.creditReferral(2, 31)).toEqual({ referrerId: 1, amount: 5 });
+        expect(await promoService.creditReferral(2, 32)).toBeNull();
+        expect([await flexBalance(1), await flexBalance(2)]).toEqual([5, 5]);
+        expect(await query("SELECT COUNT(*) AS count FROM flex_dollars_transactions WHERE transaction_type = 'referral'")).toEqual([{ count: 2 }]);
+
+        const summary = await promoService.getReferralSummary(1);
+        expect(summary).toMatchObject({ code, creditAmount: 5, referredBy: null, referrals: [{ username: 'bob', status: 'credited' }] });
+        expect((await promoService.getReferralSummary(2)).referredBy).toEqual({ username: 'ada', status: 'credited' });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for RebalancingService
+ * Consolidated tests - targets, flow-adjusted plans, van routes and batch execution
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const RebalancingService = require('../../services/rebalancingService');
+
+describe('RebalancingService Unit Tests', () => {
+    let db;
+    let bmsManager;
+    let rebalancingService;
+
+    const NOW = new Date('2024-06-01T12:00:00Z');
+    const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    // Three stations on an east-west line, ~0.8 km apart; capacity 10, default target 5
+    const station = (id, longitude, bikeCount) => ({
+        id,
+        name: `Station ${id}`,
+        latitude: 45.5,
+        longitude,
+        capacity: 10,
+        isOutOfService: false,
+        numberOfBikesDocked: bikeCount,
+        bikes: Array.from({ length: bikeCount }, (_, i) => ({ id: `${id}-B${i + 1}`, status: 'available' }))
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        const stations = [station('WEST', -73.60, 9), station('MID', -73.59, 5), station('EAST', -73.58, 1)];
+        for (const s of stations) {
+            await query('INSERT INTO stations (id, name, status, latitude, longitude, capacity) VALUES (?, ?, ?, ?, ?, ?)',
+                [s.id, s.name, 'occupied', s.latitude, s.longitude, s.capacity]);
+            for (const bike of s.bikes) {
+                await query("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES (?, 'standard', 'available', ?)",
+                    [bike.id, s.id]);
+            }
+        }
+
+        bmsManager = {
+            listAllStations: () => stations,
+            manualMoveBike: jest.fn(() => ({ success: true }))
+        };
+        rebalancingService = new RebalancingService(db, bmsManager);
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should use default targets until an operator sets one within capacity', async () => {
+        const targets = await rebalancingService.getTargets();
+        expect(targets.map(t => t.targetBikes)).toEqual([5, 5, 5]);
+
+        await expect(rebalancingService.setTarget('MID', 11, 1)).rejects.toMatchObject({ code: 'INVALID_TARGET' });
+        await expect(rebalancingService.setTarget('NOPE', 3, 1)).rejects.toMatchObject({ code: 'STATION_NOT_FOUND' });
+
+        expect(await rebalancingService.setTarget('MID', 8, 1)).toMatchObject({ targetBikes: 8, isCustom: true });
+        expect(await rebalancingService.setTarget('MID', null, 1)).toMatchObject({ targetBikes: 5, isCustom: false });
+    });
+
+    test('should move surplus bikes to the emptiest stations along a west-to-east route', async () => {
+        // EAST had 6 more departures than arrivals in the last 3 hours: +2 bikes over the next hour
+        for (let i = 0; i < 6; i++) {
+            await query("INSERT INTO rentals (user_id, bike_id, start_time, status, station_id) VALUES (1, 'X', ?, 'active', 'EAST')",
+                [hoursAgo(1)]);
+        }
+        // Departures outside the flow window are ignored
+        await query("INSERT INTO rentals (user_id, bike_id, start_time, status, station_id) VALUES (1, 'X', ?, 'active', 'MID')",
+            [hoursAgo(5)]);
+
+        const plan = await rebalancingService.buildPlan(NOW);
+
+        expect(plan.stations.find(s => s.stationId === 'EAST')).toMatchObject({ departures: 6, desiredBikes: 7 });
+        expect(plan.stations.find(s => s.stationId === 'MID')).toMatchObject({ departures: 0, desiredBikes: 5 });
+        // WEST has 4 spare bikes, EAST needs 6: all four go, MID is already on target
+        expect(plan.moves).toEqual([expect.objectContaining({
+            order: 1, fromStationId: 'WEST', toStationId: 'EAST', bikeCount: 4,
+            bikeIds: ['WEST-B1', 'WEST-B2', 'WEST-B3', 'WEST-B4']
+        })]);
+        expect(plan.route.map(stop => [stop.stationId, stop.pickUp, stop.dropOff])).toEqual([['WEST', 4, 0], ['EAST', 0, 4]]);
+        expect(plan.totalDistanceKm).toBeCloseTo(1.56, 1);
+    });
+
+    test('should only pick up before dropping off when ordering the van route', () => {
+        const at = (id, longitude) => ({ id, name: id, latitude: 45.5, longitude });
+        const route = RebalancingService.orderRoute([
+            { fromStation: at('A', -73.60), toStation: at('B', -73.59), bikeCount: 2 },
+            // C is the closest stop to B but needs D's bikes first
+            { fromStation: at('D', -73.50), toStation: at('C', -73.58), bikeCount: 1 }
+        ]);
+
+        expect(route.map(stop => stop.stationId)).toEqual(['A', 'B', 'D', 'C']);
+    });
+
+    test('should run accepted moves and skip bikes that are no longer available', async () => {
+        await query("UPDATE r_bms_bikes SET status = 'reserved' WHERE id = 'WEST-B2'");
+
+        await expect(rebalancingService.executePlan([], 7)).rejects.toMatchObject({ code: 'INVALID_PLAN' });
+
+        const result = await rebalancingService.executePlan([
+            { fromStationId: 'WEST', toStationId: 'EAST', bikeIds: ['WEST-B1', 'WEST-B2', 'MID-B1'] }
+        ], 7);
+
+        expect(result.movedCount).toBe(1);
+        expect(result.failedCount).toBe(2);
+        expect(result.stationIds).toEqual(['WEST', 'EAST']);
+        expect(bmsManager.manualMoveBike).toHaveBeenCalledTimes(1);
+        expect(bmsManager.manualMoveBike).toHaveBeenCalledWith('WEST-B1', 'WEST', 'EAST', 7);
+        const [moved] = await query("SELECT station_id FROM r_bms_bikes WHERE id = 'WEST-B1'");
+        expect(moved.station_id).toBe('EAST');
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for RouteService
+ * Consolidated tests - GPS tracking and route summaries against an in-memory database
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const RouteService = require('../../services/routeService');
+
+describe('RouteService Unit Tests', () => {
+    let db;
+    let routeService;
+
+    const START = new Date('2024-01-01T10:00:00Z').getTime();
+    const at = (minutes) => new Date(START + minutes * 60 * 1000).toISOString();
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+        await query(`INSERT INTO rentals (id, user_id, bike_id, start_time, status, station_id)
+                     VALUES (1, 1, 'BIKE001', '${at(0)}', 'active', 'STN001')`);
+        routeService = new RouteService(db);
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should only accept valid points from the rider of an active rental', async () => {
+        const point = { lat: 45.5, lng: -73.6, timestamp: at(1) };
+
+        await expect(routeService.addTrackPoints(1, 2, [point])).rejects.toMatchObject({ code: 'NOT_RENTAL_OWNER' });
+        await expect(routeService.addTrackPoints(99, 1, [point])).rejects.toMatchObject({ code: 'RENTAL_NOT_FOUND' });
+        await expect(routeService.addTrackPoints(1, 1, [])).rejects.toMatchObject({ code: 'INVALID_POINTS' });
+        await expect(routeService.addTrackPoints(1, 1, [{ lat: 120, lng: 0, timestamp: at(1) }]))
+            .rejects.toMatchObject({ code: 'INVALID_POINTS' });
+        await expect(routeService.addTrackPoints(1, 1, [{ lat: 45.5, lng: -73.6 }]))
+            .rejects.toMatchObject({ code: 'INVALID_POINTS' });
+
+        expect(await routeService.addTrackPoints(1, '1', [point])).toEqual({ accepted: 1, totalPoints: 1 });
+
+        await query("UPDATE rentals SET status = 'completed' WHERE id = 1");
+        await expect(routeService.addTrackPoints(1, 1, [point])).rejects.toMatchObject({ code: 'RENTAL_NOT_ACTIVE' });
+    });
+
+    test('should summarise distance, speed and a simplified polyline when the rental ends', async () => {
+        // 0.01° of latitude is ~1.11 km; ride north in two batches (sent out of order), then east
+        await routeService.addTrackPoints(1, 1, [
+            { lat: 45.52, lng: -73.6, timestamp: at(6) },
+            { lat: 45.51, lng: -73.6, timestamp: at(3) }
+        ]);
+        await routeService.addTrackPoints(1, 1, [
+            { lat: 45.50, lng: -73.6, timestamp: at(0) },
+            // GPS jump far away - ignored for distance
+            { lat: 46.5, lng: -73.6, timestamp: at(6.5) },
+            { lat: 45.52, lng: -73.59, timestamp: at(8) }
+        ]);
+
+        const summary = await routeService.summarizeRoute(1);
+
+        // 2.22 km north + ~0.78 km east
+        expect(summary.pointCount).toBe(5);
+        expect(summary.distanceKm).toBeCloseTo(3.0, 1);
+        expect(summary.averageSpeedKmh).toBeCloseTo(22.5, 0);
+        // The midpoint of the straight northbound leg is dropped
+        expect(summary.coordinates).not.toContainEqual([-73.6, 45.51]);
+        expect(summary.coordinates[0]).toEqual([-73.6, 45.50]);
+        expect(summary.coordinates[summary.coordinates.length - 1]).toEqual([-73.59, 45.52]);
+
+        await query("UPDATE rentals SET status = 'completed', end_time = ? WHERE id = 1", [at(8)]);
+        const route = await routeService.getRouteGeoJSON(1);
+        expect(route.type).toBe('Feature');
+        expect(route.geometry).toEqual({ type: 'LineString', coordinates: summary.coordinates });
+        expect(route.properties).toMatchObject({ rentalId: 1, distanceKm: summary.distanceKm, status: 'completed' });
+    });
+
+    test('should leave rentals without GPS points untracked', async () => {
+        expect(await routeService.summarizeRoute(1)).toBeNull();
+
+        const route = await routeService.getRouteGeoJSON(1);
+        expect(route.geometry.coordinates).toEqual([]);
+        expect(route.properties.distanceKm).toBeNull();
+    });
+});
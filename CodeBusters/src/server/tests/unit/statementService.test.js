@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for StatementService
+ * Consolidated tests - receipts for paid rentals, monthly statements and their PDF/CSV output
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const PricingService = require('../../services/pricingService');
+const StatementService = require('../../services/statementService');
+
+describe('StatementService Unit Tests', () => {
+    let db;
+    let statementService;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+
+        await query("INSERT INTO users (id, username, password, role, first_name, last_name, email) VALUES (1, 'rider', 'x', 'rider', 'Ada', 'Rider', 'ada@example.com')");
+        await query("INSERT INTO stations (id, name, status, latitude, longitude, capacity) VALUES ('STN001', 'Atwater (Market)', 'occupied', 45.5, -73.6, 10)");
+        await query("INSERT INTO stations (id, name, status, latitude, longitude, capacity) VALUES ('STN002', 'Berri-UQAM', 'occupied', 45.5, -73.6, 10)");
+        // 30 e-bike minutes at $0.25 = $7.50, charged $7.13 after a 5% tier discount: $1 flex dollars,
+        // then GST $0.31 and QST $0.61 on the remaining $6.13, so $7.05 on the card
+        await query(`INSERT INTO rentals (id, user_id, bike_id, station_id, end_station_id, start_time, end_time, status, total_cost,
+            bike_type, pricing_plan_id, base_fee, rate_per_minute, billable_minutes)
+            VALUES (10, 1, 'BIKE001', 'STN001', 'STN002', '2024-06-03T12:00:00.000Z', '2024-06-03T12:30:00.000Z', 'completed', 7.13,
+            'e-bike', 'payg', 0, 0.25, 30)`);
+        const taxLines = [
+            { code: 'GST', name: 'GST', rate: 0.05, registrationNumber: '123456789RT0001', amount: 0.31 },
+            { code: 'QST', name: 'QST', rate: 0.09975, registrationNumber: null, amount: 0.61 }
+        ];
+        await query(`INSERT INTO payments (id, rental_id, user_id, amount, flex_dollars_applied, amount_due_after_flex, method, status, card_last4, captured_at,
+            tax_jurisdiction, tax_amount, tax_lines)
+            VALUES (5, 10, 1, 7.13, 1, 7.05, 'card', 'captured', '4242', '2024-06-03T12:31:00.000Z', 'QC', 0.92, ?)`, [JSON.stringify(taxLines)]);
+        // Another month, and a failed attempt that has no receipt
+        await query(`INSERT INTO rentals (id, user_id, bike_id, station_id, start_time, end_time, status, total_cost)
+            VALUES (11, 1, 'BIKE002', 'STN002', '2024-07-01T08:00:00.000Z', '2024-07-01T08:10:00.000Z', 'completed', 1)`);
+        await query(`INSERT INTO payments (id, rental_id, user_id, amount, amount_due_after_flex, method, status, captured_at)
+            VALUES (6, 11, 1, 1, 1, 'card', 'captured', '2024-07-01T08:11:00.000Z')`);
+        await query(`INSERT INTO payments (id, rental_id, user_id, amount, amount_due_after_flex, method, status, failure_code)
+            VALUES (7, 11, 1, 1, 1, 'card', 'failed', 'card_declined')`);
+
+        statementService = new StatementService(db, new PricingService(db));
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should break a receipt down into fare, tier discount, tax, flex dollars and card charge', async () => {
+        const receipt = await statementService.getReceipt(5);
+        expect(receipt).toMatchObject({
+            rentalId: 10,
+            rider: 'Ada Rider',
+            bikeType: 'e-bike',
+            durationMinutes: 30,
+            from: { id: 'STN001', name: 'Atwater (Market)' },
+            to: { id: 'STN002', name: 'Berri-UQAM' },
+            fare: 7.5,
+            tierDiscount: 0.37,
+            tax: 0.92,
+            taxJurisdiction: 'QC',
+            total: 7.13,
+            flexDollarsApplied: 1,
+            cardCharged: 7.05,
+            cardLast4: '4242'
+        });
+
+        await expect(statementService.getReceipt(7)).rejects.toMatchObject({ code: 'RECEIPT_NOT_AVAILABLE' });
+        await expect(statementService.getReceipt(99)).rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND' });
+
+        const pdf = statementService.receiptPdf(receipt).toString('latin1');
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('(Loyalty tier discount)');
+        expect(pdf).toContain('(GST \\(5%\\) - No. 123456789RT0001)');
+        expect(pdf).toContain('(QST \\(9.975%\\))');
+        expect(pdf).toContain('(From Atwater \\(Market\\), 2024-06-03 12:00 UTC)');
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        expect(statementService.receiptCsv(receipt).split('\r\n')).toEqual(expect.arrayContaining([
+            '5,10,Total before tax,7.13', '5,10,Flex dollars applied,-1.00', '5,10,QST (9.975%),0.61', '5,10,Charged to card,7.05'
+        ]));
+    });
+
+    test('should list a month\'s payments with totals, as PDF and CSV', async () => {
+        const june = await statementService.getMonthlyStatement(1, '2024-06');
+        expect(june.lines.map(line => line.paymentId)).toEqual([5]);
+        expect(june.totals).toMatchObject({ trips: 1, fare: 7.5, tierDiscount: 0.37, tax: 0.92, total: 7.13, cardCharged: 7.05 });
+        expect((await statementService.getMonthlyStatement(1, '2024-07')).lines.map(line => line.paymentId)).toEqual([6]);
+        expect((await statementService.getMonthlyStatement(1, '2024-08')).lines).toEqual([]);
+
+        await expect(statementService.getMonthlyStatement(1, '2024-13')).rejects.toMatchObject({ code: 'INVALID_MONTH' });
+        await expect(statementService.getMonthlyStatement(42, '2024-06')).rejects.toMatchObject({ code: 'USER_NOT_FOUND' });
+
+        const csv = statementService.statementCsv(june).trimEnd().split('\r\n');
+        expect(csv[0]).toBe('Receipt,Paid at,Rental,Bike,Bike type,Start,End,From,To,Minutes,Fare,Tier discount,Flex dollars,Tax,Card charged,Refunded,Card');
+        expect(csv[1]).toContain(',Atwater (Market),Berri-UQAM,30,7.50,0.37,1.00,0.92,7.05,0.00,4242');
+        expect(csv[2]).toBe('Total,,,,,,,,,,7.50,0.37,1.00,0.92,7.05,0.00,');
+
+        const pdf = statementService.statementPdf(june).toString('latin1');
+        expect(pdf).toContain('/Count 1');
+        expect(pdf).toContain('(1 trip\\(s\\))');
+    });
+});
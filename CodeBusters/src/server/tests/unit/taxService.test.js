@@ -0,0 +1,57 @@
+/**
+ * Unit Tests for TaxService
+ * Consolidated tests - jurisdictions and their rates, per-tax rounding and taxes stored on payments
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const TaxService = require('../../services/taxService');
+
+describe('TaxService Unit Tests', () => {
+    let db;
+    let taxService;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+        taxService = new TaxService(db, { jurisdiction: 'QC' });
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should tax an amount with each rate of the jurisdiction, rounded separately', async () => {
+        const taxes = await taxService.calculateTaxes(7.13);
+        expect(taxes).toMatchObject({ jurisdiction: 'QC', taxableAmount: 7.13, total: 1.07 });
+        expect(taxes.lines.map(line => [line.code, line.amount])).toEqual([['GST', 0.36], ['QST', 0.71]]);
+
+        expect((await taxService.calculateTaxes(10, 'ON')).lines).toEqual([
+            { code: 'HST', name: 'HST', rate: 0.13, registrationNumber: null, amount: 1.3 }
+        ]);
+        expect(await taxService.calculateTaxes(10, 'XX')).toMatchObject({ lines: [], total: 0 });
+        expect((await taxService.calculateTaxes(-2)).total).toBe(0);
+
+        await query("UPDATE tax_rates SET active = 0 WHERE jurisdiction = 'QC' AND code = 'QST'");
+        expect((await taxService.calculateTaxes(10)).lines.map(line => line.code)).toEqual(['GST']);
+        expect((await taxService.listJurisdictions()).map(j => [j.jurisdiction, j.rates.length, j.current]))
+            .toEqual([['ON', 1, false], ['QC', 1, true]]);
+        expect(TaxService.formatPercent(0.09975)).toBe('9.975%');
+    });
+
+    test('should read the taxes stored on a payment, and none for older payments', () => {
+        const lines = [{ code: 'GST', name: 'GST', rate: 0.05, registrationNumber: '123456789RT0001', amount: 0.2 }];
+        expect(TaxService.paymentTaxes({
+            tax_jurisdiction: 'QC', tax_amount: 0.2, tax_lines: JSON.stringify(lines), amount_due_after_flex: 4.2
+        })).toEqual({ jurisdiction: 'QC', taxableAmount: 4, lines, total: 0.2 });
+
+        expect(TaxService.paymentTaxes({ amount_due_after_flex: 6.13 }))
+            .toEqual({ jurisdiction: null, taxableAmount: 6.13, lines: [], total: 0 });
+    });
+});
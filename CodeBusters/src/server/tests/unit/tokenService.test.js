@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for TokenService
+ * Consolidated tests - one test per access token behaviour, event stream tickets, and refresh token rotation
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const TokenService = require('../../services/tokenService');
+
+describe('TokenService Unit Tests', () => {
+    const user = { id: 7, username: 'rider7', role: 'rider' };
+
+    test('should issue and verify signed access tokens', () => {
+        const service = new TokenService(null, { secret: 'test-secret' });
+        const token = service.issueAccessToken(user);
+
+        expect(token.split('.')).toHaveLength(3);
+
+        const claims = service.verifyAccessToken(token);
+        expect(claims.sub).toBe('7');
+        expect(claims.role).toBe('rider');
+        expect(claims.exp).toBeGreaterThan(claims.iat);
+    });
+
+    test('should reject tampered, foreign and expired tokens', () => {
+        const service = new TokenService(null, { secret: 'test-secret' });
+        const token = service.issueAccessToken(user);
+
+        // Tampered payload (role escalation attempt)
+        const [header, , signature] = token.split('.');
+        const forgedPayload = Buffer.from(JSON.stringify({ sub: '7', role: 'operator', exp: 9999999999 })).toString('base64url');
+        expect(() => service.verifyAccessToken(`${header}.${forgedPayload}.${signature}`))
+            .toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+        // Signed with a different secret
+        const other = new TokenService(null, { secret: 'other-secret' });
+        expect(() => other.verifyAccessToken(token))
+            .toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+        // Malformed
+        expect(() => service.verifyAccessToken('not-a-token'))
+            .toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+        // Expired
+        const expiredService = new TokenService(null, { secret: 'test-secret', accessTokenTtlSeconds: -1 });
+        expect(() => service.verifyAccessToken(expiredService.issueAccessToken(user)))
+            .toThrow(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    });
+
+    test('should only accept stream tickets on the event stream and access tokens elsewhere', () => {
+        const service = new TokenService(null, { secret: 'test-secret' });
+        const { ticket, expiresIn } = service.issueStreamTicket(user);
+
+        expect(expiresIn).toBe(60);
+        expect(service.verifyStreamTicket(ticket)).toMatchObject({ sub: '7', aud: 'events' });
+        expect(() => service.verifyAccessToken(ticket)).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+        expect(() => service.verifyStreamTicket(service.issueAccessToken(user))).toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+
+        const expiredService = new TokenService(null, { secret: 'test-secret', streamTicketTtlSeconds: -1 });
+        expect(() => service.verifyStreamTicket(expiredService.issueStreamTicket(user).ticket))
+            .toThrow(expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+    });
+
+    describe('refresh tokens', () => {
+        let db;
+        let service;
+
+        beforeEach(async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            db = new sqlite3.Database(':memory:');
+            await new MigrationService(db).up();
+            await new Promise((resolve, reject) => db.run(
+                "INSERT INTO users (id, username, password, role) VALUES (7, 'rider7', 'x', 'rider')",
+                (err) => err ? reject(err) : resolve()
+            ));
+            service = new TokenService(db, { secret: 'test-secret' });
+        });
+
+        afterEach((done) => {
+            console.log.mockRestore();
+            db.close(done);
+        });
+
+        test('should rotate a refresh token only once when refreshes race', async () => {
+            const { refreshToken } = await service.issueTokenPair(user);
+
+            const results = await Promise.allSettled([service.rotateRefreshToken(refreshToken), service.rotateRefreshToken(refreshToken)]);
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+        });
+
+        test('should revoke every refresh token of a user after a password change', async () => {
+            const laptop = await service.issueTokenPair(user);
+            const stolen = await service.issueTokenPair(user);
+
+            expect(await service.revokeUserRefreshTokens(7)).toBe(2);
+            await expect(service.rotateRefreshToken(laptop.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+            await expect(service.rotateRefreshToken(stolen.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+            expect(await service.revokeUserRefreshTokens(7)).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for the shared-connection transaction helper
+ * Consolidated tests - transactions from different services on one connection, rollbacks, joining and ended handles
+ */
+
+const sqlite3 = require('sqlite3');
+const MigrationService = require('../../services/migrationService');
+const BikeStateService = require('../../services/bikeStateService');
+const RouteService = require('../../services/routeService');
+const { transaction } = require('../../utils/transaction');
+
+describe('Transaction Helper Unit Tests', () => {
+    let db;
+
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            err ? reject(err) : resolve(this);
+        });
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = new sqlite3.Database(':memory:');
+        await new MigrationService(db).up();
+        await run("INSERT INTO stations (id, name, status, latitude, longitude, capacity) VALUES ('STN001', 'Station STN001', 'occupied', 45.5, -73.6, 10)");
+        await run("INSERT INTO r_bms_bikes (id, type, status, station_id) VALUES ('BIKE001', 'standard', 'available', 'STN001')");
+        await run("INSERT INTO rentals (id, user_id, bike_id, start_time, status, station_id) VALUES (1, 2, 'BIKE002', '2024-06-01T11:00:00Z', 'active', 'STN001')");
+    });
+
+    afterEach((done) => {
+        console.log.mockRestore();
+        db.close(done);
+    });
+
+    test('should queue transactions from different services on the same connection', async () => {
+        const bikeStateService = new BikeStateService(db);
+        const routeService = new RouteService(db);
+
+        const [rental, track] = await Promise.all([
+            bikeStateService.startRental({ userId: 1, stationId: 'STN001', bikeId: 'BIKE001' }),
+            routeService.addTrackPoints(1, 2, [{ lat: 45.5, lng: -73.6, timestamp: new Date().toISOString() }])
+        ]);
+
+        expect(rental.rentalId).toBeDefined();
+        expect(track).toEqual({ accepted: 1, totalPoints: 1 });
+    });
+
+    test('should roll back the statements issued through the handle, including work that joined it', async () => {
+        const failing = transaction(db, async (tx) => {
+            await new Promise((resolve, reject) => {
+                tx.run("UPDATE r_bms_bikes SET status = 'maintenance' WHERE id = 'BIKE001'", [], (err) => err ? reject(err) : resolve());
+            });
+            // Joins the open transaction instead of waiting behind it
+            await new BikeStateService(db).inTransaction(tx).flagLongRentals(60, new Date('2024-06-01T13:00:00Z'));
+            throw new Error('boom');
+        });
+        const next = transaction(db, tx => new Promise((resolve, reject) => {
+            tx.get("SELECT status FROM r_bms_bikes WHERE id = 'BIKE001'", [], (err, row) => err ? reject(err) : resolve(row));
+        }));
+
+        await expect(failing).rejects.toThrow('boom');
+        expect(await next).toEqual({ status: 'available' });
+        expect(await query('SELECT long_trip_notified_at FROM rentals WHERE id = 1')).toEqual([{ long_trip_notified_at: null }]);
+    });
+
+    test('should refuse statements on a handle after its transaction has ended', async () => {
+        const tx = await transaction(db, async (handle) => handle);
+
+        await expect(new Promise((resolve, reject) => {
+            tx.run("UPDATE r_bms_bikes SET status = 'maintenance' WHERE id = 'BIKE001'", [], (err) => err ? reject(err) : resolve());
+        })).rejects.toThrow('Transaction has already ended');
+        expect(await query("SELECT status FROM r_bms_bikes WHERE id = 'BIKE001'")).toEqual([{ status: 'available' }]);
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Backfill rental details for rows created before they were stored on the rental
+ *
+ * Usage:
+ *   node tools/backfill_rentals.js [--dry-run]
+ *
+ * - bike_type: copied from r_bms_bikes.type
+ * - station_id / end_station_id: taken from the matching rental_started / rental_completed
+ *   entry in user_activities (same user and bike, logged within a few minutes)
+ * - pricing_plan_id, base_fee, rate_per_minute, billable_minutes: completed rentals are given the
+ *   default pay-as-you-go pricing, which is what every rental was charged before plans existed
+ *
+ * Rows that already have a value are never overwritten, so the script can be re-run safely.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const MigrationService = require('../services/migrationService');
+const PricingService = require('../services/pricingService');
+
+// How far an activity timestamp may be from the rental start/end to count as a match
+const ACTIVITY_MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+});
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+    });
+});
+
+/**
+ * Find the station of the activity closest to a rental timestamp
+ * @param {Array} activities - user_activities rows for one user, bike and activity type
+ * @param {string} timestamp - Rental start or end time
+ * @returns {string|null} Station ID, or null if nothing was logged close enough
+ */
+function matchActivityStation(activities, timestamp) {
+    if (!activities || !timestamp) {
+        return null;
+    }
+    const target = new Date(timestamp).getTime();
+    let best = null;
+    for (const activity of activities) {
+        const distance = Math.abs(new Date(activity.timestamp).getTime() - target);
+        if (distance <= ACTIVITY_MATCH_WINDOW_MS && (!best || distance < best.distance)) {
+            best = { distance, stationId: activity.station_id };
+        }
+    }
+    return best ? best.stationId : null;
+}
+
+/**
+ * Fill in missing bike type, stations and pricing on historical rentals
+ * @param {Object} db - sqlite3 database with migrations applied
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} Counts of updated fields and unresolved rows
+ */
+async function backfillRentals(db, { dryRun = false } = {}) {
+    const pricingService = new PricingService(db);
+    const defaultPlan = await pricingService.getDefaultPlan();
+
+    const rentals = await all(db, 'SELECT * FROM rentals ORDER BY id');
+    const bikeTypes = new Map(
+        (await all(db, 'SELECT id, type FROM r_bms_bikes')).map(bike => [bike.id, bike.type])
+    );
+
+    const activitiesByKey = new Map();
+    const activities = await all(db,
+        `SELECT user_id, bike_id, station_id, activity_type, timestamp FROM user_activities
+         WHERE activity_type IN ('rental_started', 'rental_completed') AND station_id IS NOT NULL`
+    );
+    for (const activity of activities) {
+        const key = `${activity.user_id}|${activity.bike_id}|${activity.activity_type}`;
+        if (!activitiesByKey.has(key)) {
+            activitiesByKey.set(key, []);
+        }
+        activitiesByKey.get(key).push(activity);
+    }
+
+    const summary = {
+        scanned: rentals.length,
+        updated: 0,
+        bikeType: 0,
+        startStation: 0,
+        endStation: 0,
+        pricing: 0,
+        unresolvedBikeType: 0
+    };
+
+    for (const rental of rentals) {
+        const updates = {};
+
+        const bikeType = rental.bike_type || bikeTypes.get(rental.bike_id) || null;
+        if (!rental.bike_type && bikeType) {
+            updates.bike_type = bikeType;
+            summary.bikeType++;
+        }
+        if (!bikeType) {
+            summary.unresolvedBikeType++;
+        }
+
+        if (!rental.station_id) {
+            const stationId = matchActivityStation(
+                activitiesByKey.get(`${rental.user_id}|${rental.bike_id}|rental_started`), rental.start_time
+            );
+            if (stationId) {
+                updates.station_id = stationId;
+                summary.startStation++;
+            }
+        }
+
+        if (rental.status === 'completed' && !rental.end_station_id) {
+            const stationId = matchActivityStation(
+                activitiesByKey.get(`${rental.user_id}|${rental.bike_id}|rental_completed`), rental.end_time
+            );
+            if (stationId) {
+                updates.end_station_id = stationId;
+                summary.endStation++;
+            }
+        }
+
+        if (rental.status === 'completed' && rental.rate_per_minute == null && bikeType && rental.end_time) {
+            const billing = pricingService.calculateCost(defaultPlan, rental.start_time, rental.end_time, bikeType);
+            updates.pricing_plan_id = billing.planId;
+            updates.base_fee = billing.baseFee;
+            updates.rate_per_minute = billing.ratePerMinute;
+            updates.billable_minutes = billing.billableMinutes;
+            summary.pricing++;
+        }
+
+        const columns = Object.keys(updates);
+        if (columns.length === 0) {
+            continue;
+        }
+        summary.updated++;
+        if (!dryRun) {
+            await run(db,
+                `UPDATE rentals SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => updates[column]), rental.id]
+            );
+        }
+    }
+
+    return summary;
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const dbPath = path.join(__dirname, '..', 'database.sqlite');
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
+        if (err) {
+            console.error('Failed to open DB:', err.message);
+            process.exit(1);
+        }
+    });
+
+    try {
+        // Make sure the rental columns exist before filling them in
+        await new MigrationService(db).up();
+        const summary = await backfillRentals(db, { dryRun });
+        console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${summary.scanned} rentals, updated ${summary.updated}`);
+        console.log(`  bike type: ${summary.bikeType}, start station: ${summary.startStation}, ` +
+            `end station: ${summary.endStation}, pricing: ${summary.pricing}`);
+        if (summary.unresolvedBikeType > 0) {
+            console.log(`  ${summary.unresolvedBikeType} rentals reference bikes missing from r_bms_bikes; bike type left empty`);
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { backfillRentals, matchActivityStation };
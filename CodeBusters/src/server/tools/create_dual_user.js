@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { hashPassword } = require('../utils/password');
 
 async function createDualUser() {
     const dbPath = path.join(__dirname, '..', 'database.sqlite');
@@ -18,6 +19,7 @@ async function createDualUser() {
     const address = '1 Dual Lane, Demo City';
     const role = 'dual';
     const initialFlex = 2.5;
+    const passwordHash = await hashPassword(password);
 
     db.serialize(() => {
         // Ensure users table exists (schema migrations in server should have run, but be safe)
@@ -85,7 +87,7 @@ async function createDualUser() {
 
             // Insert new user
             db.run('INSERT INTO users (username, password, first_name, last_name, email, address, role, flex_dollars) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                [username, password, firstName, lastName, email, address, role, initialFlex], function(insertErr) {
+                [username, passwordHash, firstName, lastName, email, address, role, initialFlex], function(insertErr) {
                     if (insertErr) {
                         console.error('Error creating user:', insertErr.message);
                         db.close();
@@ -0,0 +1,50 @@
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   node tools/migrate.js up [version]   Apply pending migrations (optionally up to a version)
+ *   node tools/migrate.js down [steps]   Roll back the last migration (or the last N)
+ *   node tools/migrate.js status         List applied and pending migrations
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const MigrationService = require('../services/migrationService');
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const dbPath = path.join(__dirname, '..', 'database.sqlite');
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+        if (err) {
+            console.error('Failed to open DB:', err.message);
+            process.exit(1);
+        }
+    });
+    const migrationService = new MigrationService(db);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrationService.up(arg ? parseInt(arg, 10) : undefined);
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+        } else if (command === 'down') {
+            const rolledBack = await migrationService.down(arg ? parseInt(arg, 10) : 1);
+            console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'No applied migrations to roll back');
+        } else if (command === 'status') {
+            const migrations = await migrationService.status();
+            migrations.forEach(migration => {
+                const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+                console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.file} (${state})`);
+            });
+        } else {
+            console.error(`Unknown command "${command}". Use: up [version] | down [steps] | status`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
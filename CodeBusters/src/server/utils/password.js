@@ -0,0 +1,143 @@
+/**
+ * Password hashing helpers built on Node's crypto.scrypt.
+ *
+ * Includes:
+ * - Salted password hashing (`hashPassword`)
+ * - Password verification against stored hashes or legacy plaintext (`verifyPassword`)
+ * - Detection of stored values that need (re)hashing (`needsRehash`)
+ *
+ * Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+ * Any stored value without the scrypt prefix is treated as a legacy plaintext password.
+ */
+
+const crypto = require('crypto');
+const { PASSWORD_HASH_CONFIG } = require('../config/constants');
+
+const HASH_PREFIX = `${PASSWORD_HASH_CONFIG.ALGORITHM}$`;
+
+/**
+ * Promisified scrypt with explicit cost parameters
+ * @param {string} password - Plaintext password
+ * @param {Buffer} salt - Salt bytes
+ * @param {Object} params - { N, r, p, keyLength }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, params.keyLength, {
+            N: params.N,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * params.N * params.r
+        }, (err, derivedKey) => err ? reject(err) : resolve(derivedKey));
+    });
+}
+
+/**
+ * Check whether a stored password value is a scrypt hash
+ * @param {string} stored - Value from users.password
+ * @returns {boolean} True if the value is hashed
+ */
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Parse a stored hash into its parameters
+ * @param {string} stored - Value from users.password
+ * @returns {Object|null} Parsed parameters, or null if malformed
+ */
+function parseHash(stored) {
+    const parts = stored.split('$');
+    if (parts.length !== 6) {
+        return null;
+    }
+    const [, N, r, p, salt, hash] = parts;
+    return {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p),
+        salt: Buffer.from(salt, 'base64'),
+        hash: Buffer.from(hash, 'base64')
+    };
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Encoded hash for storage in users.password
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(PASSWORD_HASH_CONFIG.SALT_BYTES);
+    const params = {
+        N: PASSWORD_HASH_CONFIG.COST,
+        r: PASSWORD_HASH_CONFIG.BLOCK_SIZE,
+        p: PASSWORD_HASH_CONFIG.PARALLELIZATION,
+        keyLength: PASSWORD_HASH_CONFIG.KEY_LENGTH
+    };
+    const hash = await deriveKey(String(password), salt, params);
+    return [
+        PASSWORD_HASH_CONFIG.ALGORITHM,
+        params.N,
+        params.r,
+        params.p,
+        salt.toString('base64'),
+        hash.toString('base64')
+    ].join('$');
+}
+
+/**
+ * Verify a password against a stored value (scrypt hash or legacy plaintext)
+ * @param {string} password - Plaintext password supplied by the user
+ * @param {string} stored - Value from users.password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return false;
+    }
+
+    if (!isHashed(stored)) {
+        // Legacy plaintext row - compare in constant time; caller rehashes on success
+        const expected = crypto.createHash('sha256').update(stored).digest();
+        const actual = crypto.createHash('sha256').update(password).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    const parsed = parseHash(stored);
+    if (!parsed || !parsed.N || !parsed.r || !parsed.p || parsed.hash.length === 0) {
+        return false;
+    }
+
+    const derived = await deriveKey(password, parsed.salt, {
+        N: parsed.N,
+        r: parsed.r,
+        p: parsed.p,
+        keyLength: parsed.hash.length
+    });
+    return crypto.timingSafeEqual(derived, parsed.hash);
+}
+
+/**
+ * Check whether a stored value should be rehashed (plaintext or outdated parameters)
+ * @param {string} stored - Value from users.password
+ * @returns {boolean} True if the password should be rehashed after a successful login
+ */
+function needsRehash(stored) {
+    if (!isHashed(stored)) {
+        return true;
+    }
+    const parsed = parseHash(stored);
+    return !parsed ||
+        parsed.N !== PASSWORD_HASH_CONFIG.COST ||
+        parsed.r !== PASSWORD_HASH_CONFIG.BLOCK_SIZE ||
+        parsed.p !== PASSWORD_HASH_CONFIG.PARALLELIZATION ||
+        parsed.hash.length !== PASSWORD_HASH_CONFIG.KEY_LENGTH;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    needsRehash,
+    isHashed
+};
@@ -0,0 +1,89 @@
+/**
+ * Transactions on the shared SQLite connection.
+ *
+ * Includes:
+ * - Running work inside BEGIN IMMEDIATE ... COMMIT / ROLLBACK (`transaction`)
+ *
+ * The server shares one sqlite3 Database and SQLite allows one transaction per connection, so every
+ * BEGIN goes through here. Transactions on a connection are queued and run one at a time. The work is
+ * handed a transaction handle with the Database statement methods (run, get, all, each, exec), and only
+ * statements issued through the handle belong to the transaction. Services build a copy of themselves
+ * on the handle to work inside it (their `inTransaction(tx)`), and `transaction(tx, work)` runs work as
+ * part of the open transaction instead of queueing behind it. A handle stops working once its
+ * transaction has ended.
+ *
+ * Statements issued on the Database itself go through no queue. Writes that have to succeed or fail
+ * together, or that must not land inside someone else's transaction, run in a transaction of their own.
+ */
+
+const STATEMENT_METHODS = ['run', 'get', 'all', 'each', 'exec'];
+
+// db -> the last transaction queued on it
+const queues = new WeakMap();
+// Handles whose transaction is still open
+const openHandles = new WeakSet();
+
+/**
+ * Handle issuing statements on db for one transaction
+ * @param {Object} db - sqlite3 Database
+ * @returns {Object} { run, get, all, each, exec } with the Database signatures
+ */
+function createHandle(db) {
+    const handle = {};
+    for (const method of STATEMENT_METHODS) {
+        handle[method] = (...args) => {
+            if (!openHandles.has(handle)) {
+                const error = new Error('Transaction has already ended');
+                const callback = args[args.length - 1];
+                if (typeof callback !== 'function') {
+                    throw error;
+                }
+                process.nextTick(() => callback(error));
+                return handle;
+            }
+            db[method](...args);
+            return handle;
+        };
+    }
+    return handle;
+}
+
+function run(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Run work inside a transaction, after any transaction already in progress on the connection
+ * @param {Object} db - sqlite3 Database, or the handle of an open transaction to run work as part of it
+ * @param {Function} work - async (tx) => result; issues its statements through tx
+ * @returns {Promise<*>} The work's result
+ */
+function transaction(db, work) {
+    if (openHandles.has(db)) {
+        return Promise.resolve().then(() => work(db));
+    }
+
+    const result = (queues.get(db) || Promise.resolve()).then(async () => {
+        const tx = createHandle(db);
+        await run(db, 'BEGIN IMMEDIATE');
+        openHandles.add(tx);
+        try {
+            const value = await work(tx);
+            await run(db, 'COMMIT');
+            return value;
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            openHandles.delete(tx);
+        }
+    });
+    queues.set(db, result.catch(() => {}));
+    return result;
+}
+
+module.exports = {
+    transaction
+};